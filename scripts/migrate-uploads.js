@@ -0,0 +1,265 @@
+/**
+ * Migrate Uploads to Another Storage Driver
+ * Copies every file in uploads/ to the configured storage (e.g. S3) and
+ * rewrites the stored links (messages, chats, statuses, profile pictures)
+ * from the old public /uploads/ URLs to /api/media/ URLs.
+ * With the local driver, only the links are rewritten.
+ *
+ * Run with: node scripts/migrate-uploads.js [options]
+ *   --to=s3            Target driver (default: STORAGE_DRIVER)
+ *   --from-url=URL     Base URL the old links were created with (default: BASE_URL)
+ *   --delete-local     Remove each local file once it has been copied
+ *   --dry-run          Only report what would change
+ *
+ * Safe to re-run: files already in the target are skipped and only URLs that
+ * still point at the old location are rewritten.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { UPLOADS_DIR, createStorageDriver } from '../src/config/storage.config.js';
+import { connectMongoDB, getMongoDB, closeMongoDB } from '../src/config/mongodb.config.js';
+import { queryWithRetry } from '../src/config/postgres.config.js';
+import { getFileUrlPrefix } from '../src/middleware/upload.middleware.js';
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+};
+
+const BATCH_SIZE = 500;
+
+function parseArgs(argv) {
+  const options = { to: process.env.STORAGE_DRIVER, fromUrl: null, deleteLocal: false, dryRun: false };
+  for (const arg of argv) {
+    if (arg === '--delete-local') options.deleteLocal = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg.startsWith('--to=')) options.to = arg.slice('--to='.length);
+    else if (arg.startsWith('--from-url=')) options.fromUrl = arg.slice('--from-url='.length);
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+  options.fromUrl = (options.fromUrl || process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+  return options;
+}
+
+/**
+ * Copy local files into the target storage
+ */
+async function copyFiles(target, { deleteLocal, dryRun }) {
+  const stats = { copied: 0, skipped: 0, failed: 0 };
+  const entries = fs.existsSync(UPLOADS_DIR) ? await fs.promises.readdir(UPLOADS_DIR, { withFileTypes: true }) : [];
+  const files = entries.filter((entry) => entry.isFile() && !entry.name.startsWith('.')).map((entry) => entry.name);
+
+  console.log(`📁 ${files.length} files in ${UPLOADS_DIR}\n`);
+
+  for (const filename of files) {
+    const localPath = path.join(UPLOADS_DIR, filename);
+    try {
+      if (await target.exists(filename)) {
+        stats.skipped++;
+      } else if (dryRun) {
+        stats.copied++;
+      } else {
+        // put() moves its source, so keep the original unless asked not to
+        let sourcePath = localPath;
+        if (!deleteLocal) {
+          sourcePath = path.join(os.tmpdir(), `migrate-${process.pid}-${filename}`);
+          await fs.promises.copyFile(localPath, sourcePath);
+        }
+        try {
+          await target.put(filename, sourcePath, {
+            contentType: CONTENT_TYPES[path.extname(filename).toLowerCase()],
+          });
+        } finally {
+          if (sourcePath !== localPath) {
+            await fs.promises.rm(sourcePath, { force: true });
+          }
+        }
+        stats.copied++;
+      }
+
+      if (deleteLocal && !dryRun) {
+        await fs.promises.rm(localPath, { force: true });
+      }
+    } catch (error) {
+      stats.failed++;
+      console.error(`   ❌ ${filename}: ${error.message}`);
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Rewrite URL fields of a collection that start with the old prefix
+ * @param {string[]} fields - Dotted paths of string fields (not inside arrays)
+ */
+async function rewriteCollection(collection, fields, rewrite, dryRun) {
+  const filter = { $or: fields.map((field) => ({ [field]: { $regex: rewrite.pattern } })) };
+  if (dryRun) {
+    return collection.countDocuments(filter);
+  }
+
+  let updated = 0;
+  let operations = [];
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await collection.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+    operations = [];
+  };
+
+  const cursor = collection.find(filter, { projection: Object.fromEntries(fields.map((field) => [field, 1])) });
+  for await (const doc of cursor) {
+    const set = {};
+    for (const field of fields) {
+      const value = field.split('.').reduce((current, key) => current?.[key], doc);
+      if (typeof value === 'string' && value.startsWith(rewrite.from)) {
+        set[field] = rewrite.apply(value);
+      }
+    }
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: set } } });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+}
+
+/**
+ * Statuses keep their media in an array, so they're rewritten document by document
+ */
+async function rewriteStatuses(collection, rewrite, dryRun) {
+  const filter = {
+    $or: [
+      { 'statuses.url': { $regex: rewrite.pattern } },
+      { 'statuses.media.thumbnailUrl': { $regex: rewrite.pattern } },
+    ],
+  };
+  if (dryRun) {
+    return collection.countDocuments(filter);
+  }
+
+  let updated = 0;
+  for await (const doc of collection.find(filter)) {
+    const statuses = doc.statuses.map((status) => ({
+      ...status,
+      url: typeof status.url === 'string' ? rewrite.apply(status.url) : status.url,
+      media: status.media?.thumbnailUrl
+        ? { ...status.media, thumbnailUrl: rewrite.apply(status.media.thumbnailUrl) }
+        : status.media,
+    }));
+    await collection.updateOne({ _id: doc._id }, { $set: { statuses } });
+    updated++;
+  }
+  return updated;
+}
+
+async function rewriteUrls({ fromUrl, dryRun }) {
+  const from = `${fromUrl}/uploads/`;
+  // Keys are the filenames, so old and new URLs only differ in their prefix
+  const to = getFileUrlPrefix();
+  const escaped = from.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const rewrite = {
+    from,
+    pattern: new RegExp(`^${escaped}`),
+    apply: (value) => (value.startsWith(from) ? to + value.slice(from.length) : value),
+  };
+
+  console.log(`🔗 Rewriting ${from}* → ${to}*\n`);
+
+  await connectMongoDB();
+  const mongoDb = getMongoDB();
+
+  const results = {
+    messages: await rewriteCollection(
+      mongoDb.collection('messages'),
+      ['message', 'media.thumbnailUrl', 'replyTo.thumbnailUrl'],
+      rewrite,
+      dryRun
+    ),
+    chats: await rewriteCollection(
+      mongoDb.collection('chats'),
+      ['lastMessage', 'groupPictureUrl'],
+      rewrite,
+      dryRun
+    ),
+    statuses: await rewriteStatuses(mongoDb.collection('status'), rewrite, dryRun),
+  };
+
+  const usersResult = dryRun
+    ? await queryWithRetry(
+      'SELECT COUNT(*)::int AS count FROM users WHERE starts_with(profile_picture_url, $1)',
+      [from],
+      3,
+      20000
+    )
+    : await queryWithRetry(
+      `UPDATE users
+       SET profile_picture_url = $2 || substring(profile_picture_url from $3)
+       WHERE starts_with(profile_picture_url, $1)`,
+      [from, to, from.length + 1],
+      3,
+      20000
+    );
+  results.users = dryRun ? usersResult.rows[0].count : usersResult.rowCount;
+
+  await closeMongoDB();
+  return results;
+}
+
+async function migrateUploads() {
+  console.log('🔄 Migrating uploads...\n');
+
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const target = createStorageDriver(options.to);
+    if (options.dryRun) {
+      console.log('ℹ️  Dry run - nothing will be changed\n');
+    }
+
+    if (target.name === 'local') {
+      console.log('📁 Local storage - files stay in uploads/\n');
+    } else {
+      const files = await copyFiles(target, options);
+      console.log(`✅ Files: ${files.copied} copied, ${files.skipped} already there, ${files.failed} failed\n`);
+
+      if (files.failed > 0) {
+        // Links would point at files that aren't there
+        console.error('❌ Some files could not be copied - URLs were not rewritten. Fix the errors and re-run.');
+        process.exit(1);
+      }
+    }
+
+    const urls = await rewriteUrls(options);
+    console.log(`✅ URLs ${options.dryRun ? 'to rewrite' : 'rewritten'}:`);
+    console.log(`   Messages: ${urls.messages}`);
+    console.log(`   Chats: ${urls.chats}`);
+    console.log(`   Status documents: ${urls.statuses}`);
+    console.log(`   Profile pictures: ${urls.users}\n`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating uploads:', error);
+    process.exit(1);
+  }
+}
+
+migrateUploads();
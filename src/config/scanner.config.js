@@ -0,0 +1,62 @@
+import { createClamAVScanner } from '../scanners/clamav.scanner.js';
+import { createStubScanner } from '../scanners/stub.scanner.js';
+
+/**
+ * Malware Scanner Configuration
+ * Used for: Message attachments, Statuses, Profile pictures
+ *
+ * FILE_SCANNER selects what checks uploads before they're stored:
+ *   none   - no scanning (default)
+ *   clamav - a ClamAV daemon (clamd), over TCP or a Unix socket
+ *   stub   - flags the EICAR test file only, for development and tests
+ *
+ * Every scanner implements:
+ *   scanFile(filePath) -> { infected: boolean, signature: string|null }
+ * and throws when it can't reach a verdict (uploads are then refused).
+ */
+
+export const FILE_SCANNERS = ['none', 'clamav', 'stub'];
+
+/**
+ * Create a scanner from environment variables
+ * @param {string} [name] - Scanner name (defaults to FILE_SCANNER, then 'none')
+ * @returns {Object|null} null when scanning is off
+ */
+export const createScanner = (name = process.env.FILE_SCANNER || 'none') => {
+  const scanner = name.trim().toLowerCase();
+
+  if (scanner === 'none') {
+    return null;
+  }
+
+  if (scanner === 'clamav') {
+    return createClamAVScanner({
+      host: process.env.CLAMAV_HOST || '127.0.0.1',
+      port: parseInt(process.env.CLAMAV_PORT || '3310'),
+      socketPath: process.env.CLAMAV_SOCKET,
+      timeoutMs: parseInt(process.env.CLAMAV_TIMEOUT_MS || '60000'),
+    });
+  }
+
+  if (scanner === 'stub') {
+    return createStubScanner();
+  }
+
+  throw new Error(`Unknown FILE_SCANNER "${name}". Use one of: ${FILE_SCANNERS.join(', ')}`);
+};
+
+let fileScanner;
+
+/**
+ * Get the configured scanner
+ * @returns {Object|null} null when scanning is off
+ */
+export const getScanner = () => {
+  if (fileScanner === undefined) {
+    fileScanner = createScanner();
+    console.log(`✅ File scanner: ${fileScanner ? fileScanner.name : 'none'}`);
+  }
+  return fileScanner;
+};
+
+export default { getScanner, createScanner };
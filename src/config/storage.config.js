@@ -0,0 +1,92 @@
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { existsSync } from 'fs';
+import { createLocalDriver } from '../storage/local.driver.js';
+import { createS3Driver } from '../storage/s3.driver.js';
+
+// Get current directory (ES modules)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load .env from backend directory or parent
+const envPaths = [
+  join(__dirname, '..', '..', '.env'),  // backend/.env
+  join(__dirname, '..', '..', '..', '.env'),  // root/.env
+  '.env',
+];
+
+for (const envPath of envPaths) {
+  if (existsSync(envPath)) {
+    dotenv.config({ path: envPath });
+    break;
+  }
+}
+
+/**
+ * File Storage Configuration
+ * Used for: Message attachments, Thumbnails, Statuses, Profile pictures
+ *
+ * STORAGE_DRIVER selects where uploads end up:
+ *   local - the uploads/ directory of this server (default)
+ *   s3    - an S3-compatible bucket (AWS, MinIO, R2...)
+ *
+ * Every driver implements:
+ *   put(key, sourcePath, { contentType })  move a local file into storage
+ *   delete(key)                            remove a file (missing files are fine)
+ *   exists(key)                            -> boolean
+ *   download(key, destinationPath)         copy a stored file to local disk
+ *   getDownload(key, { expiresIn, attachment })
+ *                                          -> { path } to send, or { url } to redirect to
+ *
+ * Files are never public: clients download them through GET /api/media/:filename.
+ * Keys are the upload filenames (e.g. image-<userId>-<timestamp>.jpg).
+ */
+
+// Multer always writes here first; it's also the local driver's storage
+export const UPLOADS_DIR = join(__dirname, '..', '..', 'uploads');
+
+export const STORAGE_DRIVERS = ['local', 's3'];
+
+/**
+ * Create a storage driver from environment variables
+ * @param {string} [name] - Driver name (defaults to STORAGE_DRIVER, then 'local')
+ */
+export const createStorageDriver = (name = process.env.STORAGE_DRIVER || 'local') => {
+  const driver = name.trim().toLowerCase();
+
+  if (driver === 'local') {
+    return createLocalDriver({ directory: UPLOADS_DIR });
+  }
+
+  if (driver === 's3') {
+    if (!process.env.S3_BUCKET) {
+      throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+    }
+    return createS3Driver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage driver
+ */
+export const getStorage = () => {
+  if (!storage) {
+    storage = createStorageDriver();
+    console.log(`✅ File storage: ${storage.name}`);
+  }
+  return storage;
+};
+
+export default { getStorage, createStorageDriver };
@@ -403,6 +403,28 @@ async function initializeIndexes() {
     );
     console.log('   ✅ Index: statuses.id');
     
+    // Index 7: statuses.url for authorizing media downloads (GET /api/media/:filename)
+    await statusCollection.createIndex(
+      { 'statuses.url': 1 },
+      { 
+        name: 'idx_statuses_url',
+        background: true,
+        sparse: true
+      }
+    );
+    console.log('   ✅ Index: statuses.url');
+    
+    // Index 8: statuses.fileSha256 for authorizing registered media downloads
+    await statusCollection.createIndex(
+      { 'statuses.fileSha256': 1 },
+      { 
+        name: 'idx_statuses_fileSha256',
+        background: true,
+        sparse: true
+      }
+    );
+    console.log('   ✅ Index: statuses.fileSha256');
+    
     console.log('   ✅ All status indexes created successfully\n');
     
     // ============================================
@@ -59,6 +59,7 @@ export async function initializeMongoDBSchema() {
     await chatsCollection.createIndex({ updatedAt: -1 }, { name: 'idx_updatedAt', background: true });
     await chatsCollection.createIndex({ archivedBy: 1 }, { name: 'idx_archivedBy', background: true, sparse: true });
     await chatsCollection.createIndex({ pinnedBy: 1 }, { name: 'idx_pinnedBy', background: true, sparse: true });
+    await chatsCollection.createIndex({ groupPictureUrl: 1 }, { name: 'idx_groupPictureUrl', background: true, sparse: true });
     console.log('   ✅ Chats collection ready\n');
     
     // ============================================
@@ -77,8 +78,19 @@ export async function initializeMongoDBSchema() {
     await messagesCollection.createIndex({ messageType: 1, createdAt: -1 }, { name: 'idx_messageType_createdAt', background: true, partialFilterExpression: { messageType: 'call' } });
     await messagesCollection.createIndex({ readBy: 1 }, { name: 'idx_readBy', background: true });
     await messagesCollection.createIndex({ 'readReceipts.userId': 1 }, { name: 'idx_readReceipts_userId', background: true, sparse: true });
+    await messagesCollection.createIndex({ 'deliveredTo.userId': 1 }, { name: 'idx_deliveredTo_userId', background: true, sparse: true });
     await messagesCollection.createIndex({ deletedAt: 1 }, { name: 'idx_deletedAt', background: true, sparse: true });
     await messagesCollection.createIndex({ editedAt: 1 }, { name: 'idx_editedAt', background: true, sparse: true });
+    await messagesCollection.createIndex({ replyToMessageId: 1, _id: 1 }, { name: 'idx_replyToMessageId', background: true });
+    await messagesCollection.createIndex({ expiresAt: 1 }, { name: 'idx_expiresAt', background: true, partialFilterExpression: { expiresAt: { $type: 'date' } } });
+    // A scheduled message is sent at most once, even if the scheduler retries
+    await messagesCollection.createIndex({ scheduledMessageId: 1 }, { name: 'idx_scheduledMessageId', unique: true, background: true, partialFilterExpression: { scheduledMessageId: { $type: 'objectId' } } });
+    await messagesCollection.createIndex({ 'location.liveUntil': 1 }, { name: 'idx_location_liveUntil', background: true, partialFilterExpression: { messageType: 'live_location' } });
+    // Media downloads are authorized by finding the messages that reference the file URL
+    // (hashed: equality lookups only, without indexing the full text of every message)
+    await messagesCollection.createIndex({ message: 'hashed' }, { name: 'idx_message_hashed', background: true });
+    await messagesCollection.createIndex({ 'media.thumbnailUrl': 1 }, { name: 'idx_media_thumbnailUrl', background: true, sparse: true });
+    await messagesCollection.createIndex({ fileSha256: 1 }, { name: 'idx_fileSha256', background: true, sparse: true });
     console.log('   ✅ Messages collection ready\n');
     
     // ============================================
@@ -261,6 +273,64 @@ export async function initializeMongoDBSchema() {
     );
     console.log('   ✅ Analytics collection ready\n');
     
+    // ============================================
+    // REPORTS COLLECTION (Abuse reports + evidence snapshots)
+    // ============================================
+    console.log('📁 Setting up "reports" collection...');
+    const reportsCollection = db.collection('reports');
+    
+    // Create indexes
+    await reportsCollection.createIndex({ status: 1, createdAt: 1 }, { name: 'idx_status_createdAt', background: true });
+    await reportsCollection.createIndex({ reporterId: 1, targetType: 1, targetId: 1, status: 1 }, { name: 'idx_reporter_target_status', background: true });
+    await reportsCollection.createIndex({ reportedUserId: 1, createdAt: -1 }, { name: 'idx_reportedUserId_createdAt', background: true, sparse: true });
+    console.log('   ✅ Reports collection ready\n');
+    
+    // ============================================
+    // SCHEDULED MESSAGES COLLECTION
+    // ============================================
+    console.log('📁 Setting up "scheduled_messages" collection...');
+    const scheduledMessagesCollection = db.collection('scheduled_messages');
+    
+    // Create indexes
+    await scheduledMessagesCollection.createIndex({ status: 1, sendAt: 1 }, { name: 'idx_status_sendAt', background: true });
+    await scheduledMessagesCollection.createIndex({ status: 1, lockedUntil: 1 }, { name: 'idx_status_lockedUntil', background: true });
+    await scheduledMessagesCollection.createIndex({ senderId: 1, status: 1, sendAt: 1 }, { name: 'idx_senderId_status_sendAt', background: true });
+    console.log('   ✅ Scheduled messages collection ready\n');
+    
+    // ============================================
+    // UPLOAD SESSIONS COLLECTION
+    // ============================================
+    console.log('📁 Setting up "upload_sessions" collection...');
+    const uploadSessionsCollection = db.collection('upload_sessions');
+    
+    // Create indexes
+    await uploadSessionsCollection.createIndex({ userId: 1, status: 1, expiresAt: 1 }, { name: 'idx_userId_status_expiresAt', background: true });
+    await uploadSessionsCollection.createIndex({ expiresAt: 1 }, { name: 'idx_expiresAt', background: true });
+    console.log('   ✅ Upload sessions collection ready\n');
+    
+    // ============================================
+    // MEDIA FILES COLLECTION (Deduplicated uploads)
+    // ============================================
+    console.log('📁 Setting up "media_files" collection...');
+    const mediaFilesCollection = db.collection('media_files');
+    
+    // Create indexes
+    await mediaFilesCollection.createIndex({ sha256: 1 }, { name: 'idx_sha256', unique: true, background: true });
+    await mediaFilesCollection.createIndex({ filename: 1 }, { name: 'idx_filename', background: true });
+    await mediaFilesCollection.createIndex({ 'media.thumbnailUrl': 1 }, { name: 'idx_media_thumbnailUrl', background: true, sparse: true });
+    console.log('   ✅ Media files collection ready\n');
+    
+    // ============================================
+    // QUARANTINED FILES COLLECTION (Malware scan)
+    // ============================================
+    console.log('📁 Setting up "quarantined_files" collection...');
+    const quarantinedFilesCollection = db.collection('quarantined_files');
+    
+    // Create indexes
+    await quarantinedFilesCollection.createIndex({ createdAt: -1 }, { name: 'idx_createdAt', background: true });
+    await quarantinedFilesCollection.createIndex({ uploaderId: 1, createdAt: -1 }, { name: 'idx_uploaderId_createdAt', background: true });
+    console.log('   ✅ Quarantined files collection ready\n');
+    
     // ============================================
     // VERIFICATION
     // ============================================
@@ -273,7 +343,12 @@ export async function initializeMongoDBSchema() {
       'activity_logs',
       'status_updates',
       'status_views',
-      'analytics'
+      'analytics',
+      'reports',
+      'scheduled_messages',
+      'upload_sessions',
+      'media_files',
+      'quarantined_files'
     ];
     
     for (const collectionName of collections) {
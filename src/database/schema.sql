@@ -20,7 +20,11 @@ CREATE TABLE IF NOT EXISTS users (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     last_login_at TIMESTAMP,
     last_activity_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    is_active BOOLEAN DEFAULT true,
+    is_active BOOLEAN DEFAULT true, -- false = banned
+    banned_at TIMESTAMP,
+    ban_reason TEXT,
+    suspended_until TIMESTAMP, -- Temporary suspension (NULL = not suspended)
+    suspension_reason TEXT,
     is_verified BOOLEAN DEFAULT false,
     verification_code VARCHAR(10),
     verification_expires_at TIMESTAMP,
@@ -45,9 +49,9 @@ CREATE TABLE IF NOT EXISTS user_settings (
     font_size VARCHAR(20) DEFAULT 'medium', -- small, medium, large
     auto_download_media BOOLEAN DEFAULT true,
     auto_download_on_wifi BOOLEAN DEFAULT true,
-    status_privacy VARCHAR(20) DEFAULT 'contacts', -- everyone, contacts, nobody
-    last_seen_privacy VARCHAR(20) DEFAULT 'contacts', -- everyone, contacts, nobody
-    profile_photo_privacy VARCHAR(20) DEFAULT 'everyone', -- everyone, contacts, nobody
+    status_privacy VARCHAR(20) DEFAULT 'contacts', -- everyone, contacts, contacts_except, nobody
+    last_seen_privacy VARCHAR(20) DEFAULT 'contacts', -- everyone, contacts, contacts_except, nobody
+    profile_photo_privacy VARCHAR(20) DEFAULT 'everyone', -- everyone, contacts, contacts_except, nobody
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -76,7 +80,8 @@ CREATE TABLE IF NOT EXISTS contacts (
 CREATE TABLE IF NOT EXISTS user_sessions (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
-    token_hash VARCHAR(255) NOT NULL, -- Hashed JWT token
+    token_hash VARCHAR(255) NOT NULL, -- Hashed current refresh token
+    family_id UUID DEFAULT gen_random_uuid(), -- Refresh token family (new on every login)
     device_id VARCHAR(255), -- Unique device identifier
     device_name VARCHAR(255), -- Device name (e.g., "iPhone 13", "Chrome Browser")
     device_type VARCHAR(50), -- mobile, web, desktop
@@ -85,6 +90,9 @@ CREATE TABLE IF NOT EXISTS user_sessions (
     is_active BOOLEAN DEFAULT true,
     last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50), -- logout, revoked, refresh_token_reuse, expired
+    authenticated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP, -- Last OTP login on this device
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     UNIQUE(user_id, device_id)
 );
@@ -163,6 +171,45 @@ CREATE TABLE IF NOT EXISTS blocked_users (
     UNIQUE(blocker_id, blocked_id)
 );
 
+-- ============================================
+-- PRIVACY EXCEPTIONS ("My contacts except...")
+-- ============================================
+CREATE TABLE IF NOT EXISTS privacy_exceptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    setting VARCHAR(20) NOT NULL CHECK (setting IN ('last_seen', 'profile_photo', 'status')),
+    excluded_user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, setting, excluded_user_id)
+);
+
+-- ============================================
+-- ADMIN ROLES (RBAC)
+-- ============================================
+CREATE TABLE IF NOT EXISTS user_roles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    role VARCHAR(30) NOT NULL CHECK (role IN ('admin', 'moderator')),
+    granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, role)
+);
+
+-- ============================================
+-- ADMIN AUDIT LOG
+-- ============================================
+CREATE TABLE IF NOT EXISTS admin_audit_logs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    admin_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    action VARCHAR(100) NOT NULL, -- users.list, roles.grant, roles.revoke, ...
+    target_type VARCHAR(50), -- user, role, ...
+    target_id VARCHAR(255),
+    details JSONB,
+    ip_address INET,
+    user_agent TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ============================================
 -- MIGRATIONS (Add missing columns to existing tables)
 -- ============================================
@@ -217,6 +264,30 @@ BEGIN
                    WHERE table_name='users' AND column_name='metadata') THEN
         ALTER TABLE users ADD COLUMN metadata JSONB;
     END IF;
+    
+    -- Add banned_at if it doesn't exist
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='users' AND column_name='banned_at') THEN
+        ALTER TABLE users ADD COLUMN banned_at TIMESTAMP;
+    END IF;
+    
+    -- Add ban_reason if it doesn't exist
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='users' AND column_name='ban_reason') THEN
+        ALTER TABLE users ADD COLUMN ban_reason TEXT;
+    END IF;
+    
+    -- Add suspended_until if it doesn't exist
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='users' AND column_name='suspended_until') THEN
+        ALTER TABLE users ADD COLUMN suspended_until TIMESTAMP;
+    END IF;
+    
+    -- Add suspension_reason if it doesn't exist
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='users' AND column_name='suspension_reason') THEN
+        ALTER TABLE users ADD COLUMN suspension_reason TEXT;
+    END IF;
 END $$;
 
 -- Add missing columns to user_settings table if they don't exist
@@ -293,6 +364,35 @@ BEGIN
     END IF;
 END $$;
 
+-- Add missing columns to user_sessions table if they don't exist
+DO $$ 
+BEGIN
+    -- Add family_id if it doesn't exist
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='user_sessions' AND column_name='family_id') THEN
+        ALTER TABLE user_sessions ADD COLUMN family_id UUID DEFAULT gen_random_uuid();
+    END IF;
+    
+    -- Add revoked_at if it doesn't exist
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='user_sessions' AND column_name='revoked_at') THEN
+        ALTER TABLE user_sessions ADD COLUMN revoked_at TIMESTAMP;
+    END IF;
+    
+    -- Add revoked_reason if it doesn't exist
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='user_sessions' AND column_name='revoked_reason') THEN
+        ALTER TABLE user_sessions ADD COLUMN revoked_reason VARCHAR(50);
+    END IF;
+    
+    -- Add authenticated_at if it doesn't exist (existing sessions count from their creation)
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns 
+                   WHERE table_name='user_sessions' AND column_name='authenticated_at') THEN
+        ALTER TABLE user_sessions ADD COLUMN authenticated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+        UPDATE user_sessions SET authenticated_at = created_at;
+    END IF;
+END $$;
+
 -- ============================================
 -- INDEXES FOR PERFORMANCE
 -- ============================================
@@ -304,6 +404,7 @@ CREATE INDEX IF NOT EXISTS idx_users_last_seen ON users(last_seen DESC);
 CREATE INDEX IF NOT EXISTS idx_users_last_activity ON users(last_activity_at DESC);
 CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_users_active ON users(is_active) WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_users_suspended ON users(suspended_until) WHERE suspended_until IS NOT NULL;
 
 -- User settings indexes
 CREATE INDEX IF NOT EXISTS idx_settings_user ON user_settings(user_id);
@@ -355,6 +456,16 @@ CREATE INDEX IF NOT EXISTS idx_blocked_blocker ON blocked_users(blocker_id);
 CREATE INDEX IF NOT EXISTS idx_blocked_blocked ON blocked_users(blocked_id);
 CREATE INDEX IF NOT EXISTS idx_blocked_both ON blocked_users(blocker_id, blocked_id);
 
+-- Privacy exceptions indexes
+CREATE INDEX IF NOT EXISTS idx_privacy_exceptions_user ON privacy_exceptions(user_id, setting);
+
+-- Admin roles and audit log indexes
+CREATE INDEX IF NOT EXISTS idx_user_roles_user ON user_roles(user_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_admin ON admin_audit_logs(admin_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_action ON admin_audit_logs(action);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_logs(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_logs(created_at DESC);
+
 -- ============================================
 -- FUNCTIONS
 -- ============================================
@@ -495,8 +606,13 @@ COMMENT ON TABLE user_activity_logs IS 'Comprehensive activity tracking for anal
 COMMENT ON TABLE status_updates IS 'User status updates (text, image, video)';
 COMMENT ON TABLE status_views IS 'Track who viewed each status update';
 COMMENT ON TABLE blocked_users IS 'User blocking relationships';
+COMMENT ON TABLE user_roles IS 'Admin panel roles (admin, moderator) for RBAC';
+COMMENT ON TABLE admin_audit_logs IS 'Audit trail of every action taken through /api/admin';
 
+COMMENT ON COLUMN user_sessions.family_id IS 'Refresh token family; reusing a rotated refresh token revokes the whole session';
+COMMENT ON COLUMN user_sessions.authenticated_at IS 'Last OTP login; refreshing stops SESSION_MAX_AGE_DAYS after it';
 COMMENT ON COLUMN users.device_info IS 'JSON object storing device information from login';
 COMMENT ON COLUMN users.metadata IS 'Additional user metadata in JSON format';
 COMMENT ON COLUMN user_activity_logs.activity_data IS 'JSON object with activity-specific details';
 COMMENT ON TABLE status_updates IS 'Status updates expire after 24 hours';
+COMMENT ON TABLE privacy_exceptions IS 'Contacts excluded from a contacts_except privacy setting';
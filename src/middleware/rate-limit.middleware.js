@@ -62,6 +62,21 @@ export const otpVerifyRateLimit = rateLimit({
   legacyHeaders: false,
 });
 
+/**
+ * Rate limiting for token refresh
+ * Clients refresh every few minutes per device, so this is looser than login
+ */
+export const refreshRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 refreshes per 15 minutes
+  message: {
+    success: false,
+    message: 'Too many token refresh requests. Please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * Rate limiting for group operations
  */
@@ -76,3 +91,17 @@ export const groupRateLimit = rateLimit({
   legacyHeaders: false,
 });
 
+
+/**
+ * Rate limiting for abuse reports
+ */
+export const reportRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // 20 reports per hour
+  message: {
+    success: false,
+    message: 'Too many reports. Please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
@@ -0,0 +1,33 @@
+import { getUserRoles } from '../services/admin.service.js';
+
+/**
+ * Role-based access control middleware
+ * Must run after verifyToken. Passes if the user has any of the given roles;
+ * 'admin' is a superuser role and always passes.
+ *
+ * Usage: router.get('/users', verifyToken, requireRole('admin', 'moderator'), handler)
+ */
+export const requireRole = (...allowedRoles) => {
+  return async (req, res, next) => {
+    try {
+      const roles = await getUserRoles(req.userId);
+
+      if (!roles.includes('admin') && !roles.some((role) => allowedRoles.includes(role))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions',
+        });
+      }
+
+      req.userRoles = roles;
+      next();
+    } catch (error) {
+      console.error('Role check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+      });
+    }
+  };
+};
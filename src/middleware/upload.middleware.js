@@ -1,14 +1,12 @@
 import multer from 'multer';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
 import fs from 'fs';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { UPLOADS_DIR, getStorage } from '../config/storage.config.js';
+import { inspectUpload } from '../services/upload-security.service.js';
 
 // Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../../uploads');
+// (final location with the local storage driver, staging area with the others)
+const uploadsDir = UPLOADS_DIR;
 if (!fs.existsSync(uploadsDir)) {
   fs.mkdirSync(uploadsDir, { recursive: true });
 }
@@ -22,7 +20,9 @@ const storage = multer.diskStorage({
     // Generate unique filename: timestamp-userId-originalname
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
     const ext = path.extname(file.originalname);
-    cb(null, `profile-${req.userId}-${uniqueSuffix}${ext}`);
+    // Media access trusts these prefixes (media.service.js)
+    const prefix = file.fieldname === 'groupPicture' ? 'group' : 'profile';
+    cb(null, `${prefix}-${req.userId}-${uniqueSuffix}${ext}`);
   },
 });
 
@@ -85,8 +85,46 @@ export const handleMulterError = (err, req, res, next) => {
   next();
 };
 
+/**
+ * Run the content check and metadata removal (upload-security.service.js) on
+ * the files a multer middleware wrote. A rejected file fails the request like
+ * a fileFilter error, and every file of the request is deleted.
+ * @param {Function} middleware - Multer middleware
+ * @param {Function} getUploads - (req) => [{ file, imagesOnly }]
+ */
+const withContentCheck = (middleware, getUploads) => (req, res, next) => {
+  middleware(req, res, async (err) => {
+    if (err) return next(err);
+
+    const uploads = getUploads(req).filter(({ file }) => file);
+    try {
+      for (const { file, imagesOnly } of uploads) {
+        const result = await inspectUpload(file, { imagesOnly });
+        if (result.error) {
+          for (const upload of uploads) {
+            await deleteFile(upload.file.filename);
+          }
+          return next(new Error(result.error.message));
+        }
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+};
+
 // Middleware for single file upload (profile picture)
-export const uploadSingle = upload.single('profilePicture');
+export const uploadSingle = withContentCheck(
+  upload.single('profilePicture'),
+  (req) => [{ file: req.file, imagesOnly: true }]
+);
+
+// Middleware for single file upload (group picture)
+export const uploadGroupPicture = withContentCheck(
+  upload.single('groupPicture'),
+  (req) => [{ file: req.file, imagesOnly: true }]
+);
 
 // Middleware for message file upload (any file type)
 const messageStorage = multer.diskStorage({
@@ -97,7 +135,10 @@ const messageStorage = multer.diskStorage({
     // Generate unique filename: timestamp-userId-originalname
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
     const ext = path.extname(file.originalname);
-    const fileType = req.body.messageType || 'file';
+    // Picture prefixes are reserved for the picture endpoints
+    const fileType = /^[a-z_]+$/.test(req.body.messageType || '') && !['profile', 'group'].includes(req.body.messageType)
+      ? req.body.messageType
+      : 'file';
     cb(null, `${fileType}-${req.userId}-${uniqueSuffix}${ext}`);
   },
 });
@@ -117,21 +158,100 @@ const messageUpload = multer({
 });
 
 // Middleware for message file upload
-export const uploadMessageFile = messageUpload.single('file');
+export const uploadMessageFile = withContentCheck(
+  messageUpload.single('file'),
+  (req) => [{ file: req.file }]
+);
+
+// Message file plus an optional client-made poster frame for videos ('thumbnail' field)
+const messageFilesUpload = messageUpload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'thumbnail', maxCount: 1 },
+]);
+
+const messageFilesWithPosterUpload = (req, res, next) => {
+  messageFilesUpload(req, res, (err) => {
+    if (!err) {
+      req.file = req.files?.file?.[0];
+      req.thumbnailFile = req.files?.thumbnail?.[0];
+
+      // A poster without its video is never used
+      if (!req.file && req.thumbnailFile) {
+        deleteFile(req.thumbnailFile.filename).catch((error) => {
+          console.error('Error deleting unused video poster:', error);
+        });
+        req.thumbnailFile = undefined;
+      }
+    }
+    next(err);
+  });
+};
+
+export const uploadMessageFileWithThumbnail = withContentCheck(
+  messageFilesWithPosterUpload,
+  (req) => [{ file: req.file }, { file: req.thumbnailFile, imagesOnly: true }]
+);
+
+// Poster frame sent when completing a resumable upload ('thumbnail' field)
+export const uploadVideoPoster = withContentCheck(
+  messageUpload.single('thumbnail'),
+  (req) => [{ file: req.file, imagesOnly: true }]
+);
+
+const getBaseUrl = () => process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Files are served by GET /api/media/:filename after an access check
+export const getFileUrlPrefix = () => `${getBaseUrl()}/api/media/`;
 
 // Helper to get file URL
 export const getFileUrl = (req, filename) => {
   if (!filename) return null;
-  const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
-  return `${baseUrl}/uploads/${filename}`;
+  return `${getFileUrlPrefix()}${path.basename(filename)}`;
 };
 
-// Helper to delete old file
-export const deleteFile = (filename) => {
-  if (!filename) return;
-  const filePath = path.join(uploadsDir, filename);
-  if (fs.existsSync(filePath)) {
-    fs.unlinkSync(filePath);
+// Every URL a file may be stored under: the current one, and the public
+// /uploads/ link used before media downloads were authorized
+export const getFileUrlVariants = (filename) => [
+  getFileUrl(null, filename),
+  `${getBaseUrl()}/uploads/${path.basename(filename)}`,
+];
+
+// Absolute path of an uploaded file while it's still on local disk
+// (basename only, so URLs can't escape the uploads dir)
+export const getUploadFilePath = (filename) => {
+  if (!filename) return null;
+  return path.join(uploadsDir, path.basename(filename));
+};
+
+// Name of the generated thumbnail of an uploaded file
+export const getThumbnailFilename = (filename) => {
+  if (!filename) return null;
+  return `thumb-${path.parse(path.basename(filename)).name}.webp`;
+};
+
+/**
+ * Move a processed upload (and its thumbnail, if one was generated) into storage
+ * Call once the route is done reading the local file (voice analysis, previews...).
+ * @param {Object} file - Multer file
+ */
+export const storeUploadedFile = async (file) => {
+  const storage = getStorage();
+  await storage.put(file.filename, file.path, { contentType: file.mimetype });
+
+  const thumbnailFilename = getThumbnailFilename(file.filename);
+  const thumbnailPath = getUploadFilePath(thumbnailFilename);
+  if (fs.existsSync(thumbnailPath)) {
+    await storage.put(thumbnailFilename, thumbnailPath, { contentType: 'image/webp' });
   }
 };
 
+// Helper to delete old file (and its thumbnail, if one was generated)
+// Removes both the stored copy and any copy still staged on local disk.
+export const deleteFile = async (filename) => {
+  if (!filename) return;
+  const storage = getStorage();
+  for (const name of [path.basename(filename), getThumbnailFilename(filename)]) {
+    await fs.promises.rm(getUploadFilePath(name), { force: true });
+    await storage.delete(name);
+  }
+};
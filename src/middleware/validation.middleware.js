@@ -2,14 +2,58 @@
  * Validation middleware for request validation
  */
 
+import { LOCATION_MESSAGE_TYPES, getLocationError } from '../services/location.service.js';
+import { parseVCards } from '../utils/vcard.utils.js';
+
+// Poll limits (the question is the message text)
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 12;
+const POLL_MAX_QUESTION_LENGTH = 300;
+const POLL_MAX_OPTION_LENGTH = 100;
+
+/**
+ * Validate the poll part of a poll message
+ * @returns {string|null} Error message, or null if valid
+ */
+const getPollError = (question, poll) => {
+  if (typeof question !== 'string' || question.length > POLL_MAX_QUESTION_LENGTH) {
+    return `Poll question must be at most ${POLL_MAX_QUESTION_LENGTH} characters`;
+  }
+
+  if (!poll || typeof poll !== 'object' || !Array.isArray(poll.options)) {
+    return 'poll.options is required for poll messages';
+  }
+
+  const { options, allowMultiple, anonymous } = poll;
+  if (options.length < POLL_MIN_OPTIONS || options.length > POLL_MAX_OPTIONS) {
+    return `A poll needs between ${POLL_MIN_OPTIONS} and ${POLL_MAX_OPTIONS} options`;
+  }
+
+  if (options.some((option) => typeof option !== 'string' || option.trim().length === 0 || option.trim().length > POLL_MAX_OPTION_LENGTH)) {
+    return `Poll options must be non-empty text of at most ${POLL_MAX_OPTION_LENGTH} characters`;
+  }
+
+  const normalized = options.map((option) => option.trim().toLowerCase());
+  if (new Set(normalized).size !== normalized.length) {
+    return 'Poll options must be unique';
+  }
+
+  if ((allowMultiple !== undefined && typeof allowMultiple !== 'boolean') || (anonymous !== undefined && typeof anonymous !== 'boolean')) {
+    return 'poll.allowMultiple and poll.anonymous must be booleans';
+  }
+
+  return null;
+};
+
 /**
  * Validate message content
  */
 export const validateMessage = (req, res, next) => {
-  const { message, messageType = 'text' } = req.body;
+  const { message, messageType = 'text', poll, location, vcard } = req.body;
+  const isLocation = LOCATION_MESSAGE_TYPES.includes(messageType);
 
-  // Check if message exists
-  if (!message || (typeof message === 'string' && message.trim().length === 0)) {
+  // Check if message exists (location and contact messages get their text from the payload)
+  if (!isLocation && messageType !== 'contact' && (!message || (typeof message === 'string' && message.trim().length === 0))) {
     return res.status(400).json({
       success: false,
       message: 'Message is required and cannot be empty',
@@ -28,7 +72,7 @@ export const validateMessage = (req, res, next) => {
   }
 
   // Validate message type
-  const validMessageTypes = ['text', 'image', 'video', 'audio', 'file', 'document', 'call'];
+  const validMessageTypes = ['text', 'image', 'video', 'audio', 'file', 'document', 'call', 'poll', 'location', 'live_location', 'contact'];
   if (!validMessageTypes.includes(messageType)) {
     return res.status(400).json({
       success: false,
@@ -36,6 +80,39 @@ export const validateMessage = (req, res, next) => {
     });
   }
 
+  // Polls: message is the question, options come in `poll`
+  if (messageType === 'poll') {
+    const pollError = getPollError(message, poll);
+    if (pollError) {
+      return res.status(400).json({
+        success: false,
+        message: pollError,
+      });
+    }
+  }
+
+  // Locations: coordinates (and duration for live locations) come in `location`
+  if (isLocation) {
+    const locationError = getLocationError(messageType, location);
+    if (locationError) {
+      return res.status(400).json({
+        success: false,
+        message: locationError,
+      });
+    }
+  }
+
+  // Contacts: one or more vCard 3.0 / 4.0 entries in `vcard`
+  if (messageType === 'contact') {
+    const parsed = parseVCards(vcard);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error,
+      });
+    }
+  }
+
   next();
 };
 
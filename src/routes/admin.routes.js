@@ -1,15 +1,39 @@
 import express from 'express';
+import path from 'path';
+import { ObjectId } from 'mongodb';
 import postgresPool from '../config/postgres.config.js';
 import { verifyToken } from './auth.routes.js';
+import { requireRole } from '../middleware/role.middleware.js';
+import {
+  ROLES,
+  getUserRoles,
+  grantRole,
+  revokeRole,
+  logAdminAction,
+  getAuditContext,
+} from '../services/admin.service.js';
+import {
+  suspendUser,
+  banUser,
+  reinstateUser,
+  deleteUserAccount,
+} from '../services/moderation.service.js';
+import { revokeAllUserSessions } from '../services/session.service.js';
+import { getMongoDB } from '../config/mongodb.config.js';
+import {
+  REPORT_TARGET_TYPES,
+  REPORT_CATEGORIES,
+  REPORT_STATUSES,
+  getEvidenceDir,
+} from '../services/report.service.js';
 
 const router = express.Router();
 
 /**
  * Get All Users (Admin endpoint)
  * GET /api/admin/users
- * Note: In production, add proper admin role checking
  */
-router.get('/users', verifyToken, async (req, res) => {
+router.get('/users', verifyToken, requireRole('admin'), async (req, res) => {
   try {
     const result = await postgresPool.query(
       `SELECT 
@@ -21,12 +45,23 @@ router.get('/users', verifyToken, async (req, res) => {
         profile_picture_url, 
         is_online, 
         last_seen, 
+        is_active,
+        ban_reason,
+        suspended_until,
+        suspension_reason,
         created_at, 
         updated_at
        FROM users 
        ORDER BY created_at DESC`
     );
 
+    // Listing exposes every phone number, so it is always audited
+    await logAdminAction({
+      ...getAuditContext(req),
+      action: 'users.list',
+      details: { count: result.rows.length },
+    });
+
     res.json({
       success: true,
       data: {
@@ -39,6 +74,10 @@ router.get('/users', verifyToken, async (req, res) => {
           profilePictureUrl: user.profile_picture_url,
           isOnline: user.is_online,
           lastSeen: user.last_seen,
+          isBanned: user.is_active === false,
+          banReason: user.ban_reason,
+          suspendedUntil: user.suspended_until,
+          suspensionReason: user.suspension_reason,
           createdAt: user.created_at,
           updatedAt: user.updated_at,
         })),
@@ -59,7 +98,7 @@ router.get('/users', verifyToken, async (req, res) => {
  * Get User Count
  * GET /api/admin/users/count
  */
-router.get('/users/count', verifyToken, async (req, res) => {
+router.get('/users/count', verifyToken, requireRole('admin', 'moderator'), async (req, res) => {
   try {
     const result = await postgresPool.query('SELECT COUNT(*) as count FROM users');
     
@@ -79,5 +118,712 @@ router.get('/users/count', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * End all of a user's sessions and drop their live sockets
+ */
+const forceLogoutUser = async (userId, reason) => {
+  const revokedIds = await revokeAllUserSessions(userId, reason);
+  const { disconnectSessionSockets } = await import('../socket/socket.server.js');
+  disconnectSessionSockets(revokedIds, reason);
+};
+
+/**
+ * Suspend User (time-limited)
+ * POST /api/admin/users/:userId/suspend
+ * Body: { reason, durationHours } or { reason, until: ISO date }
+ */
+router.post('/users/:userId/suspend', verifyToken, requireRole('admin', 'moderator'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason, durationHours, until } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason is required',
+      });
+    }
+
+    if (userId === req.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot suspend yourself',
+      });
+    }
+
+    // Moderators can't act on admins
+    if (!req.userRoles.includes('admin') && (await getUserRoles(userId)).includes('admin')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can suspend an admin',
+      });
+    }
+
+    const suspendedUntil = until
+      ? new Date(until)
+      : new Date(Date.now() + parseFloat(durationHours) * 60 * 60 * 1000);
+
+    if (isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A future "until" date or a positive durationHours is required',
+      });
+    }
+
+    const restriction = await suspendUser(userId, { until: suspendedUntil, reason: reason.trim() });
+
+    if (!restriction) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await forceLogoutUser(userId, 'suspended');
+
+    await logAdminAction({
+      ...getAuditContext(req),
+      action: 'users.suspend',
+      targetType: 'user',
+      targetId: userId,
+      details: { reason: restriction.reason, until: restriction.until },
+    });
+
+    res.json({
+      success: true,
+      message: 'User suspended successfully',
+      data: { userId, restriction },
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Ban User
+ * POST /api/admin/users/:userId/ban
+ * Body: { reason }
+ */
+router.post('/users/:userId/ban', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason is required',
+      });
+    }
+
+    if (userId === req.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot ban yourself',
+      });
+    }
+
+    const restriction = await banUser(userId, { reason: reason.trim() });
+
+    if (!restriction) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await forceLogoutUser(userId, 'banned');
+
+    await logAdminAction({
+      ...getAuditContext(req),
+      action: 'users.ban',
+      targetType: 'user',
+      targetId: userId,
+      details: { reason: restriction.reason },
+    });
+
+    res.json({
+      success: true,
+      message: 'User banned successfully',
+      data: { userId, restriction },
+    });
+  } catch (error) {
+    console.error('Ban user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Reinstate User (lift suspension or ban)
+ * POST /api/admin/users/:userId/reinstate
+ */
+router.post('/users/:userId/reinstate', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const reinstated = await reinstateUser(userId);
+
+    if (!reinstated) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await logAdminAction({
+      ...getAuditContext(req),
+      action: 'users.reinstate',
+      targetType: 'user',
+      targetId: userId,
+    });
+
+    res.json({
+      success: true,
+      message: 'User reinstated successfully',
+    });
+  } catch (error) {
+    console.error('Reinstate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Hard Delete User
+ * DELETE /api/admin/users/:userId
+ * Removes the account and all of its data (Postgres, Mongo, Redis, uploads). Irreversible.
+ */
+router.delete('/users/:userId', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (userId === req.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete your own account from the admin panel',
+      });
+    }
+
+    const userResult = await postgresPool.query(
+      'SELECT id, phone_number, country_code FROM users WHERE id = $1',
+      [userId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    await forceLogoutUser(userId, 'deleted');
+
+    const summary = await deleteUserAccount(userId);
+
+    await logAdminAction({
+      ...getAuditContext(req),
+      action: 'users.delete',
+      targetType: 'user',
+      targetId: userId,
+      details: {
+        phoneNumber: userResult.rows[0].phone_number,
+        countryCode: userResult.rows[0].country_code,
+        ...summary,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully',
+      data: summary,
+    });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get User Roles
+ * GET /api/admin/users/:userId/roles
+ */
+router.get('/users/:userId/roles', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const roles = await getUserRoles(req.params.userId);
+
+    res.json({
+      success: true,
+      data: {
+        userId: req.params.userId,
+        roles,
+      },
+    });
+  } catch (error) {
+    console.error('Get user roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Grant Role
+ * POST /api/admin/users/:userId/roles
+ * Body: { role: 'admin' | 'moderator' }
+ */
+router.post('/users/:userId/roles', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid role. Must be one of: ${ROLES.join(', ')}`,
+      });
+    }
+
+    const userResult = await postgresPool.query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const granted = await grantRole(userId, role, req.userId);
+
+    if (granted) {
+      await logAdminAction({
+        ...getAuditContext(req),
+        action: 'roles.grant',
+        targetType: 'user',
+        targetId: userId,
+        details: { role },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: granted ? 'Role granted successfully' : 'User already has this role',
+      data: {
+        userId,
+        roles: await getUserRoles(userId),
+      },
+    });
+  } catch (error) {
+    console.error('Grant role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Revoke Role
+ * DELETE /api/admin/users/:userId/roles/:role
+ */
+router.delete('/users/:userId/roles/:role', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId, role } = req.params;
+
+    // Prevent locking everyone out of the admin panel
+    if (role === 'admin' && userId === req.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot revoke your own admin role',
+      });
+    }
+
+    const revoked = await revokeRole(userId, role);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'User does not have this role',
+      });
+    }
+
+    await logAdminAction({
+      ...getAuditContext(req),
+      action: 'roles.revoke',
+      targetType: 'user',
+      targetId: userId,
+      details: { role },
+    });
+
+    res.json({
+      success: true,
+      message: 'Role revoked successfully',
+      data: {
+        userId,
+        roles: await getUserRoles(userId),
+      },
+    });
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get Admin Audit Log
+ * GET /api/admin/audit-logs
+ * Query params: adminId, action, targetId, page (default 1), limit (default 50)
+ */
+router.get('/audit-logs', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { adminId, action, targetId } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (adminId) {
+      conditions.push(`l.admin_id = $${paramCount++}`);
+      values.push(adminId);
+    }
+    if (action) {
+      conditions.push(`l.action = $${paramCount++}`);
+      values.push(action);
+    }
+    if (targetId) {
+      conditions.push(`l.target_id = $${paramCount++}`);
+      values.push(targetId);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    values.push(limit + 1, offset);
+
+    const result = await postgresPool.query(
+      `SELECT l.id, l.admin_id, u.full_name as admin_name, l.action, l.target_type, l.target_id,
+              l.details, l.ip_address, l.created_at
+       FROM admin_audit_logs l
+       LEFT JOIN users u ON u.id = l.admin_id
+       ${whereClause}
+       ORDER BY l.created_at DESC
+       LIMIT $${paramCount++} OFFSET $${paramCount}`,
+      values
+    );
+
+    const hasMore = result.rows.length > limit;
+    const logs = result.rows.slice(0, limit);
+
+    res.json({
+      success: true,
+      data: {
+        logs: logs.map((log) => ({
+          id: log.id,
+          adminId: log.admin_id,
+          adminName: log.admin_name,
+          action: log.action,
+          targetType: log.target_type,
+          targetId: log.target_id,
+          details: log.details,
+          ipAddress: log.ip_address,
+          createdAt: log.created_at,
+        })),
+        pagination: {
+          page,
+          limit,
+          hasMore,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Report Review Queue
+ * GET /api/admin/reports
+ * Query params: status (default pending, or 'all'), targetType, category, reportedUserId,
+ *               page (default 1), limit (default 50)
+ */
+router.get('/reports', verifyToken, requireRole('admin', 'moderator'), async (req, res) => {
+  try {
+    const { targetType, category, reportedUserId } = req.query;
+    const status = req.query.status || 'pending';
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (status !== 'all' && !REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: all, ${REPORT_STATUSES.join(', ')}`,
+      });
+    }
+
+    const filter = {};
+    if (status !== 'all') filter.status = status;
+    if (targetType && REPORT_TARGET_TYPES.includes(targetType)) filter.targetType = targetType;
+    if (category && REPORT_CATEGORIES.includes(category)) filter.category = category;
+    if (reportedUserId) filter.reportedUserId = reportedUserId;
+
+    const reports = await getMongoDB()
+      .collection('reports')
+      .find(filter)
+      .project({ snapshot: 0 })
+      // Pending reports are worked oldest first
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(limit + 1)
+      .toArray();
+
+    const hasMore = reports.length > limit;
+
+    res.json({
+      success: true,
+      data: {
+        reports: reports.slice(0, limit).map((report) => ({
+          id: report._id.toString(),
+          reporterId: report.reporterId,
+          targetType: report.targetType,
+          targetId: report.targetId,
+          reportedUserId: report.reportedUserId,
+          chatId: report.chatId,
+          category: report.category,
+          description: report.description,
+          status: report.status,
+          evidenceFileCount: (report.evidenceFiles || []).length,
+          blockedReportedUser: report.blockedReportedUser,
+          reviewedBy: report.reviewedBy,
+          reviewedAt: report.reviewedAt,
+          createdAt: report.createdAt,
+        })),
+        pagination: {
+          page,
+          limit,
+          hasMore,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get Report Details (including the evidence snapshot)
+ * GET /api/admin/reports/:reportId
+ */
+router.get('/reports/:reportId', verifyToken, requireRole('admin', 'moderator'), async (req, res) => {
+  try {
+    const { reportId } = req.params;
+
+    if (!ObjectId.isValid(reportId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    const report = await getMongoDB().collection('reports').findOne({ _id: new ObjectId(reportId) });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    // Snapshots contain private messages, so viewing them is audited
+    await logAdminAction({
+      ...getAuditContext(req),
+      action: 'report.view',
+      targetType: 'report',
+      targetId: reportId,
+    });
+
+    const { _id, ...rest } = report;
+    res.json({
+      success: true,
+      data: {
+        report: {
+          id: _id.toString(),
+          ...rest,
+          evidenceFiles: (report.evidenceFiles || []).map((file) => ({
+            ...file,
+            url: `/api/admin/reports/${reportId}/evidence/${file.storedAs}`,
+          })),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Download a Preserved Evidence File
+ * GET /api/admin/reports/:reportId/evidence/:filename
+ */
+router.get('/reports/:reportId/evidence/:filename', verifyToken, requireRole('admin', 'moderator'), async (req, res) => {
+  try {
+    const { reportId, filename } = req.params;
+
+    if (!ObjectId.isValid(reportId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    const report = await getMongoDB().collection('reports').findOne(
+      { _id: new ObjectId(reportId), 'evidenceFiles.storedAs': filename },
+      { projection: { _id: 1 } }
+    );
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evidence file not found',
+      });
+    }
+
+    res.sendFile(path.join(getEvidenceDir(), path.basename(filename)), (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Evidence file not found',
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Get report evidence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Close a pending report as 'resolved' or 'dismissed'
+ */
+const closeReport = (status) => async (req, res) => {
+  try {
+    const { reportId } = req.params;
+    const { note } = req.body;
+
+    if (!ObjectId.isValid(reportId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found',
+      });
+    }
+
+    const now = new Date();
+    const result = await getMongoDB().collection('reports').findOneAndUpdate(
+      { _id: new ObjectId(reportId), status: 'pending' },
+      {
+        $set: {
+          status,
+          reviewedBy: req.userId,
+          reviewedAt: now,
+          resolutionNote: note || null,
+          updatedAt: now,
+        },
+      },
+      { returnDocument: 'after', projection: { snapshot: 0 }, includeResultMetadata: true }
+    );
+
+    const report = result?.value;
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found or already closed',
+      });
+    }
+
+    await logAdminAction({
+      ...getAuditContext(req),
+      action: `report.${status === 'resolved' ? 'resolve' : 'dismiss'}`,
+      targetType: 'report',
+      targetId: reportId,
+      details: {
+        note: note || null,
+        reportedUserId: report.reportedUserId,
+        category: report.category,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: `Report ${status}`,
+      data: {
+        reportId,
+        status,
+        reviewedAt: now,
+      },
+    });
+  } catch (error) {
+    console.error(`Close report (${status}) error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Resolve Report (action was taken)
+ * POST /api/admin/reports/:reportId/resolve
+ * Body: { note? }
+ */
+router.post('/reports/:reportId/resolve', verifyToken, requireRole('admin', 'moderator'), closeReport('resolved'));
+
+/**
+ * Dismiss Report (no violation found)
+ * POST /api/admin/reports/:reportId/dismiss
+ * Body: { note? }
+ */
+router.post('/reports/:reportId/dismiss', verifyToken, requireRole('admin', 'moderator'), closeReport('dismissed'));
+
 export default router;
 
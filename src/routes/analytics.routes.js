@@ -0,0 +1,285 @@
+import express from 'express';
+import { verifyToken } from './auth.routes.js';
+import { requireRole } from '../middleware/role.middleware.js';
+import {
+  getDailyActivityStats,
+  getUserActivitySummary,
+  getAnalytics,
+  getActiveUserStats,
+  getMessageStats,
+  getCallStats,
+  getCallQualityStats,
+} from '../services/analytics.service.js';
+import { logAdminAction, getAuditContext } from '../services/admin.service.js';
+import { sendCsv } from '../utils/csv.utils.js';
+
+const router = express.Router();
+
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+// Metric names end up in the CSV filename
+const METRIC_TYPE_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Parse ?startDate=YYYY-MM-DD&endDate=YYYY-MM-DD (inclusive, UTC)
+ * Defaults to the last 30 days. Returns { error } for invalid ranges.
+ */
+const parseDateRange = (query) => {
+  const endDate = query.endDate ? new Date(`${query.endDate}T00:00:00.000Z`) : new Date();
+  const startDate = query.startDate
+    ? new Date(`${query.startDate}T00:00:00.000Z`)
+    : new Date(endDate.getTime() - (DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000);
+
+  if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+    return { error: 'Invalid date. Use YYYY-MM-DD format' };
+  }
+
+  if (startDate > endDate) {
+    return { error: 'startDate must be before endDate' };
+  }
+
+  const rangeDays = Math.floor((endDate - startDate) / (24 * 60 * 60 * 1000)) + 1;
+  if (rangeDays > MAX_RANGE_DAYS) {
+    return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { startDate, endDate };
+};
+
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Build a handler for a date-range series endpoint (JSON or ?format=csv)
+ */
+const seriesHandler = (name, fetchSeries, csvColumns, toCsvRows = (rows) => rows) => async (req, res) => {
+  try {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const series = await fetchSeries(range);
+
+    if (req.query.format === 'csv') {
+      const csvRows = toCsvRows(series);
+      const columns = typeof csvColumns === 'function' ? csvColumns(csvRows) : csvColumns;
+      return sendCsv(res, `${name}_${toDateKey(range.startDate)}_${toDateKey(range.endDate)}`, csvRows, columns);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        startDate: toDateKey(range.startDate),
+        endDate: toDateKey(range.endDate),
+        series,
+      },
+    });
+  } catch (error) {
+    console.error(`Get ${name} analytics error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Daily / Weekly / Monthly Active Users
+ * GET /api/admin/analytics/active-users?startDate=&endDate=&format=csv
+ */
+router.get(
+  '/active-users',
+  verifyToken,
+  requireRole('admin'),
+  seriesHandler('active_users', getActiveUserStats, ['date', 'dau', 'wau', 'mau'])
+);
+
+/**
+ * Messages per Day by Type
+ * GET /api/admin/analytics/messages?startDate=&endDate=&format=csv
+ */
+router.get(
+  '/messages',
+  verifyToken,
+  requireRole('admin'),
+  seriesHandler('messages', getMessageStats, ['date', 'messageType', 'count'])
+);
+
+/**
+ * Call Volume and Answer Rate
+ * GET /api/admin/analytics/calls?startDate=&endDate=&format=csv
+ */
+router.get(
+  '/calls',
+  verifyToken,
+  requireRole('admin'),
+  seriesHandler('calls', getCallStats, ['date', 'total', 'answered', 'missed', 'rejected', 'audio', 'video', 'answerRate'])
+);
+
+/**
+ * Average Call Quality
+ * GET /api/admin/analytics/call-quality?startDate=&endDate=&format=csv
+ * CSV flattens qualityCounts into one quality_<level> column per level
+ */
+router.get(
+  '/call-quality',
+  verifyToken,
+  requireRole('admin'),
+  seriesHandler(
+    'call_quality',
+    getCallQualityStats,
+    (rows) => {
+      const qualityColumns = [...new Set(rows.flatMap((row) => Object.keys(row).filter((key) => key.startsWith('quality_'))))].sort();
+      return ['date', 'calls', 'avgBitrate', 'avgPacketLoss', 'avgRTT', ...qualityColumns];
+    },
+    (series) => series.map(({ qualityCounts, ...row }) => ({
+      ...row,
+      ...Object.fromEntries(Object.entries(qualityCounts).map(([quality, count]) => [`quality_${quality}`, count])),
+    }))
+  )
+);
+
+/**
+ * Activity Breakdown for a Single Day
+ * GET /api/admin/analytics/daily?date=YYYY-MM-DD&format=csv
+ */
+router.get('/daily', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const date = req.query.date ? new Date(`${req.query.date}T00:00:00.000Z`) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date. Use YYYY-MM-DD format',
+      });
+    }
+
+    const stats = await getDailyActivityStats(date);
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `daily_activity_${stats.date}`, stats.activities, ['activityType', 'count', 'uniqueUsers']);
+    }
+
+    res.json({
+      success: true,
+      data: stats,
+    });
+  } catch (error) {
+    console.error('Get daily analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Activity Summary for a User
+ * GET /api/admin/analytics/users/:userId/activity?days=30&format=csv
+ */
+router.get('/users/:userId/activity', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), MAX_RANGE_DAYS);
+
+    const summary = await getUserActivitySummary(userId, days);
+
+    // Per-user activity is personal data, so access is audited
+    await logAdminAction({
+      ...getAuditContext(req),
+      action: 'analytics.user_activity',
+      targetType: 'user',
+      targetId: userId,
+      details: { days },
+    });
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `user_activity_${userId}_${days}d`, summary, ['activityType', 'count', 'lastActivity']);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        userId,
+        days,
+        activities: summary,
+      },
+    });
+  } catch (error) {
+    console.error('Get user activity analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Stored Aggregated Metrics (written by storeAnalytics)
+ * GET /api/admin/analytics/metrics/:metricType?startDate=&endDate=&userId=&format=csv
+ */
+router.get('/metrics/:metricType', verifyToken, requireRole('admin'), async (req, res) => {
+  try {
+    if (!METRIC_TYPE_PATTERN.test(req.params.metricType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid metric type',
+      });
+    }
+
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const metrics = await getAnalytics({
+      metricType: req.params.metricType,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      userId: req.query.userId || null,
+    });
+
+    const series = metrics.map((metric) => ({
+      date: metric.date,
+      value: metric.value,
+      userId: metric.userId || null,
+      metadata: metric.metadata || {},
+    }));
+
+    if (req.query.format === 'csv') {
+      return sendCsv(
+        res,
+        `${req.params.metricType}_${toDateKey(range.startDate)}_${toDateKey(range.endDate)}`,
+        series.map((row) => ({ ...row, metadata: JSON.stringify(row.metadata) })),
+        ['date', 'value', 'userId', 'metadata']
+      );
+    }
+
+    res.json({
+      success: true,
+      data: {
+        metricType: req.params.metricType,
+        startDate: toDateKey(range.startDate),
+        endDate: toDateKey(range.endDate),
+        series,
+      },
+    });
+  } catch (error) {
+    console.error('Get metrics analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,26 +1,35 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import postgresPool, { queryWithRetry } from '../config/postgres.config.js';
-import { getRedisClient } from '../config/redis.config.js';
 import { 
   logLoginActivity, 
   createUserSession, 
+  rotateRefreshToken,
+  validateAccessToken,
+  getUserSessions,
+  revokeSession,
+  revokeAllOtherSessions,
   parseDeviceInfo, 
   generateDeviceId 
 } from '../services/session.service.js';
 import { logActivity } from '../services/analytics.service.js';
-import { authRateLimit, otpVerifyRateLimit } from '../middleware/rate-limit.middleware.js';
-import { safeRedisOperation } from '../utils/redis.utils.js';
+import { issueOtp, verifyOtp } from '../services/otp.service.js';
+import { getRestrictionFromUser } from '../services/moderation.service.js';
+import { isUploadedFileUrl, getMediaFilename } from '../services/media.service.js';
+import { authRateLimit, otpVerifyRateLimit, refreshRateLimit } from '../middleware/rate-limit.middleware.js';
 
 const router = express.Router();
 
+// Columns needed to log a user in (including moderation state)
+const LOGIN_USER_COLUMNS = 'id, full_name, phone_number, country_code, bio, profile_picture_url, timezone, is_active, banned_at, ban_reason, suspended_until, suspension_reason';
+
 /**
  * Verify Token Middleware
  * 
  * Fixed bugs:
- * - #13: Check token expiry before Redis lookup
+ * - #13: Check token expiry before session lookup
  * - #5: Safe Redis operations with error handling
+ * - Sessions are per device, so logging in elsewhere no longer invalidates this token
  */
 export const verifyToken = async (req, res, next) => {
   try {
@@ -33,39 +42,33 @@ export const verifyToken = async (req, res, next) => {
       });
     }
 
-    // BUG FIX #13: Verify token and check expiry FIRST before Redis lookup
-    // jwt.verify will throw if token is expired or invalid
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (jwtError) {
-      // Token is invalid or expired
-      if (jwtError.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Token expired',
-        });
-      }
-      return res.status(401).json({
+    // BUG FIX #13: Verify token and check expiry FIRST before session lookup
+    // Same validation is used by the Socket.IO handshake
+    const { decoded, error, restriction } = await validateAccessToken(token);
+
+    if (restriction) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid token',
+        message: restriction.type === 'banned' ? 'Account has been banned' : 'Account is suspended',
+        data: { restriction },
       });
     }
-    
-    // BUG FIX #5: Verify token in Redis with safe operations
-    const storedToken = await safeRedisOperation(async (redisClient) => {
-      return await redisClient.get(`session:${decoded.userId}`);
-    }, null);
-    
-    if (!storedToken || storedToken !== token) {
+
+    if (error) {
+      const errorMessages = {
+        expired: 'Token expired',
+        invalid: 'Invalid token',
+        session_inactive: 'Invalid or expired token',
+      };
       return res.status(401).json({
         success: false,
-        message: 'Invalid or expired token',
+        message: errorMessages[error],
       });
     }
 
     req.userId = decoded.userId;
     req.userPhoneNumber = decoded.phoneNumber;
+    req.sessionId = decoded.sessionId;
     next();
   } catch (error) {
     res.status(401).json({
@@ -100,14 +103,36 @@ router.post('/send-otp', authRateLimit, async (req, res) => {
       [phoneNumber, countryCode]
     );
 
-    // In production, send actual OTP via SMS
-    // For now, just return success
+    const result = await issueOtp({ phoneNumber, countryCode });
+
+    if (!result.success) {
+      if (result.reason === 'locked') {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many failed attempts. Please try again later.',
+          data: { retryAfter: result.retryAfter },
+        });
+      }
+      if (result.reason === 'cooldown') {
+        return res.status(429).json({
+          success: false,
+          message: `Please wait ${result.retryAfter} seconds before requesting a new OTP`,
+          data: { retryAfter: result.retryAfter },
+        });
+      }
+      return res.status(502).json({
+        success: false,
+        message: 'Failed to send OTP. Please try again.',
+      });
+    }
+
     res.json({
       success: true,
       message: 'OTP sent successfully',
       data: {
         userExists: existingUser.rows.length > 0,
-        // Demo OTP: 123456
+        expiresIn: result.expiresIn,
+        resendAfter: result.resendAfter,
       },
     });
   } catch (error) {
@@ -155,6 +180,41 @@ function getTimezoneFromCountryCode(countryCode, providedTimezone) {
   return timezoneMap[countryCode] || 'UTC';
 }
 
+/**
+ * Start a device session for an authenticated user and log the login
+ * Clients may send a stable deviceId/deviceName; otherwise one is derived from UA + IP
+ */
+const startUserSession = async (req, user) => {
+  const ipAddress = req.ip || req.connection.remoteAddress;
+  const userAgent = req.headers['user-agent'] || 'Unknown';
+  const deviceInfo = parseDeviceInfo(userAgent);
+  const deviceId = req.body.deviceId || generateDeviceId(userAgent, ipAddress);
+
+  const session = await createUserSession({
+    userId: user.id,
+    phoneNumber: user.phone_number,
+    deviceId,
+    deviceName: req.body.deviceName || deviceInfo.deviceName,
+    deviceType: deviceInfo.deviceType,
+    ipAddress,
+    userAgent,
+  });
+
+  await logLoginActivity({
+    userId: user.id,
+    phoneNumber: user.phone_number,
+    countryCode: user.country_code,
+    action: 'login',
+    status: 'success',
+    ipAddress,
+    userAgent,
+    deviceId,
+    deviceType: deviceInfo.deviceType,
+  });
+
+  return session;
+};
+
 /**
  * Verify OTP and Login/Register
  * POST /api/auth/verify-otp
@@ -178,64 +238,89 @@ router.post('/verify-otp', otpVerifyRateLimit, async (req, res) => {
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.headers['user-agent'] || 'Unknown';
 
-    // For demo, accept OTP 123456
-    if (otp !== '123456') {
+    const otpResult = await verifyOtp({ phoneNumber, countryCode, otp });
+
+    if (!otpResult.valid) {
+      const failureMessages = {
+        locked: 'Too many failed attempts. Please try again later.',
+        expired: 'OTP expired or not found. Please request a new one.',
+        invalid: 'Invalid OTP',
+      };
+
       // Log failed login attempt
       await logLoginActivity({
         userId: null,
         phoneNumber,
         countryCode,
         action: 'login_failed',
-        status: 'failed',
+        status: otpResult.reason === 'locked' ? 'blocked' : 'failed',
         ipAddress,
         userAgent,
         deviceId: generateDeviceId(userAgent, ipAddress),
         deviceType: parseDeviceInfo(userAgent).deviceType,
-        failureReason: 'Invalid OTP',
+        failureReason: failureMessages[otpResult.reason],
       });
 
-      return res.status(400).json({
+      return res.status(otpResult.reason === 'locked' ? 429 : 400).json({
         success: false,
-        message: 'Invalid OTP',
+        message: failureMessages[otpResult.reason],
+        data: {
+          ...(otpResult.retryAfter !== undefined && { retryAfter: otpResult.retryAfter }),
+          ...(otpResult.attemptsRemaining !== undefined && { attemptsRemaining: otpResult.attemptsRemaining }),
+        },
       });
     }
 
     // BUG FIX #10: Use user's timezone or determine from country code
     const userTimezone = getTimezoneFromCountryCode(countryCode, timezone);
 
-    // Check if user already exists (check by phone_number only, as it's unique)
-    // First try exact match with country code
-    let existingUser = await postgresPool.query(
-      'SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, timezone FROM users WHERE phone_number = $1 AND country_code = $2',
+    // The OTP proves ownership of this exact number, country code included:
+    // never fall back to the phone number alone (it's unique without the code)
+    const existingUser = await postgresPool.query(
+      `SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE phone_number = $1 AND country_code = $2`,
       [phoneNumber, countryCode]
     );
 
-    // If not found, try by phone number only (in case country code changed)
-    if (existingUser.rows.length === 0) {
-      existingUser = await postgresPool.query(
-        'SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, timezone FROM users WHERE phone_number = $1',
-        [phoneNumber]
-      );
-    }
-
     let user;
     let isNewUser = false;
 
     if (existingUser.rows.length > 0) {
       // User exists - login
       user = existingUser.rows[0];
+
+      // Suspended or banned accounts can't log in
+      const restriction = getRestrictionFromUser(user);
+      if (restriction) {
+        await logLoginActivity({
+          userId: user.id,
+          phoneNumber,
+          countryCode,
+          action: 'login_failed',
+          status: 'blocked',
+          ipAddress,
+          userAgent,
+          deviceId: generateDeviceId(userAgent, ipAddress),
+          deviceType: parseDeviceInfo(userAgent).deviceType,
+          failureReason: `Account ${restriction.type}`,
+        });
+
+        return res.status(403).json({
+          success: false,
+          message: restriction.type === 'banned' ? 'Account has been banned' : 'Account is suspended',
+          data: { restriction },
+        });
+      }
       
-      // Update country code and timezone if changed (always use country code to determine timezone)
-      if (user.country_code !== countryCode || user.timezone !== userTimezone) {
+      // Update timezone if changed (always use country code to determine timezone)
+      if (user.timezone !== userTimezone) {
         await postgresPool.query(
-          "UPDATE users SET country_code = $1, timezone = $2, last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $3",
-          [countryCode, userTimezone, user.id]
+          "UPDATE users SET timezone = $1, last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true, is_verified = true WHERE id = $2",
+          [userTimezone, user.id]
         );
-        user.country_code = countryCode;
         user.timezone = userTimezone;
       } else {
         await postgresPool.query(
-          "UPDATE users SET last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $1",
+          "UPDATE users SET last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true, is_verified = true WHERE id = $1",
           [user.id]
         );
       }
@@ -243,8 +328,8 @@ router.post('/verify-otp', otpVerifyRateLimit, async (req, res) => {
       // Create new user without name (will be set in profile setup)
       try {
         const result = await postgresPool.query(
-          `INSERT INTO users (phone_number, country_code, full_name, is_online, timezone)
-           VALUES ($1, $2, $3, true, $4)
+          `INSERT INTO users (phone_number, country_code, full_name, is_online, timezone, is_verified)
+           VALUES ($1, $2, $3, true, $4, true)
            RETURNING id, full_name, phone_number, country_code, bio, profile_picture_url, timezone, created_at`,
           [phoneNumber, countryCode, '', userTimezone] // Empty name initially
         );
@@ -280,45 +365,34 @@ router.post('/verify-otp', otpVerifyRateLimit, async (req, res) => {
           }
         }
       } catch (insertError) {
-        // If insert fails due to duplicate key, try to find the user again
+        // If insert fails due to duplicate key, the same number was registered
+        // concurrently - or is registered under another country code
         if (insertError.code === '23505') { // Unique violation
           const retryUser = await postgresPool.query(
-            'SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, timezone FROM users WHERE phone_number = $1',
-            [phoneNumber]
+            `SELECT ${LOGIN_USER_COLUMNS} FROM users WHERE phone_number = $1 AND country_code = $2`,
+            [phoneNumber, countryCode]
           );
-          if (retryUser.rows.length > 0) {
-            user = retryUser.rows[0];
-            // Update country code, timezone, and status
-            await postgresPool.query(
-              "UPDATE users SET country_code = $1, timezone = $2, last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $3",
-              [countryCode, userTimezone, user.id]
-            );
-            user.country_code = countryCode;
-            user.timezone = userTimezone;
-            isNewUser = false;
-          } else {
-            throw insertError;
+          if (retryUser.rows.length === 0) {
+            return res.status(409).json({
+              success: false,
+              message: 'This phone number is already registered with a different country code',
+            });
           }
+          user = retryUser.rows[0];
+          await postgresPool.query(
+            "UPDATE users SET timezone = $1, last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true, is_verified = true WHERE id = $2",
+            [userTimezone, user.id]
+          );
+          user.timezone = userTimezone;
+          isNewUser = false;
         } else {
           throw insertError;
         }
       }
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, phoneNumber: user.phone_number },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-
-    // Store token in Redis for session management
-    const redisClient = getRedisClient();
-    await redisClient.setEx(
-      `session:${user.id}`,
-      7 * 24 * 60 * 60, // 7 days
-      token
-    );
+    // Create a device session with an access/refresh token pair
+    const session = await startUserSession(req, user);
 
     res.status(isNewUser ? 201 : 200).json({
       success: true,
@@ -333,7 +407,10 @@ router.post('/verify-otp', otpVerifyRateLimit, async (req, res) => {
           profilePictureUrl: user.profile_picture_url,
           timezone: user.timezone || userTimezone || getTimezoneFromCountryCode(countryCode),
         },
-        token,
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
+        sessionId: session.sessionId,
         isNewUser,
       },
     });
@@ -347,6 +424,99 @@ router.post('/verify-otp', otpVerifyRateLimit, async (req, res) => {
   }
 });
 
+/**
+ * Refresh Access Token
+ * POST /api/auth/refresh
+ * 
+ * Rotates the refresh token: the old one stops working and a new pair is returned.
+ * Reusing an already-rotated refresh token revokes the whole session.
+ */
+router.post('/refresh', refreshRateLimit, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required',
+      });
+    }
+
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.headers['user-agent'] || 'Unknown';
+
+    const result = await rotateRefreshToken({ refreshToken, ipAddress, userAgent });
+
+    if (result.error === 'restricted') {
+      return res.status(403).json({
+        success: false,
+        message: result.restriction.type === 'banned' ? 'Account has been banned' : 'Account is suspended',
+        data: { restriction: result.restriction },
+      });
+    }
+
+    if (result.error) {
+      if (result.error === 'reuse_detected') {
+        console.warn(`⚠️ Refresh token reuse detected: userId=${result.userId}, sessionId=${result.sessionId}`);
+        await logLoginActivity({
+          userId: result.userId,
+          phoneNumber: null,
+          countryCode: null,
+          action: 'token_refresh',
+          status: 'blocked',
+          ipAddress,
+          userAgent,
+          deviceId: null,
+          deviceType: parseDeviceInfo(userAgent).deviceType,
+          failureReason: 'Refresh token reuse detected - session revoked',
+        });
+      }
+
+      const errorMessages = {
+        invalid: 'Invalid refresh token',
+        expired: 'Refresh token expired',
+        revoked: 'Session has been revoked',
+        reuse_detected: 'Session has been revoked',
+      };
+
+      return res.status(401).json({
+        success: false,
+        message: errorMessages[result.error],
+      });
+    }
+
+    await logLoginActivity({
+      userId: result.userId,
+      phoneNumber: null,
+      countryCode: null,
+      action: 'token_refresh',
+      status: 'success',
+      ipAddress,
+      userAgent,
+      deviceId: null,
+      deviceType: parseDeviceInfo(userAgent).deviceType,
+    });
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
+      data: {
+        token: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn,
+        sessionId: result.sessionId,
+      },
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * Complete Profile Setup (for new users)
  * POST /api/auth/complete-profile
@@ -362,6 +532,14 @@ router.post('/complete-profile', verifyToken, async (req, res) => {
       });
     }
 
+    // Uploaded pictures only come from POST /api/profile/picture (the current one may be sent back)
+    if (isUploadedFileUrl(profilePictureUrl) && !getMediaFilename(profilePictureUrl)?.startsWith(`profile-${req.userId}-`)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload profile pictures with POST /api/profile/picture',
+      });
+    }
+
     // Update user profile
     const updates = [];
     const values = [];
@@ -417,97 +595,6 @@ router.post('/complete-profile', verifyToken, async (req, res) => {
   }
 });
 
-/**
- * Register/Login User (after OTP verification) - Legacy endpoint
- * POST /api/auth/register
- */
-router.post('/register', async (req, res) => {
-  try {
-    const { fullName, phoneNumber, countryCode } = req.body;
-
-    // Validation
-    if (!fullName || !phoneNumber || !countryCode) {
-      return res.status(400).json({
-        success: false,
-        message: 'Full name, phone number, and country code are required',
-      });
-    }
-
-    // Check if user already exists
-    const existingUser = await postgresPool.query(
-      'SELECT id, full_name, phone_number, country_code FROM users WHERE phone_number = $1 AND country_code = $2',
-      [phoneNumber, countryCode]
-    );
-
-    let user;
-    let isNewUser = false;
-
-    if (existingUser.rows.length > 0) {
-      // User exists, update last login
-      user = existingUser.rows[0];
-      await postgresPool.query(
-        'UPDATE users SET last_seen = CURRENT_TIMESTAMP, is_online = true WHERE id = $1',
-        [user.id]
-      );
-    } else {
-      // Create new user
-      const result = await postgresPool.query(
-        `INSERT INTO users (full_name, phone_number, country_code, is_online)
-         VALUES ($1, $2, $3, true)
-         RETURNING id, full_name, phone_number, country_code, bio, profile_picture_url, created_at`,
-        [fullName, phoneNumber, countryCode]
-      );
-      user = result.rows[0];
-      isNewUser = true;
-
-      // Create default settings for new user
-      await postgresPool.query(
-        'INSERT INTO user_settings (user_id) VALUES ($1)',
-        [user.id]
-      );
-    }
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, phoneNumber: user.phone_number },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-
-    // Store token in Redis for session management
-    const redisClient = getRedisClient();
-    await redisClient.setEx(
-      `session:${user.id}`,
-      7 * 24 * 60 * 60, // 7 days
-      token
-    );
-
-    res.status(isNewUser ? 201 : 200).json({
-      success: true,
-      message: isNewUser ? 'User registered successfully' : 'User logged in successfully',
-      data: {
-        user: {
-          id: user.id,
-          fullName: user.full_name,
-          phoneNumber: user.phone_number,
-          countryCode: user.country_code,
-          bio: user.bio,
-          profilePictureUrl: user.profile_picture_url,
-        },
-        token,
-        isNewUser,
-      },
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: error.message,
-    });
-  }
-});
-
 /**
  * Heartbeat - Update last_seen to keep user online
  * POST /api/auth/heartbeat
@@ -552,13 +639,18 @@ router.post('/heartbeat', verifyToken, async (req, res) => {
             // Prepare presence data with proper ISO string serialization
             const presenceData = preparePresenceForBroadcast(userPresenceData);
             
-            // Broadcast to all chat participants
+            // Broadcast to all chat participants, filtered by the user's privacy settings
             if (presenceData) {
-              for (const chat of chats) {
-                const otherParticipantId = chat.participants.find((id) => id !== req.userId);
-                if (otherParticipantId) {
-                  socketIO.to(`user:${otherParticipantId}`).emit('presence_update', presenceData);
-                }
+              const otherParticipantIds = chats
+                .map((chat) => chat.participants.find((id) => id !== req.userId))
+                .filter(Boolean);
+              const { getVisibilityForAudience, applyPresencePrivacy } = await import('../services/privacy.service.js');
+              const visibility = await getVisibilityForAudience(req.userId, otherParticipantIds);
+
+              for (const otherParticipantId of otherParticipantIds) {
+                socketIO
+                  .to(`user:${otherParticipantId}`)
+                  .emit('presence_update', applyPresencePrivacy(presenceData, visibility.get(otherParticipantId)));
               }
             }
           }
@@ -582,15 +674,126 @@ router.post('/heartbeat', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * List Active Sessions (logged-in devices)
+ * GET /api/auth/sessions
+ */
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await getUserSessions(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map((session) => ({
+          id: session.id,
+          deviceName: session.device_name,
+          deviceType: session.device_type,
+          ipAddress: session.ip_address,
+          lastUsedAt: session.last_used_at,
+          createdAt: session.created_at,
+          expiresAt: session.expires_at,
+          isCurrent: session.id === req.sessionId,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Revoke All Other Sessions (log out every other device)
+ * DELETE /api/auth/sessions
+ */
+router.delete('/sessions', verifyToken, async (req, res) => {
+  try {
+    const revokedIds = await revokeAllOtherSessions(req.userId, req.sessionId);
+
+    // Drop live sockets of the revoked devices right away
+    const { disconnectSessionSockets } = await import('../socket/socket.server.js');
+    disconnectSessionSockets(revokedIds, 'revoked');
+
+    res.json({
+      success: true,
+      message: 'All other sessions revoked',
+      data: {
+        revokedCount: revokedIds.length,
+      },
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Revoke Session (log out one device)
+ * DELETE /api/auth/sessions/:sessionId
+ */
+router.delete('/sessions/:sessionId', verifyToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+    if (!uuidPattern.test(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID format',
+      });
+    }
+
+    const revoked = await revokeSession(req.userId, sessionId, 'revoked');
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    // Drop the device's live sockets right away
+    const { disconnectSessionSockets } = await import('../socket/socket.server.js');
+    disconnectSessionSockets([sessionId], 'revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: {
+        isCurrent: sessionId === req.sessionId,
+      },
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * Logout User
  * POST /api/auth/logout
  */
 router.post('/logout', verifyToken, async (req, res) => {
   try {
-    // Remove session from Redis
-    const redisClient = getRedisClient();
-    await redisClient.del(`session:${req.userId}`);
+    // End this device's session only - other devices stay logged in
+    await revokeSession(req.userId, req.sessionId, 'logout');
+
+    // Close this device's sockets so it stops receiving messages and call invites
+    const { disconnectSessionSockets } = await import('../socket/socket.server.js');
+    disconnectSessionSockets([req.sessionId], 'logout');
 
     // Update user online status
     await postgresPool.query(
@@ -7,6 +7,7 @@ import express from 'express';
 import { verifyToken } from './auth.routes.js';
 import postgresPool, { queryWithRetry } from '../config/postgres.config.js';
 import { getMongoDB } from '../config/mongodb.config.js';
+import { blockUser } from '../utils/block.utils.js';
 
 const router = express.Router();
 
@@ -210,21 +211,8 @@ router.post('/:userId', verifyToken, async (req, res) => {
       });
     }
 
-    // Block user
-    await queryWithRetry(
-      'INSERT INTO blocked_users (blocker_id, blocked_id) VALUES ($1, $2)',
-      [blockerId, userId],
-      3,
-      20000
-    );
-
-    // Also mark as blocked in contacts if exists
-    await queryWithRetry(
-      'UPDATE contacts SET is_blocked = true WHERE user_id = $1 AND contact_user_id = $2',
-      [blockerId, userId],
-      3,
-      20000
-    );
+    // Block user (also marks them as blocked in contacts)
+    await blockUser(blockerId, userId);
 
     res.json({
       success: true,
@@ -14,11 +14,12 @@ import {
 } from '../services/call.service.js';
 import { generateCallToken } from '../services/agora.service.js';
 import { getUserPresenceData } from '../utils/presence.utils.js';
-import { logActivity } from '../services/analytics.service.js';
+import { getVisibilityForViewer, applyPresencePrivacy } from '../services/privacy.service.js';
+import { logActivity, trackCallQuality } from '../services/analytics.service.js';
 
 const router = express.Router();
 
-const formatCallResponse = async (call) => {
+const formatCallResponse = async (call, viewerId) => {
   if (!call) return null;
 
   try {
@@ -42,8 +43,10 @@ const formatCallResponse = async (call) => {
           30000 // 30 second timeout
         );
 
+        // Last seen / photo as allowed by each participant's privacy settings
+        const visibility = await getVisibilityForViewer(viewerId, userResult.rows.map((row) => row.id));
         userResult.rows.forEach((row) => {
-          participantsDetails[row.id] = getUserPresenceData(row);
+          participantsDetails[row.id] = applyPresencePrivacy(getUserPresenceData(row), visibility.get(row.id));
         });
       } catch (dbError) {
         console.error('⚠️  Error fetching user details for call participants:', dbError.message || dbError);
@@ -104,7 +107,7 @@ router.get('/history', verifyToken, async (req, res) => {
     const formatted = [];
     for (const call of history) {
       try {
-        const formattedCall = await formatCallResponse(call);
+        const formattedCall = await formatCallResponse(call, req.userId);
         if (formattedCall) {
           formatted.push(formattedCall);
         }
@@ -174,7 +177,7 @@ router.post('/session', verifyToken, async (req, res) => {
       deviceId,
     });
 
-    const formatted = await formatCallResponse(session);
+    const formatted = await formatCallResponse(session, req.userId);
 
     res.status(201).json({
       success: true,
@@ -263,7 +266,7 @@ router.post('/:roomId/state', verifyToken, async (req, res) => {
       userId: req.userId,
     });
 
-    const formatted = await formatCallResponse(updated);
+    const formatted = await formatCallResponse(updated, req.userId);
 
     res.json({
       success: true,
@@ -343,7 +346,7 @@ router.post('/:roomId/end', verifyToken, async (req, res) => {
     // to avoid duplicates. The socket handler is the primary source of truth for call events.
     // We don't create it here to prevent duplicate messages when both socket and REST API are called.
 
-    const formatted = await formatCallResponse(session);
+    const formatted = await formatCallResponse(session, req.userId);
 
     res.json({
       success: true,
@@ -358,6 +361,49 @@ router.post('/:roomId/end', verifyToken, async (req, res) => {
   }
 });
 
+// Route: POST /api/calls/:roomId/quality
+// Participants report aggregated media stats at the end of a call (feeds admin call-quality analytics)
+router.post('/:roomId/quality', verifyToken, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { quality, avgBitrate, avgPacketLoss, avgRTT } = req.body || {};
+
+    const session = await getCallSessionByRoom(roomId);
+    const isParticipant = session && (
+      session.initiatorId === req.userId ||
+      (session.participants || []).some((participant) => participant.userId === req.userId)
+    );
+
+    if (!isParticipant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Call session not found',
+      });
+    }
+
+    const validQualities = ['excellent', 'good', 'fair', 'poor', 'bad', 'unknown'];
+    const toMetric = (value) => (value === undefined || value === null || isNaN(Number(value)) ? null : Number(value));
+
+    await trackCallQuality(roomId, {
+      quality: validQualities.includes(quality) ? quality : 'unknown',
+      avgBitrate: toMetric(avgBitrate),
+      avgPacketLoss: toMetric(avgPacketLoss),
+      avgRTT: toMetric(avgRTT),
+    });
+
+    res.json({
+      success: true,
+      message: 'Call quality recorded',
+    });
+  } catch (error) {
+    console.error('Track call quality error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record call quality',
+    });
+  }
+});
+
 router.get('/session/:roomId', verifyToken, async (req, res) => {
   try {
     const { roomId } = req.params;
@@ -370,7 +416,7 @@ router.get('/session/:roomId', verifyToken, async (req, res) => {
       });
     }
 
-    const formatted = await formatCallResponse(session);
+    const formatted = await formatCallResponse(session, req.userId);
 
     res.json({
       success: true,
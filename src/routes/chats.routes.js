@@ -4,10 +4,17 @@ import { getMongoDB } from '../config/mongodb.config.js';
 import postgresPool, { queryWithRetry } from '../config/postgres.config.js';
 import { verifyToken } from './auth.routes.js';
 import { getUserPresenceData } from '../utils/presence.utils.js';
+import { getVisibilityForViewer, applyPresencePrivacy, getPresenceForViewer } from '../services/privacy.service.js';
 import { groupRateLimit } from '../middleware/rate-limit.middleware.js';
 import { validateGroupName, validateParticipantIds, validateChatId } from '../middleware/validation.middleware.js';
 import { validateObjectId } from '../utils/mongodb.utils.js';
 import { getUnreadCount } from '../utils/redis.utils.js';
+import { DISAPPEARING_TIMERS, getTimerLabel, describeTimerChange } from '../services/disappearing.service.js';
+import { isUploadedFileUrl } from '../services/media.service.js';
+import { stopLiveLocationsInChat } from '../services/location.service.js';
+import { scanUploads } from '../services/upload-security.service.js';
+import { uploadGroupPicture, getFileUrl, deleteFile, storeUploadedFile } from '../middleware/upload.middleware.js';
+import multer from 'multer';
 
 const router = express.Router();
 
@@ -55,6 +62,15 @@ router.get('/', verifyToken, async (req, res) => {
       return true; // Keep group chats and non-blocked direct chats
     });
 
+    // Privacy of every direct-chat partner, resolved in one go
+    const visibility = await getVisibilityForViewer(
+      req.userId,
+      filteredChats
+        .filter((chat) => chat.type !== 'group')
+        .map((chat) => chat.participants.find((id) => id !== req.userId))
+        .filter(Boolean)
+    );
+
     // Get user details for each chat
     const chatList = await Promise.all(
       filteredChats.map(async (chat) => {
@@ -87,7 +103,7 @@ router.get('/', verifyToken, async (req, res) => {
               );
               if (userResult.rows.length > 0) {
                 const user = userResult.rows[0];
-                otherUser = getUserPresenceData(user);
+                otherUser = applyPresencePrivacy(getUserPresenceData(user), visibility.get(user.id));
               }
             } catch (userError) {
               console.warn(`⚠️  Error fetching user ${otherParticipantId} for chat:`, userError.message);
@@ -115,6 +131,7 @@ router.get('/', verifyToken, async (req, res) => {
         let lastMessage = chat.lastMessage;
         let lastMessageType = chat.lastMessageType || 'text';
         let lastMessageAt = chat.lastMessageAt;
+        let lastMessageMedia = null;
 
         if (chat.lastMessage) {
           // Check if the last message is visible to this user
@@ -138,6 +155,8 @@ router.get('/', verifyToken, async (req, res) => {
             lastMessage = lastVisibleMessage.message;
             lastMessageType = lastVisibleMessage.messageType || 'text';
             lastMessageAt = lastVisibleMessage.createdAt;
+            // Thumbnail / placeholder so the list doesn't load full-size media
+            lastMessageMedia = lastVisibleMessage.media || null;
           } else {
             // No visible messages - user has cleared all messages
             lastMessage = null;
@@ -154,10 +173,12 @@ router.get('/', verifyToken, async (req, res) => {
           lastMessage: lastMessage,
           lastMessageType: lastMessageType,
           lastMessageAt: lastMessageAt,
+          lastMessageMedia,
           unreadCount: unreadCount,
           archivedBy: chat.archivedBy || [],
           pinnedBy: chat.pinnedBy || [],
           mutedBy: chat.mutedBy || [],
+          disappearingTimer: getTimerLabel(chat.disappearingTimer),
           createdAt: chat.createdAt,
         };
       })
@@ -256,7 +277,7 @@ router.get('/:userId', verifyToken, async (req, res) => {
     }
 
     const otherUser = userResult.rows[0];
-    const otherUserPresenceData = getUserPresenceData(otherUser);
+    const otherUserPresenceData = (await getPresenceForViewer(req.userId, [otherUser])).get(otherUser.id);
 
     res.json({
       success: true,
@@ -265,6 +286,7 @@ router.get('/:userId', verifyToken, async (req, res) => {
         otherUser: otherUserPresenceData,
         lastMessage: chat.lastMessage,
         lastMessageAt: chat.lastMessageAt,
+        disappearingTimer: getTimerLabel(chat.disappearingTimer),
         createdAt: chat.createdAt,
       },
     });
@@ -292,6 +314,14 @@ router.post('/group/create', verifyToken, groupRateLimit, validateGroupName, val
   try {
     const { name, description, participantIds, groupPictureUrl } = req.body;
 
+    // Uploaded pictures only come from POST /api/chats/group/:chatId/picture
+    if (isUploadedFileUrl(groupPictureUrl)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload group pictures with POST /api/chats/group/:chatId/picture',
+      });
+    }
+
     // Limit group size to 1024 members (including creator)
     // Note: participantIds already validated by middleware (removes duplicates)
     const allParticipantIds = [...new Set([req.userId, ...participantIds])];
@@ -424,7 +454,8 @@ router.get('/group/:chatId', verifyToken, validateChatId, async (req, res) => {
       });
     }
 
-    // Get participant details
+    // Get participant details (last seen / photo filtered by each member's privacy settings)
+    const visibility = await getVisibilityForViewer(req.userId, chat.participants);
     const participantDetails = await Promise.all(
       chat.participants.map(async (userId) => {
         const userResult = await queryWithRetry(
@@ -436,7 +467,7 @@ router.get('/group/:chatId', verifyToken, validateChatId, async (req, res) => {
         if (userResult.rows.length > 0) {
           const user = userResult.rows[0];
           return {
-            ...getUserPresenceData(user),
+            ...applyPresencePrivacy(getUserPresenceData(user), visibility.get(userId)),
             isAdmin: chat.admins?.includes(userId) || false,
           };
         }
@@ -454,6 +485,7 @@ router.get('/group/:chatId', verifyToken, validateChatId, async (req, res) => {
         participants: participantDetails.filter(p => p != null),
         admins: chat.admins || [],
         createdBy: chat.createdBy,
+        disappearingTimer: getTimerLabel(chat.disappearingTimer),
         createdAt: chat.createdAt,
         updatedAt: chat.updatedAt,
       },
@@ -532,6 +564,14 @@ router.put('/group/:chatId', verifyToken, validateChatId, async (req, res) => {
       });
     }
 
+    // Uploaded pictures only come from POST /api/chats/group/:chatId/picture (the current one may be sent back)
+    if (isUploadedFileUrl(groupPictureUrl) && groupPictureUrl !== chat.groupPictureUrl) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload group pictures with POST /api/chats/group/:chatId/picture',
+      });
+    }
+
     const updateData = {
       updatedAt: new Date(),
     };
@@ -576,6 +616,102 @@ router.put('/group/:chatId', verifyToken, validateChatId, async (req, res) => {
   }
 });
 
+/**
+ * Upload Group Picture
+ * POST /api/chats/group/:chatId/picture
+ * Accepts multipart/form-data with 'groupPicture' file (group admins only)
+ */
+router.post('/group/:chatId/picture', verifyToken, validateChatId, (req, res, next) => {
+  uploadGroupPicture(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE'
+          ? 'File too large. Maximum size is 10MB.'
+          : err.message || 'Invalid file type. Only images are allowed.',
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded. Please select an image.',
+      });
+    }
+
+    const chatsCollection = getMongoDB().collection('chats');
+    const chat = await chatsCollection.findOne({
+      _id: new ObjectId(req.params.chatId),
+      type: 'group',
+      participants: req.userId,
+    });
+
+    if (!chat || !chat.admins?.includes(req.userId)) {
+      await deleteFile(req.file.filename);
+      return res.status(chat ? 403 : 404).json({
+        success: false,
+        message: chat ? 'Only admins can update group info' : 'Group not found',
+      });
+    }
+
+    // Infected pictures are quarantined
+    const scan = await scanUploads([req.file], { uploaderId: req.userId, source: 'group' });
+    if (scan.error || scan.infected) {
+      await deleteFile(req.file.filename);
+      return res.status(scan.error ? scan.error.status : 422).json({
+        success: false,
+        message: scan.error ? scan.error.message : 'File blocked: it may contain malware',
+      });
+    }
+
+    await storeUploadedFile(req.file);
+    const updateData = {
+      groupPictureUrl: getFileUrl(req, req.file.filename),
+      updatedAt: new Date(),
+    };
+
+    await chatsCollection.updateOne({ _id: chat._id }, { $set: updateData });
+
+    // Delete the previous uploaded picture
+    const oldFilename = chat.groupPictureUrl?.split('/').pop();
+    if (oldFilename && oldFilename.startsWith('group-')) {
+      await deleteFile(oldFilename).catch((deleteError) => {
+        console.error('Error deleting previous group picture:', deleteError);
+      });
+    }
+
+    const { emitChatUpdate } = await import('../socket/socket.server.js');
+    chat.participants.forEach(participantId => {
+      emitChatUpdate(participantId, {
+        type: 'group_updated',
+        chatId: req.params.chatId,
+        updates: updateData,
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Group picture uploaded successfully',
+      data: updateData,
+    });
+  } catch (error) {
+    console.error('Upload group picture error:', error);
+    if (req.file) {
+      await deleteFile(req.file.filename).catch((deleteError) => {
+        console.error('Error deleting group picture on upload error:', deleteError);
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * Add Members to Group
  * POST /api/chats/group/:chatId/add-members
@@ -794,6 +930,7 @@ router.post('/group/:chatId/remove-members', verifyToken, groupRateLimit, valida
         $set: { updatedAt: new Date() },
       }
     );
+    await stopLiveLocationsInChat(chatObjectId, participantIds);
 
     // Emit socket events
     const { emitChatUpdate } = await import('../socket/socket.server.js');
@@ -877,6 +1014,7 @@ router.post('/group/:chatId/leave', verifyToken, validateChatId, async (req, res
         $set: { updatedAt: new Date() },
       }
     );
+    await stopLiveLocationsInChat(chatObjectId, [req.userId]);
 
     // Emit socket events
     const { emitChatUpdate } = await import('../socket/socket.server.js');
@@ -1510,6 +1648,164 @@ router.post('/:chatId/mute', verifyToken, validateChatId, async (req, res) => {
   }
 });
 
+/**
+ * Set Disappearing Messages Timer
+ * PUT /api/chats/:chatId/disappearing
+ * Body: { timer: '24h' | '7d' | '90d' | 'off' }
+ * 
+ * For groups: Only admins can change the timer
+ * For direct chats: Either participant can change it
+ * Applies to messages sent after the change
+ */
+router.put('/:chatId/disappearing', verifyToken, validateChatId, async (req, res) => {
+  try {
+    const { chatId } = req.params;
+    const { timer } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(DISAPPEARING_TIMERS, timer)) {
+      return res.status(400).json({
+        success: false,
+        message: `timer must be one of: ${Object.keys(DISAPPEARING_TIMERS).join(', ')}`,
+      });
+    }
+
+    let chatObjectId;
+    try {
+      chatObjectId = validateObjectId(chatId, 'Chat ID');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const mongoDb = getMongoDB();
+    const chatsCollection = mongoDb.collection('chats');
+    const messagesCollection = mongoDb.collection('messages');
+
+    const chat = await chatsCollection.findOne({
+      _id: chatObjectId,
+      participants: req.userId,
+    });
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chat not found',
+      });
+    }
+
+    if (chat.type === 'group' && !chat.admins?.includes(req.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can change disappearing messages',
+      });
+    }
+
+    const timerSeconds = DISAPPEARING_TIMERS[timer];
+    if ((chat.disappearingTimer || null) === timerSeconds) {
+      return res.json({
+        success: true,
+        message: 'Disappearing messages unchanged',
+        data: { chatId, disappearingTimer: timer },
+      });
+    }
+
+    const now = new Date();
+    await chatsCollection.updateOne(
+      { _id: chatObjectId },
+      {
+        $set: {
+          disappearingTimer: timerSeconds,
+          disappearingTimerUpdatedBy: req.userId,
+          disappearingTimerUpdatedAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+
+    // Post a system message into the chat
+    const userResult = await queryWithRetry(
+      'SELECT full_name FROM users WHERE id = $1',
+      [req.userId],
+      3,
+      20000
+    );
+    const actorName = userResult.rows[0]?.full_name || 'Someone';
+    const systemText = describeTimerChange(actorName, timer);
+
+    const systemMessage = {
+      chatId: chatObjectId,
+      senderId: req.userId,
+      message: systemText,
+      messageType: 'system',
+      systemData: {
+        event: 'disappearing_timer_changed',
+        timer,
+        changedBy: req.userId,
+      },
+      // System messages don't count as unread and never disappear
+      readBy: chat.participants,
+      readReceipts: [],
+      deliveredTo: [],
+      expiresAt: null,
+      editedAt: null,
+      deletedAt: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const messageResult = await messagesCollection.insertOne(systemMessage);
+
+    await chatsCollection.updateOne(
+      { _id: chatObjectId },
+      { $set: { lastMessage: systemText, lastMessageType: 'system', lastMessageAt: now } }
+    );
+
+    const { emitNewMessage, emitChatUpdate } = await import('../socket/socket.server.js');
+    await emitNewMessage(chatId, {
+      id: messageResult.insertedId.toString(),
+      chatId,
+      senderId: req.userId,
+      message: systemText,
+      messageType: 'system',
+      systemData: systemMessage.systemData,
+      readBy: chat.participants,
+      status: 'sent',
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+    });
+
+    chat.participants.forEach((participantId) => {
+      emitChatUpdate(participantId, {
+        type: 'disappearing_timer_updated',
+        chatId,
+        disappearingTimer: timer,
+        updatedBy: req.userId,
+        lastMessage: systemText,
+        lastMessageType: 'system',
+        lastMessageAt: now.toISOString(),
+      });
+    });
+
+    res.json({
+      success: true,
+      message: timer === 'off' ? 'Disappearing messages turned off' : 'Disappearing messages turned on',
+      data: {
+        chatId,
+        disappearingTimer: timer,
+        messageId: messageResult.insertedId.toString(),
+      },
+    });
+  } catch (error) {
+    console.error('Set disappearing timer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update disappearing messages',
+      error: error.message,
+    });
+  }
+});
+
 /**
  * Delete Chat
  * DELETE /api/chats/:chatId
@@ -1572,6 +1868,20 @@ router.delete('/:chatId', verifyToken, validateChatId, async (req, res) => {
       )
     );
 
+    // Files shared with other chats stay; the rest go with their last message
+    const { releaseMessageMedia } = await import('../services/media-registry.service.js');
+    const fileMessages = await messagesCollection
+      .find({ chatId: chatObjectId, fileSha256: { $type: 'string' } })
+      .project({ _id: 1, fileSha256: 1 })
+      .toArray();
+    for (const fileMessage of fileMessages) {
+      try {
+        await releaseMessageMedia(fileMessage);
+      } catch (error) {
+        console.error(`Error releasing file of message ${fileMessage._id}:`, error);
+      }
+    }
+
     // Delete all messages in the chat
     await messagesCollection.deleteMany({
       chatId: chatObjectId,
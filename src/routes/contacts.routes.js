@@ -2,7 +2,9 @@ import express from 'express';
 import postgresPool, { queryWithRetry } from '../config/postgres.config.js';
 import { verifyToken } from './auth.routes.js';
 import { getUserPresenceData } from '../utils/presence.utils.js';
+import { getVisibilityForViewer, applyPresencePrivacy, getPresenceForViewer } from '../services/privacy.service.js';
 import { filterBlockedUsers } from '../utils/block.utils.js';
+import { normalizePhoneSearch, findUserByPhone } from '../utils/contacts.utils.js';
 
 const router = express.Router();
 
@@ -45,6 +47,12 @@ router.get('/', verifyToken, async (req, res) => {
     );
     const blockedIds = new Set(blockedUserIds.rows.map(row => row.blocked_id));
 
+    // What each contact's privacy settings let the current user see
+    const visibility = await getVisibilityForViewer(
+      req.userId,
+      result.rows.map((row) => row.user_id).filter(Boolean)
+    );
+
     const contacts = result.rows
       .filter((row) => {
         // Filter out blocked users (either direction)
@@ -69,7 +77,7 @@ router.get('/', verifyToken, async (req, res) => {
             last_seen: row.last_seen,
             timezone: null, // Not needed for presence
           };
-          userPresenceData = getUserPresenceData(user);
+          userPresenceData = applyPresencePrivacy(getUserPresenceData(user), visibility.get(row.user_id));
         }
         
         return {
@@ -162,7 +170,7 @@ router.post('/', verifyToken, async (req, res) => {
     let userPresenceData = null;
     if (userResult.rows.length > 0) {
       const user = userResult.rows[0];
-      userPresenceData = getUserPresenceData(user);
+      userPresenceData = (await getPresenceForViewer(req.userId, [user])).get(user.id);
     }
     
     const contactData = {
@@ -289,64 +297,16 @@ router.get('/search', verifyToken, async (req, res) => {
       });
     }
 
-    // Normalize phone number (remove spaces, dashes, parentheses)
-    phoneNumber = phoneNumber.replace(/[\s\-\(\)]/g, '');
-    
-    // Normalize country code (ensure it starts with +)
-    countryCode = countryCode.trim();
-    if (!countryCode.startsWith('+')) {
-      countryCode = '+' + countryCode;
-    }
+    // Normalize phone number (remove spaces, dashes, parentheses) and country code (ensure it starts with +)
+    ({ phoneNumber, countryCode } = normalizePhoneSearch(phoneNumber, countryCode));
 
     console.log(`Searching for user: phoneNumber="${phoneNumber}", countryCode="${countryCode}"`);
 
-    // Search for user - try exact match first
-    // CRITICAL: Convert last_seen to UTC to ensure consistent timezone handling
-    let result = await postgresPool.query(
-      `SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, is_online, to_char(last_seen AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') as last_seen, timezone
-       FROM users
-       WHERE phone_number = $1 AND country_code = $2`,
-      [phoneNumber, countryCode]
-    );
+    const user = await findUserByPhone(phoneNumber, countryCode);
 
-    // If not found, try with normalized phone (remove leading zeros, etc.)
-    if (result.rows.length === 0) {
-      // Try removing leading zeros from phone number
-      const normalizedPhone = phoneNumber.replace(/^0+/, '');
-      if (normalizedPhone !== phoneNumber) {
-        result = await postgresPool.query(
-          `SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, is_online, to_char(last_seen AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') as last_seen, timezone
-           FROM users
-           WHERE phone_number = $1 AND country_code = $2`,
-          [normalizedPhone, countryCode]
-        );
-      }
-    }
+    console.log(`Search result: ${user ? 1 : 0} user(s) found`);
 
-    // If still not found, try with phone number that might have leading zeros
-    if (result.rows.length === 0) {
-      const withLeadingZero = '0' + phoneNumber;
-      result = await postgresPool.query(
-        `SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, is_online, to_char(last_seen AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') as last_seen, timezone
-         FROM users
-         WHERE phone_number = $1 AND country_code = $2`,
-        [withLeadingZero, countryCode]
-      );
-    }
-
-    // Also try case-insensitive country code matching
-    if (result.rows.length === 0) {
-      result = await postgresPool.query(
-        `SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, is_online, to_char(last_seen AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') as last_seen, timezone
-         FROM users
-         WHERE phone_number = $1 AND LOWER(country_code) = LOWER($2)`,
-        [phoneNumber, countryCode]
-      );
-    }
-
-    console.log(`Search result: ${result.rows.length} user(s) found`);
-
-    if (result.rows.length === 0) {
+    if (!user) {
       // Debug: Show what we searched for
       console.log(`No user found with phoneNumber="${phoneNumber}", countryCode="${countryCode}"`);
       
@@ -369,8 +329,6 @@ router.get('/search', verifyToken, async (req, res) => {
       });
     }
 
-    const user = result.rows[0];
-    
     // Check if user is blocked (either direction)
     const { isBlocked } = await import('../utils/block.utils.js');
     const blocked = await isBlocked(req.userId, user.id);
@@ -389,7 +347,8 @@ router.get('/search', verifyToken, async (req, res) => {
     }
     
     // Use centralized presence utility for consistent online status calculation
-    const userPresenceData = getUserPresenceData(user);
+    // (filtered by the user's privacy settings)
+    const userPresenceData = (await getPresenceForViewer(req.userId, [user])).get(user.id);
     
     if (!userPresenceData) {
       return res.status(404).json({
@@ -0,0 +1,206 @@
+/**
+ * Media Routes
+ * Authorized downloads of uploaded files, signed URLs for them and lookups by content hash
+ */
+
+import express from 'express';
+import path from 'path';
+import { verifyToken } from './auth.routes.js';
+import { getStorage } from '../config/storage.config.js';
+import {
+  MEDIA_URL_TTL_SECONDS,
+  MAX_SIGNED_URLS_PER_REQUEST,
+  canAccessMedia,
+  getMediaFilename,
+  signMediaUrl,
+  verifyMediaSignature,
+} from '../services/media.service.js';
+import { SHA256_PATTERN, MAX_LOOKUP_HASHES, findStoredHashes } from '../services/media-registry.service.js';
+
+const router = express.Router();
+
+// Shown in the browser; anything else is downloaded as an attachment so an
+// uploaded HTML / SVG file can't run in the API's origin
+const INLINE_EXTENSIONS = /\.(jpe?g|png|gif|webp|mp4|mov|webm|mp3|m4a|aac|ogg|opus|wav)$/i;
+
+/**
+ * Authenticate a media download: a signed URL, or a Bearer token
+ */
+export const authorizeMediaRequest = (req, res, next) => {
+  if (req.query.signature === undefined) {
+    return verifyToken(req, res, next);
+  }
+
+  if (!verifyMediaSignature(path.basename(req.params.filename), req.query.expires, req.query.signature)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or expired media link',
+    });
+  }
+  req.mediaSignatureValid = true;
+  next();
+};
+
+/**
+ * Download Media
+ * GET /api/media/:filename
+ * Authorization: Bearer token, or ?expires=&signature= from POST /api/media/signed-urls
+ * (also mounted at GET /uploads/:filename for links created before this route)
+ */
+export const serveMedia = async (req, res) => {
+  try {
+    const filename = path.basename(req.params.filename);
+
+    if (!req.mediaSignatureValid && !(await canAccessMedia(req.userId, filename))) {
+      // Same answer as a missing file, so filenames can't be probed
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const attachment = !INLINE_EXTENSIONS.test(filename);
+    const download = await getStorage().getDownload(filename, {
+      expiresIn: MEDIA_URL_TTL_SECONDS,
+      attachment,
+    });
+
+    // Web clients on other origins load media with <img> / <video>
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('Cache-Control', 'private, max-age=3600');
+
+    if (download.url) {
+      return res.redirect(302, download.url);
+    }
+
+    if (attachment) {
+      res.attachment(filename);
+    }
+    res.sendFile(download.path, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'File not found',
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Serve media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Signed Media URLs
+ * POST /api/media/signed-urls
+ * Body: { urls: string[] } - media URLs (or filenames) from messages, statuses, profiles...
+ * Returns a short-lived URL for every file the user may see, null for the others.
+ */
+router.post('/signed-urls', verifyToken, async (req, res) => {
+  try {
+    const { urls } = req.body;
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'urls must be a non-empty array',
+      });
+    }
+
+    if (urls.length > MAX_SIGNED_URLS_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_SIGNED_URLS_PER_REQUEST} URLs can be signed at once`,
+      });
+    }
+
+    // One at a time - each check runs several queries
+    const access = new Map();
+    const signedUrls = [];
+    for (const url of urls) {
+      const filename = getMediaFilename(url);
+      if (filename && !access.has(filename)) {
+        access.set(filename, await canAccessMedia(req.userId, filename));
+      }
+
+      if (!filename || !access.get(filename)) {
+        signedUrls.push({ url, signedUrl: null, expiresAt: null });
+        continue;
+      }
+      const signed = signMediaUrl(filename);
+      signedUrls.push({ url, signedUrl: signed.url, expiresAt: signed.expiresAt });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        urls: signedUrls,
+      },
+    });
+  } catch (error) {
+    console.error('Sign media URLs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Look Up Files by Hash
+ * POST /api/media/lookup
+ * Body: { sha256: string[] } - lowercase hex SHA-256 of files about to be sent
+ * Files that exist can be sent with POST /api/messages/upload and `sha256`
+ * instead of uploading them again.
+ */
+router.post('/lookup', verifyToken, async (req, res) => {
+  try {
+    const { sha256 } = req.body;
+
+    if (!Array.isArray(sha256) || sha256.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'sha256 must be a non-empty array',
+      });
+    }
+
+    if (sha256.length > MAX_LOOKUP_HASHES) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_LOOKUP_HASHES} hashes can be looked up at once`,
+      });
+    }
+
+    if (!sha256.every((hash) => typeof hash === 'string' && SHA256_PATTERN.test(hash))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Every hash must be a lowercase hex SHA-256 digest',
+      });
+    }
+
+    const stored = await findStoredHashes(sha256);
+
+    res.json({
+      success: true,
+      data: {
+        files: sha256.map((hash) => ({ sha256: hash, exists: stored.has(hash) })),
+      },
+    });
+  } catch (error) {
+    console.error('Look up media error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+router.get('/:filename', authorizeMediaRequest, serveMedia);
+
+export default router;
@@ -5,9 +5,27 @@ import postgresPool, { queryWithRetry } from '../config/postgres.config.js';
 import { verifyToken } from './auth.routes.js';
 import { getRedisClient } from '../config/redis.config.js';
 import { emitNewMessage, emitChatUpdate } from '../socket/socket.server.js';
-import { getUserPresenceData } from '../utils/presence.utils.js';
-import { uploadMessageFile, getFileUrl, deleteFile } from '../middleware/upload.middleware.js';
-import { logActivity } from '../services/analytics.service.js';
+import { uploadMessageFileWithThumbnail, uploadVideoPoster } from '../middleware/upload.middleware.js';
+import { getMessageDeliveryState, emitMessageStatus, areReadReceiptsShared } from '../services/delivery.service.js';
+import { buildReplySnapshot, formatReplyTo } from '../services/reply.service.js';
+import { sendMessage, sendFileMessage, formatBlockedFile } from '../services/message.service.js';
+import {
+  UPLOAD_CHUNK_SIZE,
+  parseUploadChecksum,
+  formatUploadSession,
+  createUploadSession,
+  getUploadSession,
+  appendUploadChunk,
+  completeUpload,
+  abortUpload,
+} from '../services/resumable-upload.service.js';
+import { SCHEDULED_MESSAGE_STATUSES, formatScheduledMessage } from '../services/scheduled-message.service.js';
+import { formatPoll, castVote, retractVote, closePoll } from '../services/poll.service.js';
+import { LOCATION_MESSAGE_TYPES, MEDIA_MESSAGE_TYPES, formatLocation, stopLiveLocation } from '../services/location.service.js';
+import { formatContactCards } from '../services/contact-card.service.js';
+import { SHA256_PATTERN, acquireMediaFile, releaseMessageMedia } from '../services/media-registry.service.js';
+import { formatVoice, markVoicePlayed } from '../services/voice.service.js';
+import { getMessageExpiry, getTimerLabel } from '../services/disappearing.service.js';
 import multer from 'multer';
 import { messageRateLimit, uploadRateLimit } from '../middleware/rate-limit.middleware.js';
 import { validateMessage, validateChatId, validateMessageId, validateReaction } from '../middleware/validation.middleware.js';
@@ -16,10 +34,42 @@ import { validateObjectId, safeMongoOperation } from '../utils/mongodb.utils.js'
 
 const router = express.Router();
 
+// How long after sending a message can be edited (0 = no limit)
+const MESSAGE_EDIT_WINDOW_SECONDS = parseInt(process.env.MESSAGE_EDIT_WINDOW_SECONDS || '900', 10);
+
+// Scheduled messages: how far ahead, and how many can be pending per user
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_PENDING_SCHEDULED_MESSAGES = 100;
+
+/**
+ * Parse and check a scheduled send time
+ * @returns {{sendAt: Date} | {error: string}}
+ */
+const parseSendAt = (value) => {
+  const sendAt = new Date(value);
+  if (!value || isNaN(sendAt.getTime())) {
+    return { error: 'sendAt must be a valid date' };
+  }
+  if (sendAt.getTime() <= Date.now()) {
+    return { error: 'sendAt must be in the future' };
+  }
+  if (sendAt.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+    return { error: 'Messages can be scheduled at most 1 year ahead' };
+  }
+  return { sendAt };
+};
+
 /**
  * Send Message
  * POST /api/messages
  * Supports both chatId and recipientId (for new chats)
+ * Optional replyToMessageId quotes an earlier message from the same chat
+ * Polls (group chats): messageType 'poll', message = question,
+ * poll = { options: string[], allowMultiple?, anonymous? }
+ * Locations: messageType 'location' or 'live_location', message optional,
+ * location = { latitude, longitude, accuracy?, name?, duration? ('15m' | '1h' | '8h', live only) }
+ * Contacts: messageType 'contact', message optional, vcard = one or more vCard 3.0 / 4.0 entries
+ * The send pipeline lives in message.service.js (shared with scheduled messages)
  * 
  * Fixed bugs:
  * - #8: Message length validation
@@ -29,7 +79,53 @@ const router = express.Router();
  */
 router.post('/', verifyToken, messageRateLimit, validateMessage, async (req, res) => {
   try {
-    const { chatId, message, messageType = 'text', recipientId } = req.body;
+    const { chatId, message, messageType = 'text', recipientId, replyToMessageId, poll, location, vcard } = req.body;
+
+    const result = await sendMessage({
+      senderId: req.userId,
+      chatId,
+      recipientId,
+      message,
+      messageType,
+      replyToMessageId,
+      poll,
+      location,
+      vcard,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      deviceId: req.headers['x-device-id'] || 'unknown',
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: result.messageData,
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Schedule Message
+ * POST /api/messages/scheduled
+ * Body: same as POST /api/messages plus sendAt (ISO date)
+ * Sent by the message scheduler through the same pipeline as POST /api/messages
+ */
+router.post('/scheduled', verifyToken, messageRateLimit, validateMessage, async (req, res) => {
+  try {
+    const { chatId, message, messageType = 'text', recipientId, replyToMessageId, poll, location, vcard, sendAt } = req.body;
 
     if (!chatId && !recipientId) {
       return res.status(400).json({
@@ -38,350 +134,328 @@ router.post('/', verifyToken, messageRateLimit, validateMessage, async (req, res
       });
     }
 
-    const mongoDb = getMongoDB();
-    const chatsCollection = mongoDb.collection('chats');
-    const messagesCollection = mongoDb.collection('messages');
+    // Live sharing needs the sender to stream updates, which a schedule can't do
+    if (messageType === 'live_location') {
+      return res.status(400).json({
+        success: false,
+        message: "Live locations can't be scheduled",
+      });
+    }
 
-    let chat;
-    let chatObjectId;
+    const parsed = parseSendAt(sendAt);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error,
+      });
+    }
+
+    const mongoDb = getMongoDB();
+    const scheduledCollection = mongoDb.collection('scheduled_messages');
 
-    // If chatId is provided, verify it exists
+    // Check the target now so obvious mistakes fail early (blocks are re-checked at send time)
+    let chatObjectId = null;
     if (chatId) {
       try {
-        chatObjectId = new ObjectId(chatId);
-        chat = await chatsCollection.findOne({
-          _id: chatObjectId,
-          participants: req.userId,
-        });
+        chatObjectId = validateObjectId(chatId, 'Chat ID');
       } catch (error) {
-        // Invalid chatId, will create new chat if recipientId provided
-        chat = null;
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
       }
-    }
-
-    // If chat doesn't exist but recipientId is provided, create new chat
-    if (!chat && recipientId && recipientId !== req.userId) {
-      // Verify recipient exists
-      const recipientResult = await queryWithRetry(
-        'SELECT id FROM users WHERE id = $1',
-        [recipientId],
-        3,
-        20000
-      );
 
-      if (recipientResult.rows.length === 0) {
+      const chat = await mongoDb.collection('chats').findOne({
+        _id: chatObjectId,
+        participants: req.userId,
+      });
+      if (!chat) {
         return res.status(404).json({
           success: false,
-          message: 'Recipient not found',
+          message: 'Chat not found',
         });
       }
 
-      // Check if user is blocked (either direction)
-      const { isBlocked } = await import('../utils/block.utils.js');
-      const blocked = await isBlocked(req.userId, recipientId);
-      if (blocked) {
-        return res.status(403).json({
+      if (messageType === 'poll' && chat.type !== 'group') {
+        return res.status(400).json({
           success: false,
-          message: "Can't send message",
+          message: 'Polls are only available in group chats',
         });
       }
 
-      // Check if chat already exists between these users
-      const existingChat = await chatsCollection.findOne({
-        participants: { $all: [req.userId, recipientId] },
-        type: 'direct',
-      });
-
-      if (existingChat) {
-        chat = existingChat;
-        chatObjectId = existingChat._id;
-      } else {
-        // Create new chat with enhanced schema
-        const newChat = {
-          participants: [req.userId, recipientId],
-          type: 'direct',
-          lastMessage: null,
-          lastMessageAt: new Date(),
-          archivedBy: [],
-          pinnedBy: [],
-          mutedBy: [],
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        };
+      if (replyToMessageId) {
+        const reply = await buildReplySnapshot({ chatId: chatObjectId, replyToMessageId, userId: req.userId });
+        if (reply.error) {
+          return res.status(reply.error.status).json({
+            success: false,
+            message: reply.error.message,
+          });
+        }
+      }
+    } else {
+      if (messageType === 'poll') {
+        return res.status(400).json({
+          success: false,
+          message: 'Polls are only available in group chats',
+        });
+      }
 
-        const chatResult = await chatsCollection.insertOne(newChat);
-        chat = { ...newChat, _id: chatResult.insertedId };
-        chatObjectId = chatResult.insertedId;
+      if (recipientId === req.userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot send a message to yourself',
+        });
+      }
 
-        // Automatically add recipient to contacts
-        const { autoAddContact } = await import('../utils/contacts.utils.js');
-        await autoAddContact(req.userId, recipientId);
+      const recipientResult = await queryWithRetry(
+        'SELECT id FROM users WHERE id = $1',
+        [recipientId],
+        3,
+        20000
+      ).catch(() => ({ rows: [] }));
+      if (recipientResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Recipient not found',
+        });
       }
     }
 
-    if (!chat) {
-      return res.status(404).json({
+    const pendingCount = await scheduledCollection.countDocuments({
+      senderId: req.userId,
+      status: 'pending',
+    });
+    if (pendingCount >= MAX_PENDING_SCHEDULED_MESSAGES) {
+      return res.status(400).json({
         success: false,
-        message: 'Chat not found and recipient not specified',
+        message: `You can have at most ${MAX_PENDING_SCHEDULED_MESSAGES} scheduled messages`,
       });
     }
 
-    if (!chatObjectId) {
-      chatObjectId = chat._id;
-    }
+    const now = new Date();
+    const scheduled = {
+      senderId: req.userId,
+      chatId: chatObjectId,
+      recipientId: chatObjectId ? null : recipientId,
+      message,
+      messageType,
+      replyToMessageId: chatObjectId && replyToMessageId ? replyToMessageId : null,
+      poll: messageType === 'poll'
+        ? { options: poll.options, allowMultiple: poll.allowMultiple === true, anonymous: poll.anonymous === true }
+        : null,
+      location: messageType === 'location'
+        ? { latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracy ?? null, name: location.name ?? null }
+        : null,
+      vcard: messageType === 'contact' ? vcard : null, // Phone numbers are resolved when it's sent
+      sendAt: parsed.sendAt,
+      status: 'pending',
+      attempts: 0,
+      lockedBy: null,
+      lockedUntil: null,
+      sentMessageId: null,
+      sentAt: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    const result = await scheduledCollection.insertOne(scheduled);
 
-    // For direct chats, check if user is blocked (either direction) and auto-add to contacts
-    if (chat.type === 'direct') {
-      const otherParticipantId = chat.participants.find(id => id !== req.userId);
-      if (otherParticipantId) {
-        const { isBlocked } = await import('../utils/block.utils.js');
-        const blocked = await isBlocked(req.userId, otherParticipantId);
-        if (blocked) {
-          return res.status(403).json({
-            success: false,
-            message: "Can't send message",
-          });
-        }
+    res.status(201).json({
+      success: true,
+      message: 'Message scheduled',
+      data: formatScheduledMessage({ ...scheduled, _id: result.insertedId }),
+    });
+  } catch (error) {
+    console.error('Schedule message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
 
-        // Automatically add to contacts if not already there
-        const { autoAddContact } = await import('../utils/contacts.utils.js');
-        await autoAddContact(req.userId, otherParticipantId);
-      }
+/**
+ * Get Scheduled Messages
+ * GET /api/messages/scheduled
+ * Query: chatId (optional), status (default: pending)
+ */
+router.get('/scheduled', verifyToken, async (req, res) => {
+  try {
+    const { chatId, status = 'pending' } = req.query;
+
+    if (!SCHEDULED_MESSAGE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${SCHEDULED_MESSAGE_STATUSES.join(', ')}`,
+      });
     }
 
-    // Parse mentions if this is a group chat
-    let mentions = [];
-    if (chat.type === 'group' && messageType === 'text') {
-      const { parseMentions } = await import('../utils/mentions.utils.js');
-      // Get participant details for mention parsing
-      const participantDetails = await Promise.all(
-        chat.participants.map(async (userId) => {
-          const userResult = await queryWithRetry(
-            "SELECT id, full_name FROM users WHERE id = $1",
-            [userId],
-            3,
-            20000
-          );
-          if (userResult.rows.length > 0) {
-            return {
-              id: userResult.rows[0].id,
-              fullName: userResult.rows[0].full_name,
-            };
-          }
-          return null;
-        })
-      );
-      const validParticipants = participantDetails.filter(p => p != null);
-      mentions = parseMentions(message, validParticipants);
+    const query = { senderId: req.userId, status };
+    if (chatId) {
+      try {
+        query.chatId = validateObjectId(chatId, 'Chat ID');
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
     }
 
-    // Create message with enhanced schema
-    const newMessage = {
-      chatId: chatObjectId,
-      senderId: req.userId,
-      message: message,
-      messageType: messageType, // text, image, video, audio, file, call
-      readBy: [req.userId], // Sender has read it
-      readReceipts: [
-        {
-          userId: req.userId,
-          readAt: new Date(),
-        },
-      ],
-      mentions: mentions, // Array of mentioned user IDs
-      editedAt: null,
-      deletedAt: null,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    };
+    const scheduledMessages = await getMongoDB()
+      .collection('scheduled_messages')
+      .find(query)
+      .sort({ sendAt: status === 'pending' ? 1 : -1 })
+      .limit(MAX_PENDING_SCHEDULED_MESSAGES)
+      .toArray();
 
-    const messageResult = await messagesCollection.insertOne(newMessage);
-    const chatIdString = chatObjectId.toString();
-
-    // Log activity
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const deviceId = req.headers['x-device-id'] || 'unknown';
-    await logActivity({
-      userId: req.userId,
-      activityType: 'message_sent',
-      activityData: {
-        chatId: chatIdString,
-        messageType,
-        messageLength: message.length,
+    res.json({
+      success: true,
+      data: {
+        scheduledMessages: scheduledMessages.map(formatScheduledMessage),
+        total: scheduledMessages.length,
       },
-      ipAddress,
-      deviceId,
     });
+  } catch (error) {
+    console.error('Get scheduled messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Edit Scheduled Message
+ * PUT /api/messages/scheduled/:scheduledId
+ * Body: { message?, sendAt? } - only while still pending
+ */
+router.put('/scheduled/:scheduledId', verifyToken, async (req, res) => {
+  try {
+    const { scheduledId } = req.params;
+    const { message, sendAt } = req.body;
 
-    // Update last_seen when user sends a message (they're clearly active)
-    // This ensures last_seen is current even if heartbeat fails or is delayed
+    let scheduledObjectId;
     try {
-      const updateResult = await queryWithRetry(
-        "UPDATE users SET last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $1 RETURNING last_seen AT TIME ZONE 'UTC' as last_seen_utc",
-        [req.userId],
-        3,
-        20000
-      );
-      if (updateResult.rows.length > 0) {
-        console.log(`💬 REST API: Message sent by ${req.userId} - Updated last_seen_utc=${updateResult.rows[0].last_seen_utc}`);
-      }
+      scheduledObjectId = validateObjectId(scheduledId, 'Scheduled message ID');
     } catch (error) {
-      console.error('❌ Error updating last_seen on message send:', error);
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
     }
 
-    // Update chat's last message only if this message is more recent
-    // This prevents text messages from overwriting more recent call messages
-    const now = new Date();
-    await chatsCollection.updateOne(
-      { 
-        _id: chatObjectId,
-        $or: [
-          { lastMessageAt: { $exists: false } },
-          { lastMessageAt: null },
-          { lastMessageAt: { $lt: now } } // Only update if new message is more recent
-        ]
-      },
-      {
-        $set: {
-          lastMessage: message,
-          lastMessageType: messageType,
-          lastMessageAt: now,
-          updatedAt: now,
-        },
-      }
-    );
+    const updates = {};
 
-    // Increment unread count for other participants (all except sender)
-    // NOTE: Call messages should NOT increment unread count as they're system messages
-    // that both participants can see. They're already marked as read in createCallHistoryMessage.
-    // BUG FIX #1: Use safe Redis operations with proper error handling to prevent race conditions
-    if (messageType !== 'call') {
-      const otherParticipants = chat.participants.filter((id) => id !== req.userId);
-      // For groups, increment unread for all other participants
-      // For direct chats, increment for the one other participant
-      // Use atomic increment operations to prevent race conditions
-      await Promise.all(
-        otherParticipants.map(participantId => 
-          incrementUnreadCount(participantId, chatObjectId.toString(), 1)
-        )
-      );
+    if (message !== undefined) {
+      if (typeof message !== 'string' || message.trim().length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Message is required and cannot be empty',
+        });
+      }
+      if (message.length > 10000) {
+        return res.status(400).json({
+          success: false,
+          message: 'Message too long. Maximum length is 10000 characters.',
+        });
+      }
+      updates.message = message;
     }
 
-    // Get sender name for group chats
-    let senderName = null;
-    if (chat.type === 'group') {
-      const senderResult = await queryWithRetry(
-        `SELECT full_name FROM users WHERE id = $1`,
-        [req.userId],
-        3,
-        20000
-      );
-      if (senderResult.rows.length > 0) {
-        senderName = senderResult.rows[0].full_name || null;
+    if (sendAt !== undefined) {
+      const parsed = parseSendAt(sendAt);
+      if (parsed.error) {
+        return res.status(400).json({
+          success: false,
+          message: parsed.error,
+        });
       }
+      updates.sendAt = parsed.sendAt;
     }
 
-    // Prepare message data for Socket.IO with enhanced schema
-    const messageData = {
-      id: messageResult.insertedId.toString(),
-      chatId: chatIdString,
-      senderId: req.userId,
-      message: message,
-      messageType: messageType,
-      readBy: [req.userId],
-      readReceipts: [
-        {
-          userId: req.userId,
-          readAt: newMessage.createdAt.toISOString(),
-        },
-      ],
-      mentions: newMessage.mentions || [], // Include mentions
-      editedAt: null,
-      deletedAt: null,
-      status: 'sent', // Message is sent to server
-      createdAt: newMessage.createdAt.toISOString(),
-      updatedAt: newMessage.updatedAt.toISOString(),
-    };
-    
-    // Include sender name for group chats
-    if (senderName) {
-      messageData.senderName = senderName;
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update (message or sendAt)',
+      });
     }
 
-    // Emit new message via Socket.IO for real-time delivery
-    await emitNewMessage(chatIdString, messageData);
+    const scheduledCollection = getMongoDB().collection('scheduled_messages');
 
-    // Emit chat update to all participants with unread count
-    const lastMessageAt = new Date();
-    const redisClient = getRedisClient();
-    const isGroup = chat.type === 'group';
-    
-    // Get fresh sender user details after updating last_seen
-    const senderUserResult = await queryWithRetry(
-      "SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, is_online, to_char(last_seen AT TIME ZONE 'UTC', 'YYYY-MM-DD\"T\"HH24:MI:SS.MS\"Z\"') as last_seen, timezone FROM users WHERE id = $1",
-      [req.userId],
-      3,
-      20000
+    // Only pending messages can change - the scheduler may claim it at any moment
+    const result = await scheduledCollection.findOneAndUpdate(
+      { _id: scheduledObjectId, senderId: req.userId, status: 'pending' },
+      { $set: { ...updates, error: null, updatedAt: new Date() } },
+      { returnDocument: 'after', includeResultMetadata: true }
     );
-    const senderUser = senderUserResult.rows[0];
-    const senderPresenceData = getUserPresenceData(senderUser);
 
-    // Emit chat update to all participants
-    for (const participantId of chat.participants) {
-      const participantUnreadCount = await redisClient.get(`unread:${participantId}:${chatObjectId}`) || '0';
-      
-      const chatUpdateData = {
-        chatId: chatIdString,
-        type: chat.type || 'direct',
-        lastMessage: message,
-        lastMessageType: messageType,
-        lastMessageAt: lastMessageAt.toISOString(),
-        unreadCount: parseInt(participantUnreadCount),
-        isNewChat: !chatId,
-        archivedBy: chat.archivedBy || [],
-        pinnedBy: chat.pinnedBy || [],
-        mutedBy: chat.mutedBy || [],
-      };
-      
-      // For direct chats, include otherUser info
-      // For groups, include groupInfo
-      if (isGroup) {
-        chatUpdateData.groupInfo = {
-          groupName: chat.groupName,
-          groupDescription: chat.groupDescription,
-          groupPictureUrl: chat.groupPictureUrl,
-          participantCount: chat.participants.length,
-          admins: chat.admins || [],
-          createdBy: chat.createdBy,
-        };
-      } else if (participantId !== req.userId) {
-        // For direct chats, include sender's presence data for the other participant
-        chatUpdateData.otherUser = senderPresenceData;
-        
-        // Broadcast presence update to receiver IMMEDIATELY with fresh data
-        const { getSocketIO } = await import('../socket/socket.server.js');
-        const socketIO = getSocketIO();
-        if (senderPresenceData) {
-          socketIO.to(`user:${participantId}`).emit('presence_update', {
-            userId: req.userId,
-            isOnline: senderPresenceData.isOnline,
-            lastSeen: senderPresenceData.lastSeen,
-            fullName: senderPresenceData.fullName,
-            profilePictureUrl: senderPresenceData.profilePictureUrl,
-          });
-        }
-      }
-      
-      emitChatUpdate(participantId, chatUpdateData);
+    if (!result.value) {
+      const existing = await scheduledCollection.findOne({ _id: scheduledObjectId, senderId: req.userId });
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        message: existing ? `Scheduled message is already ${existing.status}` : 'Scheduled message not found',
+      });
     }
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Message sent successfully',
-      data: messageData,
+      message: 'Scheduled message updated',
+      data: formatScheduledMessage(result.value),
     });
   } catch (error) {
-    console.error('Send message error:', error);
+    console.error('Edit scheduled message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Cancel Scheduled Message
+ * DELETE /api/messages/scheduled/:scheduledId
+ */
+router.delete('/scheduled/:scheduledId', verifyToken, async (req, res) => {
+  try {
+    const { scheduledId } = req.params;
+
+    let scheduledObjectId;
+    try {
+      scheduledObjectId = validateObjectId(scheduledId, 'Scheduled message ID');
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const scheduledCollection = getMongoDB().collection('scheduled_messages');
+
+    const result = await scheduledCollection.findOneAndUpdate(
+      { _id: scheduledObjectId, senderId: req.userId, status: 'pending' },
+      { $set: { status: 'cancelled', updatedAt: new Date() } },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+
+    if (!result.value) {
+      const existing = await scheduledCollection.findOne({ _id: scheduledObjectId, senderId: req.userId });
+      return res.status(existing ? 409 : 404).json({
+        success: false,
+        message: existing ? `Scheduled message is already ${existing.status}` : 'Scheduled message not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Scheduled message cancelled',
+      data: formatScheduledMessage(result.value),
+    });
+  } catch (error) {
+    console.error('Cancel scheduled message error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -443,6 +517,13 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
             { deletedFor: { $nin: [req.userId] } },
           ],
         },
+        // Hide disappearing messages that expired but haven't been purged yet
+        {
+          $or: [
+            { expiresAt: null },
+            { expiresAt: { $gt: new Date() } },
+          ],
+        },
       ],
     };
     if (before) {
@@ -489,6 +570,9 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
 
     const isGroup = chat.type === 'group';
     const otherParticipants = chat.participants.filter((id) => id !== req.userId);
+
+    // Direct chats only exchange reads if both users have read receipts on
+    const readReceiptsShared = await areReadReceiptsShared(chat);
     
     // Always clear unread count when user opens chat (even if no unread messages in current batch)
     // This ensures unread count is cleared when user views the chat
@@ -517,8 +601,11 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
     if (unreadMessageIds.length > 0) {
       // Update readBy array to include current user
       await messagesCollection.updateMany(
-        { _id: { $in: unreadMessageIds } },
-        { $addToSet: { readBy: req.userId } }
+        { _id: { $in: unreadMessageIds }, readBy: { $ne: req.userId } },
+        {
+          $addToSet: { readBy: req.userId },
+          $push: { readReceipts: { userId: req.userId, readAt: new Date() } },
+        }
       );
 
       // Reset unread count in Redis (all messages in current batch are now read)
@@ -550,8 +637,9 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
       });
       
       // Emit read receipts for all messages that were just marked as read (real-time)
+      // If receipts aren't shared, only the reader's own devices are told
       for (const messageId of unreadMessageIds) {
-        socketIO.to(`chat:${chatId}`).emit('message_read_receipt', {
+        socketIO.to(readReceiptsShared ? `chat:${chatId}` : `user:${req.userId}`).emit('message_read_receipt', {
           messageId: messageId.toString(),
           readBy: req.userId,
           chatId: chatId,
@@ -567,6 +655,13 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
       
       messages.length = 0;
       messages.push(...updatedMessages);
+
+      // Let the senders know the aggregated status of what was just read
+      const unreadIdStrings = unreadMessageIds.map((id) => id.toString());
+      await emitMessageStatus(
+        messages.filter((msg) => unreadIdStrings.includes(msg._id.toString())),
+        [chat]
+      );
     } else if (currentUnreadCount && parseInt(currentUnreadCount) > 0) {
       // Even if no unread messages in current batch, check if unread count exists
       // and clear it if user is viewing the chat (they've seen the messages)
@@ -596,121 +691,431 @@ router.get('/:chatId', verifyToken, validateChatId, async (req, res) => {
       }
     }
 
-    // Reverse to show oldest first
-    messages.reverse();
+    // Reverse to show oldest first
+    messages.reverse();
+
+    // Determine if there are more messages
+    let hasMore = false;
+    if (messages.length === limitNum) {
+      // Check if there's at least one more message
+      const oldestMessage = messages[messages.length - 1];
+      const nextMessage = await messagesCollection
+        .findOne({
+          chatId: chatObjectId,
+          createdAt: { $lt: oldestMessage.createdAt },
+        });
+      hasMore = nextMessage !== null;
+    }
+
+    // For group chats, get sender names for all unique senders
+    const senderNamesMap = new Map();
+    if (isGroup) {
+      const uniqueSenderIds = [...new Set(messages.map(msg => msg.senderId))];
+      if (uniqueSenderIds.length > 0) {
+        const senderResults = await queryWithRetry(
+          `SELECT id, full_name FROM users WHERE id = ANY($1::uuid[])`,
+          [uniqueSenderIds],
+          3,
+          20000
+        );
+        senderResults.rows.forEach(row => {
+          senderNamesMap.set(row.id, row.full_name || 'Unknown');
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        messages: messages.map((msg) => {
+          // Status is aggregated over all recipients: 'delivered' / 'read' once every
+          // recipient has received / read it, with counts for groups (e.g. read by 3 of 5)
+          const deliveryState = getMessageDeliveryState(msg, chat.participants, readReceiptsShared);
+
+          // Without shared receipts, only the sender's and the current user's own reads are visible
+          const isVisibleReader = (userId) => readReceiptsShared || userId === req.userId || userId === msg.senderId;
+          const readBy = (msg.readBy || []).filter(isVisibleReader);
+          
+          const messageObj = {
+            id: msg._id.toString(),
+            chatId: msg.chatId.toString(),
+            senderId: msg.senderId,
+            message: msg.message,
+            messageType: msg.messageType || 'text',
+            readBy: readBy,
+            status: deliveryState.status,
+            createdAt: msg.createdAt,
+          };
+
+          // Per-recipient breakdown only matters to the sender
+          if (msg.senderId === req.userId) {
+            messageObj.recipientCount = deliveryState.recipientCount;
+            messageObj.deliveredCount = deliveryState.deliveredCount;
+            messageObj.readCount = deliveryState.readCount;
+            messageObj.deliveredTo = (msg.deliveredTo || []).map((receipt) => ({
+              userId: receipt.userId,
+              deliveredAt: receipt.deliveredAt,
+            }));
+          }
+          
+          // Include sender name for group chats
+          if (isGroup && senderNamesMap.has(msg.senderId)) {
+            messageObj.senderName = senderNamesMap.get(msg.senderId);
+          }
+          
+          // Include callData for call messages
+          if (msg.messageType === 'call' && msg.callData) {
+            messageObj.callData = {
+              roomId: msg.callData.roomId,
+              callId: msg.callData.callId,
+              mediaType: msg.callData.mediaType,
+              status: msg.callData.status,
+              duration: msg.callData.duration,
+              initiatorId: msg.callData.initiatorId,
+              createdAt: msg.callData.createdAt,
+              endedAt: msg.callData.endedAt,
+            };
+          }
+          
+          // Include readReceipts if available
+          if (msg.readReceipts && Array.isArray(msg.readReceipts)) {
+            messageObj.readReceipts = msg.readReceipts.filter((receipt) => isVisibleReader(receipt.userId)).map((receipt) => ({
+              userId: receipt.userId,
+              readAt: receipt.readAt,
+            }));
+          }
+          
+          // Include the quoted message for replies
+          if (msg.replyTo) {
+            messageObj.replyTo = formatReplyTo(msg.replyTo);
+          }
+          
+          // Include options, tallies and the user's own votes for polls
+          if (msg.messageType === 'poll' && msg.poll) {
+            messageObj.poll = formatPoll(msg.poll, req.userId);
+          }
+          
+          // Include coordinates (and live sharing state) for locations
+          if (msg.location) {
+            messageObj.location = formatLocation(msg.location);
+          }
+          
+          // Include shared contact cards
+          if (msg.contacts) {
+            messageObj.contacts = formatContactCards(msg.contacts);
+          }
+          
+          // Include dimensions, thumbnail and placeholder for images and videos
+          if (msg.media) {
+            messageObj.media = msg.media;
+          }
+          
+          // Why a file was replaced by a notice (malware scan)
+          if (msg.blocked) {
+            messageObj.blocked = formatBlockedFile(msg.blocked);
+          }
+          
+          // Include duration, waveform and plays for voice notes
+          if (msg.voice) {
+            messageObj.voice = formatVoice(msg.voice);
+            messageObj.playedBy = (msg.playedBy || []).filter((entry) => isVisibleReader(entry.userId)).map((entry) => ({
+              userId: entry.userId,
+              playedAt: entry.playedAt,
+            }));
+          }
+          
+          // Include editedAt and deletedAt if available
+          if (msg.editedAt) {
+            messageObj.editedAt = msg.editedAt;
+            messageObj.editCount = (msg.editHistory || []).length;
+          }
+          if (msg.deletedAt) {
+            messageObj.deletedAt = msg.deletedAt;
+          }
+          if (msg.expiresAt) {
+            messageObj.expiresAt = msg.expiresAt;
+          }
+          
+          // System messages (e.g. disappearing timer changes)
+          if (msg.messageType === 'system' && msg.systemData) {
+            messageObj.systemData = msg.systemData;
+          }
+          
+          return messageObj;
+        }),
+        total: messages.length,
+        hasMore: hasMore,
+        nextCursor: messages.length > 0 ? messages[messages.length - 1].createdAt.toISOString() : null,
+      },
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get Replies to a Message
+ * GET /api/messages/:messageId/replies
+ * Query: limit (max 100), cursor (reply ID to continue after)
+ * Works for deleted originals too - the replies keep their quoted snapshot
+ */
+router.get('/:messageId/replies', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { limit = 50, cursor } = req.query;
+
+    const mongoDb = getMongoDB();
+    const messagesCollection = mongoDb.collection('messages');
+    const chatsCollection = mongoDb.collection('chats');
+
+    const messageObjectId = new ObjectId(messageId);
+    const original = await messagesCollection.findOne({ _id: messageObjectId });
+
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
+      });
+    }
+
+    // Only participants of the chat can see its replies
+    const chat = await chatsCollection.findOne({
+      _id: original.chatId,
+      participants: req.userId,
+    });
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
+      });
+    }
+
+    const query = {
+      chatId: original.chatId,
+      replyToMessageId: messageObjectId,
+      deletedFor: { $ne: req.userId },
+    };
+
+    if (cursor) {
+      if (!ObjectId.isValid(cursor)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor',
+        });
+      }
+      query._id = { $gt: new ObjectId(cursor) };
+    }
+
+    // Oldest first, like a thread
+    const limitNum = Math.min(parseInt(limit) || 50, 100);
+    const replies = await messagesCollection
+      .find(query)
+      .sort({ _id: 1 })
+      .limit(limitNum + 1)
+      .toArray();
+
+    const hasMore = replies.length > limitNum;
+    if (hasMore) {
+      replies.pop();
+    }
+
+    const senderNamesMap = new Map();
+    const uniqueSenderIds = [...new Set(replies.map((reply) => reply.senderId))];
+    if (uniqueSenderIds.length > 0) {
+      const senderResults = await queryWithRetry(
+        'SELECT id, full_name FROM users WHERE id = ANY($1::uuid[])',
+        [uniqueSenderIds],
+        3,
+        20000
+      );
+      senderResults.rows.forEach((row) => {
+        senderNamesMap.set(row.id, row.full_name || 'Unknown');
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        messageId,
+        chatId: original.chatId.toString(),
+        replies: replies.map((reply) => ({
+          id: reply._id.toString(),
+          chatId: reply.chatId.toString(),
+          senderId: reply.senderId,
+          senderName: senderNamesMap.get(reply.senderId) || 'Unknown',
+          message: reply.message,
+          messageType: reply.messageType || 'text',
+          replyTo: formatReplyTo(reply.replyTo),
+          createdAt: reply.createdAt,
+          editedAt: reply.editedAt || null,
+          deletedAt: reply.deletedAt || null,
+        })),
+        nextCursor: hasMore ? replies[replies.length - 1]._id.toString() : null,
+        hasMore,
+      },
+    });
+  } catch (error) {
+    console.error('Get message replies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+const sendPollResult = (res, result, userId, successMessage) => {
+  if (result.error) {
+    return res.status(result.error.status).json({
+      success: false,
+      message: result.error.message,
+    });
+  }
+
+  res.json({
+    success: true,
+    message: successMessage,
+    data: {
+      messageId: result.message._id.toString(),
+      chatId: result.message.chatId.toString(),
+      poll: formatPoll(result.message.poll, userId),
+    },
+  });
+};
+
+/**
+ * Vote on Poll
+ * POST /api/messages/:messageId/poll/vote
+ * Body: { optionIds: string[] } (or { optionId }) - replaces any previous vote
+ */
+router.post('/:messageId/poll/vote', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const { optionIds, optionId } = req.body;
+    const chosen = Array.isArray(optionIds) ? optionIds : optionId !== undefined ? [optionId] : null;
+
+    if (!chosen || chosen.some((id) => typeof id !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        message: 'optionIds must be an array of option IDs',
+      });
+    }
+
+    const result = await castVote(req.userId, req.params.messageId, chosen);
+    sendPollResult(res, result, req.userId, 'Vote recorded');
+  } catch (error) {
+    console.error('Poll vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
 
-    // Determine if there are more messages
-    let hasMore = false;
-    if (messages.length === limitNum) {
-      // Check if there's at least one more message
-      const oldestMessage = messages[messages.length - 1];
-      const nextMessage = await messagesCollection
-        .findOne({
-          chatId: chatObjectId,
-          createdAt: { $lt: oldestMessage.createdAt },
-        });
-      hasMore = nextMessage !== null;
+/**
+ * Retract Poll Vote
+ * DELETE /api/messages/:messageId/poll/vote
+ */
+router.delete('/:messageId/poll/vote', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const result = await retractVote(req.userId, req.params.messageId);
+    sendPollResult(res, result, req.userId, 'Vote retracted');
+  } catch (error) {
+    console.error('Poll retract vote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Close Poll
+ * POST /api/messages/:messageId/poll/close
+ * Poll creator or group admins only; no more votes afterwards
+ */
+router.post('/:messageId/poll/close', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const result = await closePoll(req.userId, req.params.messageId);
+    sendPollResult(res, result, req.userId, 'Poll closed');
+  } catch (error) {
+    console.error('Close poll error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Stop Live Location
+ * POST /api/messages/:messageId/live-location/stop
+ * Sender only; updates are streamed over the socket (live_location_update)
+ */
+router.post('/:messageId/live-location/stop', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const result = await stopLiveLocation(req.userId, req.params.messageId);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message,
+      });
     }
 
-    // For group chats, get sender names for all unique senders
-    const senderNamesMap = new Map();
-    if (isGroup) {
-      const uniqueSenderIds = [...new Set(messages.map(msg => msg.senderId))];
-      if (uniqueSenderIds.length > 0) {
-        const senderResults = await queryWithRetry(
-          `SELECT id, full_name FROM users WHERE id = ANY($1::uuid[])`,
-          [uniqueSenderIds],
-          3,
-          20000
-        );
-        senderResults.rows.forEach(row => {
-          senderNamesMap.set(row.id, row.full_name || 'Unknown');
-        });
-      }
+    res.json({
+      success: true,
+      message: 'Live location sharing stopped',
+      data: {
+        messageId: result.message._id.toString(),
+        chatId: result.message.chatId.toString(),
+        location: formatLocation(result.message.location),
+      },
+    });
+  } catch (error) {
+    console.error('Stop live location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Mark Voice Message as Played
+ * POST /api/messages/:messageId/played
+ * Recipients only; tracked separately from read receipts
+ */
+router.post('/:messageId/played', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const result = await markVoicePlayed(req.userId, req.params.messageId);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message,
+      });
     }
 
     res.json({
       success: true,
+      message: result.alreadyPlayed ? 'Voice message already played' : 'Voice message marked as played',
       data: {
-        messages: messages.map((msg) => {
-          // BUG FIX #19: Determine message status based on readBy array
-          // Fixed logic to properly handle groups
-          let status = 'sent';
-          const readBy = msg.readBy || [];
-          const isFromCurrentUser = msg.senderId === req.userId;
-          
-          if (isGroup) {
-            // For groups: status is 'read' if at least one other participant has read it
-            const otherParticipantsWhoRead = readBy.filter(id => id !== msg.senderId && otherParticipants.includes(id));
-            if (otherParticipantsWhoRead.length > 0) {
-              status = 'read';
-            } else if (readBy.length > 1 || (readBy.length === 1 && readBy[0] !== msg.senderId)) {
-              status = 'delivered';
-            }
-          } else {
-            // For direct chats: status is 'read' if the other participant has read it
-            if (readBy.length > 1) {
-              status = 'read';
-            } else if (readBy.length === 1 && readBy[0] !== msg.senderId) {
-              status = 'delivered';
-            }
-          }
-          
-          const messageObj = {
-            id: msg._id.toString(),
-            chatId: msg.chatId.toString(),
-            senderId: msg.senderId,
-            message: msg.message,
-            messageType: msg.messageType || 'text',
-            readBy: readBy,
-            status: status,
-            createdAt: msg.createdAt,
-          };
-          
-          // Include sender name for group chats
-          if (isGroup && senderNamesMap.has(msg.senderId)) {
-            messageObj.senderName = senderNamesMap.get(msg.senderId);
-          }
-          
-          // Include callData for call messages
-          if (msg.messageType === 'call' && msg.callData) {
-            messageObj.callData = {
-              roomId: msg.callData.roomId,
-              callId: msg.callData.callId,
-              mediaType: msg.callData.mediaType,
-              status: msg.callData.status,
-              duration: msg.callData.duration,
-              initiatorId: msg.callData.initiatorId,
-              createdAt: msg.callData.createdAt,
-              endedAt: msg.callData.endedAt,
-            };
-          }
-          
-          // Include readReceipts if available
-          if (msg.readReceipts && Array.isArray(msg.readReceipts)) {
-            messageObj.readReceipts = msg.readReceipts.map((receipt) => ({
-              userId: receipt.userId,
-              readAt: receipt.readAt,
-            }));
-          }
-          
-          // Include editedAt and deletedAt if available
-          if (msg.editedAt) {
-            messageObj.editedAt = msg.editedAt;
-          }
-          if (msg.deletedAt) {
-            messageObj.deletedAt = msg.deletedAt;
-          }
-          
-          return messageObj;
-        }),
-        total: messages.length,
-        hasMore: hasMore,
-        nextCursor: messages.length > 0 ? messages[messages.length - 1].createdAt.toISOString() : null,
+        messageId: req.params.messageId,
+        playedAt: result.playedAt,
       },
     });
   } catch (error) {
-    console.error('Get messages error:', error);
+    console.error('Mark voice played error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -871,6 +1276,7 @@ router.get('/typing/:chatId', verifyToken, async (req, res) => {
 /**
  * Edit Message
  * PUT /api/messages/:messageId
+ * The previous version is kept in editHistory; mentions are re-parsed
  * 
  * Fixed bugs:
  * - #28: Validate message ID format early
@@ -908,64 +1314,209 @@ router.put('/:messageId', verifyToken, validateMessageId, validateMessage, async
       });
     }
 
-    // Check if message can be edited (within 15 minutes)
+    // Check if message can still be edited (MESSAGE_EDIT_WINDOW_SECONDS)
     const messageAge = Date.now() - existingMessage.createdAt.getTime();
-    const fifteenMinutes = 15 * 60 * 1000;
-    if (messageAge > fifteenMinutes) {
+    if (MESSAGE_EDIT_WINDOW_SECONDS > 0 && messageAge > MESSAGE_EDIT_WINDOW_SECONDS * 1000) {
+      const windowMinutes = Math.round(MESSAGE_EDIT_WINDOW_SECONDS / 60);
+      return res.status(400).json({
+        success: false,
+        message: windowMinutes >= 1
+          ? `Message can only be edited within ${windowMinutes} minute${windowMinutes === 1 ? '' : 's'}`
+          : `Message can only be edited within ${MESSAGE_EDIT_WINDOW_SECONDS} seconds`,
+      });
+    }
+
+    // Check if message is already deleted
+    if (existingMessage.deletedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot edit deleted message',
+      });
+    }
+
+    // Editing a poll's question would change what people voted on
+    if (existingMessage.messageType === 'poll') {
+      return res.status(400).json({
+        success: false,
+        message: "Polls can't be edited",
+      });
+    }
+
+    if (LOCATION_MESSAGE_TYPES.includes(existingMessage.messageType)) {
+      return res.status(400).json({
+        success: false,
+        message: "Locations can't be edited",
+      });
+    }
+
+    if (existingMessage.messageType === 'contact') {
+      return res.status(400).json({
+        success: false,
+        message: "Contact cards can't be edited",
+      });
+    }
+
+    // The message of a media message is its file URL - only the server sets it
+    if (MEDIA_MESSAGE_TYPES.includes(existingMessage.messageType)) {
       return res.status(400).json({
         success: false,
-        message: 'Message can only be edited within 15 minutes',
+        message: "Media messages can't be edited",
+      });
+    }
+
+    // Re-parse mentions so added/removed mentions are reflected
+    let mentions = existingMessage.mentions || [];
+    const chat = await mongoDb.collection('chats').findOne({ _id: existingMessage.chatId });
+    if (chat?.type === 'group' && (existingMessage.messageType || 'text') === 'text') {
+      const { parseMentions } = await import('../utils/mentions.utils.js');
+      const participantResults = await queryWithRetry(
+        'SELECT id, full_name FROM users WHERE id = ANY($1::uuid[])',
+        [chat.participants],
+        3,
+        20000
+      );
+      mentions = parseMentions(
+        message.trim(),
+        participantResults.rows.map((row) => ({ id: row.id, fullName: row.full_name }))
+      );
+    }
+
+    // Update message, keeping the version being replaced
+    // Matching on editedAt makes concurrent edits fail instead of losing a version
+    const now = new Date();
+    const updatedMessage = await messagesCollection.findOneAndUpdate(
+      { _id: messageObjectId, editedAt: existingMessage.editedAt ?? null },
+      {
+        $set: {
+          message: message.trim(),
+          mentions: mentions,
+          editedAt: now,
+          updatedAt: now,
+        },
+        $push: {
+          editHistory: {
+            message: existingMessage.message,
+            mentions: existingMessage.mentions || [],
+            createdAt: existingMessage.editedAt || existingMessage.createdAt, // When this version was written
+            replacedAt: now,
+          },
+        },
+      },
+      { returnDocument: 'after', includeResultMetadata: true }
+    );
+
+    if (!updatedMessage.value) {
+      return res.status(409).json({
+        success: false,
+        message: 'Message was changed by another edit, please retry',
+      });
+    }
+
+    // Emit message update via Socket.IO
+    const { getSocketIO } = await import('../socket/socket.server.js');
+    const socketIO = getSocketIO();
+    socketIO.to(`chat:${updatedMessage.value.chatId.toString()}`).emit('message_updated', {
+      messageId: messageId,
+      message: message.trim(),
+      mentions: updatedMessage.value.mentions,
+      editedAt: updatedMessage.value.editedAt,
+      editCount: updatedMessage.value.editHistory.length,
+    });
+
+    res.json({
+      success: true,
+      message: 'Message edited successfully',
+      data: {
+        id: updatedMessage.value._id.toString(),
+        message: updatedMessage.value.message,
+        mentions: updatedMessage.value.mentions,
+        editedAt: updatedMessage.value.editedAt,
+        editCount: updatedMessage.value.editHistory.length,
+      },
+    });
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get Message Edit History
+ * GET /api/messages/:messageId/history
+ * Returns every version of the message, oldest first, ending with the current one
+ */
+router.get('/:messageId/history', verifyToken, validateMessageId, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    const mongoDb = getMongoDB();
+    const message = await mongoDb.collection('messages').findOne({
+      _id: new ObjectId(messageId),
+      deletedFor: { $ne: req.userId },
+    });
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
+      });
+    }
+
+    // Only participants of the chat can see the history
+    const chat = await mongoDb.collection('chats').findOne({
+      _id: message.chatId,
+      participants: req.userId,
+    });
+
+    if (!chat) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
       });
     }
 
-    // Check if message is already deleted
-    if (existingMessage.deletedAt) {
-      return res.status(400).json({
+    // Deleting for everyone removes earlier versions too
+    if (message.deletedAt) {
+      return res.status(410).json({
         success: false,
-        message: 'Cannot edit deleted message',
+        message: 'Message was deleted',
       });
     }
 
-    // Update message
-    const updatedMessage = await messagesCollection.findOneAndUpdate(
-      { _id: messageObjectId },
+    const versions = [
+      ...(message.editHistory || []).map((version) => ({
+        message: version.message,
+        mentions: version.mentions || [],
+        createdAt: version.createdAt,
+        replacedAt: version.replacedAt,
+        isCurrent: false,
+      })),
       {
-        $set: {
-          message: message.trim(),
-          editedAt: new Date(),
-          updatedAt: new Date(),
-        },
+        message: message.message,
+        mentions: message.mentions || [],
+        createdAt: message.editedAt || message.createdAt,
+        replacedAt: null,
+        isCurrent: true,
       },
-      { returnDocument: 'after' }
-    );
-
-    if (!updatedMessage.value) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to update message',
-      });
-    }
-
-    // Emit message update via Socket.IO
-    const { getSocketIO } = await import('../socket/socket.server.js');
-    const socketIO = getSocketIO();
-    socketIO.to(`chat:${updatedMessage.value.chatId.toString()}`).emit('message_updated', {
-      messageId: messageId,
-      message: message.trim(),
-      editedAt: updatedMessage.value.editedAt,
-    });
+    ];
 
     res.json({
       success: true,
-      message: 'Message edited successfully',
       data: {
-        id: updatedMessage.value._id.toString(),
-        message: updatedMessage.value.message,
-        editedAt: updatedMessage.value.editedAt,
+        messageId,
+        chatId: message.chatId.toString(),
+        senderId: message.senderId,
+        editedAt: message.editedAt || null,
+        editCount: versions.length - 1,
+        versions,
       },
     });
   } catch (error) {
-    console.error('Edit message error:', error);
+    console.error('Get message history error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -1054,11 +1605,19 @@ router.delete('/:messageId', verifyToken, validateMessageId, async (req, res) =>
           $set: {
             deletedAt: new Date(),
             message: 'This message was deleted',
+            editHistory: [],
             updatedAt: new Date(),
           },
         }
       );
 
+      // The file goes with its last message (forwarded copies keep it)
+      try {
+        await releaseMessageMedia(existingMessage);
+      } catch (error) {
+        console.error('Error releasing file of deleted message:', error);
+      }
+
       // BUG FIX #15: Update unread count when message is deleted
       // If message was unread by other participants, decrement their unread count
       const chat = await chatsCollection.findOne({ _id: existingMessage.chatId });
@@ -1176,6 +1735,27 @@ router.post('/:messageId/forward', verifyToken, async (req, res) => {
       });
     }
 
+    if (originalMessage.messageType === 'poll') {
+      return res.status(400).json({
+        success: false,
+        message: "Polls can't be forwarded",
+      });
+    }
+
+    if (originalMessage.messageType === 'live_location') {
+      return res.status(400).json({
+        success: false,
+        message: "Live locations can't be forwarded",
+      });
+    }
+
+    if (originalMessage.messageType === 'blocked') {
+      return res.status(400).json({
+        success: false,
+        message: "Blocked files can't be forwarded",
+      });
+    }
+
     const forwardedMessages = [];
     const errors = [];
 
@@ -1227,12 +1807,23 @@ router.post('/:messageId/forward', verifyToken, async (req, res) => {
           forwardedFromChatName = forwardedFromSenderName;
         }
 
+        // The copy shares the original's file
+        const fileSha256 = originalMessage.fileSha256 && (await acquireMediaFile(originalMessage.fileSha256))
+          ? originalMessage.fileSha256
+          : null;
+
         // Create forwarded message
         const forwardedMessage = {
           chatId: targetChatObjectId,
           senderId: req.userId,
           message: originalMessage.message,
           messageType: originalMessage.messageType,
+          location: originalMessage.location || null,
+          contacts: originalMessage.contacts || null,
+          voice: originalMessage.voice || null,
+          playedBy: [],
+          media: originalMessage.media || null,
+          fileSha256,
           forwardedFrom: {
             messageId: messageId,
             chatId: originalMessage.chatId.toString(),
@@ -1247,6 +1838,8 @@ router.post('/:messageId/forward', verifyToken, async (req, res) => {
               readAt: new Date(),
             },
           ],
+          deliveredTo: [],
+          expiresAt: getMessageExpiry(targetChat),
           editedAt: null,
           deletedAt: null,
           createdAt: new Date(),
@@ -1267,6 +1860,7 @@ router.post('/:messageId/forward', verifyToken, async (req, res) => {
               lastMessage: originalMessage.messageType === 'image' ? '📷 Photo' :
                           originalMessage.messageType === 'video' ? '🎥 Video' :
                           originalMessage.messageType === 'audio' ? '🎤 Audio' :
+                          originalMessage.messageType === 'voice' ? '🎤 Voice message' :
                           originalMessage.messageType === 'document' ? '📄 Document' :
                           originalMessage.messageType === 'call' ? '📞 Call' :
                           originalMessage.message,
@@ -1294,6 +1888,10 @@ router.post('/:messageId/forward', verifyToken, async (req, res) => {
           message: forwardedMessage.message,
           messageType: forwardedMessage.messageType,
           forwardedFrom: forwardedMessage.forwardedFrom,
+          location: forwardedMessage.location ? formatLocation(forwardedMessage.location) : null,
+          contacts: forwardedMessage.contacts ? formatContactCards(forwardedMessage.contacts) : null,
+          voice: forwardedMessage.voice ? formatVoice(forwardedMessage.voice) : null,
+          media: forwardedMessage.media,
           readBy: [req.userId],
           status: 'sent',
           createdAt: forwardedMessage.createdAt.toISOString(),
@@ -1328,6 +1926,7 @@ router.post('/:messageId/forward', verifyToken, async (req, res) => {
             archivedBy: targetChat.archivedBy || [],
             pinnedBy: targetChat.pinnedBy || [],
             mutedBy: targetChat.mutedBy || [],
+            disappearingTimer: getTimerLabel(targetChat.disappearingTimer),
           };
           
           if (isTargetGroup) {
@@ -1370,13 +1969,18 @@ router.post('/:messageId/forward', verifyToken, async (req, res) => {
  * Upload File and Send as Message
  * POST /api/messages/upload
  * Accepts multipart/form-data with 'file' field
+ * messageType 'voice' (WAV, Ogg/Opus or M4A) adds duration and waveform
+ * Images and videos get `media` (dimensions, thumbnail, blurhash); videos may
+ * include a poster frame image in the 'thumbnail' field
+ * Instead of 'file', `sha256` (+ optional `filename`) sends a file the server
+ * already has - see POST /api/media/lookup
  * 
  * Fixed bugs:
  * - #14: Rate limiting for uploads
  * - #9: File cleanup on error
  */
 router.post('/upload', verifyToken, uploadRateLimit, (req, res, next) => {
-  uploadMessageFile(req, res, (err) => {
+  uploadMessageFileWithThumbnail(req, res, (err) => {
     // Handle multer errors
     if (err) {
       if (err instanceof multer.MulterError) {
@@ -1401,339 +2005,292 @@ router.post('/upload', verifyToken, uploadRateLimit, (req, res, next) => {
   });
 }, async (req, res) => {
   try {
-    const { chatId, messageType = 'file', recipientId } = req.body;
+    const { chatId, messageType = 'file', recipientId, sha256, filename } = req.body;
 
-    if (!req.file) {
+    if (!req.file && !sha256) {
       return res.status(400).json({
         success: false,
         message: 'No file uploaded',
       });
     }
 
-    if (!chatId && !recipientId) {
-      // BUG FIX #9: Delete uploaded file if validation fails
-      if (req.file?.filename) {
-        try {
-          deleteFile(req.file.filename);
-        } catch (error) {
-          console.error('Error deleting file on validation failure:', error);
-        }
-      }
+    if (!req.file && !SHA256_PATTERN.test(sha256)) {
       return res.status(400).json({
         success: false,
-        message: 'Either chatId or recipientId is required',
+        message: 'sha256 must be a lowercase hex SHA-256 digest',
       });
     }
 
-    const mongoDb = getMongoDB();
-    const chatsCollection = mongoDb.collection('chats');
-    const messagesCollection = mongoDb.collection('messages');
-
-    let chat;
-    let chatObjectId;
+    const result = await sendFileMessage({
+      senderId: req.userId,
+      file: req.file,
+      sha256: req.file ? undefined : sha256,
+      filename,
+      thumbnailFile: req.thumbnailFile,
+      chatId,
+      recipientId,
+      messageType,
+    });
 
-    // If chatId is provided, verify it exists
-    if (chatId) {
-      try {
-        chatObjectId = new ObjectId(chatId);
-        chat = await chatsCollection.findOne({
-          _id: chatObjectId,
-          participants: req.userId,
-        });
-      } catch (error) {
-        // Invalid chatId, will create new chat if recipientId provided
-        chat = null;
-      }
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message,
+      });
     }
 
-    // If chat doesn't exist but recipientId is provided, create new chat
-    if (!chat && recipientId && recipientId !== req.userId) {
-      // Verify recipient exists
-      const recipientResult = await queryWithRetry(
-        'SELECT id FROM users WHERE id = $1',
-        [recipientId],
-        3,
-        20000
-      );
-
-      if (recipientResult.rows.length === 0) {
-        // BUG FIX #9: Delete uploaded file if recipient not found
-        if (req.file?.filename) {
-          try {
-            deleteFile(req.file.filename);
-          } catch (error) {
-            console.error('Error deleting file on recipient not found:', error);
-          }
-        }
-        return res.status(404).json({
-          success: false,
-          message: 'Recipient not found',
-        });
-      }
+    res.status(201).json({
+      success: true,
+      message: result.messageData.blocked
+        ? 'File blocked: it may contain malware'
+        : 'File uploaded and sent successfully',
+      data: result.messageData,
+    });
+  } catch (error) {
+    // sendFileMessage already deleted the file
+    console.error('Upload file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
 
-      // Check if chat already exists between these users
-      const existingChat = await chatsCollection.findOne({
-        participants: { $all: [req.userId, recipientId] },
-        type: 'direct',
+// Multer errors for the video poster of a completed resumable upload
+const handlePosterUpload = (req, res, next) => {
+  uploadVideoPoster(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'File too large. Maximum size is 50MB.' : err.message || 'File upload error',
       });
+    }
+    next();
+  });
+};
 
-      if (existingChat) {
-        chat = existingChat;
-        chatObjectId = existingChat._id;
-      } else {
-        // Create new chat with enhanced schema
-        const newChat = {
-          participants: [req.userId, recipientId],
-          type: 'direct',
-          lastMessage: null,
-          lastMessageAt: new Date(),
-          archivedBy: [],
-          pinnedBy: [],
-          mutedBy: [],
-          createdAt: new Date(),
-          updatedAt: new Date(),
-        };
-
-        const chatResult = await chatsCollection.insertOne(newChat);
-        chat = { ...newChat, _id: chatResult.insertedId };
-        chatObjectId = chatResult.insertedId;
+// Chunk bytes, whatever the Content-Type
+const parseChunk = express.raw({ type: () => true, limit: UPLOAD_CHUNK_SIZE });
 
-        // Automatically add recipient to contacts
-        const { autoAddContact } = await import('../utils/contacts.utils.js');
-        await autoAddContact(req.userId, recipientId);
-      }
+const readUploadChunk = (req, res, next) => {
+  parseChunk(req, res, (err) => {
+    if (err) {
+      return res.status(err.status || 400).json({
+        success: false,
+        message: err.type === 'entity.too.large'
+          ? `Chunk too large. Maximum size is ${UPLOAD_CHUNK_SIZE} bytes.`
+          : 'Could not read chunk',
+      });
     }
+    next();
+  });
+};
 
-    if (!chat) {
-      // BUG FIX #9: Delete uploaded file if chat not found
-      if (req.file?.filename) {
-        try {
-          deleteFile(req.file.filename);
-        } catch (error) {
-          console.error('Error deleting file on chat not found:', error);
-        }
-      }
-      return res.status(404).json({
+/**
+ * Start Resumable Upload
+ * POST /api/messages/uploads
+ * Body: { filename, size, mimeType?, messageType? ('file'), sha256? (base64, whole file) }
+ * For files too large or connections too flaky for POST /api/messages/upload.
+ * Send the chunks with PATCH /api/messages/uploads/:uploadId, then complete it.
+ */
+router.post('/uploads', verifyToken, uploadRateLimit, async (req, res) => {
+  try {
+    const { filename, size, mimeType, messageType, sha256 } = req.body;
+
+    const result = await createUploadSession(req.userId, {
+      filename,
+      size: Number(size),
+      mimeType,
+      messageType,
+      sha256,
+    });
+
+    if (result.error) {
+      return res.status(result.error.status).json({
         success: false,
-        message: 'Chat not found and recipient not specified',
+        message: result.error.message,
       });
     }
 
-    if (!chatObjectId) {
-      chatObjectId = chat._id;
-    }
+    res.status(201).json({
+      success: true,
+      message: 'Upload started',
+      data: formatUploadSession(result.session),
+    });
+  } catch (error) {
+    console.error('Start upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
 
-    // For direct chats, auto-add to contacts
-    if (chat.type === 'direct') {
-      const otherParticipantId = chat.participants.find(id => id !== req.userId);
-      if (otherParticipantId) {
-        // Automatically add to contacts if not already there
-        const { autoAddContact } = await import('../utils/contacts.utils.js');
-        await autoAddContact(req.userId, otherParticipantId);
-      }
-    }
+/**
+ * Get Resumable Upload
+ * GET /api/messages/uploads/:uploadId
+ * `offset` is where the next chunk starts (also sent as the Upload-Offset header)
+ */
+router.get('/uploads/:uploadId', verifyToken, async (req, res) => {
+  try {
+    const result = await getUploadSession(req.userId, req.params.uploadId);
 
-    // Generate file URL
-    const fileUrl = getFileUrl(req, req.file.filename);
-
-    // Determine message type based on file extension if not provided
-    let actualMessageType = messageType;
-    if (messageType === 'file') {
-      const ext = req.file.originalname.split('.').pop()?.toLowerCase();
-      if (['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(ext || '')) {
-        actualMessageType = 'image';
-      } else if (['mp4', 'mov', 'avi', 'mkv', 'webm'].includes(ext || '')) {
-        actualMessageType = 'video';
-      } else if (['mp3', 'wav', 'm4a', 'aac', 'ogg'].includes(ext || '')) {
-        actualMessageType = 'audio';
-      } else if (['pdf', 'doc', 'docx', 'txt', 'xls', 'xlsx', 'ppt', 'pptx'].includes(ext || '')) {
-        actualMessageType = 'document';
-      }
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message,
+      });
     }
 
-    // Create message with file URL and enhanced schema
-    const newMessage = {
-      chatId: chatObjectId,
-      senderId: req.userId,
-      message: fileUrl, // Store file URL as message content
-      messageType: actualMessageType,
-      readBy: [req.userId], // Sender has read it
-      readReceipts: [
-        {
-          userId: req.userId,
-          readAt: new Date(),
-        },
-      ],
-      editedAt: null,
-      deletedAt: null,
-      createdAt: new Date(),
-      updatedAt: new Date(),
-    };
+    res.set('Upload-Offset', String(result.session.offset));
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: formatUploadSession(result.session),
+    });
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
 
-    const messageResult = await messagesCollection.insertOne(newMessage);
+/**
+ * Upload Chunk
+ * PATCH /api/messages/uploads/:uploadId
+ * Content-Type: application/offset+octet-stream, body: the chunk bytes (at most chunkSize)
+ * Headers: Upload-Offset (must equal the upload's offset),
+ *          Upload-Checksum: sha256 <base64 digest of the chunk>
+ * A 409 carries the offset to resume from.
+ */
+router.patch('/uploads/:uploadId', verifyToken, readUploadChunk, async (req, res) => {
+  try {
+    const offset = Number(req.get('Upload-Offset'));
+    const checksum = parseUploadChecksum(req.get('Upload-Checksum'));
 
-    // Update last_seen when user sends a message
-    try {
-      await queryWithRetry(
-        "UPDATE users SET last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $1",
-        [req.userId],
-        3,
-        20000
-      );
-    } catch (error) {
-      console.error('Error updating last_seen on message send:', error);
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload-Offset header is required',
+      });
     }
 
-    // Update chat's last message
-    await chatsCollection.updateOne(
-      { _id: chatObjectId },
-      {
-        $set: {
-          lastMessage: actualMessageType === 'image' ? '📷 Photo' : 
-                      actualMessageType === 'video' ? '🎥 Video' :
-                      actualMessageType === 'audio' ? '🎤 Audio' :
-                      actualMessageType === 'document' ? '📄 Document' : '📎 File',
-          lastMessageType: actualMessageType,
-          lastMessageAt: new Date(),
-          updatedAt: new Date(),
-        },
-      }
-    );
-
-    // Increment unread count for other participants (all except sender)
-    // NOTE: Call messages should NOT increment unread count as they're system messages
-    // that both participants can see. They're already marked as read in createCallHistoryMessage.
-    // BUG FIX #1: Use safe Redis operations to prevent race conditions
-    if (actualMessageType !== 'call') {
-      const otherParticipants = chat.participants.filter((id) => id !== req.userId);
-      await Promise.all(
-        otherParticipants.map(participantId => 
-          incrementUnreadCount(participantId, chatObjectId.toString(), 1)
-        )
-      );
+    if (!checksum) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload-Checksum header is required (sha256 <base64 digest>)',
+      });
     }
 
-    const chatIdString = chatObjectId.toString();
+    const result = await appendUploadChunk(req.userId, req.params.uploadId, {
+      offset,
+      checksum,
+      data: req.body,
+    });
 
-    // Get sender name for group chats
-    let senderName = null;
-    if (chat.type === 'group') {
-      const senderResult = await queryWithRetry(
-        `SELECT full_name FROM users WHERE id = $1`,
-        [req.userId],
-        3,
-        20000
-      );
-      if (senderResult.rows.length > 0) {
-        senderName = senderResult.rows[0].full_name || null;
+    if (result.error) {
+      if (result.error.offset !== undefined) {
+        res.set('Upload-Offset', String(result.error.offset));
       }
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message,
+        ...(result.error.offset !== undefined ? { data: { offset: result.error.offset } } : {}),
+      });
     }
 
-    // Prepare message data for Socket.IO
-    const messageData = {
-      id: messageResult.insertedId.toString(),
-      chatId: chatIdString,
-      senderId: req.userId,
-      message: fileUrl,
-      messageType: actualMessageType,
-      readBy: [req.userId],
-      status: 'sent',
-      createdAt: newMessage.createdAt.toISOString(),
-    };
-    
-    // Include sender name for group chats
-    if (senderName) {
-      messageData.senderName = senderName;
-    }
+    res.set('Upload-Offset', String(result.session.offset));
+    res.json({
+      success: true,
+      message: 'Chunk uploaded',
+      data: formatUploadSession(result.session),
+    });
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
 
-    // Emit new message via Socket.IO for real-time delivery
-    emitNewMessage(chatIdString, messageData);
+/**
+ * Complete Resumable Upload
+ * POST /api/messages/uploads/:uploadId/complete
+ * Body (JSON or multipart/form-data): { chatId } or { recipientId }; videos may
+ * include a poster frame image in the 'thumbnail' field
+ * Sends the file as a message, with the same response as POST /api/messages/upload.
+ * Retrying a completed upload returns its messageId instead of sending it again.
+ */
+router.post('/uploads/:uploadId/complete', verifyToken, uploadRateLimit, handlePosterUpload, async (req, res) => {
+  try {
+    const { chatId, recipientId } = req.body;
 
-    // Emit chat update to all participants
-    const lastMessageAt = new Date();
-    const redisClient = getRedisClient();
-    const isGroup = chat.type === 'group';
-    
-    const senderUserResult = await queryWithRetry(
-      "SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, is_online, to_char(last_seen AT TIME ZONE 'UTC', 'YYYY-MM-DD\"T\"HH24:MI:SS.MS\"Z\"') as last_seen, timezone FROM users WHERE id = $1",
-      [req.userId],
-      3,
-      20000
-    );
-    const senderUser = senderUserResult.rows[0];
-    const senderPresenceData = getUserPresenceData(senderUser);
+    const result = await completeUpload(req.userId, req.params.uploadId, {
+      chatId,
+      recipientId,
+      thumbnailFile: req.file,
+    });
 
-    const lastMessageText = actualMessageType === 'image' ? '📷 Photo' : 
-                            actualMessageType === 'video' ? '🎥 Video' :
-                            actualMessageType === 'audio' ? '🎤 Audio' :
-                            actualMessageType === 'document' ? '📄 Document' : '📎 File';
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message,
+      });
+    }
 
-    // Emit chat update to all participants
-    for (const participantId of chat.participants) {
-      const participantUnreadCount = await redisClient.get(`unread:${participantId}:${chatObjectId}`) || '0';
-      
-      const chatUpdateData = {
-        chatId: chatIdString,
-        type: chat.type || 'direct',
-        lastMessage: lastMessageText,
-        lastMessageType: actualMessageType,
-        lastMessageAt: lastMessageAt.toISOString(),
-        unreadCount: parseInt(participantUnreadCount),
-        isNewChat: !chatId,
-        archivedBy: chat.archivedBy || [],
-        pinnedBy: chat.pinnedBy || [],
-        mutedBy: chat.mutedBy || [],
-      };
-      
-      // For direct chats, include otherUser info
-      // For groups, include groupInfo
-      if (isGroup) {
-        chatUpdateData.groupInfo = {
-          groupName: chat.groupName,
-          groupDescription: chat.groupDescription,
-          groupPictureUrl: chat.groupPictureUrl,
-          participantCount: chat.participants.length,
-          admins: chat.admins || [],
-          createdBy: chat.createdBy,
-        };
-      } else if (participantId !== req.userId) {
-        // For direct chats, include sender's presence data for the other participant
-        chatUpdateData.otherUser = senderPresenceData;
-        
-        // Broadcast presence update to receiver IMMEDIATELY with fresh data
-        const { getSocketIO } = await import('../socket/socket.server.js');
-        const socketIO = getSocketIO();
-        if (senderPresenceData) {
-          socketIO.to(`user:${participantId}`).emit('presence_update', {
-            userId: req.userId,
-            isOnline: senderPresenceData.isOnline,
-            lastSeen: senderPresenceData.lastSeen,
-            fullName: senderPresenceData.fullName,
-            profilePictureUrl: senderPresenceData.profilePictureUrl,
-          });
-        }
-      }
-      
-      emitChatUpdate(participantId, chatUpdateData);
+    if (!result.messageData) {
+      return res.json({
+        success: true,
+        message: 'Upload already completed',
+        data: formatUploadSession(result.session),
+      });
     }
 
     res.status(201).json({
       success: true,
-      message: 'File uploaded and sent successfully',
-      data: messageData,
+      message: result.messageData.blocked
+        ? 'File blocked: it may contain malware'
+        : 'File uploaded and sent successfully',
+      data: result.messageData,
     });
   } catch (error) {
-    console.error('Upload file error:', error);
-    
-    // BUG FIX #9: Delete uploaded file if processing failed
-    if (req.file?.filename) {
-      try {
-        deleteFile(req.file.filename);
-      } catch (deleteError) {
-        console.error('Error deleting file on upload error:', deleteError);
-      }
+    console.error('Complete upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Cancel Resumable Upload
+ * DELETE /api/messages/uploads/:uploadId
+ */
+router.delete('/uploads/:uploadId', verifyToken, async (req, res) => {
+  try {
+    const result = await abortUpload(req.userId, req.params.uploadId);
+
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message,
+      });
     }
-    
+
+    res.json({
+      success: true,
+      message: 'Upload cancelled',
+    });
+  } catch (error) {
+    console.error('Cancel upload error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -1,12 +1,15 @@
 import express from 'express';
 import postgresPool from '../config/postgres.config.js';
 import { verifyToken } from './auth.routes.js';
-import { uploadSingle, getFileUrl, deleteFile } from '../middleware/upload.middleware.js';
+import { uploadSingle, getFileUrl, deleteFile, storeUploadedFile } from '../middleware/upload.middleware.js';
 import { getMongoDB } from '../config/mongodb.config.js';
 import { ObjectId } from 'mongodb';
 import multer from 'multer';
-import { getUserPresenceData } from '../utils/presence.utils.js';
+import { getPresenceForViewer } from '../services/privacy.service.js';
 import { logActivity } from '../services/analytics.service.js';
+import { scanUploads } from '../services/upload-security.service.js';
+import { isUploadedFileUrl, getMediaFilename } from '../services/media.service.js';
+import { MEDIA_MESSAGE_TYPES } from '../services/location.service.js';
 
 const router = express.Router();
 
@@ -67,6 +70,14 @@ router.put('/', verifyToken, async (req, res) => {
   try {
     const { fullName, bio, profilePictureUrl } = req.body;
 
+    // Uploaded pictures only come from POST /api/profile/picture (the current one may be sent back)
+    if (isUploadedFileUrl(profilePictureUrl) && !getMediaFilename(profilePictureUrl)?.startsWith(`profile-${req.userId}-`)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload profile pictures with POST /api/profile/picture',
+      });
+    }
+
     // Build update query dynamically
     const updates = [];
     const values = [];
@@ -180,13 +191,24 @@ router.post('/picture', verifyToken, (req, res, next) => {
       });
     }
 
+    // Infected pictures are quarantined
+    const scan = await scanUploads([req.file], { uploaderId: req.userId, source: 'profile' });
+    if (scan.error || scan.infected) {
+      await deleteFile(req.file.filename);
+      return res.status(scan.error ? scan.error.status : 422).json({
+        success: false,
+        message: scan.error ? scan.error.message : 'File blocked: it may contain malware',
+      });
+    }
+
     // Get current user to delete old picture
     const currentUser = await postgresPool.query(
       'SELECT profile_picture_url FROM users WHERE id = $1',
       [req.userId]
     );
 
-    // Generate file URL
+    // Move the picture into storage and generate its URL
+    await storeUploadedFile(req.file);
     const fileUrl = getFileUrl(req, req.file.filename);
 
     // Update database with new picture URL
@@ -203,8 +225,9 @@ router.post('/picture', verifyToken, (req, res, next) => {
       const oldUrl = currentUser.rows[0].profile_picture_url;
       // Extract filename from URL
       const oldFilename = oldUrl.split('/').pop();
-      if (oldFilename && oldFilename.startsWith('profile-')) {
-        deleteFile(oldFilename);
+      // Only the user's own uploads - older values may point at anyone's file
+      if (oldFilename && oldFilename.startsWith(`profile-${req.userId}-`)) {
+        await deleteFile(oldFilename);
       }
     }
 
@@ -220,7 +243,11 @@ router.post('/picture', verifyToken, (req, res, next) => {
     
     // Delete uploaded file if database update failed
     if (req.file) {
-      deleteFile(req.file.filename);
+      try {
+        await deleteFile(req.file.filename);
+      } catch (deleteError) {
+        console.error('Error deleting profile picture on upload error:', deleteError);
+      }
     }
 
     res.status(500).json({
@@ -269,7 +296,8 @@ router.get('/user/:userId', verifyToken, async (req, res) => {
     }
 
     const user = result.rows[0];
-    const userPresenceData = getUserPresenceData(user);
+    // Last seen / online / photo as allowed by the user's privacy settings
+    const userPresenceData = (await getPresenceForViewer(req.userId, [user])).get(user.id);
 
     res.json({
       success: true,
@@ -279,7 +307,7 @@ router.get('/user/:userId', verifyToken, async (req, res) => {
         phoneNumber: user.phone_number,
         countryCode: user.country_code,
         bio: user.bio,
-        profilePictureUrl: user.profile_picture_url,
+        profilePictureUrl: userPresenceData.profilePictureUrl,
         isOnline: userPresenceData.isOnline,
         lastSeen: userPresenceData.lastSeen,
         timezone: user.timezone,
@@ -369,12 +397,12 @@ router.get('/media', verifyToken, async (req, res) => {
       });
     }
 
-    // Get all media messages (image, video, file, document, audio types)
+    // Get all media messages (image, video, file, document, audio, voice types)
     const mediaMessages = await messagesCollection
       .find({
         chatId: { $in: chatIds },
         ...senderFilter,
-        messageType: { $in: ['image', 'video', 'file', 'document', 'audio'] },
+        messageType: { $in: MEDIA_MESSAGE_TYPES },
       })
       .sort({ createdAt: -1 })
       .limit(100) // Limit to recent 100 media items
@@ -386,6 +414,7 @@ router.get('/media', verifyToken, async (req, res) => {
       chatId: msg.chatId.toString(),
       message: msg.message, // URL or file path
       messageType: msg.messageType,
+      media: msg.media || null, // Dimensions, thumbnail and blurhash (images and videos)
       createdAt: msg.createdAt,
     }));
 
@@ -0,0 +1,176 @@
+/**
+ * Abuse Report Routes
+ * Lets users report messages, users, groups and statuses.
+ * Reviewed by admins/moderators via /api/admin/reports
+ */
+
+import express from 'express';
+import { ObjectId } from 'mongodb';
+import { verifyToken } from './auth.routes.js';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { reportRateLimit } from '../middleware/rate-limit.middleware.js';
+import { blockUser } from '../utils/block.utils.js';
+import {
+  REPORT_TARGET_TYPES,
+  REPORT_CATEGORIES,
+  buildReportSnapshot,
+  preserveEvidenceFiles,
+} from '../services/report.service.js';
+
+const router = express.Router();
+
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * Report Content
+ * POST /api/reports
+ * Body: { targetType: 'message'|'user'|'group'|'status', targetId, category, description?,
+ *         statusUserId? (required for statuses), block?: boolean }
+ */
+router.post('/', verifyToken, reportRateLimit, async (req, res) => {
+  try {
+    const { targetType, targetId, category, description, statusUserId, block } = req.body;
+    const reporterId = req.userId;
+
+    if (!REPORT_TARGET_TYPES.includes(targetType) || !targetId) {
+      return res.status(400).json({
+        success: false,
+        message: `targetType (${REPORT_TARGET_TYPES.join(', ')}) and targetId are required`,
+      });
+    }
+
+    if (!REPORT_CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        success: false,
+        message: `category must be one of: ${REPORT_CATEGORIES.join(', ')}`,
+      });
+    }
+
+    if (description && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        message: `Description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`,
+      });
+    }
+
+    const reportsCollection = getMongoDB().collection('reports');
+
+    // One open report per reporter and target
+    const existing = await reportsCollection.findOne({
+      reporterId,
+      targetType,
+      targetId: String(targetId),
+      status: 'pending',
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this',
+        data: { reportId: existing._id.toString() },
+      });
+    }
+
+    const built = await buildReportSnapshot({
+      reporterId,
+      targetType,
+      targetId: String(targetId),
+      statusOwnerId: statusUserId,
+    });
+
+    if (built.error) {
+      return res.status(built.error.status).json({
+        success: false,
+        message: built.error.message,
+      });
+    }
+
+    const reportId = new ObjectId();
+    const evidenceFiles = await preserveEvidenceFiles(reportId.toString(), built.mediaFiles);
+
+    let blocked = false;
+    if (block === true && built.reportedUserId) {
+      await blockUser(reporterId, built.reportedUserId, `Reported: ${category}`);
+      blocked = true;
+    }
+
+    const now = new Date();
+    await reportsCollection.insertOne({
+      _id: reportId,
+      reporterId,
+      targetType,
+      targetId: String(targetId),
+      reportedUserId: built.reportedUserId,
+      chatId: built.chatId,
+      category,
+      description: description ? description.trim() : null,
+      snapshot: built.snapshot,
+      evidenceFiles,
+      blockedReportedUser: blocked,
+      status: 'pending',
+      reviewedBy: null,
+      reviewedAt: null,
+      resolutionNote: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: blocked ? 'Report submitted and user blocked' : 'Report submitted',
+      data: {
+        reportId: reportId.toString(),
+        status: 'pending',
+        blocked,
+      },
+    });
+  } catch (error) {
+    console.error('Create report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * Get My Reports
+ * GET /api/reports
+ */
+router.get('/', verifyToken, async (req, res) => {
+  try {
+    const reports = await getMongoDB()
+      .collection('reports')
+      .find({ reporterId: req.userId })
+      .project({ snapshot: 0, evidenceFiles: 0, reviewedBy: 0 })
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .toArray();
+
+    res.json({
+      success: true,
+      data: {
+        reports: reports.map((report) => ({
+          id: report._id.toString(),
+          targetType: report.targetType,
+          targetId: report.targetId,
+          category: report.category,
+          description: report.description,
+          status: report.status,
+          createdAt: report.createdAt,
+          reviewedAt: report.reviewedAt,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Get my reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message,
+    });
+  }
+});
+
+export default router;
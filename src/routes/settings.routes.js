@@ -1,9 +1,35 @@
 import express from 'express';
 import postgresPool from '../config/postgres.config.js';
 import { verifyToken } from './auth.routes.js';
+import {
+  PRIVACY_LEVELS,
+  PRIVACY_SETTINGS,
+  getPrivacySettings,
+  setPrivacyExceptions,
+} from '../services/privacy.service.js';
 
 const router = express.Router();
 
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const SETTINGS_COLUMNS = `theme, notifications_enabled, sound_enabled, read_receipts_enabled,
+              show_online_status, language, last_seen_privacy, profile_photo_privacy,
+              status_privacy, updated_at`;
+
+const formatSettings = (settings, privacyExceptions) => ({
+  theme: settings.theme,
+  notificationsEnabled: settings.notifications_enabled,
+  soundEnabled: settings.sound_enabled,
+  readReceiptsEnabled: settings.read_receipts_enabled,
+  showOnlineStatus: settings.show_online_status,
+  language: settings.language,
+  lastSeenPrivacy: settings.last_seen_privacy,
+  profilePhotoPrivacy: settings.profile_photo_privacy,
+  statusPrivacy: settings.status_privacy,
+  privacyExceptions,
+  updatedAt: settings.updated_at,
+});
+
 /**
  * Get User Settings
  * GET /api/settings
@@ -11,8 +37,7 @@ const router = express.Router();
 router.get('/', verifyToken, async (req, res) => {
   try {
     const result = await postgresPool.query(
-      `SELECT theme, notifications_enabled, sound_enabled, read_receipts_enabled, 
-              show_online_status, language, updated_at
+      `SELECT ${SETTINGS_COLUMNS}
        FROM user_settings WHERE user_id = $1`,
       [req.userId]
     );
@@ -34,23 +59,19 @@ router.get('/', verifyToken, async (req, res) => {
           readReceiptsEnabled: true,
           showOnlineStatus: true,
           language: 'en',
+          lastSeenPrivacy: 'contacts',
+          profilePhotoPrivacy: 'everyone',
+          statusPrivacy: 'contacts',
+          privacyExceptions: { lastSeen: [], profilePhoto: [], status: [] },
         },
       });
     }
 
-    const settings = result.rows[0];
+    const { exceptions } = await getPrivacySettings(req.userId);
 
     res.json({
       success: true,
-      data: {
-        theme: settings.theme,
-        notificationsEnabled: settings.notifications_enabled,
-        soundEnabled: settings.sound_enabled,
-        readReceiptsEnabled: settings.read_receipts_enabled,
-        showOnlineStatus: settings.show_online_status,
-        language: settings.language,
-        updatedAt: settings.updated_at,
-      },
+      data: formatSettings(result.rows[0], exceptions),
     });
   } catch (error) {
     console.error('Get settings error:', error);
@@ -65,6 +86,9 @@ router.get('/', verifyToken, async (req, res) => {
 /**
  * Update User Settings
  * PUT /api/settings
+ * Privacy: lastSeenPrivacy, profilePhotoPrivacy, statusPrivacy (everyone | contacts | contacts_except | nobody)
+ * and privacyExceptions: { lastSeen?: [userId], profilePhoto?: [userId], status?: [userId] }
+ * Each exceptions list given replaces the stored one.
  */
 router.put('/', verifyToken, async (req, res) => {
   try {
@@ -75,6 +99,7 @@ router.put('/', verifyToken, async (req, res) => {
       readReceiptsEnabled,
       showOnlineStatus,
       language,
+      privacyExceptions,
     } = req.body;
 
     // Build update query dynamically
@@ -118,7 +143,37 @@ router.put('/', verifyToken, async (req, res) => {
       values.push(language);
     }
 
-    if (updates.length === 0) {
+    for (const [field, setting] of Object.entries(PRIVACY_SETTINGS)) {
+      const level = req.body[`${field}Privacy`];
+      if (level === undefined) continue;
+
+      if (!PRIVACY_LEVELS.includes(level)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field}Privacy. Must be: ${PRIVACY_LEVELS.join(', ')}`,
+        });
+      }
+      updates.push(`${setting}_privacy = $${paramCount++}`);
+      values.push(level);
+    }
+
+    if (privacyExceptions !== undefined) {
+      const invalid = typeof privacyExceptions !== 'object' || privacyExceptions === null ||
+        Object.entries(privacyExceptions).some(([field, ids]) =>
+          !PRIVACY_SETTINGS[field] || !Array.isArray(ids) || ids.some((id) => !uuidPattern.test(id))
+        );
+
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: `privacyExceptions must map ${Object.keys(PRIVACY_SETTINGS).join(', ')} to arrays of user IDs`,
+        });
+      }
+    }
+
+    const exceptionFields = Object.keys(privacyExceptions || {});
+
+    if (updates.length === 0 && exceptionFields.length === 0) {
       return res.status(400).json({
         success: false,
         message: 'No settings to update',
@@ -134,29 +189,37 @@ router.put('/', verifyToken, async (req, res) => {
       [req.userId]
     );
 
-    const query = `
+    for (const field of exceptionFields) {
+      await setPrivacyExceptions(req.userId, PRIVACY_SETTINGS[field], privacyExceptions[field]);
+    }
+
+    const query = updates.length > 0
+      ? `
       UPDATE user_settings 
       SET ${updates.join(', ')}
       WHERE user_id = $${paramCount}
-      RETURNING theme, notifications_enabled, sound_enabled, read_receipts_enabled, 
-                show_online_status, language, updated_at
-    `;
-
-    const result = await postgresPool.query(query, values);
-    const settings = result.rows[0];
+      RETURNING ${SETTINGS_COLUMNS}
+    `
+      : `SELECT ${SETTINGS_COLUMNS} FROM user_settings WHERE user_id = $1`;
+
+    const result = await postgresPool.query(query, updates.length > 0 ? values : [req.userId]);
+    const { exceptions } = await getPrivacySettings(req.userId);
+
+    // Re-send presence so contacts immediately see the new last seen / photo visibility
+    const privacyChanged = exceptionFields.length > 0 || showOnlineStatus !== undefined ||
+      Object.keys(PRIVACY_SETTINGS).some((field) => req.body[`${field}Privacy`] !== undefined);
+    if (privacyChanged) {
+      const { getUserPresence, broadcastPresenceUpdate } = await import('../services/presence.service.js');
+      const presence = await getUserPresence(req.userId);
+      if (presence) {
+        await broadcastPresenceUpdate(req.userId, presence);
+      }
+    }
 
     res.json({
       success: true,
       message: 'Settings updated successfully',
-      data: {
-        theme: settings.theme,
-        notificationsEnabled: settings.notifications_enabled,
-        soundEnabled: settings.sound_enabled,
-        readReceiptsEnabled: settings.read_receipts_enabled,
-        showOnlineStatus: settings.show_online_status,
-        language: settings.language,
-        updatedAt: settings.updated_at,
-      },
+      data: formatSettings(result.rows[0], exceptions),
     });
   } catch (error) {
     console.error('Update settings error:', error);
@@ -3,8 +3,12 @@ import { ObjectId } from 'mongodb';
 import { getMongoDB } from '../config/mongodb.config.js';
 import postgresPool, { queryWithRetry } from '../config/postgres.config.js';
 import { verifyToken } from './auth.routes.js';
-import { uploadMessageFile, getFileUrl, deleteFile } from '../middleware/upload.middleware.js';
+import { uploadMessageFileWithThumbnail, getFileUrl, deleteFile } from '../middleware/upload.middleware.js';
+import { createMediaPreview } from '../services/thumbnail.service.js';
+import { storeMediaFile, releaseMediaFile, releaseStatusMedia } from '../services/media-registry.service.js';
+import { scanUploads } from '../services/upload-security.service.js';
 import { emitStatusUpdate } from '../socket/socket.server.js';
+import { getVisibilityForViewer } from '../services/privacy.service.js';
 import multer from 'multer';
 import rateLimit from 'express-rate-limit';
 
@@ -79,15 +83,8 @@ router.get('/', verifyToken, async (req, res) => {
       .limit(limit)
       .toArray();
 
-    // Get user privacy settings (with retry)
-    const privacyResult = await queryWithRetry(
-      `SELECT user_id, status_privacy FROM user_settings WHERE user_id = ANY($1::uuid[])`,
-      [allowedContactIds]
-    );
-    const privacyMap = {};
-    privacyResult.rows.forEach(row => {
-      privacyMap[row.user_id] = row.status_privacy || 'contacts';
-    });
+    // Resolve status / profile photo privacy for every owner in this page
+    const visibility = await getVisibilityForViewer(req.userId, statuses.map(status => status.userId));
 
     // Get user details for each status and filter expired status items
     const statusList = await Promise.all(
@@ -99,7 +96,7 @@ router.get('/', verifyToken, async (req, res) => {
         );
 
         const user = userResult.rows[0];
-        const userPrivacy = privacyMap[status.userId] || 'contacts';
+        const ownerVisibility = visibility.get(status.userId);
 
         // Filter expired status items (check individual timestamps)
         const validStatuses = (status.statuses || []).filter(statusItem => {
@@ -108,24 +105,12 @@ router.get('/', verifyToken, async (req, res) => {
         });
 
         // Check privacy settings
-        let filteredStatuses = validStatuses;
-        if (status.userId !== req.userId) {
-          if (userPrivacy === 'nobody') {
-            filteredStatuses = [];
-          } else if (userPrivacy === 'contacts') {
-            // Already filtered by contacts query
-            filteredStatuses = validStatuses;
-          } else if (userPrivacy === 'selected') {
-            // Check if current user is in selected contacts
-            // For now, treat as contacts (would need selected_contacts array in MongoDB)
-            filteredStatuses = validStatuses;
-          }
-        }
+        const filteredStatuses = ownerVisibility?.status ? validStatuses : [];
 
         return {
           userId: status.userId,
           userName: user?.full_name || 'Unknown',
-          profilePic: user?.profile_picture_url || null,
+          profilePic: ownerVisibility?.profilePhoto ? user?.profile_picture_url || null : null,
           statuses: filteredStatuses,
           createdAt: status.createdAt,
           updatedAt: status.updatedAt,
@@ -223,8 +208,12 @@ router.get('/me', verifyToken, async (req, res) => {
  * Add Status
  * POST /api/status
  * Supports: image, video, text
+ * Videos may include a poster frame image in the 'thumbnail' field
  */
-router.post('/', verifyToken, statusRateLimit, uploadMessageFile, async (req, res) => {
+router.post('/', verifyToken, statusRateLimit, uploadMessageFileWithThumbnail, async (req, res) => {
+  // Reference held on the stored file, once it's in storage
+  let storedFile = null;
+
   try {
     const { type, text, backgroundColor, textColor, fontFamily } = req.body;
 
@@ -263,7 +252,8 @@ router.post('/', verifyToken, statusRateLimit, uploadMessageFile, async (req, re
         // Delete uploaded file
         try {
           const { deleteFile } = await import('../middleware/upload.middleware.js');
-          deleteFile(req.file.filename);
+          await deleteFile(req.file.filename);
+          if (req.thumbnailFile) await deleteFile(req.thumbnailFile.filename);
         } catch (e) {
           console.error('Error deleting oversized file:', e);
         }
@@ -276,7 +266,8 @@ router.post('/', verifyToken, statusRateLimit, uploadMessageFile, async (req, re
         // Delete uploaded file
         try {
           const { deleteFile } = await import('../middleware/upload.middleware.js');
-          deleteFile(req.file.filename);
+          await deleteFile(req.file.filename);
+          if (req.thumbnailFile) await deleteFile(req.thumbnailFile.filename);
         } catch (e) {
           console.error('Error deleting oversized file:', e);
         }
@@ -287,6 +278,29 @@ router.post('/', verifyToken, statusRateLimit, uploadMessageFile, async (req, re
       }
     }
 
+    // Infected files are quarantined and the status isn't posted
+    if (req.file) {
+      const scan = await scanUploads([req.file, req.thumbnailFile], { uploaderId: req.userId, source: 'status' });
+      if (scan.error || scan.infected) {
+        for (const upload of [req.file, req.thumbnailFile]) {
+          if (upload) await deleteFile(upload.filename);
+        }
+        return res.status(scan.error ? scan.error.status : 422).json({
+          success: false,
+          message: scan.error ? scan.error.message : 'File blocked: it may contain malware',
+        });
+      }
+    }
+
+    // Dimensions, thumbnail and blurhash placeholder for image / video statuses
+    const mediaPreview = req.file
+      ? await createMediaPreview({ file: req.file, type, posterFile: req.thumbnailFile })
+      : null;
+    // Stored once per content: an identical file already on the server is reused
+    if (req.file) {
+      storedFile = await storeMediaFile(req.file, { originalName: req.file.originalname, media: mediaPreview });
+    }
+
     const mongoDb = getMongoDB();
     const statusCollection = mongoDb.collection('status');
 
@@ -302,7 +316,9 @@ router.post('/', verifyToken, statusRateLimit, uploadMessageFile, async (req, re
     const statusItem = {
       id: new ObjectId().toString(),
       type: type,
-      url: req.file ? getFileUrl(req, req.file.filename) : null,
+      url: storedFile ? getFileUrl(req, storedFile.filename) : null,
+      media: storedFile ? storedFile.media : null,
+      fileSha256: storedFile ? storedFile.sha256 : null,
       text: text || null,
       backgroundColor: backgroundColor || null,
       textColor: textColor || null,
@@ -350,6 +366,20 @@ router.post('/', verifyToken, statusRateLimit, uploadMessageFile, async (req, re
     });
   } catch (error) {
     console.error('Add status error:', error);
+
+    // Delete uploaded file if processing failed
+    if (req.file?.filename) {
+      try {
+        if (storedFile) {
+          await releaseMediaFile(storedFile.sha256);
+        } else {
+          await deleteFile(req.file.filename);
+        }
+      } catch (deleteError) {
+        console.error('Error deleting file on status error:', deleteError);
+      }
+    }
+
     res.status(500).json({
       success: false,
       message: 'Failed to add status',
@@ -385,6 +415,15 @@ router.post('/:statusId/view', verifyToken, async (req, res) => {
       });
     }
 
+    // Statuses hidden by the owner's privacy settings can't be viewed
+    const visibility = await getVisibilityForViewer(req.userId, [statusUserId]);
+    if (!visibility.get(statusUserId)?.status) {
+      return res.status(404).json({
+        success: false,
+        message: 'Status not found',
+      });
+    }
+
     // Fix: Use arrayFilters to update the specific status item by ID
     // This fixes the positional operator bug
     const result = await statusCollection.updateOne(
@@ -493,7 +532,19 @@ router.delete('/:statusId', verifyToken, async (req, res) => {
     }
 
     const statusItem = status.statuses.find(s => s.id === statusId);
-    if (statusItem && statusItem.url) {
+
+    // Registered files are reference counted; older ones are deleted outright
+    let fileReleased = false;
+    if (statusItem) {
+      try {
+        fileReleased = await releaseStatusMedia(status._id, statusItem);
+      } catch (releaseError) {
+        console.error(`Error releasing file of status ${statusId}:`, releaseError);
+        fileReleased = true; // Never delete a file other messages may still use
+      }
+    }
+
+    if (statusItem && statusItem.url && !fileReleased) {
       // Extract filename from URL and delete file
       const filename = statusItem.url.split('/').pop();
       let fileDeleted = false;
@@ -503,7 +554,7 @@ router.delete('/:statusId', verifyToken, async (req, res) => {
       // Retry file deletion with exponential backoff
       while (!fileDeleted && retryCount < maxRetries) {
         try {
-          deleteFile(filename);
+          await deleteFile(filename);
           fileDeleted = true;
         } catch (fileError) {
           retryCount++;
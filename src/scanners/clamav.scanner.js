@@ -0,0 +1,70 @@
+/**
+ * ClamAV Scanner
+ *
+ * Streams files to a ClamAV daemon (clamd) with the INSTREAM command, so the
+ * daemon doesn't need access to this server's disk. clamd's StreamMaxLength
+ * must be at least the largest accepted upload, or big files are refused.
+ */
+
+import fs from 'fs';
+import net from 'net';
+
+/**
+ * Create a ClamAV scanner
+ * @param {Object} options
+ * @param {string} [options.host] - clamd host (TCP)
+ * @param {number} [options.port] - clamd port (TCP)
+ * @param {string} [options.socketPath] - clamd Unix socket, used instead of host/port
+ * @param {number} [options.timeoutMs] - Per-file timeout
+ */
+export const createClamAVScanner = ({ host, port, socketPath, timeoutMs }) => {
+  const connect = () => (socketPath ? net.createConnection(socketPath) : net.createConnection(port, host));
+
+  return {
+    name: 'clamav',
+
+    scanFile(filePath) {
+      return new Promise((resolve, reject) => {
+        const socket = connect();
+        const chunks = [];
+        let settled = false;
+
+        const finish = (error, result) => {
+          if (settled) return;
+          settled = true;
+          socket.destroy();
+          if (error) reject(error);
+          else resolve(result);
+        };
+
+        socket.setTimeout(timeoutMs, () => finish(new Error('ClamAV scan timed out')));
+        socket.on('error', (error) => finish(new Error(`ClamAV unreachable: ${error.message}`)));
+        socket.on('data', (chunk) => chunks.push(chunk));
+        socket.on('end', () => {
+          // "stream: OK", "stream: Eicar-Test-Signature FOUND" or "... ERROR"
+          const reply = Buffer.concat(chunks).toString('utf8').replace(/\0/g, '').trim();
+          const found = reply.match(/^stream: (.+) FOUND$/);
+          if (found) return finish(null, { infected: true, signature: found[1] });
+          if (reply === 'stream: OK') return finish(null, { infected: false, signature: null });
+          finish(new Error(`ClamAV scan failed: ${reply || 'no reply'}`));
+        });
+
+        socket.on('connect', () => {
+          socket.write('zINSTREAM\0');
+          const file = fs.createReadStream(filePath);
+          file.on('error', (error) => finish(error));
+          file.on('data', (data) => {
+            // Each chunk is prefixed with its length; clamd may reply early (size limit)
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(data.length, 0);
+            if (!socket.write(Buffer.concat([length, data]))) {
+              file.pause();
+              socket.once('drain', () => file.resume());
+            }
+          });
+          file.on('end', () => socket.end(Buffer.alloc(4))); // Zero length ends the stream
+        });
+      });
+    },
+  };
+};
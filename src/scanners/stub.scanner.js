@@ -0,0 +1,22 @@
+/**
+ * Stub Scanner
+ *
+ * Reports only files containing the EICAR antivirus test string as infected.
+ * Lets the quarantine flow be exercised without running ClamAV.
+ */
+
+import fs from 'fs';
+
+// Standard test string every antivirus detects (harmless by design)
+const EICAR_TEST_STRING = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+export const createStubScanner = () => ({
+  name: 'stub',
+
+  async scanFile(filePath) {
+    const content = await fs.promises.readFile(filePath, 'latin1');
+    return content.includes(EICAR_TEST_STRING)
+      ? { infected: true, signature: 'Eicar-Test-Signature' }
+      : { infected: false, signature: null };
+  },
+});
@@ -69,9 +69,12 @@ import chatsRoutes from './routes/chats.routes.js';
 import contactsRoutes from './routes/contacts.routes.js';
 import messagesRoutes from './routes/messages.routes.js';
 import adminRoutes from './routes/admin.routes.js';
+import analyticsRoutes from './routes/analytics.routes.js';
 import callsRoutes from './routes/calls.routes.js';
 import statusRoutes from './routes/status.routes.js';
 import blockRoutes from './routes/block.routes.js';
+import reportsRoutes from './routes/reports.routes.js';
+import mediaRoutes, { authorizeMediaRequest, serveMedia } from './routes/media.routes.js';
 
 // API Routes
 app.get('/api', (req, res) => {
@@ -89,8 +92,9 @@ app.get('/api', (req, res) => {
   });
 });
 
-// Serve uploaded files
-app.use('/uploads', express.static('uploads'));
+// Uploaded files are served by /api/media after an access check;
+// old /uploads/ links keep working but need the same authorization
+app.get('/uploads/:filename', authorizeMediaRequest, serveMedia);
 
 // Register routes
 app.use('/api/auth', authRoutes);
@@ -99,7 +103,10 @@ app.use('/api/settings', settingsRoutes);
 app.use('/api/chats', chatsRoutes);
 app.use('/api/contacts', contactsRoutes);
 app.use('/api/messages', messagesRoutes);
+app.use('/api/media', mediaRoutes);
 app.use('/api/block', blockRoutes);
+app.use('/api/reports', reportsRoutes);
+app.use('/api/admin/analytics', analyticsRoutes);
 app.use('/api/admin', adminRoutes);
 // Register calls routes - must be after other routes to avoid conflicts
 app.use('/api/calls', callsRoutes);
@@ -114,6 +121,14 @@ const startServer = async () => {
     // Initialize all database connections
     await initializeDatabases();
 
+    // Fail fast on a misconfigured storage driver
+    const { getStorage } = await import('./config/storage.config.js');
+    getStorage();
+
+    // Grant the admin role to ADMIN_USER_ID (if configured)
+    const { seedInitialAdmin } = await import('./services/admin.service.js');
+    await seedInitialAdmin();
+
     // Initialize Socket.IO
     initializeSocket(httpServer);
     console.log('✅ Socket.IO initialized');
@@ -122,6 +137,22 @@ const startServer = async () => {
     const { startStatusCleanupScheduler } = await import('./services/status-cleanup.service.js');
     startStatusCleanupScheduler();
 
+    // Start disappearing messages purge
+    const { startDisappearingMessagesScheduler } = await import('./services/disappearing.service.js');
+    startDisappearingMessagesScheduler();
+
+    // Start scheduled messages delivery
+    const { startScheduledMessagesScheduler } = await import('./services/scheduled-message.service.js');
+    startScheduledMessagesScheduler();
+
+    // Start live location expiry
+    const { startLiveLocationScheduler } = await import('./services/location.service.js');
+    startLiveLocationScheduler();
+
+    // Start abandoned upload cleanup
+    const { startUploadCleanupScheduler } = await import('./services/resumable-upload.service.js');
+    startUploadCleanupScheduler();
+
     // Start HTTP server (with Socket.IO)
     httpServer.listen(PORT, () => {
       console.log(`\n🚀 Server running on port ${PORT}`);
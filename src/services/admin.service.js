@@ -0,0 +1,126 @@
+/**
+ * Admin Service
+ *
+ * Role-based access control for the admin API, seeding of the
+ * initial admin account, and the admin audit log.
+ */
+
+import postgresPool, { queryWithRetry } from '../config/postgres.config.js';
+
+export const ROLES = ['admin', 'moderator'];
+
+/**
+ * Get roles granted to a user
+ * @returns {Promise<string[]>}
+ */
+export const getUserRoles = async (userId) => {
+  const result = await queryWithRetry(
+    'SELECT role FROM user_roles WHERE user_id = $1',
+    [userId]
+  );
+  return result.rows.map((row) => row.role);
+};
+
+/**
+ * Grant a role to a user
+ * @returns {Promise<boolean>} true if the role was newly granted
+ */
+export const grantRole = async (userId, role, grantedBy = null) => {
+  const result = await postgresPool.query(
+    `INSERT INTO user_roles (user_id, role, granted_by)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (user_id, role) DO NOTHING`,
+    [userId, role, grantedBy]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Revoke a role from a user
+ * @returns {Promise<boolean>} true if the user had the role
+ */
+export const revokeRole = async (userId, role) => {
+  const result = await postgresPool.query(
+    'DELETE FROM user_roles WHERE user_id = $1 AND role = $2',
+    [userId, role]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Record an admin action in the audit log
+ */
+export const logAdminAction = async ({
+  adminId,
+  action,
+  targetType = null,
+  targetId = null,
+  details = {},
+  ipAddress,
+  userAgent,
+}) => {
+  try {
+    await postgresPool.query(
+      `INSERT INTO admin_audit_logs
+       (admin_id, action, target_type, target_id, details, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [adminId, action, targetType, targetId, JSON.stringify(details), ipAddress, userAgent]
+    );
+  } catch (error) {
+    console.error('Error logging admin action:', error);
+    // Don't throw - the admin action itself already happened
+  }
+};
+
+/**
+ * Build the audit context (admin + client info) from a request
+ */
+export const getAuditContext = (req) => ({
+  adminId: req.userId,
+  ipAddress: req.ip || req.connection.remoteAddress,
+  userAgent: req.headers['user-agent'] || 'Unknown',
+});
+
+/**
+ * Seed the initial admin from ADMIN_USER_ID.
+ * The account must already exist and have logged in with an OTP, and its
+ * phone number must match ADMIN_PHONE_NUMBER / ADMIN_COUNTRY_CODE - knowing
+ * the configured number alone never yields the role.
+ * Safe to run on every startup.
+ */
+export const seedInitialAdmin = async () => {
+  const adminId = process.env.ADMIN_USER_ID?.trim();
+  const phoneNumber = process.env.ADMIN_PHONE_NUMBER?.trim();
+  const countryCode = process.env.ADMIN_COUNTRY_CODE?.trim();
+
+  if (!adminId || !phoneNumber || !countryCode) {
+    return;
+  }
+
+  try {
+    const userResult = await postgresPool.query(
+      `SELECT id FROM users
+       WHERE id::text = $1 AND phone_number = $2 AND country_code = $3 AND is_verified = true`,
+      [adminId, phoneNumber, countryCode]
+    );
+    if (userResult.rows.length === 0) {
+      console.warn('⚠️  Initial admin not seeded: ADMIN_USER_ID must be an OTP-verified account with ADMIN_PHONE_NUMBER');
+      return;
+    }
+
+    const granted = await grantRole(adminId, 'admin');
+
+    if (granted) {
+      await logAdminAction({
+        adminId: null,
+        action: 'roles.seed',
+        targetType: 'user',
+        targetId: adminId,
+        details: { role: 'admin', source: 'ADMIN_USER_ID' },
+      });
+      console.log(`✅ Seeded initial admin: ${countryCode}${phoneNumber}`);
+    }
+  } catch (error) {
+    console.error('❌ Error seeding initial admin:', error);
+  }
+};
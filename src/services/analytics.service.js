@@ -3,6 +3,10 @@
  * 
  * Tracks and aggregates user activity, app usage, and performance metrics
  * for comprehensive monitoring and analytics.
+ *
+ * Recording (logActivity, storeAnalytics, trackCallQuality) never throws, so
+ * analytics can't break the app. The read functions do throw on database
+ * errors: an outage must not look like a day without activity.
  */
 
 import { getMongoDB } from '../config/mongodb.config.js';
@@ -51,96 +55,86 @@ export const logActivity = async ({
  * Get user activity summary
  */
 export const getUserActivitySummary = async (userId, days = 30) => {
-  try {
-    const collection = getCollection('activity_logs');
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
+  const collection = getCollection('activity_logs');
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
 
-    const pipeline = [
-      {
-        $match: {
-          userId,
-          createdAt: { $gte: startDate },
-        },
+  const pipeline = [
+    {
+      $match: {
+        userId,
+        createdAt: { $gte: startDate },
       },
-      {
-        $group: {
-          _id: '$activityType',
-          count: { $sum: 1 },
-          lastActivity: { $max: '$createdAt' },
-        },
+    },
+    {
+      $group: {
+        _id: '$activityType',
+        count: { $sum: 1 },
+        lastActivity: { $max: '$createdAt' },
       },
-      {
-        $sort: { count: -1 },
-      },
-    ];
+    },
+    {
+      $sort: { count: -1 },
+    },
+  ];
 
-    const results = await collection.aggregate(pipeline).toArray();
+  const results = await collection.aggregate(pipeline).toArray();
 
-    return results.map((result) => ({
-      activityType: result._id,
-      count: result.count,
-      lastActivity: result.lastActivity,
-    }));
-  } catch (error) {
-    console.error('Error getting activity summary:', error);
-    return [];
-  }
+  return results.map((result) => ({
+    activityType: result._id,
+    count: result.count,
+    lastActivity: result.lastActivity,
+  }));
 };
 
 /**
  * Get daily activity statistics
  */
 export const getDailyActivityStats = async (date = new Date()) => {
-  try {
-    const collection = getCollection('activity_logs');
-    const startOfDay = new Date(date);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(date);
-    endOfDay.setHours(23, 59, 59, 999);
+  const collection = getCollection('activity_logs');
+  const startOfDay = new Date(date);
+  startOfDay.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(date);
+  endOfDay.setHours(23, 59, 59, 999);
 
-    const pipeline = [
-      {
-        $match: {
-          createdAt: {
-            $gte: startOfDay,
-            $lte: endOfDay,
-          },
-        },
-      },
-      {
-        $group: {
-          _id: '$activityType',
-          count: { $sum: 1 },
-          uniqueUsers: { $addToSet: '$userId' },
+  const pipeline = [
+    {
+      $match: {
+        createdAt: {
+          $gte: startOfDay,
+          $lte: endOfDay,
         },
       },
-      {
-        $project: {
-          activityType: '$_id',
-          count: 1,
-          uniqueUsers: { $size: '$uniqueUsers' },
-        },
+    },
+    {
+      $group: {
+        _id: '$activityType',
+        count: { $sum: 1 },
+        uniqueUsers: { $addToSet: '$userId' },
       },
-      {
-        $sort: { count: -1 },
+    },
+    {
+      $project: {
+        activityType: '$_id',
+        count: 1,
+        uniqueUsers: { $size: '$uniqueUsers' },
       },
-    ];
+    },
+    {
+      $sort: { count: -1 },
+    },
+  ];
 
-    const results = await collection.aggregate(pipeline).toArray();
+  const results = await collection.aggregate(pipeline).toArray();
 
-    return {
-      date: startOfDay.toISOString().split('T')[0],
-      activities: results,
-      totalActivities: results.reduce((sum, r) => sum + r.count, 0),
-      totalUniqueUsers: new Set(
-        results.flatMap((r) => r.uniqueUsers)
-      ).size,
-    };
-  } catch (error) {
-    console.error('Error getting daily stats:', error);
-    return null;
-  }
+  return {
+    date: startOfDay.toISOString().split('T')[0],
+    activities: results,
+    totalActivities: results.reduce((sum, r) => sum + r.count, 0),
+    totalUniqueUsers: new Set(
+      results.flatMap((r) => r.uniqueUsers)
+    ).size,
+  };
 };
 
 /**
@@ -194,35 +188,30 @@ export const getAnalytics = async ({
   endDate,
   userId = null,
 }) => {
-  try {
-    const collection = getCollection('analytics');
+  const collection = getCollection('analytics');
 
-    const query = {
-      metricType,
-      date: {
-        $gte: startDate instanceof Date 
-          ? startDate.toISOString().split('T')[0] 
-          : startDate,
-        $lte: endDate instanceof Date 
-          ? endDate.toISOString().split('T')[0] 
-          : endDate,
-      },
-    };
+  const query = {
+    metricType,
+    date: {
+      $gte: startDate instanceof Date 
+        ? startDate.toISOString().split('T')[0] 
+        : startDate,
+      $lte: endDate instanceof Date 
+        ? endDate.toISOString().split('T')[0] 
+        : endDate,
+    },
+  };
 
-    if (userId) {
-      query.userId = userId;
-    }
+  if (userId) {
+    query.userId = userId;
+  }
 
-    const results = await collection
-      .find(query)
-      .sort({ date: 1 })
-      .toArray();
+  const results = await collection
+    .find(query)
+    .sort({ date: 1 })
+    .toArray();
 
-    return results;
-  } catch (error) {
-    console.error('Error getting analytics:', error);
-    return [];
-  }
+  return results;
 };
 
 /**
@@ -249,3 +238,185 @@ export const trackCallQuality = async (roomId, metrics) => {
   }
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => date.toISOString().split('T')[0];
+
+/**
+ * List every UTC day (YYYY-MM-DD) from startDate to endDate inclusive
+ */
+const listDays = (startDate, endDate) => {
+  const days = [];
+  for (let time = startDate.getTime(); time <= endDate.getTime(); time += DAY_MS) {
+    days.push(toDateKey(new Date(time)));
+  }
+  return days;
+};
+
+// Start of the first day and end of the last day of a range (UTC)
+const getRangeBounds = (startDate, endDate) => ({
+  rangeStart: new Date(`${toDateKey(startDate)}T00:00:00.000Z`),
+  rangeEnd: new Date(`${toDateKey(endDate)}T23:59:59.999Z`),
+});
+
+/**
+ * Get daily/weekly/monthly active users for each day in a range.
+ * WAU and MAU are rolling 7- and 30-day windows ending on that day.
+ */
+export const getActiveUserStats = async ({ startDate, endDate }) => {
+  const collection = getCollection('activity_logs');
+  const { rangeStart, rangeEnd } = getRangeBounds(startDate, endDate);
+
+  // MAU of the first day needs the 29 days before the range
+  const lookbackStart = new Date(rangeStart.getTime() - 29 * DAY_MS);
+
+  const pairs = await collection.aggregate([
+    { $match: { createdAt: { $gte: lookbackStart, $lte: rangeEnd } } },
+    {
+      $group: {
+        _id: {
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
+          userId: '$userId',
+        },
+      },
+    },
+  ]).toArray();
+
+  const usersByDay = new Map();
+  for (const { _id } of pairs) {
+    if (!usersByDay.has(_id.date)) usersByDay.set(_id.date, new Set());
+    usersByDay.get(_id.date).add(_id.userId);
+  }
+
+  const countUsers = (endKey, windowDays) => {
+    const users = new Set();
+    const end = new Date(`${endKey}T00:00:00.000Z`).getTime();
+    for (let i = 0; i < windowDays; i++) {
+      const dayUsers = usersByDay.get(toDateKey(new Date(end - i * DAY_MS)));
+      dayUsers?.forEach((userId) => users.add(userId));
+    }
+    return users.size;
+  };
+
+  return listDays(rangeStart, rangeEnd).map((date) => ({
+    date,
+    dau: usersByDay.get(date)?.size || 0,
+    wau: countUsers(date, 7),
+    mau: countUsers(date, 30),
+  }));
+};
+
+/**
+ * Get message counts per day, split by message type
+ */
+export const getMessageStats = async ({ startDate, endDate }) => {
+  const collection = getCollection('messages');
+  const { rangeStart, rangeEnd } = getRangeBounds(startDate, endDate);
+
+  const results = await collection.aggregate([
+    { $match: { createdAt: { $gte: rangeStart, $lte: rangeEnd } } },
+    {
+      $group: {
+        _id: {
+          date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
+          messageType: '$messageType',
+        },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { '_id.date': 1, '_id.messageType': 1 } },
+  ]).toArray();
+
+  return results.map((result) => ({
+    date: result._id.date,
+    messageType: result._id.messageType || 'text',
+    count: result.count,
+  }));
+};
+
+/**
+ * Get call volume and answer rate per day
+ */
+export const getCallStats = async ({ startDate, endDate }) => {
+  const collection = getCollection('calls');
+  const { rangeStart, rangeEnd } = getRangeBounds(startDate, endDate);
+
+  const results = await collection.aggregate([
+    { $match: { createdAt: { $gte: rangeStart, $lte: rangeEnd } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
+        total: { $sum: 1 },
+        answered: { $sum: { $cond: [{ $eq: ['$status', 'answered'] }, 1, 0] } },
+        missed: { $sum: { $cond: [{ $eq: ['$status', 'missed'] }, 1, 0] } },
+        rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+        audio: { $sum: { $cond: [{ $eq: ['$mediaType', 'video'] }, 0, 1] } },
+        video: { $sum: { $cond: [{ $eq: ['$mediaType', 'video'] }, 1, 0] } },
+      },
+    },
+  ]).toArray();
+
+  const byDay = new Map(results.map((result) => [result._id, result]));
+
+  return listDays(rangeStart, rangeEnd).map((date) => {
+    const day = byDay.get(date);
+    const total = day?.total || 0;
+    const answered = day?.answered || 0;
+    return {
+      date,
+      total,
+      answered,
+      missed: day?.missed || 0,
+      rejected: day?.rejected || 0,
+      audio: day?.audio || 0,
+      video: day?.video || 0,
+      answerRate: total > 0 ? Math.round((answered / total) * 1000) / 1000 : 0,
+    };
+  });
+};
+
+/**
+ * Get average call quality per day (from metrics recorded by trackCallQuality)
+ */
+export const getCallQualityStats = async ({ startDate, endDate }) => {
+  const collection = getCollection('calls');
+  const { rangeStart, rangeEnd } = getRangeBounds(startDate, endDate);
+
+  const results = await collection.aggregate([
+    {
+      $match: {
+        createdAt: { $gte: rangeStart, $lte: rangeEnd },
+        'analytics.updatedAt': { $exists: true },
+      },
+    },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
+        calls: { $sum: 1 },
+        avgBitrate: { $avg: '$analytics.avgBitrate' },
+        avgPacketLoss: { $avg: '$analytics.avgPacketLoss' },
+        avgRTT: { $avg: '$analytics.avgRTT' },
+        qualities: { $push: '$analytics.quality' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]).toArray();
+
+  const round = (value) => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+
+  return results.map((result) => {
+    const qualityCounts = result.qualities.reduce((counts, quality) => {
+      counts[quality || 'unknown'] = (counts[quality || 'unknown'] || 0) + 1;
+      return counts;
+    }, {});
+
+    return {
+      date: result._id,
+      calls: result.calls,
+      avgBitrate: round(result.avgBitrate),
+      avgPacketLoss: round(result.avgPacketLoss),
+      avgRTT: round(result.avgRTT),
+      qualityCounts,
+    };
+  });
+};
@@ -1,4 +1,5 @@
 import { getMongoDB } from '../config/mongodb.config.js';
+import { getMessageExpiry } from './disappearing.service.js';
 
 // Get call sessions collection
 const getCallCollection = () => {
@@ -347,6 +348,7 @@ export const createCallHistoryMessage = async (session, callStatus, currentUserI
         userId: pid,
         readAt: now,
       })),
+      expiresAt: getMessageExpiry(chat),
       editedAt: null,
       deletedAt: null,
       createdAt: sessionEndedAt || sessionCreatedAt || now,
@@ -0,0 +1,168 @@
+/**
+ * Contact Card Service
+ *
+ * `contact` messages share one or more vCards (3.0 / 4.0). The vCard text is
+ * parsed server-side (utils/vcard.utils.js) and stored on the message:
+ *
+ *   contacts: [{
+ *     fullName, name, organization, title, emails,
+ *     phones: [{ number, types, countryCode, phoneNumber, userId }],
+ *     userId,   // first phone that belongs to a registered user
+ *     vcard     // source text of this card
+ *   }]
+ *
+ * Phone numbers are resolved to registered users with the same lookup as
+ * GET /api/contacts/search, so recipients can message the person directly or
+ * add them with POST /api/contacts.
+ */
+
+import { queryWithRetry } from '../config/postgres.config.js';
+import { parseVCards } from '../utils/vcard.utils.js';
+import { normalizePhoneSearch, findUserByPhone } from '../utils/contacts.utils.js';
+import { isBlocked } from '../utils/block.utils.js';
+
+// Limits the user lookups a single message can trigger
+const MAX_RESOLVED_PHONES = 20;
+const MIN_SUBSCRIBER_NUMBER_LENGTH = 4;
+
+/**
+ * Split a phone number into country code and number, and find its user
+ * International numbers (+CC... / 00CC...) try 1-3 digit country codes;
+ * local numbers use the sharer's own country code.
+ * @param {string} number - Number as written in the vCard
+ * @param {string|null} defaultCountryCode - Sharer's country code
+ * @returns {Promise<{countryCode: string|null, phoneNumber: string|null, user: Object|null}>}
+ */
+const resolvePhone = async (number, defaultCountryCode) => {
+  const digits = number.replace(/^00/, '+').replace(/[^\d+]/g, '');
+
+  if (digits.startsWith('+')) {
+    for (let length = 1; length <= 3; length++) {
+      const candidate = normalizePhoneSearch(digits.slice(1 + length), digits.slice(1, 1 + length));
+      if (candidate.phoneNumber.length < MIN_SUBSCRIBER_NUMBER_LENGTH) break;
+
+      const user = await findUserByPhone(candidate.phoneNumber, candidate.countryCode);
+      if (user) {
+        return { countryCode: user.country_code, phoneNumber: user.phone_number, user };
+      }
+    }
+    // Unknown number - the country code can't be told apart without a numbering plan
+    return { countryCode: null, phoneNumber: null, user: null };
+  }
+
+  if (!defaultCountryCode || digits.length < MIN_SUBSCRIBER_NUMBER_LENGTH) {
+    return { countryCode: null, phoneNumber: null, user: null };
+  }
+
+  const local = normalizePhoneSearch(digits, defaultCountryCode);
+  const user = await findUserByPhone(local.phoneNumber, local.countryCode);
+  return user
+    ? { countryCode: user.country_code, phoneNumber: user.phone_number, user }
+    : { ...local, user: null };
+};
+
+/**
+ * Parse shared vCards and resolve their phone numbers to registered users
+ * Users blocked by (or blocking) the sharer are left unresolved, like in search.
+ * @param {Object} params
+ * @param {string} params.vcard - vCard text (one or more cards)
+ * @param {string} params.senderId - Sharer
+ * @returns {Promise<{contacts: Object[]} | {error: {status: number, message: string}}>}
+ */
+export const buildContactCards = async ({ vcard, senderId }) => {
+  const parsed = parseVCards(vcard);
+  if (parsed.error) {
+    return { error: { status: 400, message: parsed.error } };
+  }
+
+  const senderResult = await queryWithRetry(
+    'SELECT country_code FROM users WHERE id = $1',
+    [senderId],
+    3,
+    20000
+  );
+  const senderCountryCode = senderResult.rows[0]?.country_code || null;
+
+  let lookups = 0;
+  const contacts = [];
+
+  for (const card of parsed.cards) {
+    const phones = [];
+
+    for (const phone of card.phones) {
+      let resolved = { countryCode: null, phoneNumber: null, user: null };
+      if (lookups < MAX_RESOLVED_PHONES) {
+        lookups++;
+        resolved = await resolvePhone(phone.number, senderCountryCode);
+      }
+
+      const userId = resolved.user && !(await isBlocked(senderId, resolved.user.id)) ? resolved.user.id : null;
+      phones.push({
+        number: phone.number,
+        types: phone.types,
+        countryCode: resolved.countryCode,
+        phoneNumber: resolved.phoneNumber,
+        userId,
+      });
+    }
+
+    contacts.push({
+      fullName: card.fullName,
+      name: card.name,
+      organization: card.organization,
+      title: card.title,
+      emails: card.emails,
+      phones,
+      userId: phones.find((phone) => phone.userId)?.userId || null,
+      vcard: card.vcard,
+    });
+  }
+
+  return { contacts };
+};
+
+/**
+ * Message text for a contact message (shown as the chat's last message)
+ */
+export const describeContacts = (contacts) => {
+  if (contacts.length === 1) return `👤 ${contacts[0].fullName}`;
+  return `👤 ${contacts.length} contacts`;
+};
+
+/**
+ * Format shared contacts for API responses
+ * Each card carries what the "Message" and "Add contact" buttons need:
+ * `actions.message` (recipientId for POST /api/messages) and
+ * `actions.addContact` (body for POST /api/contacts).
+ * @param {Object[]} contacts - Stored contact cards
+ */
+export const formatContactCards = (contacts) =>
+  contacts.map((contact) => {
+    const addablePhone = contact.phones.find((phone) => phone.userId === contact.userId && phone.countryCode)
+      || contact.phones.find((phone) => phone.countryCode);
+
+    return {
+      fullName: contact.fullName,
+      name: contact.name,
+      organization: contact.organization,
+      title: contact.title,
+      emails: contact.emails,
+      phones: contact.phones.map((phone) => ({
+        number: phone.number,
+        types: phone.types,
+        countryCode: phone.countryCode,
+        phoneNumber: phone.phoneNumber,
+        userId: phone.userId,
+        isOnAxzora: Boolean(phone.userId),
+      })),
+      userId: contact.userId,
+      isOnAxzora: Boolean(contact.userId),
+      actions: {
+        message: contact.userId ? { recipientId: contact.userId } : null,
+        addContact: addablePhone
+          ? { phoneNumber: addablePhone.phoneNumber, countryCode: addablePhone.countryCode, name: contact.fullName }
+          : null,
+      },
+      vcard: contact.vcard,
+    };
+  });
@@ -0,0 +1,216 @@
+/**
+ * Message Delivery Service
+ *
+ * Tracks per-recipient delivery of messages and aggregates it into the
+ * sender-facing status:
+ * - sent: stored on the server
+ * - delivered: every recipient's device has acknowledged it (`message_delivered`)
+ * - read: every recipient has read it
+ *
+ * Delivery is stored as `deliveredTo: [{ userId, deliveredAt }]` next to
+ * `readBy` / `readReceipts`. A read message always counts as delivered.
+ *
+ * Read receipts are reciprocal in direct chats: if either user has
+ * `read_receipts_enabled` off, neither sees the other's reads (their messages
+ * stop at 'delivered'). Group chats always show reads.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { queryWithRetry } from '../config/postgres.config.js';
+
+// Bounds for marking messages delivered on reconnect (the limit also caps a client ack)
+const PENDING_DELIVERY_WINDOW_DAYS = 30;
+const PENDING_DELIVERY_LIMIT = 500;
+
+/**
+ * Whether reads are visible between the participants of a chat
+ * @param {Object} chat - Chat document (type, participants)
+ * @returns {Promise<boolean>}
+ */
+export async function areReadReceiptsShared(chat) {
+  if (chat.type === 'group') return true;
+
+  // Users without a settings row have the default (enabled)
+  const result = await queryWithRetry(
+    'SELECT COUNT(*) AS disabled FROM user_settings WHERE user_id = ANY($1::uuid[]) AND read_receipts_enabled = false',
+    [chat.participants],
+    3,
+    20000
+  );
+
+  return parseInt(result.rows[0].disabled) === 0;
+}
+
+/**
+ * Aggregate the delivery state of a message across the chat's recipients
+ * @param {Object} message - Message document (senderId, readBy, deliveredTo)
+ * @param {string[]} participants - Chat participant IDs
+ * @param {boolean} readReceiptsShared - false to report reads as deliveries only
+ * @returns {{status: 'sent'|'delivered'|'read', recipientCount: number, deliveredCount: number, readCount: number}}
+ */
+export function getMessageDeliveryState(message, participants, readReceiptsShared = true) {
+  const recipients = (participants || []).filter((id) => id !== message.senderId);
+  const allReadIds = (message.readBy || []).filter((id) => recipients.includes(id));
+  const readIds = new Set(readReceiptsShared ? allReadIds : []);
+  const deliveredIds = new Set([
+    ...(message.deliveredTo || []).map((receipt) => receipt.userId).filter((id) => recipients.includes(id)),
+    ...allReadIds,
+  ]);
+
+  let status = 'sent';
+  if (recipients.length > 0 && readIds.size === recipients.length) {
+    status = 'read';
+  } else if (recipients.length > 0 && deliveredIds.size === recipients.length) {
+    status = 'delivered';
+  }
+
+  return {
+    status,
+    recipientCount: recipients.length,
+    deliveredCount: deliveredIds.size,
+    readCount: readIds.size,
+  };
+}
+
+/**
+ * Emit the aggregated delivery status to the senders of the given messages
+ * A sender gets one event per chat: `message_status` for a single message,
+ * `message_status_batch` (`{ chatId, statuses: [...] }`) for several.
+ * @param {Object[]} messages - Message documents (with _id, chatId, senderId, readBy, deliveredTo)
+ * @param {Object[]} chats - Chat documents the messages belong to (with _id, type, participants)
+ */
+export async function emitMessageStatus(messages, chats) {
+  try {
+    const { getSocketIO } = await import('../socket/socket.server.js');
+    const socketIO = getSocketIO();
+
+    const chatsById = new Map(chats.map((chat) => [chat._id.toString(), chat]));
+    const receiptsSharedByChat = new Map();
+    const statusesBySenderChat = new Map();
+
+    for (const message of messages) {
+      const chatId = message.chatId.toString();
+      const chat = chatsById.get(chatId);
+      if (!chat) continue;
+
+      if (!receiptsSharedByChat.has(chatId)) {
+        receiptsSharedByChat.set(chatId, await areReadReceiptsShared(chat));
+      }
+
+      const key = `${message.senderId}:${chatId}`;
+      if (!statusesBySenderChat.has(key)) {
+        statusesBySenderChat.set(key, { senderId: message.senderId, chatId, statuses: [] });
+      }
+      statusesBySenderChat.get(key).statuses.push({
+        messageId: message._id.toString(),
+        chatId,
+        ...getMessageDeliveryState(message, chat.participants, receiptsSharedByChat.get(chatId)),
+      });
+    }
+
+    for (const { senderId, chatId, statuses } of statusesBySenderChat.values()) {
+      if (statuses.length === 1) {
+        socketIO.to(`user:${senderId}`).emit('message_status', statuses[0]);
+      } else {
+        socketIO.to(`user:${senderId}`).emit('message_status_batch', { chatId, statuses });
+      }
+    }
+  } catch (error) {
+    console.error('Error emitting message status:', error);
+  }
+}
+
+/**
+ * Record delivery of messages to a user and notify the senders
+ * Messages sent by the user, already delivered to them, or in chats they are
+ * not part of are ignored.
+ *
+ * @param {string} userId - Recipient who received the messages
+ * @param {Object} filter - Extra message filter (e.g. { _id: { $in: ids } })
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Only the most recent `limit` messages
+ * @returns {Promise<number>} Number of messages newly marked as delivered
+ */
+async function markDelivered(userId, filter, { limit } = {}) {
+  const mongoDb = getMongoDB();
+  const messagesCollection = mongoDb.collection('messages');
+  const chatsCollection = mongoDb.collection('chats');
+
+  const chats = await chatsCollection
+    .find({ participants: userId })
+    .project({ _id: 1, type: 1, participants: 1 })
+    .toArray();
+
+  if (chats.length === 0) return 0;
+
+  const deliveryFilter = {
+    ...filter,
+    chatId: { $in: chats.map((chat) => chat._id) },
+    senderId: { $ne: userId },
+    'deliveredTo.userId': { $ne: userId },
+  };
+
+  let pendingCursor = messagesCollection.find(deliveryFilter).project({ _id: 1 });
+  if (limit) {
+    pendingCursor = pendingCursor.sort({ createdAt: -1 }).limit(limit);
+  }
+  const pending = await pendingCursor.toArray();
+  if (pending.length === 0) return 0;
+
+  const messageIds = pending.map((msg) => msg._id);
+  await messagesCollection.updateMany(
+    { _id: { $in: messageIds }, 'deliveredTo.userId': { $ne: userId } },
+    { $push: { deliveredTo: { userId, deliveredAt: new Date() } } }
+  );
+
+  const updatedMessages = await messagesCollection
+    .find({ _id: { $in: messageIds } })
+    .project({ chatId: 1, senderId: 1, readBy: 1, deliveredTo: 1 })
+    .toArray();
+
+  await emitMessageStatus(updatedMessages, chats);
+
+  return updatedMessages.length;
+}
+
+/**
+ * Mark specific messages as delivered to a user (client `message_delivered` ack)
+ * IDs past the first PENDING_DELIVERY_LIMIT are ignored.
+ * @param {string} userId - Recipient
+ * @param {string[]} messageIds - Message IDs acknowledged by the client
+ * @returns {Promise<number>} Number of messages newly marked as delivered
+ */
+export async function markMessagesDelivered(userId, messageIds) {
+  const objectIds = (Array.isArray(messageIds) ? messageIds.slice(0, PENDING_DELIVERY_LIMIT) : [])
+    .filter((id) => typeof id === 'string' && ObjectId.isValid(id))
+    .map((id) => new ObjectId(id));
+
+  if (objectIds.length === 0) return 0;
+
+  return markDelivered(userId, { _id: { $in: objectIds } });
+}
+
+/**
+ * Mark recent messages still undelivered to a user as delivered
+ * Called when the user connects: anything sent while they were offline is
+ * synced to the device on reconnect. Messages they already read are skipped
+ * since read implies delivered. Only the last PENDING_DELIVERY_WINDOW_DAYS
+ * and at most PENDING_DELIVERY_LIMIT messages are marked, so a reconnect
+ * stays cheap; older ones are marked when the client acks them.
+ * @param {string} userId - Recipient
+ * @returns {Promise<number>} Number of messages newly marked as delivered
+ */
+export async function markPendingMessagesDelivered(userId) {
+  const since = new Date(Date.now() - PENDING_DELIVERY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  return markDelivered(
+    userId,
+    {
+      createdAt: { $gte: since },
+      readBy: { $ne: userId },
+      deletedAt: null,
+    },
+    { limit: PENDING_DELIVERY_LIMIT }
+  );
+}
@@ -0,0 +1,312 @@
+/**
+ * Disappearing Messages Service
+ *
+ * Chats can have a disappearing-messages timer (24h / 7d / 90d / off), stored
+ * on the chat as `disappearingTimer` (seconds, null = off). Messages sent while
+ * a timer is on get an `expiresAt`; a scheduled worker purges expired messages
+ * together with their uploaded files.
+ *
+ * Every instance runs the worker, but a purge only happens while holding the
+ * `disappearing_messages` lease in `job_locks` (atomic findOneAndUpdate, as in
+ * scheduled-message.service.js), so instances never purge side by side.
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+
+import { getMongoDB } from '../config/mongodb.config.js';
+import { deleteFile } from '../middleware/upload.middleware.js';
+import { findRegisteredFilenames, releaseMessageMedia } from './media-registry.service.js';
+import { MEDIA_MESSAGE_TYPES } from './location.service.js';
+import { getMediaFilename, getMediaUploaderId } from './media.service.js';
+import { decrementUnreadCount, getUnreadCount } from '../utils/redis.utils.js';
+
+export const DISAPPEARING_TIMERS = {
+  off: null,
+  '24h': 24 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60,
+  '90d': 90 * 24 * 60 * 60,
+};
+
+const TIMER_DESCRIPTIONS = {
+  '24h': '24 hours',
+  '7d': '7 days',
+  '90d': '90 days',
+};
+
+// Messages purged per worker run (the rest are picked up on the next run)
+const PURGE_BATCH_SIZE = 500;
+const PURGE_INTERVAL_MS = 5 * 60 * 1000;
+// How long a purge holds the lease; renewed before every batch
+const PURGE_LEASE_MS = 2 * 60 * 1000;
+const PURGE_LOCK_ID = 'disappearing_messages';
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+/**
+ * API label for a stored timer
+ * @param {number|null} seconds - chat.disappearingTimer
+ * @returns {'24h'|'7d'|'90d'|'off'}
+ */
+export const getTimerLabel = (seconds) => {
+  const label = Object.keys(DISAPPEARING_TIMERS).find((key) => DISAPPEARING_TIMERS[key] === (seconds || null));
+  return label || 'off';
+};
+
+/**
+ * Expiry for a message sent to a chat now
+ * @param {Object} chat - Chat document
+ * @returns {Date|null} null when the chat has no timer
+ */
+export const getMessageExpiry = (chat) => {
+  if (!chat?.disappearingTimer) return null;
+  return new Date(Date.now() + chat.disappearingTimer * 1000);
+};
+
+/**
+ * Text of the system message posted when the timer changes
+ * @param {string} actorName - Who changed it
+ * @param {string} timer - New timer label
+ */
+export const describeTimerChange = (actorName, timer) => {
+  if (timer === 'off') {
+    return `${actorName} turned off disappearing messages.`;
+  }
+  return `${actorName} turned on disappearing messages. New messages will disappear from this chat ${TIMER_DESCRIPTIONS[timer]} after they're sent.`;
+};
+
+/**
+ * Take (or renew) the purge lease for this instance
+ * @returns {Promise<boolean>} false while another instance holds it
+ */
+const acquirePurgeLease = async () => {
+  const now = new Date();
+  try {
+    const result = await getMongoDB().collection('job_locks').findOneAndUpdate(
+      {
+        _id: PURGE_LOCK_ID,
+        $or: [{ lockedBy: INSTANCE_ID }, { lockedUntil: { $lte: now } }],
+      },
+      { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + PURGE_LEASE_MS) } },
+      { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+    );
+    return result.value?.lockedBy === INSTANCE_ID;
+  } catch (error) {
+    // The upsert collides with the lock document of another instance
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const releasePurgeLease = async () => {
+  await getMongoDB().collection('job_locks').updateOne(
+    { _id: PURGE_LOCK_ID, lockedBy: INSTANCE_ID },
+    { $set: { lockedBy: null, lockedUntil: new Date() } }
+  );
+};
+
+/**
+ * Delete uploaded files of expired media messages
+ * Files still referenced by other messages (e.g. forwarded copies) are kept.
+ * Legacy files are only deleted when they're unregistered and the sender
+ * uploaded them - the message text is client-written and may name any file.
+ */
+const deleteExpiredMessageFiles = async (messagesCollection, expiredMessages) => {
+  const expiredIds = expiredMessages.map((msg) => msg._id);
+  // URL -> filename
+  const legacyFiles = new Map();
+
+  for (const msg of expiredMessages) {
+    // Registered files are reference counted
+    if (msg.fileSha256) {
+      try {
+        await releaseMessageMedia(msg);
+      } catch (error) {
+        console.error(`Error releasing file for expired message ${msg._id}:`, error.message);
+      }
+      continue;
+    }
+
+    if (!MEDIA_MESSAGE_TYPES.includes(msg.messageType)) continue;
+
+    const filename = getMediaFilename(msg.message);
+    if (filename && getMediaUploaderId(filename) === msg.senderId) {
+      legacyFiles.set(msg.message, filename);
+    }
+  }
+
+  if (legacyFiles.size === 0) return 0;
+
+  // One lookup each for the whole batch instead of one per message
+  const stillReferenced = new Set(
+    await messagesCollection.distinct('message', {
+      message: { $in: [...legacyFiles.keys()] },
+      _id: { $nin: expiredIds },
+    })
+  );
+  const registered = await findRegisteredFilenames([...new Set(legacyFiles.values())]);
+
+  let filesDeleted = 0;
+  for (const [fileUrl, filename] of legacyFiles) {
+    if (stillReferenced.has(fileUrl) || registered.has(filename)) continue;
+
+    try {
+      await deleteFile(filename);
+      filesDeleted++;
+    } catch (error) {
+      console.error(`Error deleting expired file ${fileUrl}:`, error.message);
+    }
+  }
+
+  return filesDeleted;
+};
+
+/**
+ * Refresh a chat after some of its messages expired:
+ * last message, participants' unread counts, and client notifications
+ * @param {ObjectId} chatId
+ * @param {Object[]} purgedMessages - The purged messages (_id, senderId, readBy, deletedFor)
+ */
+const refreshChatAfterPurge = async (chatId, purgedMessages) => {
+  const mongoDb = getMongoDB();
+  const chatsCollection = mongoDb.collection('chats');
+  const messagesCollection = mongoDb.collection('messages');
+
+  const chat = await chatsCollection.findOne({ _id: chatId });
+  if (!chat) return;
+
+  const lastMessage = await messagesCollection.findOne({ chatId }, { sort: { createdAt: -1 } });
+  await chatsCollection.updateOne(
+    { _id: chatId },
+    {
+      $set: {
+        lastMessage: lastMessage ? lastMessage.message : null,
+        lastMessageType: lastMessage ? lastMessage.messageType || 'text' : 'text',
+        lastMessageAt: lastMessage ? lastMessage.createdAt : chat.createdAt,
+      },
+    }
+  );
+
+  const { getSocketIO } = await import('../socket/socket.server.js');
+  const socketIO = getSocketIO();
+  const chatIdString = chatId.toString();
+  const messageIds = purgedMessages.map((msg) => msg._id.toString());
+
+  for (const participantId of chat.participants) {
+    // Only the purged messages that were still unread for this participant count
+    const purgedUnread = purgedMessages.filter((msg) =>
+      msg.senderId !== participantId &&
+      !(msg.readBy || []).includes(participantId) &&
+      !(msg.deletedFor || []).includes(participantId)
+    ).length;
+    const unreadCount = purgedUnread > 0
+      ? await decrementUnreadCount(participantId, chatIdString, purgedUnread)
+      : await getUnreadCount(participantId, chatIdString);
+
+    if (socketIO) {
+      socketIO.to(`user:${participantId}`).emit('messages_expired', {
+        chatId: chatIdString,
+        messageIds,
+      });
+      socketIO.to(`user:${participantId}`).emit('chat_updated', {
+        chatId: chatIdString,
+        lastMessage: lastMessage ? lastMessage.message : null,
+        lastMessageType: lastMessage ? lastMessage.messageType || 'text' : 'text',
+        lastMessageAt: lastMessage ? lastMessage.createdAt : null,
+        unreadCount,
+        disappearingTimer: getTimerLabel(chat.disappearingTimer),
+      });
+    }
+  }
+};
+
+/**
+ * Purge messages whose disappearing timer has run out
+ * Called periodically by startDisappearingMessagesScheduler
+ */
+export const deleteExpiredMessages = async () => {
+  try {
+    if (!(await acquirePurgeLease())) {
+      return { success: true, skipped: true, messagesDeleted: 0, chatsAffected: 0, filesDeleted: 0 };
+    }
+
+    const messagesCollection = getMongoDB().collection('messages');
+
+    let messagesDeleted = 0;
+    let filesDeleted = 0;
+    const purgedByChat = new Map();
+
+    try {
+      // Work in batches so a large backlog doesn't load everything at once
+      while (true) {
+        const expiredMessages = await messagesCollection
+          .find({ expiresAt: { $type: 'date', $lte: new Date() } })
+          .project({ _id: 1, chatId: 1, senderId: 1, readBy: 1, deletedFor: 1, message: 1, messageType: 1, fileSha256: 1 })
+          .limit(PURGE_BATCH_SIZE)
+          .toArray();
+
+        if (expiredMessages.length === 0) break;
+
+        filesDeleted += await deleteExpiredMessageFiles(messagesCollection, expiredMessages);
+
+        const result = await messagesCollection.deleteMany({
+          _id: { $in: expiredMessages.map((msg) => msg._id) },
+        });
+        messagesDeleted += result.deletedCount;
+
+        for (const msg of expiredMessages) {
+          const key = msg.chatId.toString();
+          if (!purgedByChat.has(key)) {
+            purgedByChat.set(key, { chatId: msg.chatId, messages: [] });
+          }
+          purgedByChat.get(key).messages.push(msg);
+        }
+
+        if (expiredMessages.length < PURGE_BATCH_SIZE) break;
+
+        // Renew the lease; stop if another instance took over meanwhile
+        if (!(await acquirePurgeLease())) break;
+      }
+    } finally {
+      await releasePurgeLease().catch((error) => console.error('Error releasing purge lease:', error.message));
+    }
+
+    for (const { chatId, messages } of purgedByChat.values()) {
+      try {
+        await refreshChatAfterPurge(chatId, messages);
+      } catch (error) {
+        console.error(`Error refreshing chat ${chatId} after purge:`, error);
+      }
+    }
+
+    if (messagesDeleted > 0) {
+      console.log(`✅ Disappearing messages cleanup: ${messagesDeleted} messages in ${purgedByChat.size} chats, ${filesDeleted} files deleted`);
+    }
+    return {
+      success: true,
+      messagesDeleted,
+      chatsAffected: purgedByChat.size,
+      filesDeleted,
+    };
+  } catch (error) {
+    console.error('❌ Error cleaning up disappearing messages:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Start periodic purge of expired messages (runs every 5 minutes)
+ */
+export const startDisappearingMessagesScheduler = () => {
+  // Run immediately on start
+  deleteExpiredMessages();
+
+  setInterval(() => {
+    deleteExpiredMessages();
+  }, PURGE_INTERVAL_MS);
+
+  console.log('✅ Disappearing messages scheduler started (runs every 5 minutes)');
+};
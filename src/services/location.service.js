@@ -0,0 +1,375 @@
+/**
+ * Location Service
+ *
+ * Two message types share the `location` sub-document:
+ *
+ *   location       - a single point (coordinates, accuracy, optional place name)
+ *   live_location  - a point the sender keeps updating over the socket for a
+ *                    chosen duration (15m / 1h / 8h)
+ *
+ *   location: {
+ *     latitude, longitude, accuracy, name, updatedAt,
+ *     duration, liveUntil, stoppedAt   // live_location only
+ *   }
+ *
+ * Live updates replace the stored point and are relayed as
+ * `live_location_updated` to `chat:{chatId}` while the sender is still a
+ * participant. Sharing ends when the sender stops it, leaves the chat (or is
+ * removed) or liveUntil passes; each way `live_location_stopped` is emitted.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getMongoDB } from '../config/mongodb.config.js';
+
+export const LOCATION_MESSAGE_TYPES = ['location', 'live_location'];
+// Messages whose `message` is the URL of an uploaded file
+export const MEDIA_MESSAGE_TYPES = ['image', 'video', 'audio', 'voice', 'file', 'document'];
+
+export const LIVE_LOCATION_DURATIONS = {
+  '15m': 15 * 60,
+  '1h': 60 * 60,
+  '8h': 8 * 60 * 60,
+};
+
+const MAX_PLACE_NAME_LENGTH = 200;
+const EXPIRY_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Validate a point
+ * @param {Object} point - { latitude, longitude, accuracy? }
+ * @returns {string|null} Error message, or null if valid
+ */
+export const getCoordinatesError = (point) => {
+  if (!point || typeof point !== 'object') {
+    return 'location is required';
+  }
+
+  const { latitude, longitude, accuracy } = point;
+  if (typeof latitude !== 'number' || !Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    return 'latitude must be a number between -90 and 90';
+  }
+  if (typeof longitude !== 'number' || !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return 'longitude must be a number between -180 and 180';
+  }
+  if (accuracy !== undefined && accuracy !== null && (typeof accuracy !== 'number' || !Number.isFinite(accuracy) || accuracy < 0)) {
+    return 'accuracy must be a non-negative number (meters)';
+  }
+
+  return null;
+};
+
+/**
+ * Validate the location part of a location / live_location message
+ * @returns {string|null} Error message, or null if valid
+ */
+export const getLocationError = (messageType, location) => {
+  const coordinatesError = getCoordinatesError(location);
+  if (coordinatesError) return coordinatesError;
+
+  if (location.name !== undefined && location.name !== null
+    && (typeof location.name !== 'string' || location.name.trim().length > MAX_PLACE_NAME_LENGTH)) {
+    return `location.name must be text of at most ${MAX_PLACE_NAME_LENGTH} characters`;
+  }
+
+  if (messageType === 'live_location' && !Object.keys(LIVE_LOCATION_DURATIONS).includes(location.duration)) {
+    return `location.duration must be one of: ${Object.keys(LIVE_LOCATION_DURATIONS).join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Build the location sub-document for a new message
+ * Input is validated by validateMessage
+ * @param {string} messageType - 'location' or 'live_location'
+ * @param {Object} input - { latitude, longitude, accuracy?, name?, duration? }
+ */
+export const buildLocation = (messageType, input) => {
+  const now = new Date();
+  const location = {
+    latitude: input.latitude,
+    longitude: input.longitude,
+    accuracy: input.accuracy ?? null,
+    name: input.name?.trim() || null,
+    updatedAt: now,
+  };
+
+  if (messageType === 'live_location') {
+    location.duration = input.duration;
+    location.liveUntil = new Date(now.getTime() + LIVE_LOCATION_DURATIONS[input.duration] * 1000);
+    location.stoppedAt = null;
+  }
+
+  return location;
+};
+
+/**
+ * Message text for a location message (shown as the chat's last message)
+ */
+export const describeLocation = (messageType, location) => {
+  if (messageType === 'live_location') return '📍 Live location';
+  return location.name ? `📍 ${location.name}` : '📍 Location';
+};
+
+/**
+ * Format a location for API responses
+ * @param {Object} location - Location sub-document
+ */
+export const formatLocation = (location) => {
+  const formatted = {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    accuracy: location.accuracy ?? null,
+    name: location.name || null,
+    updatedAt: location.updatedAt,
+  };
+
+  if (location.liveUntil) {
+    formatted.duration = location.duration;
+    formatted.liveUntil = location.liveUntil;
+    formatted.stoppedAt = location.stoppedAt || null;
+    formatted.isActive = !location.stoppedAt && new Date(location.liveUntil) > new Date();
+  }
+
+  return formatted;
+};
+
+const emitToChat = async (chatId, event, payload) => {
+  try {
+    const { getSocketIO } = await import('../socket/socket.server.js');
+    const socketIO = getSocketIO();
+    if (socketIO) {
+      socketIO.to(`chat:${chatId}`).emit(event, payload);
+    }
+  } catch (error) {
+    console.error(`Error emitting ${event}:`, error);
+  }
+};
+
+const emitLiveLocationStopped = (message, reason) =>
+  emitToChat(message.chatId.toString(), 'live_location_stopped', {
+    messageId: message._id.toString(),
+    chatId: message.chatId.toString(),
+    senderId: message.senderId,
+    stoppedAt: message.location.stoppedAt,
+    reason, // 'stopped', 'left' or 'expired'
+  });
+
+/**
+ * Explain why a live location can't be updated or stopped
+ */
+const getInactiveError = async (userId, messageId) => {
+  const message = await getMongoDB().collection('messages').findOne({
+    _id: messageId,
+    senderId: userId,
+    messageType: 'live_location',
+    deletedAt: null,
+  });
+  if (!message) {
+    return { error: { status: 404, message: 'Live location not found' } };
+  }
+  return { error: { status: 409, message: 'Live location sharing has ended' } };
+};
+
+/**
+ * Store and relay a new point of an active live location
+ * @param {string} userId - Sender (only they can update it)
+ * @param {string} messageId - live_location message
+ * @param {Object} point - { latitude, longitude, accuracy? }
+ * @returns {Promise<{message: Object} | {error: {status: number, message: string}}>}
+ */
+export const updateLiveLocation = async (userId, messageId, point) => {
+  if (!messageId || !ObjectId.isValid(messageId)) {
+    return { error: { status: 400, message: 'Invalid message ID' } };
+  }
+
+  const coordinatesError = getCoordinatesError(point);
+  if (coordinatesError) {
+    return { error: { status: 400, message: coordinatesError } };
+  }
+
+  const mongoDb = getMongoDB();
+  const messagesCollection = mongoDb.collection('messages');
+  const now = new Date();
+  const messageObjectId = new ObjectId(messageId);
+
+  // Former members can't keep streaming their position to the chat
+  const existing = await messagesCollection.findOne(
+    { _id: messageObjectId, senderId: userId, messageType: 'live_location' },
+    { projection: { chatId: 1 } }
+  );
+  if (existing) {
+    const isParticipant = await mongoDb.collection('chats').countDocuments(
+      { _id: existing.chatId, participants: userId },
+      { limit: 1 }
+    );
+    if (isParticipant === 0) {
+      await stopLiveLocationsInChat(existing.chatId, [userId]);
+      return { error: { status: 403, message: 'You are no longer a participant of this chat' } };
+    }
+  }
+
+  const result = await messagesCollection.findOneAndUpdate(
+    {
+      _id: messageObjectId,
+      senderId: userId,
+      messageType: 'live_location',
+      deletedAt: null,
+      'location.stoppedAt': null,
+      'location.liveUntil': { $gt: now },
+    },
+    {
+      $set: {
+        'location.latitude': point.latitude,
+        'location.longitude': point.longitude,
+        'location.accuracy': point.accuracy ?? null,
+        'location.updatedAt': now,
+      },
+    },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+
+  if (!result.value) {
+    return getInactiveError(userId, messageObjectId);
+  }
+
+  const message = result.value;
+  await emitToChat(message.chatId.toString(), 'live_location_updated', {
+    messageId: message._id.toString(),
+    chatId: message.chatId.toString(),
+    senderId: message.senderId,
+    latitude: message.location.latitude,
+    longitude: message.location.longitude,
+    accuracy: message.location.accuracy,
+    updatedAt: message.location.updatedAt,
+    liveUntil: message.location.liveUntil,
+  });
+
+  return { message };
+};
+
+/**
+ * Stop sharing a live location before its duration ends
+ * @returns {Promise<{message: Object} | {error: {status: number, message: string}}>}
+ */
+export const stopLiveLocation = async (userId, messageId) => {
+  if (!messageId || !ObjectId.isValid(messageId)) {
+    return { error: { status: 400, message: 'Invalid message ID' } };
+  }
+
+  const now = new Date();
+  const messageObjectId = new ObjectId(messageId);
+  const result = await getMongoDB().collection('messages').findOneAndUpdate(
+    {
+      _id: messageObjectId,
+      senderId: userId,
+      messageType: 'live_location',
+      deletedAt: null,
+      'location.stoppedAt': null,
+      'location.liveUntil': { $gt: now },
+    },
+    { $set: { 'location.stoppedAt': now } },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+
+  if (!result.value) {
+    return getInactiveError(userId, messageObjectId);
+  }
+
+  await emitLiveLocationStopped(result.value, 'stopped');
+  return { message: result.value };
+};
+
+/**
+ * Stop the active live locations of users who left or were removed from a chat
+ * @param {ObjectId} chatId
+ * @param {string[]} userIds - Former participants
+ * @returns {Promise<number>} Live locations stopped
+ */
+export const stopLiveLocationsInChat = async (chatId, userIds) => {
+  const messagesCollection = getMongoDB().collection('messages');
+  const now = new Date();
+
+  const active = await messagesCollection
+    .find({
+      chatId,
+      senderId: { $in: userIds },
+      messageType: 'live_location',
+      'location.stoppedAt': null,
+      'location.liveUntil': { $gt: now },
+    })
+    .project({ _id: 1, chatId: 1, senderId: 1, location: 1 })
+    .toArray();
+
+  let stopped = 0;
+  for (const message of active) {
+    // Guarded so a concurrent stop isn't reported twice
+    const result = await messagesCollection.updateOne(
+      { _id: message._id, 'location.stoppedAt': null },
+      { $set: { 'location.stoppedAt': now } }
+    );
+    if (result.modifiedCount === 0) continue;
+
+    message.location.stoppedAt = now;
+    await emitLiveLocationStopped(message, 'left');
+    stopped++;
+  }
+
+  return stopped;
+};
+
+/**
+ * Mark live locations whose duration ran out as stopped and notify their chats
+ * Called periodically by startLiveLocationScheduler
+ */
+export const expireLiveLocations = async () => {
+  try {
+    const messagesCollection = getMongoDB().collection('messages');
+    const now = new Date();
+
+    const expired = await messagesCollection
+      .find({
+        messageType: 'live_location',
+        'location.liveUntil': { $lte: now },
+        'location.stoppedAt': null,
+      })
+      .project({ _id: 1, chatId: 1, senderId: 1, location: 1 })
+      .toArray();
+
+    let stopped = 0;
+    for (const message of expired) {
+      // Guarded so a concurrent stop isn't reported twice
+      const result = await messagesCollection.updateOne(
+        { _id: message._id, 'location.stoppedAt': null },
+        { $set: { 'location.stoppedAt': message.location.liveUntil } }
+      );
+      if (result.modifiedCount === 0) continue;
+
+      message.location.stoppedAt = message.location.liveUntil;
+      await emitLiveLocationStopped(message, 'expired');
+      stopped++;
+    }
+
+    return { success: true, stopped };
+  } catch (error) {
+    console.error('❌ Error expiring live locations:', error);
+    return {
+      success: false,
+      error: error.message,
+    };
+  }
+};
+
+/**
+ * Start periodic expiry of live locations (runs every minute)
+ */
+export const startLiveLocationScheduler = () => {
+  // Run immediately on start (ends anything that ran out while the server was down)
+  expireLiveLocations();
+
+  setInterval(() => {
+    expireLiveLocations();
+  }, EXPIRY_INTERVAL_MS);
+
+  console.log('✅ Live location scheduler started (runs every minute)');
+};
@@ -0,0 +1,251 @@
+/**
+ * Media Registry Service
+ *
+ * Uploaded message and status files are stored once per content hash. The
+ * `media_files` collection maps each SHA-256 to its stored file and counts the
+ * messages and statuses that use it:
+ *   - an upload identical to a stored file is dropped and the stored one reused
+ *   - clients that already know the hash can skip the upload entirely
+ *     (POST /api/media/lookup, then POST /api/messages/upload with `sha256`)
+ *   - forwarding a message adds a reference instead of a copy
+ *   - deleting a message or status removes a reference; the file is deleted
+ *     with the last one
+ *
+ * Messages and status items that hold a reference carry `fileSha256`. Files
+ * uploaded before the registry have no entry and keep their old handling.
+ *
+ * Knowing a file's hash is enough to send it, the same way having the file is.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { getStorage } from '../config/storage.config.js';
+import { deleteFile, storeUploadedFile } from '../middleware/upload.middleware.js';
+import { getVoiceMetadata } from './voice.service.js';
+
+export const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+export const MAX_LOOKUP_HASHES = 100;
+
+// Retries when an entry is created or deleted by another request at the same moment
+const MAX_STORE_ATTEMPTS = 3;
+
+const getRegistryCollection = () => getMongoDB().collection('media_files');
+
+/**
+ * SHA-256 of a file on local disk
+ * @param {string} filePath
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+};
+
+/**
+ * Registered file with this hash (only while something references it)
+ * @param {string} sha256 - Hex digest
+ */
+export const findMediaFile = async (sha256) => {
+  if (!SHA256_PATTERN.test(sha256 || '')) return null;
+  return getRegistryCollection().findOne({ sha256, refCount: { $gt: 0 } });
+};
+
+/**
+ * Which of these hashes are already stored
+ * @param {string[]} hashes - Hex digests
+ * @returns {Promise<Set<string>>}
+ */
+export const findStoredHashes = async (hashes) => {
+  const valid = hashes.filter((sha256) => SHA256_PATTERN.test(sha256));
+  if (valid.length === 0) return new Set();
+
+  const entries = await getRegistryCollection()
+    .find({ sha256: { $in: valid }, refCount: { $gt: 0 } })
+    .project({ sha256: 1 })
+    .toArray();
+  return new Set(entries.map((entry) => entry.sha256));
+};
+
+/**
+ * Which of these stored files have a registry entry
+ * Files without one were uploaded before the registry.
+ * @param {string[]} filenames - Storage keys
+ * @returns {Promise<Set<string>>}
+ */
+export const findRegisteredFilenames = async (filenames) => {
+  if (filenames.length === 0) return new Set();
+
+  const entries = await getRegistryCollection()
+    .find({ filename: { $in: filenames } })
+    .project({ filename: 1 })
+    .toArray();
+  return new Set(entries.map((entry) => entry.filename));
+};
+
+/**
+ * Add a reference to a registered file
+ * @param {string} sha256
+ * @returns {Promise<Object|null>} The entry, or null when it's gone (last reference just released)
+ */
+export const acquireMediaFile = async (sha256) => {
+  const result = await getRegistryCollection().findOneAndUpdate(
+    { sha256, refCount: { $gt: 0 } },
+    { $inc: { refCount: 1 }, $set: { updatedAt: new Date() } },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+  return result.value;
+};
+
+/**
+ * Remove a reference; deletes the file with the last one
+ * @param {string} sha256
+ * @returns {Promise<boolean>} Whether the file was deleted
+ */
+export const releaseMediaFile = async (sha256) => {
+  const registryCollection = getRegistryCollection();
+  const result = await registryCollection.findOneAndUpdate(
+    { sha256, refCount: { $gt: 0 } },
+    { $inc: { refCount: -1 }, $set: { updatedAt: new Date() } },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+  if (!result.value || result.value.refCount > 0) return false;
+
+  // Only if nobody acquired it in the meantime
+  const deleted = await registryCollection.findOneAndDelete(
+    { _id: result.value._id, refCount: { $lte: 0 } },
+    { includeResultMetadata: true }
+  );
+  if (!deleted.value) return false;
+
+  await deleteFile(deleted.value.filename);
+  return true;
+};
+
+/**
+ * Move a processed upload into storage, or reuse an identical stored file
+ * Either way the caller holds one reference afterwards. A duplicate upload
+ * (and the thumbnail generated for it) is deleted.
+ * @param {Object} file - Multer file, still on local disk
+ * @param {Object} metadata
+ * @param {string} metadata.originalName
+ * @param {Object|null} [metadata.media] - Preview from createMediaPreview
+ * @param {Object|null} [metadata.voice] - Voice metadata, when sent as a voice note
+ * @returns {Promise<{sha256: string, filename: string, media: Object|null, voice: Object|null}>}
+ */
+export const storeMediaFile = async (file, { originalName, media = null, voice = null }) => {
+  const sha256 = await hashFile(file.path);
+  const registryCollection = getRegistryCollection();
+  let stored = false;
+
+  for (let attempt = 1; ; attempt++) {
+    const existing = await acquireMediaFile(sha256);
+    if (existing) {
+      await deleteFile(file.filename);
+      if (voice && !existing.voice) {
+        await registryCollection.updateOne({ _id: existing._id }, { $set: { voice } });
+      }
+      return { sha256, filename: existing.filename, media: existing.media, voice: voice || existing.voice };
+    }
+
+    if (!stored) {
+      await storeUploadedFile(file);
+      stored = true;
+    }
+
+    const now = new Date();
+    try {
+      await registryCollection.insertOne({
+        sha256,
+        filename: file.filename,
+        originalName,
+        size: file.size,
+        mimeType: file.mimetype,
+        media,
+        voice,
+        refCount: 1,
+        createdAt: now,
+        updatedAt: now,
+      });
+      return { sha256, filename: file.filename, media, voice };
+    } catch (error) {
+      // The same file was registered (or is being deleted) concurrently - try again
+      if (error.code !== 11000 || attempt >= MAX_STORE_ATTEMPTS) {
+        await deleteFile(file.filename);
+        throw error;
+      }
+
+      // An entry whose last reference was released but never deleted (crash) blocks the hash
+      const stale = await registryCollection.findOneAndDelete(
+        { sha256, refCount: { $lte: 0 } },
+        { includeResultMetadata: true }
+      );
+      if (stale.value) {
+        await deleteFile(stale.value.filename);
+      }
+    }
+  }
+};
+
+/**
+ * Voice metadata of a registered file, computed once from the stored copy
+ * @param {Object} entry - media_files document
+ * @returns {Promise<{voice: Object} | {error: {status: number, message: string}}>}
+ */
+export const getMediaFileVoice = async (entry) => {
+  if (entry.voice) return { voice: entry.voice };
+
+  const localPath = path.join(os.tmpdir(), `voice-${process.pid}-${entry.filename}`);
+  try {
+    await getStorage().download(entry.filename, localPath);
+    const result = await getVoiceMetadata(localPath);
+    if (result.voice) {
+      await getRegistryCollection().updateOne({ _id: entry._id }, { $set: { voice: result.voice } });
+    }
+    return result;
+  } finally {
+    await fs.promises.rm(localPath, { force: true });
+  }
+};
+
+/**
+ * Release the file reference held by a message
+ * Claimed on the message itself, so a message is only ever released once.
+ * @param {Object} message - Message document (needs _id and fileSha256)
+ * @returns {Promise<boolean>} false for messages whose file isn't registered (handle the file yourself)
+ */
+export const releaseMessageMedia = async (message) => {
+  if (!message.fileSha256) return false;
+
+  const claim = await getMongoDB().collection('messages').updateOne(
+    { _id: message._id, fileSha256: message.fileSha256 },
+    { $set: { fileSha256: null } }
+  );
+  if (claim.modifiedCount === 1) {
+    await releaseMediaFile(message.fileSha256);
+  }
+  return true;
+};
+
+/**
+ * Release the file reference held by a status item
+ * @param {ObjectId} statusDocId - `status` document
+ * @param {Object} statusItem - Item of its `statuses` array
+ * @returns {Promise<boolean>} false for statuses whose file isn't registered (handle the file yourself)
+ */
+export const releaseStatusMedia = async (statusDocId, statusItem) => {
+  if (!statusItem.fileSha256) return false;
+
+  const claim = await getMongoDB().collection('status').updateOne(
+    { _id: statusDocId, statuses: { $elemMatch: { id: statusItem.id, fileSha256: statusItem.fileSha256 } } },
+    { $set: { 'statuses.$.fileSha256': null } }
+  );
+  if (claim.modifiedCount === 1) {
+    await releaseMediaFile(statusItem.fileSha256);
+  }
+  return true;
+};
@@ -0,0 +1,243 @@
+/**
+ * Media Service
+ *
+ * Uploaded files are only served through GET /api/media/:filename. A user may
+ * download a file when they can see something that uses it:
+ *   - a message (or its thumbnail) in one of their chats
+ *   - the picture of a group they're in
+ *   - an active status whose owner shares statuses with them
+ *   - a profile picture whose owner shares it with them
+ * Uploaders can always download their own files.
+ *
+ * Only references the server created count. Clients can put any text in a
+ * message or a picture URL, so:
+ *   - registered files (media_files) are matched through `fileSha256`
+ *   - other messages and statuses must come from the file's uploader
+ *   - profile and group pictures must come from their upload endpoints
+ *     (`profile-<owner id>-...` / `group-...` files); client-supplied picture
+ *     URLs pointing at uploads are refused (isUploadedFileUrl)
+ *
+ * Clients that can't send an Authorization header (<img>, <video>, share
+ * sheets...) use signed URLs instead: `?expires=<unix seconds>&signature=<hmac>`,
+ * issued by POST /api/media/signed-urls after the same check.
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { queryWithRetry } from '../config/postgres.config.js';
+import { getFileUrl, getFileUrlVariants } from '../middleware/upload.middleware.js';
+import { MEDIA_MESSAGE_TYPES } from './location.service.js';
+import { getVisibilityForViewer } from './privacy.service.js';
+
+export const MEDIA_URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS || '600', 10);
+export const MAX_SIGNED_URLS_PER_REQUEST = 100;
+
+const STATUS_LIFETIME_MS = 24 * 60 * 60 * 1000;
+// Chats checked per file - a forwarded file can appear in many chats
+const MAX_REFERENCING_CHATS = 100;
+// Status documents checked per file (one per owner)
+const MAX_REFERENCING_STATUSES = 100;
+
+// <type>-<uploader id>-<timestamp>-<random>.<ext>, optionally prefixed with thumb-
+const UPLOADER_PATTERN = /^(?:thumb-)?[a-z_]+-([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})-/i;
+
+const getSigningSecret = () => process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET || '';
+
+const signFilename = (filename, expires) =>
+  crypto.createHmac('sha256', getSigningSecret()).update(`${filename}:${expires}`).digest('base64url');
+
+/**
+ * Filename of a media URL (current or legacy /uploads/ link, signed or not)
+ * @param {string} value - URL or bare filename
+ * @returns {string|null}
+ */
+export const getMediaFilename = (value) => {
+  if (typeof value !== 'string' || value.trim().length === 0) return null;
+  try {
+    const filename = path.basename(new URL(value.trim(), 'http://localhost').pathname);
+    return filename && !filename.startsWith('.') ? decodeURIComponent(filename) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Uploader of a file, from its name
+ * @param {string} filename - Upload filename (storage key)
+ * @returns {string|null} User ID, or null for files named without one
+ */
+export const getMediaUploaderId = (filename) => filename?.match(UPLOADER_PATTERN)?.[1] || null;
+
+/**
+ * Whether a URL points at an uploaded file (current /api/media/ or legacy /uploads/ link)
+ * Such URLs are only ever set by the server. Unparseable URLs count as uploads.
+ * @param {*} value - Client-supplied URL
+ * @returns {boolean}
+ */
+export const isUploadedFileUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  try {
+    const pathname = decodeURIComponent(new URL(value.trim(), 'http://localhost').pathname);
+    return /\/(api\/media|uploads)\//i.test(path.posix.normalize(pathname));
+  } catch {
+    return true;
+  }
+};
+
+/**
+ * Signed, expiring URL of a file
+ * @param {string} filename
+ * @param {number} [ttlSeconds]
+ * @returns {{url: string, expiresAt: Date}}
+ */
+export const signMediaUrl = (filename, ttlSeconds = MEDIA_URL_TTL_SECONDS) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return {
+    url: `${getFileUrl(null, filename)}?expires=${expires}&signature=${signFilename(filename, expires)}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+/**
+ * Check the signature and expiry of a signed URL
+ * @param {string} filename
+ * @param {string} expires - Unix seconds from the query string
+ * @param {string} signature - From the query string
+ */
+export const verifyMediaSignature = (filename, expires, signature) => {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signFilename(filename, expiresAt));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Whether any of the chats is one the user is part of
+ */
+const isInAnyChat = async (userId, chatIds) => {
+  const uniqueIds = [...new Map(chatIds.map((id) => [id.toString(), id])).values()];
+  if (uniqueIds.length === 0) return false;
+  const inChat = await getMongoDB().collection('chats').countDocuments(
+    { _id: { $in: uniqueIds }, participants: userId },
+    { limit: 1 }
+  );
+  return inChat > 0;
+};
+
+/**
+ * Whether any matching status item is still active and its owner shares statuses with the user
+ * @param {string} userId - Requester
+ * @param {Object} filter - Status document filter
+ * @param {function(Object): boolean} isMatch - Picks the status items that use the file
+ */
+const canSeeAnyStatus = async (userId, filter, isMatch) => {
+  const statusDocs = await getMongoDB().collection('status')
+    .find(filter)
+    .project({ userId: 1, statuses: 1 })
+    .limit(MAX_REFERENCING_STATUSES)
+    .toArray();
+
+  const activeSince = Date.now() - STATUS_LIFETIME_MS;
+  const ownerIds = [...new Set(
+    statusDocs
+      .filter((doc) => (doc.statuses || []).some((item) => isMatch(item, doc) && new Date(item.timestamp).getTime() > activeSince))
+      .map((doc) => doc.userId)
+  )];
+  if (ownerIds.length === 0) return false;
+
+  const visibility = await getVisibilityForViewer(userId, ownerIds);
+  return ownerIds.some((ownerId) => visibility.get(ownerId)?.status);
+};
+
+/**
+ * Whether a user may download an uploaded file
+ * @param {string} userId - Requester
+ * @param {string} filename - Upload filename (storage key)
+ * @returns {Promise<boolean>}
+ */
+export const canAccessMedia = async (userId, filename) => {
+  const uploaderId = getMediaUploaderId(filename);
+  if (uploaderId === userId) {
+    return true;
+  }
+
+  const urls = getFileUrlVariants(filename);
+  const mongoDb = getMongoDB();
+  const messagesCollection = mongoDb.collection('messages');
+
+  // Registered files (message and status uploads): whatever holds a reference
+  const registered = await mongoDb.collection('media_files').findOne(
+    { $or: [{ filename }, { 'media.thumbnailUrl': { $in: urls } }] },
+    { projection: { sha256: 1 } }
+  );
+
+  if (registered) {
+    const messages = await messagesCollection
+      .find({ fileSha256: registered.sha256, deletedAt: null, deletedFor: { $ne: userId } })
+      .project({ chatId: 1 })
+      .limit(MAX_REFERENCING_CHATS)
+      .toArray();
+    if (await isInAnyChat(userId, messages.map((msg) => msg.chatId))) return true;
+
+    const statusVisible = await canSeeAnyStatus(
+      userId,
+      { 'statuses.fileSha256': registered.sha256 },
+      (item) => item.fileSha256 === registered.sha256
+    );
+    if (statusVisible) return true;
+  } else if (uploaderId) {
+    // Files from before the registry: messages and statuses of their uploader
+    const messages = await messagesCollection
+      .find({
+        $or: [{ message: { $in: urls } }, { 'media.thumbnailUrl': { $in: urls } }],
+        senderId: uploaderId,
+        messageType: { $in: MEDIA_MESSAGE_TYPES },
+        deletedAt: null,
+        deletedFor: { $ne: userId },
+      })
+      .project({ chatId: 1 })
+      .limit(MAX_REFERENCING_CHATS)
+      .toArray();
+    if (await isInAnyChat(userId, messages.map((msg) => msg.chatId))) return true;
+
+    const statusVisible = await canSeeAnyStatus(
+      userId,
+      {
+        userId: uploaderId,
+        $or: [{ 'statuses.url': { $in: urls } }, { 'statuses.media.thumbnailUrl': { $in: urls } }],
+      },
+      (item) => urls.includes(item.url) || urls.includes(item.media?.thumbnailUrl)
+    );
+    if (statusVisible) return true;
+  }
+
+  // Group pictures (POST /api/chats/group/:chatId/picture)
+  if (filename.startsWith('group-')) {
+    const inGroup = await mongoDb.collection('chats').countDocuments(
+      { groupPictureUrl: { $in: urls }, participants: userId },
+      { limit: 1 }
+    );
+    if (inGroup > 0) return true;
+  }
+
+  // Profile pictures (POST /api/profile/picture), named after their owner
+  if (filename.startsWith('profile-') && uploaderId) {
+    const ownerResult = await queryWithRetry(
+      'SELECT id FROM users WHERE id = $1 AND profile_picture_url = ANY($2::text[])',
+      [uploaderId, urls],
+      3,
+      20000
+    );
+    if (ownerResult.rows.length > 0) {
+      const visibility = await getVisibilityForViewer(userId, [uploaderId]);
+      if (visibility.get(uploaderId)?.profilePhoto) return true;
+    }
+  }
+
+  return false;
+};
@@ -0,0 +1,878 @@
+/**
+ * Message Service
+ *
+ * The send pipeline behind POST /api/messages, shared with the message
+ * scheduler: chat creation, block checks, replies, mentions, unread counters,
+ * `emitNewMessage` and `chat_updated` broadcasts. File messages have their own
+ * pipeline (sendFileMessage) shared by direct and resumable uploads; files
+ * the malware scanner flags are quarantined and sent as a 'blocked' notice.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { queryWithRetry } from '../config/postgres.config.js';
+import { getRedisClient } from '../config/redis.config.js';
+import { emitNewMessage, emitChatUpdate } from '../socket/socket.server.js';
+import { getUserPresenceData } from '../utils/presence.utils.js';
+import { incrementUnreadCount } from '../utils/redis.utils.js';
+import { logActivity } from './analytics.service.js';
+import { getVisibilityForAudience, applyPresencePrivacy } from './privacy.service.js';
+import { buildReplySnapshot, formatReplyTo } from './reply.service.js';
+import { getMessageExpiry, getTimerLabel } from './disappearing.service.js';
+import { buildPoll, formatPoll } from './poll.service.js';
+import { LOCATION_MESSAGE_TYPES, buildLocation, describeLocation, formatLocation } from './location.service.js';
+import { buildContactCards, describeContacts, formatContactCards } from './contact-card.service.js';
+import { getVoiceMetadata, formatVoice } from './voice.service.js';
+import { createMediaPreview } from './thumbnail.service.js';
+import { getFileUrl, deleteFile } from '../middleware/upload.middleware.js';
+import { findMediaFile, storeMediaFile, acquireMediaFile, releaseMediaFile, getMediaFileVoice } from './media-registry.service.js';
+import { scanUploads } from './upload-security.service.js';
+
+// Shown instead of a file the malware scanner flagged
+const BLOCKED_FILE_TEXT = 'This file was blocked because it may contain malware';
+
+/**
+ * Client view of a blocked file notice (the quarantine record stays internal)
+ * @param {Object} blocked - Message `blocked` field
+ */
+export const formatBlockedFile = (blocked) => ({
+  reason: blocked.reason,
+  signature: blocked.signature,
+  blockedAt: blocked.blockedAt,
+});
+
+/**
+ * Send a message to a chat (or start a direct chat with recipientId)
+ *
+ * @param {object} params
+ * @param {string} params.senderId - Sending user
+ * @param {string} [params.chatId] - Existing chat
+ * @param {string} [params.recipientId] - Other user, for a new direct chat
+ * @param {string} params.message - Text (or media URL)
+ * @param {string} [params.messageType='text']
+ * @param {string} [params.replyToMessageId] - Message being quoted
+ * @param {Object} [params.poll] - Poll options for messageType 'poll' (validated by validateMessage)
+ * @param {Object} [params.location] - Point for 'location' / 'live_location' (validated by validateMessage)
+ * @param {string} [params.vcard] - vCard text for 'contact'
+ * @param {string} [params.ipAddress] - For activity logging
+ * @param {string} [params.deviceId] - For activity logging
+ * @param {ObjectId} [params.scheduledMessageId] - Set by the scheduler
+ * @returns {Promise<{messageData: object} | {error: {status: number, message: string}}>}
+ */
+export const sendMessage = async ({
+  senderId,
+  chatId,
+  recipientId,
+  message,
+  messageType = 'text',
+  replyToMessageId,
+  poll,
+  location,
+  vcard,
+  ipAddress,
+  deviceId = 'unknown',
+  scheduledMessageId = null,
+}) => {
+  if (!chatId && !recipientId) {
+    return { error: { status: 400, message: 'Either chatId or recipientId is required' } };
+  }
+
+  const mongoDb = getMongoDB();
+  const chatsCollection = mongoDb.collection('chats');
+  const messagesCollection = mongoDb.collection('messages');
+
+  let chat;
+  let chatObjectId;
+
+  // If chatId is provided, verify it exists
+  if (chatId) {
+    try {
+      chatObjectId = new ObjectId(chatId);
+      chat = await chatsCollection.findOne({
+        _id: chatObjectId,
+        participants: senderId,
+      });
+    } catch (error) {
+      // Invalid chatId, will create new chat if recipientId provided
+      chat = null;
+    }
+  }
+
+  // If chat doesn't exist but recipientId is provided, create new chat
+  if (!chat && recipientId && recipientId !== senderId) {
+    // Verify recipient exists
+    const recipientResult = await queryWithRetry(
+      'SELECT id FROM users WHERE id = $1',
+      [recipientId],
+      3,
+      20000
+    );
+
+    if (recipientResult.rows.length === 0) {
+      return { error: { status: 404, message: 'Recipient not found' } };
+    }
+
+    // Check if user is blocked (either direction)
+    const { isBlocked } = await import('../utils/block.utils.js');
+    const blocked = await isBlocked(senderId, recipientId);
+    if (blocked) {
+      return { error: { status: 403, message: "Can't send message" } };
+    }
+
+    // Check if chat already exists between these users
+    const existingChat = await chatsCollection.findOne({
+      participants: { $all: [senderId, recipientId] },
+      type: 'direct',
+    });
+
+    if (existingChat) {
+      chat = existingChat;
+      chatObjectId = existingChat._id;
+    } else {
+      // Create new chat with enhanced schema
+      const newChat = {
+        participants: [senderId, recipientId],
+        type: 'direct',
+        lastMessage: null,
+        lastMessageAt: new Date(),
+        archivedBy: [],
+        pinnedBy: [],
+        mutedBy: [],
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const chatResult = await chatsCollection.insertOne(newChat);
+      chat = { ...newChat, _id: chatResult.insertedId };
+      chatObjectId = chatResult.insertedId;
+
+      // Automatically add recipient to contacts
+      const { autoAddContact } = await import('../utils/contacts.utils.js');
+      await autoAddContact(senderId, recipientId);
+    }
+  }
+
+  if (!chat) {
+    return { error: { status: 404, message: 'Chat not found and recipient not specified' } };
+  }
+
+  if (!chatObjectId) {
+    chatObjectId = chat._id;
+  }
+
+  // For direct chats, check if user is blocked (either direction) and auto-add to contacts
+  if (chat.type === 'direct') {
+    const otherParticipantId = chat.participants.find(id => id !== senderId);
+    if (otherParticipantId) {
+      const { isBlocked } = await import('../utils/block.utils.js');
+      const blocked = await isBlocked(senderId, otherParticipantId);
+      if (blocked) {
+        return { error: { status: 403, message: "Can't send message" } };
+      }
+
+      // Automatically add to contacts if not already there
+      const { autoAddContact } = await import('../utils/contacts.utils.js');
+      await autoAddContact(senderId, otherParticipantId);
+    }
+  }
+
+  // Quote the replied-to message (must be in this chat)
+  let reply = null;
+  if (replyToMessageId) {
+    reply = await buildReplySnapshot({ chatId: chatObjectId, replyToMessageId, userId: senderId });
+    if (reply.error) return reply;
+  }
+
+  if (messageType === 'poll' && chat.type !== 'group') {
+    return { error: { status: 400, message: 'Polls are only available in group chats' } };
+  }
+
+  // Location messages get their text (shown in chat lists) from the location
+  const locationData = LOCATION_MESSAGE_TYPES.includes(messageType) ? buildLocation(messageType, location) : null;
+  if (locationData) {
+    message = describeLocation(messageType, locationData);
+  }
+
+  // Contact cards: parse the vCards and resolve registered users
+  let contacts = null;
+  if (messageType === 'contact') {
+    const cards = await buildContactCards({ vcard, senderId });
+    if (cards.error) return cards;
+    contacts = cards.contacts;
+    message = describeContacts(contacts);
+  }
+
+  // Parse mentions if this is a group chat
+  let mentions = [];
+  if (chat.type === 'group' && messageType === 'text') {
+    const { parseMentions } = await import('../utils/mentions.utils.js');
+    // Get participant details for mention parsing
+    const participantDetails = await Promise.all(
+      chat.participants.map(async (userId) => {
+        const userResult = await queryWithRetry(
+          "SELECT id, full_name FROM users WHERE id = $1",
+          [userId],
+          3,
+          20000
+        );
+        if (userResult.rows.length > 0) {
+          return {
+            id: userResult.rows[0].id,
+            fullName: userResult.rows[0].full_name,
+          };
+        }
+        return null;
+      })
+    );
+    const validParticipants = participantDetails.filter(p => p != null);
+    mentions = parseMentions(message, validParticipants);
+  }
+
+  // Create message with enhanced schema
+  const newMessage = {
+    chatId: chatObjectId,
+    senderId: senderId,
+    message: message,
+    messageType: messageType, // text, image, video, audio, file, call
+    readBy: [senderId], // Sender has read it
+    readReceipts: [
+      {
+        userId: senderId,
+        readAt: new Date(),
+      },
+    ],
+    deliveredTo: [], // Filled in as recipients acknowledge with message_delivered
+    scheduledMessageId: scheduledMessageId || null, // Set when sent by the message scheduler
+    mentions: mentions, // Array of mentioned user IDs
+    replyToMessageId: reply ? reply.replyToMessageId : null,
+    replyTo: reply ? reply.replyTo : null, // Quoted snapshot, survives deletion of the original
+    poll: messageType === 'poll' ? buildPoll(poll) : null, // Options and votes for poll messages
+    location: locationData, // Point (and live sharing state) for location messages
+    contacts, // Parsed vCards for contact messages
+    expiresAt: getMessageExpiry(chat), // Set when the chat has disappearing messages on
+    editedAt: null,
+    deletedAt: null,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+
+  const messageResult = await messagesCollection.insertOne(newMessage);
+  const chatIdString = chatObjectId.toString();
+
+  // Log activity
+  await logActivity({
+    userId: senderId,
+    activityType: 'message_sent',
+    activityData: {
+      chatId: chatIdString,
+      messageType,
+      messageLength: message.length,
+    },
+    ipAddress,
+    deviceId,
+  });
+
+  // Update last_seen when user sends a message (they're clearly active)
+  // This ensures last_seen is current even if heartbeat fails or is delayed
+  // Scheduled sends happen without the user, so they don't count as activity
+  if (!scheduledMessageId) {
+    try {
+      const updateResult = await queryWithRetry(
+        "UPDATE users SET last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $1 RETURNING last_seen AT TIME ZONE 'UTC' as last_seen_utc",
+        [senderId],
+        3,
+        20000
+      );
+      if (updateResult.rows.length > 0) {
+        console.log(`💬 REST API: Message sent by ${senderId} - Updated last_seen_utc=${updateResult.rows[0].last_seen_utc}`);
+      }
+    } catch (error) {
+      console.error('❌ Error updating last_seen on message send:', error);
+    }
+  }
+
+  // Update chat's last message only if this message is more recent
+  // This prevents text messages from overwriting more recent call messages
+  const now = new Date();
+  await chatsCollection.updateOne(
+    { 
+      _id: chatObjectId,
+      $or: [
+        { lastMessageAt: { $exists: false } },
+        { lastMessageAt: null },
+        { lastMessageAt: { $lt: now } } // Only update if new message is more recent
+      ]
+    },
+    {
+      $set: {
+        lastMessage: message,
+        lastMessageType: messageType,
+        lastMessageAt: now,
+        updatedAt: now,
+      },
+    }
+  );
+
+  // Increment unread count for other participants (all except sender)
+  // NOTE: Call messages should NOT increment unread count as they're system messages
+  // that both participants can see. They're already marked as read in createCallHistoryMessage.
+  // BUG FIX #1: Use safe Redis operations with proper error handling to prevent race conditions
+  if (messageType !== 'call') {
+    const otherParticipants = chat.participants.filter((id) => id !== senderId);
+    // For groups, increment unread for all other participants
+    // For direct chats, increment for the one other participant
+    // Use atomic increment operations to prevent race conditions
+    await Promise.all(
+      otherParticipants.map(participantId => 
+        incrementUnreadCount(participantId, chatObjectId.toString(), 1)
+      )
+    );
+  }
+
+  // Get sender name for group chats
+  let senderName = null;
+  if (chat.type === 'group') {
+    const senderResult = await queryWithRetry(
+      `SELECT full_name FROM users WHERE id = $1`,
+      [senderId],
+      3,
+      20000
+    );
+    if (senderResult.rows.length > 0) {
+      senderName = senderResult.rows[0].full_name || null;
+    }
+  }
+
+  // Prepare message data for Socket.IO with enhanced schema
+  const messageData = {
+    id: messageResult.insertedId.toString(),
+    chatId: chatIdString,
+    senderId: senderId,
+    message: message,
+    messageType: messageType,
+    readBy: [senderId],
+    readReceipts: [
+      {
+        userId: senderId,
+        readAt: newMessage.createdAt.toISOString(),
+      },
+    ],
+    deliveredTo: [],
+    mentions: newMessage.mentions || [], // Include mentions
+    replyTo: formatReplyTo(newMessage.replyTo),
+    poll: newMessage.poll ? formatPoll(newMessage.poll) : null,
+    location: newMessage.location ? formatLocation(newMessage.location) : null,
+    contacts: newMessage.contacts ? formatContactCards(newMessage.contacts) : null,
+    expiresAt: newMessage.expiresAt ? newMessage.expiresAt.toISOString() : null,
+    editedAt: null,
+    deletedAt: null,
+    status: 'sent', // Message is sent to server
+    createdAt: newMessage.createdAt.toISOString(),
+    updatedAt: newMessage.updatedAt.toISOString(),
+  };
+
+  // Include sender name for group chats
+  if (senderName) {
+    messageData.senderName = senderName;
+  }
+
+  // Emit new message via Socket.IO for real-time delivery
+  await emitNewMessage(chatIdString, messageData);
+
+  // Emit chat update to all participants with unread count
+  const lastMessageAt = new Date();
+  const redisClient = getRedisClient();
+  const isGroup = chat.type === 'group';
+
+  // Get fresh sender user details after updating last_seen
+  const senderUserResult = await queryWithRetry(
+    "SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, is_online, to_char(last_seen AT TIME ZONE 'UTC', 'YYYY-MM-DD\"T\"HH24:MI:SS.MS\"Z\"') as last_seen, timezone FROM users WHERE id = $1",
+    [senderId],
+    3,
+    20000
+  );
+  const senderUser = senderUserResult.rows[0];
+  const senderPresenceData = getUserPresenceData(senderUser);
+  const senderVisibility = isGroup ? new Map() : await getVisibilityForAudience(senderId, chat.participants);
+
+  // Emit chat update to all participants
+  for (const participantId of chat.participants) {
+    const participantUnreadCount = await redisClient.get(`unread:${participantId}:${chatObjectId}`) || '0';
+    
+    const chatUpdateData = {
+      chatId: chatIdString,
+      type: chat.type || 'direct',
+      lastMessage: message,
+      lastMessageType: messageType,
+      lastMessageAt: lastMessageAt.toISOString(),
+      unreadCount: parseInt(participantUnreadCount),
+      isNewChat: !chatId,
+      archivedBy: chat.archivedBy || [],
+      pinnedBy: chat.pinnedBy || [],
+      mutedBy: chat.mutedBy || [],
+      disappearingTimer: getTimerLabel(chat.disappearingTimer),
+    };
+    
+    // For direct chats, include otherUser info
+    // For groups, include groupInfo
+    if (isGroup) {
+      chatUpdateData.groupInfo = {
+        groupName: chat.groupName,
+        groupDescription: chat.groupDescription,
+        groupPictureUrl: chat.groupPictureUrl,
+        participantCount: chat.participants.length,
+        admins: chat.admins || [],
+        createdBy: chat.createdBy,
+      };
+    } else if (participantId !== senderId) {
+      // For direct chats, include sender's presence data for the other participant
+      // (filtered by the sender's privacy settings)
+      const visiblePresenceData = applyPresencePrivacy(senderPresenceData, senderVisibility.get(participantId));
+      chatUpdateData.otherUser = visiblePresenceData;
+      
+      // Broadcast presence update to receiver IMMEDIATELY with fresh data
+      const { getSocketIO } = await import('../socket/socket.server.js');
+      const socketIO = getSocketIO();
+      if (visiblePresenceData) {
+        socketIO.to(`user:${participantId}`).emit('presence_update', {
+          userId: senderId,
+          isOnline: visiblePresenceData.isOnline,
+          lastSeen: visiblePresenceData.lastSeen,
+          fullName: visiblePresenceData.fullName,
+          profilePictureUrl: visiblePresenceData.profilePictureUrl,
+        });
+      }
+    }
+    
+    emitChatUpdate(participantId, chatUpdateData);
+  }
+
+
+  return { messageData };
+};
+
+/**
+ * Send an uploaded file as a message - the pipeline behind POST /api/messages/upload,
+ * shared with resumable uploads (POST /api/messages/uploads/:uploadId/complete)
+ * The file (and poster) are deleted when the message can't be sent. Files
+ * identical to a stored one are deduplicated (media-registry.service.js).
+ * New uploads are scanned first: an infected file is quarantined and the
+ * message is sent as messageType 'blocked', without the file.
+ *
+ * @param {object} params
+ * @param {string} params.senderId - Sending user
+ * @param {Object} [params.file] - Uploaded file (multer shape: filename, path, originalname, mimetype, size)
+ * @param {string} [params.sha256] - Instead of `file`: hex digest of an already stored file
+ * @param {string} [params.filename] - Original file name with `sha256` (defaults to the first upload's)
+ * @param {Object} [params.thumbnailFile] - Poster frame for videos (multer shape)
+ * @param {string} [params.chatId] - Existing chat
+ * @param {string} [params.recipientId] - Other user, for a new direct chat
+ * @param {string} [params.messageType='file'] - 'file' is refined from the extension; 'voice' adds duration and waveform
+ * @returns {Promise<{messageData: object} | {error: {status: number, message: string}}>}
+ *   messageData has `blocked` when the file was quarantined.
+ */
+export const sendFileMessage = async ({
+  senderId,
+  file,
+  sha256,
+  filename,
+  thumbnailFile,
+  chatId,
+  recipientId,
+  messageType = 'file',
+}) => {
+  // Reference held on the stored file, once it's in storage
+  let storedFile = null;
+  let messageSent = false;
+
+  const discardUpload = async () => {
+    // From then on the message owns the file
+    if (messageSent) return;
+
+    if (storedFile) {
+      try {
+        await releaseMediaFile(storedFile.sha256);
+      } catch (error) {
+        console.error('Error releasing unsent upload:', error);
+      }
+    }
+    for (const upload of [storedFile ? null : file, thumbnailFile]) {
+      if (!upload) continue;
+      try {
+        await deleteFile(upload.filename);
+      } catch (error) {
+        console.error('Error deleting unsent upload:', error);
+      }
+    }
+  };
+
+  try {
+    // Sending a file the server already has: nothing was uploaded
+    const existingFile = file ? null : await findMediaFile(sha256);
+    if (!file && !existingFile) {
+      await discardUpload();
+      return { error: { status: 404, message: 'File not found - upload it instead' } };
+    }
+    const originalName = file ? file.originalname : filename || existingFile.originalName || '';
+
+    // Determine message type based on file extension if not provided
+    let actualMessageType = messageType;
+    if (messageType === 'file') {
+      const ext = originalName.split('.').pop()?.toLowerCase();
+      if (['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(ext || '')) {
+        actualMessageType = 'image';
+      } else if (['mp4', 'mov', 'avi', 'mkv', 'webm'].includes(ext || '')) {
+        actualMessageType = 'video';
+      } else if (['mp3', 'wav', 'm4a', 'aac', 'ogg'].includes(ext || '')) {
+        actualMessageType = 'audio';
+      } else if (['pdf', 'doc', 'docx', 'txt', 'xls', 'xlsx', 'ppt', 'pptx'].includes(ext || '')) {
+        actualMessageType = 'document';
+      }
+    }
+
+    // Files already on the server were scanned when first uploaded
+    let blocked = null;
+    if (file) {
+      const scan = await scanUploads([file, thumbnailFile], { uploaderId: senderId, source: 'message' });
+      if (scan.error) {
+        await discardUpload();
+        return { error: scan.error };
+      }
+      if (scan.infected) {
+        blocked = {
+          reason: 'malware',
+          signature: scan.infected.signature,
+          fileType: actualMessageType,
+          quarantineId: scan.infected.quarantineId,
+          blockedAt: new Date(),
+        };
+        // Nothing of the upload is kept, even if the chat turns out to be invalid
+        await discardUpload();
+      }
+    }
+
+    // Voice notes: duration and waveform for the playback UI
+    let voiceMetadata = null;
+    if (messageType === 'voice' && !blocked) {
+      const voice = file ? await getVoiceMetadata(file.path) : await getMediaFileVoice(existingFile);
+      if (voice.error) {
+        await discardUpload();
+        return { error: voice.error };
+      }
+      voiceMetadata = voice.voice;
+    }
+
+    // Images and videos: dimensions, thumbnail and blurhash placeholder
+    // (also cleans up the optional video poster)
+    let mediaPreview = null;
+    if (existingFile) {
+      mediaPreview = existingFile.media || null;
+    } else if (!blocked) {
+      mediaPreview = await createMediaPreview({
+        file,
+        type: actualMessageType,
+        posterFile: thumbnailFile,
+      });
+    }
+
+    if (!chatId && !recipientId) {
+      await discardUpload();
+      return { error: { status: 400, message: 'Either chatId or recipientId is required' } };
+    }
+
+    const mongoDb = getMongoDB();
+    const chatsCollection = mongoDb.collection('chats');
+    const messagesCollection = mongoDb.collection('messages');
+
+    let chat;
+    let chatObjectId;
+
+    // If chatId is provided, verify it exists
+    if (chatId) {
+      try {
+        chatObjectId = new ObjectId(chatId);
+        chat = await chatsCollection.findOne({
+          _id: chatObjectId,
+          participants: senderId,
+        });
+      } catch (error) {
+        // Invalid chatId, will create new chat if recipientId provided
+        chat = null;
+      }
+    }
+
+    // If chat doesn't exist but recipientId is provided, create new chat
+    if (!chat && recipientId && recipientId !== senderId) {
+      // Verify recipient exists
+      const recipientResult = await queryWithRetry(
+        'SELECT id FROM users WHERE id = $1',
+        [recipientId],
+        3,
+        20000
+      );
+
+      if (recipientResult.rows.length === 0) {
+        await discardUpload();
+        return { error: { status: 404, message: 'Recipient not found' } };
+      }
+
+      // Check if chat already exists between these users
+      const existingChat = await chatsCollection.findOne({
+        participants: { $all: [senderId, recipientId] },
+        type: 'direct',
+      });
+
+      if (existingChat) {
+        chat = existingChat;
+        chatObjectId = existingChat._id;
+      } else {
+        // Create new chat with enhanced schema
+        const newChat = {
+          participants: [senderId, recipientId],
+          type: 'direct',
+          lastMessage: null,
+          lastMessageAt: new Date(),
+          archivedBy: [],
+          pinnedBy: [],
+          mutedBy: [],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        };
+
+        const chatResult = await chatsCollection.insertOne(newChat);
+        chat = { ...newChat, _id: chatResult.insertedId };
+        chatObjectId = chatResult.insertedId;
+
+        // Automatically add recipient to contacts
+        const { autoAddContact } = await import('../utils/contacts.utils.js');
+        await autoAddContact(senderId, recipientId);
+      }
+    }
+
+    if (!chat) {
+      await discardUpload();
+      return { error: { status: 404, message: 'Chat not found and recipient not specified' } };
+    }
+
+    if (!chatObjectId) {
+      chatObjectId = chat._id;
+    }
+
+    // For direct chats, auto-add to contacts
+    if (chat.type === 'direct') {
+      const otherParticipantId = chat.participants.find(id => id !== senderId);
+      if (otherParticipantId) {
+        // Automatically add to contacts if not already there
+        const { autoAddContact } = await import('../utils/contacts.utils.js');
+        await autoAddContact(senderId, otherParticipantId);
+      }
+    }
+
+    // Move the file (and its thumbnail) into storage - or reuse an identical
+    // stored file - then generate its URL
+    let fileUrl = null;
+    if (!blocked) {
+      storedFile = file
+        ? await storeMediaFile(file, { originalName, media: mediaPreview, voice: voiceMetadata })
+        : await acquireMediaFile(existingFile.sha256);
+      if (!storedFile) {
+        // Its last message was deleted in the meantime
+        await discardUpload();
+        return { error: { status: 404, message: 'File not found - upload it instead' } };
+      }
+      mediaPreview = storedFile.media || null;
+      fileUrl = getFileUrl(null, storedFile.filename);
+    }
+    const sentMessageType = blocked ? 'blocked' : actualMessageType;
+
+    // Create message with file URL and enhanced schema
+    const newMessage = {
+      chatId: chatObjectId,
+      senderId: senderId,
+      message: blocked ? BLOCKED_FILE_TEXT : fileUrl, // Store file URL as message content
+      messageType: sentMessageType,
+      readBy: [senderId], // Sender has read it
+      readReceipts: [
+        {
+          userId: senderId,
+          readAt: new Date(),
+        },
+      ],
+      deliveredTo: [],
+      voice: voiceMetadata, // Duration and waveform for voice notes
+      media: mediaPreview, // Dimensions, thumbnail and blurhash for images and videos
+      fileSha256: storedFile ? storedFile.sha256 : null, // media_files reference
+      blocked, // Malware scan verdict, when the file was quarantined
+      playedBy: [], // Voice notes: recipients who played it (separate from readBy)
+      expiresAt: getMessageExpiry(chat),
+      editedAt: null,
+      deletedAt: null,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+
+    const messageResult = await messagesCollection.insertOne(newMessage);
+    messageSent = true;
+
+    // Update last_seen when user sends a message
+    try {
+      await queryWithRetry(
+        "UPDATE users SET last_seen = (NOW() AT TIME ZONE 'UTC'), is_online = true WHERE id = $1",
+        [senderId],
+        3,
+        20000
+      );
+    } catch (error) {
+      console.error('Error updating last_seen on message send:', error);
+    }
+
+    // Update chat's last message
+    await chatsCollection.updateOne(
+      { _id: chatObjectId },
+      {
+        $set: {
+          lastMessage: sentMessageType === 'blocked' ? '🚫 Blocked file' :
+                      sentMessageType === 'image' ? '📷 Photo' : 
+                      sentMessageType === 'video' ? '🎥 Video' :
+                      sentMessageType === 'audio' ? '🎤 Audio' :
+                      sentMessageType === 'voice' ? '🎤 Voice message' :
+                      sentMessageType === 'document' ? '📄 Document' : '📎 File',
+          lastMessageType: sentMessageType,
+          lastMessageAt: new Date(),
+          updatedAt: new Date(),
+        },
+      }
+    );
+
+    // Increment unread count for other participants (all except sender)
+    // NOTE: Call messages should NOT increment unread count as they're system messages
+    // that both participants can see. They're already marked as read in createCallHistoryMessage.
+    // BUG FIX #1: Use safe Redis operations to prevent race conditions
+    if (sentMessageType !== 'call') {
+      const otherParticipants = chat.participants.filter((id) => id !== senderId);
+      await Promise.all(
+        otherParticipants.map(participantId => 
+          incrementUnreadCount(participantId, chatObjectId.toString(), 1)
+        )
+      );
+    }
+
+    const chatIdString = chatObjectId.toString();
+
+    // Get sender name for group chats
+    let senderName = null;
+    if (chat.type === 'group') {
+      const senderResult = await queryWithRetry(
+        `SELECT full_name FROM users WHERE id = $1`,
+        [senderId],
+        3,
+        20000
+      );
+      if (senderResult.rows.length > 0) {
+        senderName = senderResult.rows[0].full_name || null;
+      }
+    }
+
+    // Prepare message data for Socket.IO
+    const messageData = {
+      id: messageResult.insertedId.toString(),
+      chatId: chatIdString,
+      senderId: senderId,
+      message: newMessage.message,
+      messageType: sentMessageType,
+      voice: voiceMetadata ? formatVoice(voiceMetadata) : null,
+      media: mediaPreview,
+      blocked: blocked ? formatBlockedFile(blocked) : null,
+      readBy: [senderId],
+      status: 'sent',
+      createdAt: newMessage.createdAt.toISOString(),
+    };
+    
+    // Include sender name for group chats
+    if (senderName) {
+      messageData.senderName = senderName;
+    }
+
+    // Emit new message via Socket.IO for real-time delivery
+    emitNewMessage(chatIdString, messageData);
+
+    // Emit chat update to all participants
+    const lastMessageAt = new Date();
+    const redisClient = getRedisClient();
+    const isGroup = chat.type === 'group';
+    
+    const senderUserResult = await queryWithRetry(
+      "SELECT id, full_name, phone_number, country_code, bio, profile_picture_url, is_online, to_char(last_seen AT TIME ZONE 'UTC', 'YYYY-MM-DD\"T\"HH24:MI:SS.MS\"Z\"') as last_seen, timezone FROM users WHERE id = $1",
+      [senderId],
+      3,
+      20000
+    );
+    const senderUser = senderUserResult.rows[0];
+    const senderPresenceData = getUserPresenceData(senderUser);
+    const senderVisibility = isGroup ? new Map() : await getVisibilityForAudience(senderId, chat.participants);
+
+    const lastMessageText = sentMessageType === 'blocked' ? '🚫 Blocked file' :
+                            sentMessageType === 'image' ? '📷 Photo' : 
+                            sentMessageType === 'video' ? '🎥 Video' :
+                            sentMessageType === 'audio' ? '🎤 Audio' :
+                            sentMessageType === 'voice' ? '🎤 Voice message' :
+                            sentMessageType === 'document' ? '📄 Document' : '📎 File';
+
+    // Emit chat update to all participants
+    for (const participantId of chat.participants) {
+      const participantUnreadCount = await redisClient.get(`unread:${participantId}:${chatObjectId}`) || '0';
+      
+      const chatUpdateData = {
+        chatId: chatIdString,
+        type: chat.type || 'direct',
+        lastMessage: lastMessageText,
+        lastMessageType: sentMessageType,
+        lastMessageAt: lastMessageAt.toISOString(),
+        unreadCount: parseInt(participantUnreadCount),
+        isNewChat: !chatId,
+        archivedBy: chat.archivedBy || [],
+        pinnedBy: chat.pinnedBy || [],
+        mutedBy: chat.mutedBy || [],
+        disappearingTimer: getTimerLabel(chat.disappearingTimer),
+      };
+      
+      // For direct chats, include otherUser info
+      // For groups, include groupInfo
+      if (isGroup) {
+        chatUpdateData.groupInfo = {
+          groupName: chat.groupName,
+          groupDescription: chat.groupDescription,
+          groupPictureUrl: chat.groupPictureUrl,
+          participantCount: chat.participants.length,
+          admins: chat.admins || [],
+          createdBy: chat.createdBy,
+        };
+      } else if (participantId !== senderId) {
+        // For direct chats, include sender's presence data for the other participant
+        // (filtered by the sender's privacy settings)
+        const visiblePresenceData = applyPresencePrivacy(senderPresenceData, senderVisibility.get(participantId));
+        chatUpdateData.otherUser = visiblePresenceData;
+        
+        // Broadcast presence update to receiver IMMEDIATELY with fresh data
+        const { getSocketIO } = await import('../socket/socket.server.js');
+        const socketIO = getSocketIO();
+        if (visiblePresenceData) {
+          socketIO.to(`user:${participantId}`).emit('presence_update', {
+            userId: senderId,
+            isOnline: visiblePresenceData.isOnline,
+            lastSeen: visiblePresenceData.lastSeen,
+            fullName: visiblePresenceData.fullName,
+            profilePictureUrl: visiblePresenceData.profilePictureUrl,
+          });
+        }
+      }
+      
+      emitChatUpdate(participantId, chatUpdateData);
+    }
+
+    return { messageData };
+  } catch (error) {
+    await discardUpload();
+    throw error;
+  }
+};
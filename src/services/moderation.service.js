@@ -0,0 +1,293 @@
+/**
+ * Moderation Service
+ *
+ * Account suspensions, bans and hard deletion.
+ * Active restrictions are mirrored in Redis (`account_restriction:{userId}`)
+ * so token validation can reject restricted users without a database hit.
+ * Unrestricted users are cached as such for a few minutes; when there's no
+ * cache entry (expired, evicted, Redis down) the users table decides.
+ * Login (verify-otp) and token refresh always check the users table itself.
+ */
+
+import postgresPool from '../config/postgres.config.js';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { safeRedisOperation } from '../utils/redis.utils.js';
+import { deleteFile } from '../middleware/upload.middleware.js';
+import { findRegisteredFilenames, releaseMediaFile } from './media-registry.service.js';
+import { MEDIA_MESSAGE_TYPES } from './location.service.js';
+import { getMediaFilename, getMediaUploaderId } from './media.service.js';
+
+const restrictionKey = (userId) => `account_restriction:${userId}`;
+
+// Cache value for users without a restriction
+const NO_RESTRICTION = 'none';
+const NO_RESTRICTION_TTL_SECONDS = 300;
+
+/**
+ * Derive the active restriction from a users row
+ * (needs is_active, ban_reason, banned_at, suspended_until, suspension_reason)
+ * @returns {{type: 'banned'|'suspended', reason: string|null, until?: Date} | null}
+ */
+export const getRestrictionFromUser = (user) => {
+  if (!user) return null;
+
+  if (user.is_active === false) {
+    return { type: 'banned', reason: user.ban_reason || null, since: user.banned_at || null };
+  }
+
+  if (user.suspended_until && new Date(user.suspended_until) > new Date()) {
+    return { type: 'suspended', reason: user.suspension_reason || null, until: new Date(user.suspended_until) };
+  }
+
+  return null;
+};
+
+/**
+ * Get the active restriction for a user (null if none)
+ * Served from Redis; loaded from the users table when it isn't cached.
+ */
+export const getAccountRestriction = async (userId) => {
+  const cached = await safeRedisOperation(async (redisClient) => {
+    return await redisClient.get(restrictionKey(userId));
+  }, null);
+
+  if (cached === NO_RESTRICTION) return null;
+
+  if (cached) {
+    try {
+      const restriction = JSON.parse(cached);
+      if (restriction.type === 'suspended' && new Date(restriction.until) <= new Date()) {
+        return null;
+      }
+      return restriction;
+    } catch (error) {
+      // Unreadable entry - fall through to the users table
+    }
+  }
+
+  const result = await postgresPool.query(
+    'SELECT is_active, ban_reason, banned_at, suspended_until, suspension_reason FROM users WHERE id = $1',
+    [userId]
+  );
+  const restriction = getRestrictionFromUser(result.rows[0]);
+
+  if (restriction) {
+    await cacheRestriction(userId, restriction);
+  } else {
+    // NX: never overwrite a restriction stored by a concurrent suspend / ban
+    await safeRedisOperation(async (redisClient) => {
+      await redisClient.set(restrictionKey(userId), NO_RESTRICTION, { EX: NO_RESTRICTION_TTL_SECONDS, NX: true });
+    });
+  }
+  return restriction;
+};
+
+const cacheRestriction = async (userId, restriction) => {
+  await safeRedisOperation(async (redisClient) => {
+    if (restriction.type === 'suspended') {
+      const ttl = Math.ceil((new Date(restriction.until).getTime() - Date.now()) / 1000);
+      if (ttl > 0) {
+        await redisClient.setEx(restrictionKey(userId), ttl, JSON.stringify(restriction));
+      }
+    } else {
+      await redisClient.set(restrictionKey(userId), JSON.stringify(restriction));
+    }
+  });
+};
+
+/**
+ * Suspend a user until the given date
+ * @returns {Promise<object|null>} The restriction, or null if the user doesn't exist
+ */
+export const suspendUser = async (userId, { until, reason }) => {
+  const result = await postgresPool.query(
+    `UPDATE users
+     SET suspended_until = $1, suspension_reason = $2, is_online = false
+     WHERE id = $3
+     RETURNING id`,
+    [until, reason, userId]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const restriction = { type: 'suspended', reason, until: new Date(until) };
+  await cacheRestriction(userId, restriction);
+  return restriction;
+};
+
+/**
+ * Ban a user (until reinstated)
+ * @returns {Promise<object|null>} The restriction, or null if the user doesn't exist
+ */
+export const banUser = async (userId, { reason }) => {
+  const result = await postgresPool.query(
+    `UPDATE users
+     SET is_active = false, banned_at = CURRENT_TIMESTAMP, ban_reason = $1, is_online = false
+     WHERE id = $2
+     RETURNING banned_at`,
+    [reason, userId]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const restriction = { type: 'banned', reason, since: result.rows[0].banned_at };
+  await cacheRestriction(userId, restriction);
+  return restriction;
+};
+
+/**
+ * Lift any suspension or ban
+ * @returns {Promise<boolean>} false if the user doesn't exist
+ */
+export const reinstateUser = async (userId) => {
+  const result = await postgresPool.query(
+    `UPDATE users
+     SET is_active = true, banned_at = NULL, ban_reason = NULL, suspended_until = NULL, suspension_reason = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+
+  await safeRedisOperation(async (redisClient) => {
+    await redisClient.del(restrictionKey(userId));
+  });
+
+  return result.rowCount > 0;
+};
+
+/**
+ * Permanently delete a user and everything they own.
+ * Order: Mongo -> files -> Redis -> Postgres, so a failure part-way can be retried
+ * (the users row, which everything is keyed on, goes last).
+ * Callers must revoke the user's sessions first.
+ * @returns {Promise<object|null>} Summary of deleted data, or null if the user doesn't exist
+ */
+export const deleteUserAccount = async (userId) => {
+  const userResult = await postgresPool.query(
+    'SELECT id, profile_picture_url FROM users WHERE id = $1',
+    [userId]
+  );
+
+  if (userResult.rows.length === 0) return null;
+
+  const mongoDb = getMongoDB();
+  const chatsCollection = mongoDb.collection('chats');
+  const messagesCollection = mongoDb.collection('messages');
+  const statusCollection = mongoDb.collection('status');
+  const callsCollection = mongoDb.collection('calls');
+
+  const chats = await chatsCollection.find({ participants: userId }).toArray();
+  const directChats = chats.filter((chat) => chat.type !== 'group');
+  const groupChats = chats.filter((chat) => chat.type === 'group');
+
+  // Groups left without members are removed entirely, like direct chats
+  const chatIdsToDelete = directChats.map((chat) => chat._id);
+  for (const group of groupChats) {
+    const remaining = group.participants.filter((id) => id !== userId);
+    if (remaining.length === 0) {
+      chatIdsToDelete.push(group._id);
+      continue;
+    }
+
+    const remainingAdmins = (group.admins || []).filter((id) => id !== userId);
+    await chatsCollection.updateOne(
+      { _id: group._id },
+      {
+        $set: {
+          participants: remaining,
+          // Promote the next member so the group never ends up without an admin
+          admins: remainingAdmins.length > 0 ? remainingAdmins : [remaining[0]],
+          updatedAt: new Date(),
+        },
+      }
+    );
+  }
+
+  const messageFilter = {
+    $or: [
+      { chatId: { $in: chatIdsToDelete } },
+      { senderId: userId },
+    ],
+  };
+
+  const mediaMessages = await messagesCollection
+    .find({ ...messageFilter, messageType: { $in: MEDIA_MESSAGE_TYPES } })
+    .project({ message: 1, fileSha256: 1 })
+    .toArray();
+
+  const messagesResult = await messagesCollection.deleteMany(messageFilter);
+  const chatsResult = await chatsCollection.deleteMany({ _id: { $in: chatIdsToDelete } });
+
+  // Remove the user from other people's read/delivery lists and status viewer lists
+  await messagesCollection.updateMany({ readBy: userId }, { $pull: { readBy: userId, readReceipts: { userId } } });
+  await messagesCollection.updateMany({ 'deliveredTo.userId': userId }, { $pull: { deliveredTo: { userId } } });
+  await statusCollection.updateMany(
+    { 'statuses.viewers': userId },
+    { $pull: { 'statuses.$[].viewers': userId } }
+  );
+
+  const statusDoc = await statusCollection.findOne({ userId });
+  await statusCollection.deleteOne({ userId });
+
+  const callsResult = await callsCollection.deleteMany({
+    $or: [{ initiatorId: userId }, { 'participants.userId': userId }],
+  });
+  await mongoDb.collection('activity_logs').deleteMany({ userId });
+  await mongoDb.collection('scheduled_messages').deleteMany({ senderId: userId });
+
+  // Uploaded files: message media, statuses and the profile picture
+  // Registered files lose one reference per message / status (they may be
+  // shared with other users); older files are deleted outright, but only the
+  // user's own uploads - message text and URLs may name anyone's file.
+  const uploads = [...mediaMessages, ...(statusDoc?.statuses || [])];
+  let filesDeleted = 0;
+  for (const upload of uploads.filter((item) => item.fileSha256)) {
+    try {
+      if (await releaseMediaFile(upload.fileSha256)) filesDeleted++;
+    } catch (error) {
+      console.error(`Error releasing file ${upload.fileSha256} for deleted user ${userId}:`, error);
+    }
+  }
+
+  const filenames = [...new Set([
+    ...mediaMessages.filter((msg) => !msg.fileSha256).map((msg) => getMediaFilename(msg.message)),
+    ...(statusDoc?.statuses || []).filter((status) => !status.fileSha256).map((status) => getMediaFilename(status.url)),
+    getMediaFilename(userResult.rows[0].profile_picture_url),
+  ].filter((filename) => filename && getMediaUploaderId(filename) === userId))];
+  const registered = await findRegisteredFilenames(filenames);
+
+  for (const filename of filenames.filter((name) => !registered.has(name))) {
+    try {
+      await deleteFile(filename);
+      filesDeleted++;
+    } catch (error) {
+      console.error(`Error deleting file ${filename} for deleted user ${userId}:`, error);
+    }
+  }
+
+  // Redis: unread counters, typing indicators, presence and restriction keys
+  await safeRedisOperation(async (redisClient) => {
+    const keys = [restrictionKey(userId), `presence:${userId}`];
+    for (const chat of chats) {
+      const chatId = chat._id.toString();
+      keys.push(`typing:${chatId}:${userId}`);
+      if (chatIdsToDelete.some((id) => id.equals(chat._id))) {
+        chat.participants.forEach((participantId) => keys.push(`unread:${participantId}:${chatId}`));
+      }
+    }
+    for await (const key of redisClient.scanIterator({ MATCH: `unread:${userId}:*`, COUNT: 100 })) {
+      keys.push(key);
+    }
+    await redisClient.del(keys);
+  });
+
+  // Cascades to settings, contacts, sessions, roles, blocks and status tables
+  await postgresPool.query('DELETE FROM users WHERE id = $1', [userId]);
+
+  return {
+    chatsDeleted: chatsResult.deletedCount,
+    groupsLeft: groupChats.length - (chatIdsToDelete.length - directChats.length),
+    messagesDeleted: messagesResult.deletedCount,
+    callsDeleted: callsResult.deletedCount,
+    filesDeleted,
+  };
+};
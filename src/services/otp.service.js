@@ -0,0 +1,155 @@
+/**
+ * OTP Service
+ *
+ * Issues and verifies one-time passwords for phone number login.
+ * Codes are never stored in plain text: only an HMAC of the code lives in
+ * Redis, with a TTL, and it is deleted on first successful use.
+ * Failed attempts, lockouts and resend cooldowns are tracked per phone number.
+ * The failure counter has its own window and survives resends, so requesting
+ * a new code doesn't grant a fresh set of guesses.
+ */
+
+import crypto from 'crypto';
+import { getRedisClient } from '../config/redis.config.js';
+import { sendSms } from './sms.service.js';
+
+// Read lazily so values from .env are picked up regardless of import order
+const getOtpConfig = () => ({
+  length: parseInt(process.env.OTP_LENGTH || '6', 10),
+  ttlSeconds: parseInt(process.env.OTP_TTL_SECONDS || '300', 10), // 5 minutes
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10),
+  attemptWindowSeconds: parseInt(process.env.OTP_ATTEMPT_WINDOW_SECONDS || '3600', 10), // 1 hour
+  lockoutSeconds: parseInt(process.env.OTP_LOCKOUT_SECONDS || '900', 10), // 15 minutes
+  resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60', 10),
+});
+
+const getPhoneKey = (phoneNumber, countryCode) => `${countryCode}${phoneNumber}`.replace(/\s+/g, '');
+
+const otpKeys = (phoneKey) => ({
+  code: `otp:${phoneKey}`,
+  attempts: `otp_attempts:${phoneKey}`,
+  lock: `otp_lock:${phoneKey}`,
+  cooldown: `otp_cooldown:${phoneKey}`,
+});
+
+const generateOtp = (length) => {
+  let otp = '';
+  for (let i = 0; i < length; i++) {
+    otp += crypto.randomInt(0, 10).toString();
+  }
+  return otp;
+};
+
+// Bind the hash to the phone number so a leaked hash can't be replayed for another number
+const hashOtp = (phoneKey, otp) => {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET || '';
+  return crypto.createHmac('sha256', secret).update(`${phoneKey}:${otp}`).digest('hex');
+};
+
+const hashesMatch = (a, b) => {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Generate, store and send a new OTP
+ * @returns {Promise<{success: boolean, reason?: 'locked'|'cooldown'|'delivery_failed', retryAfter?: number, expiresIn?: number, resendAfter?: number}>}
+ */
+export const issueOtp = async ({ phoneNumber, countryCode }) => {
+  const config = getOtpConfig();
+  const phoneKey = getPhoneKey(phoneNumber, countryCode);
+  const keys = otpKeys(phoneKey);
+  const redisClient = getRedisClient();
+
+  const lockTtl = await redisClient.ttl(keys.lock);
+  if (lockTtl > 0) {
+    return { success: false, reason: 'locked', retryAfter: lockTtl };
+  }
+
+  // SET NX doubles as the cooldown check, so two concurrent requests can't both send
+  const cooldownSet = await redisClient.set(keys.cooldown, '1', {
+    NX: true,
+    EX: config.resendCooldownSeconds,
+  });
+  if (!cooldownSet) {
+    const cooldownTtl = await redisClient.ttl(keys.cooldown);
+    return { success: false, reason: 'cooldown', retryAfter: Math.max(cooldownTtl, 1) };
+  }
+
+  const otp = generateOtp(config.length);
+
+  // A new code replaces any previous one; the failure counter is left alone
+  await redisClient.setEx(keys.code, config.ttlSeconds, hashOtp(phoneKey, otp));
+
+  try {
+    const minutes = Math.ceil(config.ttlSeconds / 60);
+    await sendSms(
+      phoneKey,
+      `Your Axzora verification code is ${otp}. It expires in ${minutes} minute${minutes === 1 ? '' : 's'}. Do not share it with anyone.`
+    );
+  } catch (error) {
+    console.error('Error sending OTP SMS:', error);
+    // Let the user retry immediately - nothing was delivered
+    await redisClient.del([keys.code, keys.cooldown]);
+    return { success: false, reason: 'delivery_failed' };
+  }
+
+  return {
+    success: true,
+    expiresIn: config.ttlSeconds,
+    resendAfter: config.resendCooldownSeconds,
+  };
+};
+
+/**
+ * Verify an OTP. A correct code is consumed and can't be used again.
+ * @returns {Promise<{valid: boolean, reason?: 'locked'|'expired'|'invalid', retryAfter?: number, attemptsRemaining?: number}>}
+ */
+export const verifyOtp = async ({ phoneNumber, countryCode, otp }) => {
+  const config = getOtpConfig();
+  const phoneKey = getPhoneKey(phoneNumber, countryCode);
+  const keys = otpKeys(phoneKey);
+  const redisClient = getRedisClient();
+
+  const lockTtl = await redisClient.ttl(keys.lock);
+  if (lockTtl > 0) {
+    return { valid: false, reason: 'locked', retryAfter: lockTtl };
+  }
+
+  const storedHash = await redisClient.get(keys.code);
+  if (!storedHash) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  if (hashesMatch(storedHash, hashOtp(phoneKey, String(otp).trim()))) {
+    // DEL returns 0 if a concurrent request already consumed the code
+    const deleted = await redisClient.del(keys.code);
+    if (deleted === 0) {
+      return { valid: false, reason: 'expired' };
+    }
+    await redisClient.del([keys.attempts, keys.cooldown]);
+    return { valid: true };
+  }
+
+  // The window starts at the first failure and isn't extended by later ones
+  const attempts = await redisClient.incr(keys.attempts);
+  if (attempts === 1) {
+    await redisClient.expire(keys.attempts, config.attemptWindowSeconds);
+  }
+
+  if (attempts >= config.maxAttempts) {
+    await redisClient
+      .multi()
+      .setEx(keys.lock, config.lockoutSeconds, '1')
+      .del([keys.code, keys.attempts])
+      .exec();
+    return { valid: false, reason: 'locked', retryAfter: config.lockoutSeconds };
+  }
+
+  return {
+    valid: false,
+    reason: 'invalid',
+    attemptsRemaining: config.maxAttempts - attempts,
+  };
+};
@@ -0,0 +1,204 @@
+/**
+ * Poll Service
+ *
+ * Polls are messages with messageType 'poll' (group chats only). The question
+ * is the message text; the poll itself is stored on the message:
+ *
+ *   poll: {
+ *     options: [{ id, text }],
+ *     allowMultiple, anonymous,
+ *     votes: { [userId]: { optionIds, votedAt } },
+ *     closedAt, closedBy
+ *   }
+ *
+ * Votes are keyed by user so voting again atomically replaces the previous
+ * vote. Anonymous polls still record who voted (to prevent double votes) but
+ * never expose it. Live tallies are broadcast as `poll_updated` to `chat:{chatId}`.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getMongoDB } from '../config/mongodb.config.js';
+
+/**
+ * Build the poll sub-document for a new poll message
+ * Input is validated by validateMessage
+ * @param {Object} input - { options: string[], allowMultiple?, anonymous? }
+ */
+export const buildPoll = (input) => ({
+  options: input.options.map((text, index) => ({ id: String(index + 1), text: text.trim() })),
+  allowMultiple: input.allowMultiple === true,
+  anonymous: input.anonymous === true,
+  votes: {},
+  closedAt: null,
+  closedBy: null,
+});
+
+/**
+ * Format a poll with its tallies
+ * @param {Object} poll - Poll sub-document
+ * @param {string} [viewerId] - Adds the viewer's own choices (myVotes)
+ */
+export const formatPoll = (poll, viewerId = null) => {
+  const votes = Object.entries(poll.votes || {});
+
+  const formatted = {
+    options: poll.options.map((option) => {
+      const voters = votes.filter(([, vote]) => vote.optionIds.includes(option.id)).map(([userId]) => userId);
+      return {
+        id: option.id,
+        text: option.text,
+        voteCount: voters.length,
+        ...(poll.anonymous ? {} : { voters }),
+      };
+    }),
+    allowMultiple: poll.allowMultiple,
+    anonymous: poll.anonymous,
+    totalVoters: votes.length,
+    isClosed: Boolean(poll.closedAt),
+    closedAt: poll.closedAt || null,
+    closedBy: poll.closedBy || null,
+  };
+
+  if (viewerId) {
+    formatted.myVotes = poll.votes?.[viewerId]?.optionIds || [];
+  }
+
+  return formatted;
+};
+
+/**
+ * Broadcast the current tallies of a poll to its chat
+ * @param {Object} message - Poll message document
+ */
+export const emitPollUpdate = async (message) => {
+  try {
+    const { getSocketIO } = await import('../socket/socket.server.js');
+    const socketIO = getSocketIO();
+    if (!socketIO) return;
+
+    const chatId = message.chatId.toString();
+    socketIO.to(`chat:${chatId}`).emit('poll_updated', {
+      messageId: message._id.toString(),
+      chatId,
+      poll: formatPoll(message.poll),
+    });
+  } catch (error) {
+    console.error('Error emitting poll update:', error);
+  }
+};
+
+/**
+ * Find an open-or-closed poll the user can see
+ * @returns {Promise<{message: Object, chat: Object} | {error: {status: number, message: string}}>}
+ */
+const getPollForParticipant = async (messageId, userId) => {
+  const mongoDb = getMongoDB();
+
+  const message = await mongoDb.collection('messages').findOne({
+    _id: new ObjectId(messageId),
+    messageType: 'poll',
+    deletedAt: null,
+    deletedFor: { $ne: userId },
+  });
+  if (!message || !message.poll) {
+    return { error: { status: 404, message: 'Poll not found' } };
+  }
+
+  const chat = await mongoDb.collection('chats').findOne({
+    _id: message.chatId,
+    participants: userId,
+  });
+  if (!chat) {
+    return { error: { status: 404, message: 'Poll not found' } };
+  }
+
+  return { message, chat };
+};
+
+/**
+ * Vote on a poll, replacing any previous vote by the user
+ * @param {string} userId
+ * @param {string} messageId - Poll message
+ * @param {string[]} optionIds - Chosen options (exactly one unless allowMultiple)
+ * @returns {Promise<{message: Object} | {error: {status: number, message: string}}>}
+ */
+export const castVote = async (userId, messageId, optionIds) => {
+  const found = await getPollForParticipant(messageId, userId);
+  if (found.error) return found;
+
+  const { poll } = found.message;
+  const chosen = [...new Set(optionIds)];
+
+  if (chosen.length === 0 || (!poll.allowMultiple && chosen.length > 1)) {
+    return {
+      error: { status: 400, message: poll.allowMultiple ? 'Choose at least one option' : 'Choose exactly one option' },
+    };
+  }
+
+  const validIds = poll.options.map((option) => option.id);
+  if (chosen.some((id) => !validIds.includes(id))) {
+    return { error: { status: 400, message: 'Unknown poll option' } };
+  }
+
+  const result = await getMongoDB().collection('messages').findOneAndUpdate(
+    { _id: found.message._id, 'poll.closedAt': null },
+    { $set: { [`poll.votes.${userId}`]: { optionIds: chosen, votedAt: new Date() } } },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+
+  if (!result.value) {
+    return { error: { status: 409, message: 'Poll is closed' } };
+  }
+
+  await emitPollUpdate(result.value);
+  return { message: result.value };
+};
+
+/**
+ * Remove the user's vote from a poll
+ * @returns {Promise<{message: Object} | {error: {status: number, message: string}}>}
+ */
+export const retractVote = async (userId, messageId) => {
+  const found = await getPollForParticipant(messageId, userId);
+  if (found.error) return found;
+
+  const result = await getMongoDB().collection('messages').findOneAndUpdate(
+    { _id: found.message._id, 'poll.closedAt': null },
+    { $unset: { [`poll.votes.${userId}`]: '' } },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+
+  if (!result.value) {
+    return { error: { status: 409, message: 'Poll is closed' } };
+  }
+
+  await emitPollUpdate(result.value);
+  return { message: result.value };
+};
+
+/**
+ * Close a poll - only its creator or a group admin can
+ * @returns {Promise<{message: Object} | {error: {status: number, message: string}}>}
+ */
+export const closePoll = async (userId, messageId) => {
+  const found = await getPollForParticipant(messageId, userId);
+  if (found.error) return found;
+
+  const { message, chat } = found;
+  if (message.senderId !== userId && !chat.admins?.includes(userId)) {
+    return { error: { status: 403, message: 'Only the poll creator or group admins can close this poll' } };
+  }
+
+  const result = await getMongoDB().collection('messages').findOneAndUpdate(
+    { _id: message._id, 'poll.closedAt': null },
+    { $set: { 'poll.closedAt': new Date(), 'poll.closedBy': userId } },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+
+  if (!result.value) {
+    return { error: { status: 409, message: 'Poll is already closed' } };
+  }
+
+  await emitPollUpdate(result.value);
+  return { message: result.value };
+};
@@ -13,6 +13,7 @@
 
 import postgresPool from '../config/postgres.config.js';
 import { getUserPresenceData, preparePresenceForBroadcast } from '../utils/presence.utils.js';
+import { getVisibilityForAudience, applyPresencePrivacy } from './privacy.service.js';
 
 /**
  * Update user's online status and last_seen timestamp
@@ -155,17 +156,26 @@ export async function broadcastPresenceUpdate(userId, userPresenceData) {
       return;
     }
 
+    // Each recipient only gets what this user's privacy settings allow them to see
+    const otherParticipantIds = chats
+      .map((chat) => chat.participants.find((id) => id !== userId))
+      .filter(Boolean);
+    const visibility = await getVisibilityForAudience(userId, otherParticipantIds);
+
     // Broadcast to all other participants
     for (const chat of chats) {
       const otherParticipantId = chat.participants.find((id) => id !== userId);
       if (otherParticipantId) {
         // Emit presence update
-        socketIO.to(`user:${otherParticipantId}`).emit('presence_update', presenceData);
+        socketIO.to(`user:${otherParticipantId}`).emit(
+          'presence_update',
+          applyPresencePrivacy(presenceData, visibility.get(otherParticipantId))
+        );
 
         // Also update their chat list with new presence info
         socketIO.to(`user:${otherParticipantId}`).emit('chat_updated', {
           chatId: chat._id.toString(),
-          otherUser: userPresenceData,
+          otherUser: applyPresencePrivacy(userPresenceData, visibility.get(otherParticipantId)),
         });
       }
     }
@@ -0,0 +1,264 @@
+/**
+ * Privacy Service
+ *
+ * Single place that decides what one user may see of another:
+ * - last seen / online   (user_settings.last_seen_privacy, show_online_status)
+ * - profile photo        (user_settings.profile_photo_privacy)
+ * - status updates       (user_settings.status_privacy)
+ *
+ * Levels: everyone | contacts | contacts_except | nobody
+ * "contacts" means the owner has the viewer saved in their contacts.
+ * "contacts_except" is contacts minus the owner's `privacy_exceptions` for that setting.
+ * Blocking (either direction) hides everything. Users always see their own data.
+ *
+ * Every profile, presence broadcast, chat list and status feed path should go
+ * through getVisibilityForViewer / getVisibilityForAudience + applyPresencePrivacy.
+ */
+
+import postgresPool, { queryWithRetry } from '../config/postgres.config.js';
+import { getUserPresenceData } from '../utils/presence.utils.js';
+
+export const PRIVACY_LEVELS = ['everyone', 'contacts', 'contacts_except', 'nobody'];
+
+// API field -> privacy_exceptions.setting / user_settings column prefix
+export const PRIVACY_SETTINGS = {
+  lastSeen: 'last_seen',
+  profilePhoto: 'profile_photo',
+  status: 'status',
+};
+
+const DEFAULT_PRIVACY = {
+  last_seen: 'contacts',
+  profile_photo: 'everyone',
+  status: 'contacts',
+};
+
+const FULL_VISIBILITY = { lastSeen: true, online: true, profilePhoto: true, status: true };
+const NO_VISIBILITY = { lastSeen: false, online: false, profilePhoto: false, status: false };
+
+const isVisibleAtLevel = (level, isContact, isExcepted) => {
+  switch (level) {
+    case 'everyone':
+      return true;
+    case 'nobody':
+      return false;
+    case 'contacts_except':
+      return isContact && !isExcepted;
+    default:
+      // 'contacts' (and legacy values such as 'selected')
+      return isContact;
+  }
+};
+
+/**
+ * Load everything needed to resolve visibility between owners and viewers
+ * @returns {Promise<(ownerId: string, viewerId: string) => Object>} Resolver
+ */
+async function loadVisibilityResolver(ownerIds, viewerIds) {
+  const owners = [...new Set(ownerIds.filter(Boolean))];
+  const viewers = [...new Set(viewerIds.filter(Boolean))];
+
+  if (owners.length === 0 || viewers.length === 0) {
+    return (ownerId, viewerId) => (ownerId === viewerId ? FULL_VISIBILITY : NO_VISIBILITY);
+  }
+
+  const [settingsResult, contactsResult, exceptionsResult, blockedResult] = await Promise.all([
+    queryWithRetry(
+      `SELECT user_id, last_seen_privacy, profile_photo_privacy, status_privacy, show_online_status
+       FROM user_settings WHERE user_id = ANY($1::uuid[])`,
+      [owners],
+      3,
+      20000
+    ),
+    // Contacts are matched by linked user ID or by phone number
+    queryWithRetry(
+      `SELECT DISTINCT c.user_id AS owner_id, v.id AS viewer_id
+       FROM contacts c
+       JOIN users v ON v.id = ANY($2::uuid[])
+         AND (c.contact_user_id = v.id
+              OR (c.contact_phone_number = v.phone_number AND c.contact_country_code = v.country_code))
+       WHERE c.user_id = ANY($1::uuid[])`,
+      [owners, viewers],
+      3,
+      20000
+    ),
+    queryWithRetry(
+      `SELECT user_id, setting, excluded_user_id FROM privacy_exceptions
+       WHERE user_id = ANY($1::uuid[]) AND excluded_user_id = ANY($2::uuid[])`,
+      [owners, viewers],
+      3,
+      20000
+    ),
+    queryWithRetry(
+      `SELECT blocker_id, blocked_id FROM blocked_users
+       WHERE (blocker_id = ANY($1::uuid[]) AND blocked_id = ANY($2::uuid[]))
+          OR (blocker_id = ANY($2::uuid[]) AND blocked_id = ANY($1::uuid[]))`,
+      [owners, viewers],
+      3,
+      20000
+    ),
+  ]);
+
+  const settingsByOwner = new Map(settingsResult.rows.map((row) => [row.user_id, row]));
+  const contactPairs = new Set(contactsResult.rows.map((row) => `${row.owner_id}:${row.viewer_id}`));
+  const exceptions = new Set(
+    exceptionsResult.rows.map((row) => `${row.user_id}:${row.setting}:${row.excluded_user_id}`)
+  );
+  const blockedPairs = new Set(
+    blockedResult.rows.flatMap((row) => [`${row.blocker_id}:${row.blocked_id}`, `${row.blocked_id}:${row.blocker_id}`])
+  );
+
+  return (ownerId, viewerId) => {
+    if (ownerId === viewerId) return FULL_VISIBILITY;
+    if (blockedPairs.has(`${ownerId}:${viewerId}`)) return NO_VISIBILITY;
+
+    const settings = settingsByOwner.get(ownerId) || {};
+    const isContact = contactPairs.has(`${ownerId}:${viewerId}`);
+    const canSee = (setting) => isVisibleAtLevel(
+      settings[`${setting}_privacy`] || DEFAULT_PRIVACY[setting],
+      isContact,
+      exceptions.has(`${ownerId}:${setting}:${viewerId}`)
+    );
+
+    const lastSeen = canSee('last_seen');
+    return {
+      lastSeen,
+      // Online status follows last seen, and can be switched off on its own
+      online: lastSeen && settings.show_online_status !== false,
+      profilePhoto: canSee('profile_photo'),
+      status: canSee('status'),
+    };
+  };
+}
+
+/**
+ * What one viewer may see of each owner
+ * @param {string} viewerId - User looking
+ * @param {string[]} ownerIds - Users being looked at
+ * @returns {Promise<Map<string, {lastSeen: boolean, online: boolean, profilePhoto: boolean, status: boolean}>>}
+ */
+export async function getVisibilityForViewer(viewerId, ownerIds) {
+  const resolve = await loadVisibilityResolver(ownerIds, [viewerId]);
+  return new Map(ownerIds.map((ownerId) => [ownerId, resolve(ownerId, viewerId)]));
+}
+
+/**
+ * What each viewer may see of one owner (for broadcasts)
+ * @param {string} ownerId - User being looked at
+ * @param {string[]} viewerIds - Recipients of the broadcast
+ * @returns {Promise<Map<string, {lastSeen: boolean, online: boolean, profilePhoto: boolean, status: boolean}>>}
+ */
+export async function getVisibilityForAudience(ownerId, viewerIds) {
+  const resolve = await loadVisibilityResolver([ownerId], viewerIds);
+  return new Map(viewerIds.map((viewerId) => [viewerId, resolve(ownerId, viewerId)]));
+}
+
+/**
+ * Strip hidden fields from presence/profile data
+ * Works with getUserPresenceData() and preparePresenceForBroadcast() shapes
+ * @param {Object} data - Presence data (isOnline, lastSeen, profilePictureUrl)
+ * @param {Object} visibility - Result entry from getVisibilityFor*
+ * @returns {Object} Copy with hidden fields cleared
+ */
+export function applyPresencePrivacy(data, visibility) {
+  if (!data || !visibility) return data;
+
+  const filtered = { ...data };
+  if (!visibility.online) filtered.isOnline = false;
+  if (!visibility.lastSeen) filtered.lastSeen = null;
+  if (!visibility.profilePhoto) filtered.profilePictureUrl = null;
+  return filtered;
+}
+
+/**
+ * getUserPresenceData() for a list of users as seen by one viewer
+ * @param {string} viewerId - User looking
+ * @param {Object[]} users - Rows from the users table
+ * @returns {Promise<Map<string, Object>>} userId -> presence data
+ */
+export async function getPresenceForViewer(viewerId, users) {
+  const rows = users.filter(Boolean);
+  const visibility = await getVisibilityForViewer(viewerId, rows.map((user) => user.id));
+  return new Map(
+    rows.map((user) => [user.id, applyPresencePrivacy(getUserPresenceData(user), visibility.get(user.id))])
+  );
+}
+
+/**
+ * Get a user's privacy settings and exception lists
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ */
+export async function getPrivacySettings(userId) {
+  const [settingsResult, exceptionsResult] = await Promise.all([
+    queryWithRetry(
+      'SELECT last_seen_privacy, profile_photo_privacy, status_privacy FROM user_settings WHERE user_id = $1',
+      [userId],
+      3,
+      20000
+    ),
+    queryWithRetry(
+      'SELECT setting, excluded_user_id FROM privacy_exceptions WHERE user_id = $1 ORDER BY created_at',
+      [userId],
+      3,
+      20000
+    ),
+  ]);
+
+  const settings = settingsResult.rows[0] || {};
+  const exceptionsFor = (setting) => exceptionsResult.rows
+    .filter((row) => row.setting === setting)
+    .map((row) => row.excluded_user_id);
+
+  return {
+    lastSeenPrivacy: settings.last_seen_privacy || DEFAULT_PRIVACY.last_seen,
+    profilePhotoPrivacy: settings.profile_photo_privacy || DEFAULT_PRIVACY.profile_photo,
+    statusPrivacy: settings.status_privacy || DEFAULT_PRIVACY.status,
+    exceptions: {
+      lastSeen: exceptionsFor('last_seen'),
+      profilePhoto: exceptionsFor('profile_photo'),
+      status: exceptionsFor('status'),
+    },
+  };
+}
+
+/**
+ * Replace the "my contacts except..." list for one setting
+ * @param {string} userId - Owner
+ * @param {string} setting - 'last_seen' | 'profile_photo' | 'status'
+ * @param {string[]} excludedUserIds - Users to exclude (unknown IDs are ignored)
+ * @returns {Promise<string[]>} The stored list
+ */
+export async function setPrivacyExceptions(userId, setting, excludedUserIds) {
+  const ids = [...new Set(excludedUserIds.filter((id) => id && id !== userId))];
+
+  // Replaced in one transaction so a failed insert doesn't leave the list empty
+  const client = await postgresPool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'DELETE FROM privacy_exceptions WHERE user_id = $1 AND setting = $2',
+      [userId, setting]
+    );
+
+    let stored = [];
+    if (ids.length > 0) {
+      const result = await client.query(
+        `INSERT INTO privacy_exceptions (user_id, setting, excluded_user_id)
+         SELECT $1, $2, u.id FROM users u WHERE u.id = ANY($3::uuid[])
+         ON CONFLICT (user_id, setting, excluded_user_id) DO NOTHING
+         RETURNING excluded_user_id`,
+        [userId, setting, ids]
+      );
+      stored = result.rows.map((row) => row.excluded_user_id);
+    }
+
+    await client.query('COMMIT');
+    return stored;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
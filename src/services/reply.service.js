@@ -0,0 +1,95 @@
+/**
+ * Reply Service
+ *
+ * Replies store `replyToMessageId` plus a `replyTo` snapshot of the quoted
+ * message (sender, type, truncated text, media thumbnail). The snapshot is
+ * taken at send time so a reply still renders after the original is edited
+ * or deleted.
+ */
+
+import { ObjectId } from 'mongodb';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { queryWithRetry } from '../config/postgres.config.js';
+import { MEDIA_MESSAGE_TYPES } from './location.service.js';
+
+// Quoted text is cut to this many characters
+const MAX_QUOTED_TEXT_LENGTH = 200;
+
+const truncate = (text) => {
+  if (typeof text !== 'string') return null;
+  return text.length > MAX_QUOTED_TEXT_LENGTH ? `${text.slice(0, MAX_QUOTED_TEXT_LENGTH)}…` : text;
+};
+
+/**
+ * Build the quoted preview for a reply
+ * The quoted message must be in the same chat and visible to the sender.
+ *
+ * @param {object} params
+ * @param {ObjectId} params.chatId - Chat the reply is sent to
+ * @param {string} params.replyToMessageId - Message being replied to
+ * @param {string} params.userId - Sender of the reply
+ * @returns {Promise<{replyToMessageId: ObjectId, replyTo: object} | {error: {status: number, message: string}}>}
+ */
+export const buildReplySnapshot = async ({ chatId, replyToMessageId, userId }) => {
+  if (typeof replyToMessageId !== 'string' || !ObjectId.isValid(replyToMessageId)) {
+    return { error: { status: 400, message: 'Invalid replyToMessageId' } };
+  }
+
+  const original = await getMongoDB().collection('messages').findOne({
+    _id: new ObjectId(replyToMessageId),
+    chatId,
+    deletedAt: null,
+    deletedFor: { $ne: userId },
+  });
+
+  if (!original) {
+    return { error: { status: 404, message: 'Message to reply to not found in this chat' } };
+  }
+
+  let senderName = null;
+  const senderResult = await queryWithRetry(
+    'SELECT full_name FROM users WHERE id = $1',
+    [original.senderId],
+    3,
+    20000
+  );
+  if (senderResult.rows.length > 0) {
+    senderName = senderResult.rows[0].full_name || null;
+  }
+
+  const messageType = original.messageType || 'text';
+  const isMedia = MEDIA_MESSAGE_TYPES.includes(messageType);
+
+  return {
+    replyToMessageId: original._id,
+    replyTo: {
+      messageId: original._id,
+      senderId: original.senderId,
+      senderName,
+      messageType,
+      // Media messages store their URL in `message` - only text is quoted
+      text: isMedia ? null : truncate(original.message),
+      thumbnailUrl: original.media?.thumbnailUrl || (messageType === 'image' ? original.message : null),
+      createdAt: original.createdAt,
+    },
+  };
+};
+
+/**
+ * Format a stored `replyTo` snapshot for API responses and socket events
+ * @param {object|null} replyTo - Snapshot from the message document
+ * @returns {object|null}
+ */
+export const formatReplyTo = (replyTo) => {
+  if (!replyTo) return null;
+
+  return {
+    messageId: replyTo.messageId.toString(),
+    senderId: replyTo.senderId,
+    senderName: replyTo.senderName,
+    messageType: replyTo.messageType,
+    text: replyTo.text,
+    thumbnailUrl: replyTo.thumbnailUrl,
+    createdAt: replyTo.createdAt instanceof Date ? replyTo.createdAt.toISOString() : replyTo.createdAt,
+  };
+};
@@ -0,0 +1,316 @@
+/**
+ * Report Service
+ *
+ * Builds evidence snapshots for user reports. The reported content and some
+ * surrounding messages are copied into the report (and media files into the
+ * evidence directory) so deleting the original doesn't destroy the evidence.
+ *
+ * Message text is client-written, so evidence files are only taken from
+ * server-created references: registered files through `fileSha256`, other
+ * files only when the message sender (status owner...) uploaded them.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ObjectId } from 'mongodb';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { queryWithRetry } from '../config/postgres.config.js';
+import { getStorage } from '../config/storage.config.js';
+import { MEDIA_MESSAGE_TYPES } from './location.service.js';
+import { findMediaFile, findRegisteredFilenames } from './media-registry.service.js';
+import { getMediaFilename, getMediaUploaderId } from './media.service.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const REPORT_TARGET_TYPES = ['message', 'user', 'group', 'status'];
+export const REPORT_CATEGORIES = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'violence',
+  'sexual_content',
+  'scam',
+  'impersonation',
+  'other',
+];
+export const REPORT_STATUSES = ['pending', 'resolved', 'dismissed'];
+
+// Messages kept on each side of a reported message
+const CONTEXT_MESSAGES = 5;
+// Most recent messages kept when reporting a user or group
+const RECENT_MESSAGES = 10;
+
+export const getEvidenceDir = () => path.resolve(process.env.EVIDENCE_PATH || path.join(__dirname, '../../evidence'));
+
+const snapshotMessage = (msg) => ({
+  id: msg._id.toString(),
+  chatId: msg.chatId.toString(),
+  senderId: msg.senderId,
+  message: msg.message,
+  messageType: msg.messageType || 'text',
+  fileSha256: msg.fileSha256 || null,
+  forwardedFrom: msg.forwardedFrom || null,
+  createdAt: msg.createdAt,
+  editedAt: msg.editedAt || null,
+  editHistory: (msg.editHistory || []).map((version) => ({
+    message: version.message,
+    createdAt: version.createdAt,
+  })),
+  deletedAt: msg.deletedAt || null,
+});
+
+const getSurroundingMessages = async (messagesCollection, chatId, aroundDate) => {
+  const before = await messagesCollection
+    .find({ chatId, createdAt: { $lt: aroundDate } })
+    .sort({ createdAt: -1 })
+    .limit(CONTEXT_MESSAGES)
+    .toArray();
+
+  const after = await messagesCollection
+    .find({ chatId, createdAt: { $gt: aroundDate } })
+    .sort({ createdAt: 1 })
+    .limit(CONTEXT_MESSAGES)
+    .toArray();
+
+  return {
+    before: before.reverse().map(snapshotMessage),
+    after: after.map(snapshotMessage),
+  };
+};
+
+const getRecentMessages = async (messagesCollection, query) => {
+  const messages = await messagesCollection
+    .find(query)
+    .sort({ createdAt: -1 })
+    .limit(RECENT_MESSAGES)
+    .toArray();
+  return messages.reverse().map(snapshotMessage);
+};
+
+const notFound = (message) => ({ error: { status: 404, message } });
+
+const mediaReferences = (messages) => messages
+  .filter((msg) => MEDIA_MESSAGE_TYPES.includes(msg.messageType))
+  .map((msg) => ({ url: msg.message, fileSha256: msg.fileSha256, uploaderId: msg.senderId }));
+
+/**
+ * Stored files behind a report's media references
+ * @param {Array<{url: string, fileSha256?: string, uploaderId: string}>} references
+ * @returns {Promise<Array<{originalUrl: string, filename: string}>>}
+ */
+const resolveEvidenceFiles = async (references) => {
+  const files = [];
+  const legacy = [];
+
+  for (const { url, fileSha256, uploaderId } of references) {
+    if (fileSha256) {
+      const entry = await findMediaFile(fileSha256);
+      if (entry) files.push({ originalUrl: url, filename: entry.filename });
+      continue;
+    }
+
+    const filename = getMediaFilename(url);
+    if (filename && uploaderId && getMediaUploaderId(filename) === uploaderId) {
+      legacy.push({ originalUrl: url, filename });
+    }
+  }
+
+  const registered = await findRegisteredFilenames(legacy.map((file) => file.filename));
+  return [...files, ...legacy.filter((file) => !registered.has(file.filename))];
+};
+
+/**
+ * Build the snapshot for a report
+ * @param {object} params
+ * @param {string} params.reporterId - Reporting user
+ * @param {string} params.targetType - message | user | group | status
+ * @param {string} params.targetId - Message ID, user ID, chat ID or status item ID
+ * @param {string} [params.statusOwnerId] - Owner of the status (targetType 'status')
+ * @returns {Promise<{reportedUserId: string|null, chatId: string|null, snapshot: object, mediaFiles: Array<{originalUrl: string, filename: string}>} | {error: {status: number, message: string}}>}
+ */
+export const buildReportSnapshot = async ({ reporterId, targetType, targetId, statusOwnerId }) => {
+  const mongoDb = getMongoDB();
+  const messagesCollection = mongoDb.collection('messages');
+  const chatsCollection = mongoDb.collection('chats');
+
+  if (targetType === 'message') {
+    if (!ObjectId.isValid(targetId)) return notFound('Message not found');
+
+    const message = await messagesCollection.findOne({ _id: new ObjectId(targetId) });
+    if (!message) return notFound('Message not found');
+
+    // Only participants can report messages from a chat
+    const chat = await chatsCollection.findOne({ _id: message.chatId, participants: reporterId });
+    if (!chat) return notFound('Message not found');
+
+    if (message.senderId === reporterId) {
+      return { error: { status: 400, message: 'Cannot report your own message' } };
+    }
+
+    const context = await getSurroundingMessages(messagesCollection, message.chatId, message.createdAt);
+
+    return {
+      reportedUserId: message.senderId,
+      chatId: message.chatId.toString(),
+      snapshot: {
+        message: snapshotMessage(message),
+        context,
+        chat: {
+          id: chat._id.toString(),
+          type: chat.type,
+          groupName: chat.groupName || null,
+        },
+      },
+      mediaFiles: await resolveEvidenceFiles(mediaReferences([message, ...context.before, ...context.after])),
+    };
+  }
+
+  if (targetType === 'user') {
+    if (targetId === reporterId) {
+      return { error: { status: 400, message: 'Cannot report yourself' } };
+    }
+
+    const userResult = await queryWithRetry(
+      'SELECT id, full_name, phone_number, country_code, bio, profile_picture_url FROM users WHERE id = $1',
+      [targetId]
+    ).catch(() => ({ rows: [] }));
+
+    if (userResult.rows.length === 0) return notFound('User not found');
+    const user = userResult.rows[0];
+
+    // Include recent messages from the reported user in the shared direct chat
+    const directChat = await chatsCollection.findOne({
+      type: 'direct',
+      participants: { $all: [reporterId, targetId] },
+    });
+    const recentMessages = directChat
+      ? await getRecentMessages(messagesCollection, { chatId: directChat._id, senderId: targetId })
+      : [];
+
+    return {
+      reportedUserId: targetId,
+      chatId: directChat ? directChat._id.toString() : null,
+      snapshot: {
+        user: {
+          id: user.id,
+          fullName: user.full_name,
+          phoneNumber: user.phone_number,
+          countryCode: user.country_code,
+          bio: user.bio,
+          profilePictureUrl: user.profile_picture_url,
+        },
+        recentMessages,
+      },
+      // Profile pictures are named after their owner (profile-<id>-...)
+      mediaFiles: await resolveEvidenceFiles([
+        { url: user.profile_picture_url, uploaderId: user.id },
+        ...mediaReferences(recentMessages),
+      ]),
+    };
+  }
+
+  if (targetType === 'group') {
+    if (!ObjectId.isValid(targetId)) return notFound('Group not found');
+
+    const group = await chatsCollection.findOne({
+      _id: new ObjectId(targetId),
+      type: 'group',
+      participants: reporterId,
+    });
+    if (!group) return notFound('Group not found');
+
+    const recentMessages = await getRecentMessages(messagesCollection, { chatId: group._id });
+    // Group pictures only come from their upload endpoint (group-... files)
+    const groupPicture = getMediaFilename(group.groupPictureUrl);
+    const groupPictureUploader = groupPicture?.startsWith('group-') ? getMediaUploaderId(groupPicture) : null;
+
+    return {
+      reportedUserId: null,
+      chatId: group._id.toString(),
+      snapshot: {
+        group: {
+          id: group._id.toString(),
+          groupName: group.groupName,
+          groupDescription: group.groupDescription || null,
+          groupPictureUrl: group.groupPictureUrl || null,
+          participants: group.participants,
+          admins: group.admins || [],
+          createdBy: group.createdBy,
+        },
+        recentMessages,
+      },
+      mediaFiles: await resolveEvidenceFiles([
+        { url: group.groupPictureUrl, uploaderId: groupPictureUploader },
+        ...mediaReferences(recentMessages),
+      ]),
+    };
+  }
+
+  if (targetType === 'status') {
+    if (!statusOwnerId) {
+      return { error: { status: 400, message: 'Status owner (statusUserId) is required' } };
+    }
+
+    const statusDoc = await mongoDb.collection('status').findOne({
+      userId: statusOwnerId,
+      'statuses.id': targetId,
+    });
+    const statusItem = statusDoc?.statuses?.find((status) => status.id === targetId);
+    if (!statusItem) return notFound('Status not found');
+
+    if (statusOwnerId === reporterId) {
+      return { error: { status: 400, message: 'Cannot report your own status' } };
+    }
+
+    return {
+      reportedUserId: statusOwnerId,
+      chatId: null,
+      snapshot: {
+        status: {
+          id: statusItem.id,
+          userId: statusOwnerId,
+          type: statusItem.type,
+          url: statusItem.url || null,
+          text: statusItem.text || null,
+          backgroundColor: statusItem.backgroundColor || null,
+          timestamp: statusItem.timestamp,
+        },
+      },
+      mediaFiles: await resolveEvidenceFiles([
+        { url: statusItem.url, fileSha256: statusItem.fileSha256, uploaderId: statusOwnerId },
+      ]),
+    };
+  }
+
+  return { error: { status: 400, message: 'Invalid target type' } };
+};
+
+/**
+ * Copy media referenced by a report into the evidence directory
+ * @param {string} reportId
+ * @param {Array<{originalUrl: string, filename: string}>} mediaFiles - From buildReportSnapshot
+ * @returns {Promise<Array<{originalUrl: string, storedAs: string}>>}
+ */
+export const preserveEvidenceFiles = async (reportId, mediaFiles) => {
+  const evidenceDir = getEvidenceDir();
+  const preserved = [];
+  const seen = new Set();
+
+  for (const { originalUrl, filename } of mediaFiles) {
+    if (seen.has(filename)) continue;
+    seen.add(filename);
+
+    try {
+      const storedAs = `${reportId}-${filename}`;
+      await fs.mkdir(evidenceDir, { recursive: true });
+      await getStorage().download(path.basename(filename), path.join(evidenceDir, storedAs));
+      preserved.push({ originalUrl, storedAs });
+    } catch (error) {
+      // File may already be gone (e.g. expired status) - the snapshot still has the URL
+      console.error(`Error preserving evidence file ${filename}:`, error.message);
+    }
+  }
+
+  return preserved;
+};
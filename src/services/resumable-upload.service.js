@@ -0,0 +1,502 @@
+/**
+ * Resumable Upload Service
+ *
+ * Large files are sent in chunks so a dropped connection only loses the
+ * chunk in flight:
+ *   1. POST   /api/messages/uploads                   start a session (name, size, type)
+ *   2. PATCH  /api/messages/uploads/:uploadId         send the next chunk at `Upload-Offset`,
+ *                                                     with `Upload-Checksum: sha256 <base64>`
+ *   3. GET    /api/messages/uploads/:uploadId         after a drop: where to resume from
+ *   4. POST   /api/messages/uploads/:uploadId/complete
+ *                                                     join the chunks and send the message
+ *                                                     (same pipeline as POST /api/messages/upload)
+ *
+ * Sessions live in the `upload_sessions` collection and chunks in the
+ * configured storage, so any instance can take the next chunk. The offset only
+ * moves with an atomic update on the expected offset, so a chunk retried
+ * after a timeout can never be written twice. Sessions nobody touched for
+ * UPLOAD_SESSION_TTL_MS are deleted with their chunks by the cleanup scheduler.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { ObjectId } from 'mongodb';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { getStorage } from '../config/storage.config.js';
+import { getUploadFilePath, deleteFile } from '../middleware/upload.middleware.js';
+import { sendFileMessage } from './message.service.js';
+import { MEDIA_MESSAGE_TYPES } from './location.service.js';
+import { inspectUpload } from './upload-security.service.js';
+import { MAX_VOICE_NOTE_SIZE } from './voice.service.js';
+
+export const UPLOAD_CHUNK_SIZE = parseInt(process.env.UPLOAD_CHUNK_SIZE || '5242880', 10); // 5MB
+export const MAX_RESUMABLE_UPLOAD_SIZE = parseInt(process.env.MAX_RESUMABLE_UPLOAD_SIZE || '1073741824', 10); // 1GB
+
+// Sliding: every chunk pushes the expiry back
+const UPLOAD_SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_ACTIVE_UPLOADS_PER_USER = 10;
+// How long a completion is held before another request may retry it
+const COMPLETE_LEASE_MS = 10 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+const MAX_FILENAME_LENGTH = 255;
+
+let isCleaningUp = false;
+
+const getSessionsCollection = () => getMongoDB().collection('upload_sessions');
+
+const hashSha256 = (data) => crypto.createHash('sha256').update(data).digest('base64');
+
+const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('base64');
+};
+
+/**
+ * Parse an `Upload-Checksum` header ("sha256 <base64 digest>", as in tus)
+ * @returns {string|null} Base64 digest
+ */
+export const parseUploadChecksum = (header) => {
+  const match = typeof header === 'string' ? header.trim().match(/^sha256 ([A-Za-z0-9+/]{43}=)$/) : null;
+  return match ? match[1] : null;
+};
+
+/**
+ * Format an upload session for API responses
+ * @param {Object} session - upload_sessions document
+ */
+export const formatUploadSession = (session) => ({
+  uploadId: session._id.toString(),
+  filename: session.filename,
+  size: session.size,
+  mimeType: session.mimeType,
+  messageType: session.messageType,
+  offset: session.offset,
+  chunkSize: session.chunkSize,
+  status: session.status,
+  messageId: session.messageId || null,
+  expiresAt: session.expiresAt,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+});
+
+const deleteParts = async (parts = []) => {
+  const storage = getStorage();
+  for (const part of parts) {
+    try {
+      await storage.delete(part.key);
+    } catch (error) {
+      console.error(`Error deleting upload chunk ${part.key}:`, error);
+    }
+  }
+};
+
+const findUserSession = async (userId, uploadId) => {
+  if (!ObjectId.isValid(uploadId)) return null;
+  return getSessionsCollection().findOne({ _id: new ObjectId(uploadId), userId });
+};
+
+const notFound = () => ({ error: { status: 404, message: 'Upload not found' } });
+
+/**
+ * Start a resumable upload
+ * @param {string} userId - Uploader
+ * @param {Object} params
+ * @param {string} params.filename - Original file name (its extension picks the message type for 'file')
+ * @param {number} params.size - Total size in bytes
+ * @param {string} [params.mimeType]
+ * @param {string} [params.messageType='file']
+ * @param {string} [params.sha256] - Base64 digest of the whole file, checked on completion
+ * @returns {Promise<{session: Object} | {error: {status: number, message: string}}>}
+ */
+export const createUploadSession = async (userId, { filename, size, mimeType, messageType = 'file', sha256 }) => {
+  if (typeof filename !== 'string' || filename.trim().length === 0 || filename.length > MAX_FILENAME_LENGTH) {
+    return { error: { status: 400, message: `filename is required (at most ${MAX_FILENAME_LENGTH} characters)` } };
+  }
+
+  if (!Number.isInteger(size) || size <= 0) {
+    return { error: { status: 400, message: 'size must be a positive number of bytes' } };
+  }
+
+  if (size > MAX_RESUMABLE_UPLOAD_SIZE) {
+    return { error: { status: 413, message: `File too large. Maximum size is ${Math.floor(MAX_RESUMABLE_UPLOAD_SIZE / 1048576)}MB.` } };
+  }
+
+  if (!MEDIA_MESSAGE_TYPES.includes(messageType)) {
+    return { error: { status: 400, message: `messageType must be one of: ${MEDIA_MESSAGE_TYPES.join(', ')}` } };
+  }
+
+  if (messageType === 'voice' && size > MAX_VOICE_NOTE_SIZE) {
+    return { error: { status: 413, message: `Voice note too large. Maximum size is ${MAX_VOICE_NOTE_SIZE / 1048576}MB.` } };
+  }
+
+  if (sha256 !== undefined && sha256 !== null && !parseUploadChecksum(`sha256 ${sha256}`)) {
+    return { error: { status: 400, message: 'sha256 must be a base64 SHA-256 digest' } };
+  }
+
+  const sessionsCollection = getSessionsCollection();
+  const now = new Date();
+  const activeUploads = await sessionsCollection.countDocuments({
+    userId,
+    status: { $ne: 'completed' },
+    expiresAt: { $gt: now },
+  });
+  if (activeUploads >= MAX_ACTIVE_UPLOADS_PER_USER) {
+    return { error: { status: 429, message: `At most ${MAX_ACTIVE_UPLOADS_PER_USER} uploads can be in progress at once` } };
+  }
+
+  const session = {
+    userId,
+    filename: path.basename(filename.trim()),
+    size,
+    mimeType: typeof mimeType === 'string' && mimeType ? mimeType : 'application/octet-stream',
+    messageType,
+    sha256: sha256 || null,
+    chunkSize: UPLOAD_CHUNK_SIZE,
+    offset: 0,
+    parts: [],
+    status: 'uploading',
+    messageId: null,
+    lockedUntil: null,
+    expiresAt: new Date(now.getTime() + UPLOAD_SESSION_TTL_MS),
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const result = await sessionsCollection.insertOne(session);
+  return { session: { ...session, _id: result.insertedId } };
+};
+
+/**
+ * Get one of the user's upload sessions
+ * @returns {Promise<{session: Object} | {error: {status: number, message: string}}>}
+ */
+export const getUploadSession = async (userId, uploadId) => {
+  const session = await findUserSession(userId, uploadId);
+  return session ? { session } : notFound();
+};
+
+/**
+ * Store the next chunk of an upload
+ * @param {string} userId
+ * @param {string} uploadId
+ * @param {Object} chunk
+ * @param {number} chunk.offset - Byte offset the chunk starts at (must be the session's offset)
+ * @param {string} chunk.checksum - Base64 SHA-256 of the chunk
+ * @param {Buffer} chunk.data
+ * @returns {Promise<{session: Object} | {error: {status: number, message: string, offset?: number}}>}
+ *   A 409 error carries the offset to resume from.
+ */
+export const appendUploadChunk = async (userId, uploadId, { offset, checksum, data }) => {
+  const session = await findUserSession(userId, uploadId);
+  if (!session) return notFound();
+
+  if (session.status !== 'uploading') {
+    return { error: { status: 409, message: `Upload is ${session.status}`, offset: session.offset } };
+  }
+
+  if (offset !== session.offset) {
+    return { error: { status: 409, message: 'Offset does not match the upload', offset: session.offset } };
+  }
+
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    return { error: { status: 400, message: 'Chunk is empty' } };
+  }
+
+  if (data.length > session.chunkSize || offset + data.length > session.size) {
+    return { error: { status: 413, message: `Chunk too large. Send at most ${Math.min(session.chunkSize, session.size - offset)} bytes.` } };
+  }
+
+  if (hashSha256(data) !== checksum) {
+    return { error: { status: 400, message: 'Checksum mismatch - send the chunk again' } };
+  }
+
+  // Unique per attempt, so a concurrent retry of the same chunk can't overwrite it
+  const index = session.parts.length;
+  const key = `chunk-${userId}-${uploadId}-${index}-${crypto.randomBytes(4).toString('hex')}.part`;
+  const stagedPath = getUploadFilePath(key);
+  await fs.promises.writeFile(stagedPath, data);
+  try {
+    await getStorage().put(key, stagedPath, { contentType: 'application/octet-stream' });
+  } catch (error) {
+    await fs.promises.rm(stagedPath, { force: true });
+    throw error;
+  }
+
+  const now = new Date();
+  const result = await getSessionsCollection().findOneAndUpdate(
+    { _id: session._id, status: 'uploading', offset },
+    {
+      $set: {
+        offset: offset + data.length,
+        expiresAt: new Date(now.getTime() + UPLOAD_SESSION_TTL_MS),
+        updatedAt: now,
+      },
+      $push: { parts: { index, key, size: data.length, sha256: checksum } },
+    },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+
+  if (!result.value) {
+    // Another request stored this chunk first (or the upload was aborted)
+    await deleteParts([{ key }]);
+    const current = await findUserSession(userId, uploadId);
+    if (!current) return notFound();
+    return { error: { status: 409, message: 'Offset does not match the upload', offset: current.offset } };
+  }
+
+  return { session: result.value };
+};
+
+/**
+ * Join the chunks into one file in the uploads staging directory
+ */
+const assembleParts = async (session, destinationPath) => {
+  const storage = getStorage();
+  const output = fs.createWriteStream(destinationPath);
+  try {
+    for (const part of session.parts) {
+      const partPath = path.join(os.tmpdir(), `${part.key}-${process.pid}`);
+      try {
+        await storage.download(part.key, partPath);
+        await pipeline(fs.createReadStream(partPath), output, { end: false });
+      } finally {
+        await fs.promises.rm(partPath, { force: true });
+      }
+    }
+  } finally {
+    await new Promise((resolve, reject) => {
+      output.end((error) => (error ? reject(error) : resolve()));
+    });
+  }
+};
+
+/**
+ * Finish an upload: join the chunks and send the file as a message,
+ * exactly like POST /api/messages/upload
+ * @param {string} userId
+ * @param {string} uploadId
+ * @param {Object} params
+ * @param {string} [params.chatId]
+ * @param {string} [params.recipientId]
+ * @param {Object} [params.thumbnailFile] - Poster frame for videos (multer file)
+ * @returns {Promise<{messageData: Object, session: Object} | {session: Object} | {error: {status: number, message: string}}>}
+ *   `messageData` is missing when the upload had already been completed by an earlier request.
+ */
+export const completeUpload = async (userId, uploadId, { chatId, recipientId, thumbnailFile }) => {
+  const discardPoster = async () => {
+    if (!thumbnailFile) return;
+    try {
+      await deleteFile(thumbnailFile.filename);
+    } catch (error) {
+      console.error('Error deleting unused video poster:', error);
+    }
+  };
+
+  if (!ObjectId.isValid(uploadId)) {
+    await discardPoster();
+    return notFound();
+  }
+
+  const sessionsCollection = getSessionsCollection();
+  const now = new Date();
+  const claim = await sessionsCollection.findOneAndUpdate(
+    {
+      _id: new ObjectId(uploadId),
+      userId,
+      $expr: { $eq: ['$offset', '$size'] },
+      $or: [
+        { status: 'uploading' },
+        { status: 'completing', lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'completing',
+        lockedUntil: new Date(now.getTime() + COMPLETE_LEASE_MS),
+        updatedAt: now,
+      },
+    },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+  const session = claim.value;
+
+  if (!session) {
+    await discardPoster();
+    const current = await findUserSession(userId, uploadId);
+    if (!current) return notFound();
+    // A retry after the response was lost
+    if (current.status === 'completed') return { session: current };
+    if (current.status === 'completing') {
+      return { error: { status: 409, message: 'Upload is already being completed' } };
+    }
+    return { error: { status: 409, message: `Upload is incomplete (${current.offset} of ${current.size} bytes received)` } };
+  }
+
+  const releaseClaim = () => sessionsCollection.updateOne(
+    { _id: session._id, status: 'completing' },
+    { $set: { status: 'uploading', lockedUntil: null, updatedAt: new Date() } }
+  );
+
+  // Same naming as multer, so the uploader can always download it
+  const ext = path.extname(session.filename);
+  const filename = `${session.messageType}-${userId}-${Date.now()}-${Math.round(Math.random() * 1E9)}${/^\.[a-z0-9]{1,10}$/i.test(ext) ? ext : ''}`;
+  const file = {
+    filename,
+    path: getUploadFilePath(filename),
+    originalname: session.filename,
+    mimetype: session.mimeType,
+    size: session.size,
+  };
+
+  try {
+    await assembleParts(session, file.path);
+
+    const { size } = await fs.promises.stat(file.path);
+    const checksumFailed = size !== session.size || (session.sha256 && (await hashFile(file.path)) !== session.sha256);
+    if (checksumFailed) {
+      // No way to tell which chunk is bad - start over
+      await fs.promises.rm(file.path, { force: true });
+      await discardPoster();
+      await sessionsCollection.deleteOne({ _id: session._id });
+      await deleteParts(session.parts);
+      return { error: { status: 422, message: 'Checksum mismatch - upload the file again' } };
+    }
+
+    // Same content check as direct uploads; the file won't pass on a retry either
+    const inspection = await inspectUpload(file);
+    if (inspection.error) {
+      await fs.promises.rm(file.path, { force: true });
+      await discardPoster();
+      await sessionsCollection.deleteOne({ _id: session._id });
+      await deleteParts(session.parts);
+      return { error: inspection.error };
+    }
+  } catch (error) {
+    await fs.promises.rm(file.path, { force: true });
+    await discardPoster();
+    await releaseClaim();
+    throw error;
+  }
+
+  let result;
+  try {
+    result = await sendFileMessage({
+      senderId: userId,
+      file,
+      thumbnailFile,
+      chatId,
+      recipientId,
+      messageType: session.messageType,
+    });
+  } catch (error) {
+    // sendFileMessage already deleted the file; the chunks stay for a retry
+    await releaseClaim();
+    throw error;
+  }
+
+  if (result.error) {
+    await releaseClaim();
+    return { error: result.error };
+  }
+
+  const completedAt = new Date();
+  const completed = await sessionsCollection.findOneAndUpdate(
+    { _id: session._id },
+    {
+      $set: {
+        status: 'completed',
+        messageId: result.messageData.id,
+        parts: [],
+        lockedUntil: null,
+        // Kept for a while so a retried completion gets the same answer
+        expiresAt: new Date(completedAt.getTime() + UPLOAD_SESSION_TTL_MS),
+        updatedAt: completedAt,
+      },
+    },
+    { returnDocument: 'after', includeResultMetadata: true }
+  );
+  await deleteParts(session.parts);
+
+  return { messageData: result.messageData, session: completed.value };
+};
+
+/**
+ * Cancel an upload and delete its chunks
+ * @returns {Promise<{success: true} | {error: {status: number, message: string}}>}
+ */
+export const abortUpload = async (userId, uploadId) => {
+  if (!ObjectId.isValid(uploadId)) return notFound();
+
+  const session = await getSessionsCollection().findOneAndDelete(
+    { _id: new ObjectId(uploadId), userId, status: { $ne: 'completing' } },
+    { includeResultMetadata: true }
+  );
+
+  if (!session.value) {
+    const current = await findUserSession(userId, uploadId);
+    if (!current) return notFound();
+    return { error: { status: 409, message: 'Upload is being completed' } };
+  }
+
+  await deleteParts(session.value.parts);
+  return { success: true };
+};
+
+/**
+ * Delete expired upload sessions and their chunks
+ * Called periodically by startUploadCleanupScheduler
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+export const cleanupExpiredUploads = async () => {
+  if (isCleaningUp) return 0;
+  isCleaningUp = true;
+
+  let deleted = 0;
+  try {
+    const sessionsCollection = getSessionsCollection();
+    const now = new Date();
+
+    // One at a time: whichever instance deletes the session cleans up its chunks
+    for (;;) {
+      const result = await sessionsCollection.findOneAndDelete(
+        {
+          expiresAt: { $lte: now },
+          $or: [{ status: { $ne: 'completing' } }, { lockedUntil: { $lte: now } }],
+        },
+        { includeResultMetadata: true }
+      );
+      if (!result.value) break;
+
+      await deleteParts(result.value.parts);
+      deleted++;
+    }
+
+    if (deleted > 0) {
+      console.log(`🧹 Removed ${deleted} expired upload session(s)`);
+    }
+  } catch (error) {
+    console.error('Error cleaning up expired uploads:', error);
+  } finally {
+    isCleaningUp = false;
+  }
+
+  return deleted;
+};
+
+/**
+ * Start the expired upload cleanup
+ */
+export const startUploadCleanupScheduler = () => {
+  // Run immediately on start
+  cleanupExpiredUploads();
+
+  setInterval(() => {
+    cleanupExpiredUploads();
+  }, CLEANUP_INTERVAL_MS);
+
+  console.log('✅ Upload cleanup scheduler started (runs every 15 minutes)');
+};
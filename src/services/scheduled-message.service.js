@@ -0,0 +1,231 @@
+/**
+ * Scheduled Message Service
+ *
+ * Pending messages live in the `scheduled_messages` collection, so they
+ * survive restarts. Every instance polls for due messages and claims them one
+ * at a time with an atomic findOneAndUpdate (status pending -> sending, with a
+ * lease), so only one instance sends each message. Sending goes through the
+ * same pipeline as POST /api/messages (message.service.js).
+ *
+ * If an instance dies mid-send, the lease expires and another instance picks
+ * the message up again. The sent message carries `scheduledMessageId` (unique
+ * index), so a retry never produces a second copy.
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { sendMessage } from './message.service.js';
+import { getAccountRestriction } from './moderation.service.js';
+
+export const SCHEDULED_MESSAGE_STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+
+const POLL_INTERVAL_MS = 15 * 1000;
+// How long a claim is held before another instance may retry it
+const LEASE_MS = 2 * 60 * 1000;
+// Attempts for unexpected errors (DB outage etc.) before giving up
+const MAX_ATTEMPTS = 5;
+// Messages sent per poll per instance
+const BATCH_SIZE = 50;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+let isProcessing = false;
+
+const getScheduledCollection = () => getMongoDB().collection('scheduled_messages');
+
+/**
+ * Format a scheduled message for API responses
+ * @param {Object} scheduled - scheduled_messages document
+ */
+export const formatScheduledMessage = (scheduled) => ({
+  id: scheduled._id.toString(),
+  chatId: scheduled.chatId ? scheduled.chatId.toString() : null,
+  recipientId: scheduled.recipientId || null,
+  message: scheduled.message,
+  messageType: scheduled.messageType,
+  replyToMessageId: scheduled.replyToMessageId || null,
+  poll: scheduled.poll || null,
+  location: scheduled.location || null,
+  vcard: scheduled.vcard || null,
+  sendAt: scheduled.sendAt,
+  status: scheduled.status,
+  sentMessageId: scheduled.sentMessageId || null,
+  error: scheduled.error || null,
+  createdAt: scheduled.createdAt,
+  updatedAt: scheduled.updatedAt,
+});
+
+const notifyOwner = async (userId, event, payload) => {
+  try {
+    const { getSocketIO } = await import('../socket/socket.server.js');
+    const socketIO = getSocketIO();
+    if (socketIO) {
+      socketIO.to(`user:${userId}`).emit(event, payload);
+    }
+  } catch (error) {
+    console.error(`Error emitting ${event}:`, error);
+  }
+};
+
+/**
+ * Claim the next due message for this instance
+ * Also reclaims messages whose lease ran out (instance crashed mid-send)
+ */
+const claimNextDue = async () => {
+  const now = new Date();
+  const result = await getScheduledCollection().findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', sendAt: { $lte: now } },
+        { status: 'sending', lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: 'sending',
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+        updatedAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { sendAt: 1 }, returnDocument: 'after', includeResultMetadata: true }
+  );
+  return result.value;
+};
+
+/**
+ * Finish a claimed message (only while this instance still holds the lease)
+ */
+const completeClaim = async (scheduled, fields) => {
+  await getScheduledCollection().updateOne(
+    { _id: scheduled._id, status: 'sending', lockedBy: INSTANCE_ID },
+    {
+      $set: { ...fields, lockedBy: null, lockedUntil: null, updatedAt: new Date() },
+    }
+  );
+};
+
+const markSent = async (scheduled, messageId, chatId) => {
+  await completeClaim(scheduled, { status: 'sent', sentMessageId: messageId, sentAt: new Date(), error: null });
+  await notifyOwner(scheduled.senderId, 'scheduled_message_sent', {
+    scheduledMessageId: scheduled._id.toString(),
+    messageId,
+    chatId,
+  });
+};
+
+const markFailed = async (scheduled, reason) => {
+  await completeClaim(scheduled, { status: 'failed', error: reason });
+  await notifyOwner(scheduled.senderId, 'scheduled_message_failed', {
+    scheduledMessageId: scheduled._id.toString(),
+    chatId: scheduled.chatId ? scheduled.chatId.toString() : null,
+    error: reason,
+  });
+};
+
+/**
+ * Send one claimed message
+ */
+const deliverScheduledMessage = async (scheduled) => {
+  const messagesCollection = getMongoDB().collection('messages');
+
+  // A previous attempt may have sent it and died before recording that
+  const alreadySent = await messagesCollection.findOne(
+    { scheduledMessageId: scheduled._id },
+    { projection: { _id: 1, chatId: 1 } }
+  );
+  if (alreadySent) {
+    await markSent(scheduled, alreadySent._id.toString(), alreadySent.chatId.toString());
+    return;
+  }
+
+  // Suspended or banned users can't send, scheduled or not
+  const restriction = await getAccountRestriction(scheduled.senderId);
+  if (restriction) {
+    await markFailed(scheduled, `Account ${restriction.type}`);
+    return;
+  }
+
+  try {
+    const result = await sendMessage({
+      senderId: scheduled.senderId,
+      chatId: scheduled.chatId ? scheduled.chatId.toString() : undefined,
+      recipientId: scheduled.recipientId || undefined,
+      message: scheduled.message,
+      messageType: scheduled.messageType,
+      replyToMessageId: scheduled.replyToMessageId || undefined,
+      poll: scheduled.poll || undefined,
+      location: scheduled.location || undefined,
+      vcard: scheduled.vcard || undefined,
+      deviceId: 'scheduler',
+      scheduledMessageId: scheduled._id,
+    });
+
+    if (result.error) {
+      // Blocked, chat gone, quoted message deleted... - retrying won't help
+      await markFailed(scheduled, result.error.message);
+      return;
+    }
+
+    await markSent(scheduled, result.messageData.id, result.messageData.chatId);
+  } catch (error) {
+    // Another attempt already inserted it (unique scheduledMessageId)
+    if (error.code === 11000) {
+      const existing = await messagesCollection.findOne({ scheduledMessageId: scheduled._id });
+      if (existing) {
+        await markSent(scheduled, existing._id.toString(), existing.chatId.toString());
+        return;
+      }
+    }
+
+    console.error(`Error sending scheduled message ${scheduled._id}:`, error);
+    if (scheduled.attempts >= MAX_ATTEMPTS) {
+      await markFailed(scheduled, 'Could not be sent');
+    } else {
+      // Release the claim - the next poll retries it
+      await completeClaim(scheduled, { status: 'pending', error: error.message });
+    }
+  }
+};
+
+/**
+ * Send all scheduled messages that are due
+ * @returns {Promise<number>} Number of messages processed
+ */
+export const processDueScheduledMessages = async () => {
+  if (isProcessing) return 0;
+  isProcessing = true;
+
+  let processed = 0;
+  try {
+    while (processed < BATCH_SIZE) {
+      const scheduled = await claimNextDue();
+      if (!scheduled) break;
+
+      await deliverScheduledMessage(scheduled);
+      processed++;
+    }
+  } catch (error) {
+    console.error('❌ Error processing scheduled messages:', error);
+  } finally {
+    isProcessing = false;
+  }
+
+  return processed;
+};
+
+/**
+ * Start polling for due scheduled messages (every 15 seconds)
+ */
+export const startScheduledMessagesScheduler = () => {
+  // Run immediately on start (picks up anything due while the server was down)
+  processDueScheduledMessages();
+
+  setInterval(() => {
+    processDueScheduledMessages();
+  }, POLL_INTERVAL_MS);
+
+  console.log(`✅ Scheduled messages scheduler started (instance ${INSTANCE_ID})`);
+};
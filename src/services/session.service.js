@@ -3,11 +3,17 @@
  * 
  * Handles user sessions, login logs, and device management
  * for comprehensive tracking and security.
+ *
+ * Every login creates a device session (a row in user_sessions) that issues
+ * short-lived access tokens and rotating refresh tokens. Active sessions are
+ * cached in Redis under `session:{sessionId}`.
  */
 
 import postgresPool from '../config/postgres.config.js';
-import { getRedisClient } from '../config/redis.config.js';
+import { safeRedisOperation } from '../utils/redis.utils.js';
+import { getAccountRestriction, getRestrictionFromUser } from './moderation.service.js';
 import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 
 /**
  * Log login activity
@@ -56,58 +62,262 @@ export const logLoginActivity = async ({
   }
 };
 
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sessionCacheKey = (sessionId) => `session:${sessionId}`;
+
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+// Refreshing never extends a session past this long after its OTP login
+const getSessionMaxAgeMs = () => parseInt(process.env.SESSION_MAX_AGE_DAYS || '90', 10) * 24 * 60 * 60 * 1000;
+
+/**
+ * Sign a short-lived access token and a rotating refresh token for a session
+ */
+const signSessionTokens = ({ userId, phoneNumber, sessionId, familyId }) => {
+  const accessToken = jwt.sign(
+    { userId, phoneNumber, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+
+  // jwtid makes every rotated token unique even when issued within the same second
+  const refreshToken = jwt.sign(
+    { userId, sessionId, familyId, type: 'refresh' },
+    getRefreshSecret(),
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d', jwtid: crypto.randomUUID() }
+  );
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+
+  return {
+    accessToken,
+    refreshToken,
+    expiresIn: jwt.decode(accessToken).exp - nowSeconds,
+    refreshExpiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+  };
+};
+
 /**
- * Create or update user session
+ * Cache an active session in Redis until it expires
+ */
+const cacheSession = async (sessionId, userId, expiresAt) => {
+  const ttl = Math.floor((new Date(expiresAt).getTime() - Date.now()) / 1000);
+  if (ttl <= 0) return;
+
+  await safeRedisOperation(async (redisClient) => {
+    await redisClient.setEx(sessionCacheKey(sessionId), ttl, userId);
+  });
+};
+
+const uncacheSessions = async (sessionIds) => {
+  if (sessionIds.length === 0) return;
+
+  await safeRedisOperation(async (redisClient) => {
+    await redisClient.del(sessionIds.map(sessionCacheKey));
+  });
+};
+
+/**
+ * Create or update the session for a device and issue its first token pair.
+ * Logging in again on the same device starts a new refresh token family,
+ * so refresh tokens from the previous login stop working.
+ * Throws if the session can't be stored - login must not succeed without one.
  */
 export const createUserSession = async ({
   userId,
-  token,
+  phoneNumber,
   deviceId,
   deviceName,
   deviceType,
   ipAddress,
   userAgent,
-  expiresIn = 7 * 24 * 60 * 60, // 7 days in seconds
 }) => {
+  const sessionResult = await postgresPool.query(
+    `INSERT INTO user_sessions 
+     (user_id, token_hash, family_id, device_id, device_name, device_type, ip_address, user_agent, expires_at, authenticated_at)
+     VALUES ($1, $2, gen_random_uuid(), $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+     ON CONFLICT (user_id, device_id) DO UPDATE
+     SET token_hash = EXCLUDED.token_hash, family_id = gen_random_uuid(), device_name = EXCLUDED.device_name,
+         device_type = EXCLUDED.device_type, ip_address = EXCLUDED.ip_address, user_agent = EXCLUDED.user_agent,
+         last_used_at = CURRENT_TIMESTAMP, is_active = true, revoked_at = NULL, revoked_reason = NULL,
+         authenticated_at = CURRENT_TIMESTAMP
+     RETURNING id, family_id`,
+    // Placeholder hash that no token can match until the real one is stored below
+    [userId, hashToken(crypto.randomUUID()), deviceId, deviceName, deviceType, ipAddress, userAgent]
+  );
+
+  const { id: sessionId, family_id: familyId } = sessionResult.rows[0];
+  const tokens = signSessionTokens({ userId, phoneNumber, sessionId, familyId });
+
+  await postgresPool.query(
+    'UPDATE user_sessions SET token_hash = $1, expires_at = $2 WHERE id = $3',
+    [hashToken(tokens.refreshToken), tokens.refreshExpiresAt, sessionId]
+  );
+
+  await cacheSession(sessionId, userId, tokens.refreshExpiresAt);
+
+  return { sessionId, ...tokens };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Presenting a refresh token that was already rotated means it leaked,
+ * so the whole session family is revoked. Sessions older than
+ * SESSION_MAX_AGE_DAYS (since their OTP login) can't be refreshed.
+ * Suspended or banned accounts get no new tokens.
+ * @returns {Promise<{sessionId, userId, accessToken, refreshToken, expiresIn, refreshExpiresAt} | {error: 'invalid'|'expired'|'revoked'|'reuse_detected'|'restricted', userId?, sessionId?, restriction?}>}
+ */
+export const rotateRefreshToken = async ({ refreshToken, ipAddress, userAgent }) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, getRefreshSecret());
+  } catch (jwtError) {
+    return { error: jwtError.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.sessionId || !decoded.familyId) {
+    return { error: 'invalid' };
+  }
+
+  const { userId, sessionId } = decoded;
+
+  const sessionResult = await postgresPool.query(
+    `SELECT s.family_id, s.token_hash, s.is_active, s.expires_at, s.authenticated_at, u.phone_number,
+            u.is_active AS user_is_active, u.ban_reason, u.banned_at, u.suspended_until, u.suspension_reason
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.user_id = $2`,
+    [sessionId, userId]
+  );
+
+  if (sessionResult.rows.length === 0) {
+    return { error: 'invalid' };
+  }
+
+  const session = sessionResult.rows[0];
+
+  // Inactive session, or a token from an earlier login on this device
+  if (!session.is_active || new Date(session.expires_at) <= new Date() || session.family_id !== decoded.familyId) {
+    return { error: 'revoked', userId, sessionId };
+  }
+
+  const restriction = getRestrictionFromUser({ ...session, is_active: session.user_is_active });
+  if (restriction) {
+    return { error: 'restricted', userId, sessionId, restriction };
+  }
+
+  // Past its absolute lifetime: the user has to log in with an OTP again
+  const sessionEndsAt = new Date(new Date(session.authenticated_at).getTime() + getSessionMaxAgeMs());
+  if (sessionEndsAt <= new Date()) {
+    await revokeSession(userId, sessionId, 'expired');
+    return { error: 'expired', userId, sessionId };
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (presentedHash !== session.token_hash) {
+    await revokeSession(userId, sessionId, 'refresh_token_reuse');
+    return { error: 'reuse_detected', userId, sessionId };
+  }
+
+  const tokens = signSessionTokens({
+    userId,
+    phoneNumber: session.phone_number,
+    sessionId,
+    familyId: session.family_id,
+  });
+  const expiresAt = tokens.refreshExpiresAt < sessionEndsAt ? tokens.refreshExpiresAt : sessionEndsAt;
+
+  // Compare-and-swap on the old hash so two concurrent refreshes can't both win
+  const updateResult = await postgresPool.query(
+    `UPDATE user_sessions 
+     SET token_hash = $1, expires_at = $2, ip_address = $3, user_agent = $4, last_used_at = CURRENT_TIMESTAMP
+     WHERE id = $5 AND token_hash = $6 AND is_active = true`,
+    [hashToken(tokens.refreshToken), expiresAt, ipAddress, userAgent, sessionId, presentedHash]
+  );
+
+  if (updateResult.rowCount === 0) {
+    await revokeSession(userId, sessionId, 'refresh_token_reuse');
+    return { error: 'reuse_detected', userId, sessionId };
+  }
+
+  await cacheSession(sessionId, userId, expiresAt);
+
+  return { userId, sessionId, ...tokens, refreshExpiresAt: expiresAt };
+};
+
+/**
+ * Check whether a session is still active.
+ * Redis is checked first; on a miss the session is loaded from Postgres and re-cached.
+ * @returns {Promise<boolean|null>} null when Postgres couldn't be queried (unknown)
+ */
+export const isSessionActive = async (userId, sessionId) => {
+  if (!userId || !sessionId) {
+    return false;
+  }
+
+  const cachedUserId = await safeRedisOperation(async (redisClient) => {
+    return await redisClient.get(sessionCacheKey(sessionId));
+  }, null);
+
+  if (cachedUserId) {
+    return cachedUserId === userId;
+  }
+
   try {
-    // Hash token for storage
-    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-    const expiresAt = new Date(Date.now() + expiresIn * 1000);
-
-    // Check if session already exists for this device
-    const existingSession = await postgresPool.query(
-      'SELECT id FROM user_sessions WHERE user_id = $1 AND device_id = $2',
-      [userId, deviceId]
+    const result = await postgresPool.query(
+      `SELECT expires_at FROM user_sessions 
+       WHERE id = $1 AND user_id = $2 AND is_active = true AND expires_at > CURRENT_TIMESTAMP`,
+      [sessionId, userId]
     );
 
-    if (existingSession.rows.length > 0) {
-      // Update existing session
-      await postgresPool.query(
-        `UPDATE user_sessions 
-         SET token_hash = $1, device_name = $2, device_type = $3, ip_address = $4, 
-             user_agent = $5, last_used_at = CURRENT_TIMESTAMP, expires_at = $6, is_active = true
-         WHERE user_id = $7 AND device_id = $8`,
-        [tokenHash, deviceName, deviceType, ipAddress, userAgent, expiresAt, userId, deviceId]
-      );
-    } else {
-      // Create new session
-      await postgresPool.query(
-        `INSERT INTO user_sessions 
-         (user_id, token_hash, device_id, device_name, device_type, ip_address, user_agent, expires_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [userId, tokenHash, deviceId, deviceName, deviceType, ipAddress, userAgent, expiresAt]
-      );
+    if (result.rows.length === 0) {
+      return false;
     }
 
+    await cacheSession(sessionId, userId, result.rows[0].expires_at);
     return true;
   } catch (error) {
-    console.error('Error creating user session:', error);
-    return false;
+    console.error('Error checking session:', error);
+    return null;
+  }
+};
+
+/**
+ * Validate an access token: signature, expiry and that its device session is still active.
+ * Shared by the HTTP verifyToken middleware and the Socket.IO handshake.
+ * @returns {Promise<{decoded: object} | {error: 'expired'|'invalid'|'session_inactive'|'account_suspended'|'account_banned', restriction?: object}>}
+ */
+export const validateAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (jwtError) {
+    return { error: jwtError.name === 'TokenExpiredError' ? 'expired' : 'invalid' };
+  }
+
+  // Refresh tokens are signed with a different secret, but guard in case both secrets match
+  if (decoded.type === 'refresh') {
+    return { error: 'invalid' };
   }
+
+  // An unknown state (database error) is refused too: no new requests without a known session
+  const sessionActive = await isSessionActive(decoded.userId, decoded.sessionId);
+  if (!sessionActive) {
+    return { error: 'session_inactive' };
+  }
+
+  const restriction = await getAccountRestriction(decoded.userId);
+  if (restriction) {
+    return { error: restriction.type === 'banned' ? 'account_banned' : 'account_suspended', restriction };
+  }
+
+  return { decoded };
 };
 
 /**
- * Get user sessions
+ * Get a user's active sessions (one per logged-in device)
  */
 export const getUserSessions = async (userId) => {
   try {
@@ -115,7 +325,7 @@ export const getUserSessions = async (userId) => {
       `SELECT id, device_id, device_name, device_type, ip_address, 
               last_used_at, expires_at, is_active, created_at
        FROM user_sessions 
-       WHERE user_id = $1 
+       WHERE user_id = $1 AND is_active = true AND expires_at > CURRENT_TIMESTAMP
        ORDER BY last_used_at DESC`,
       [userId]
     );
@@ -129,19 +339,21 @@ export const getUserSessions = async (userId) => {
 
 /**
  * Revoke session
+ * @returns {Promise<boolean>} true if an active session was revoked
  */
-export const revokeSession = async (userId, sessionId) => {
+export const revokeSession = async (userId, sessionId, reason = 'revoked') => {
   try {
-    await postgresPool.query(
-      'UPDATE user_sessions SET is_active = false WHERE id = $1 AND user_id = $2',
-      [sessionId, userId]
+    const result = await postgresPool.query(
+      `UPDATE user_sessions 
+       SET is_active = false, revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+       WHERE id = $1 AND user_id = $2 AND is_active = true`,
+      [sessionId, userId, reason]
     );
 
     // Also remove from Redis
-    const redisClient = getRedisClient();
-    await redisClient.del(`session:${userId}`);
+    await uncacheSessions([sessionId]);
 
-    return true;
+    return result.rowCount > 0;
   } catch (error) {
     console.error('Error revoking session:', error);
     return false;
@@ -150,21 +362,47 @@ export const revokeSession = async (userId, sessionId) => {
 
 /**
  * Revoke all sessions except current
+ * @returns {Promise<string[]>} IDs of the revoked sessions
  */
-export const revokeAllOtherSessions = async (userId, currentDeviceId) => {
+export const revokeAllOtherSessions = async (userId, currentSessionId) => {
   try {
-    await postgresPool.query(
-      'UPDATE user_sessions SET is_active = false WHERE user_id = $1 AND device_id != $2',
-      [userId, currentDeviceId]
+    const result = await postgresPool.query(
+      `UPDATE user_sessions 
+       SET is_active = false, revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'revoked'
+       WHERE user_id = $1 AND id != $2 AND is_active = true
+       RETURNING id`,
+      [userId, currentSessionId]
     );
 
-    return true;
+    const revokedIds = result.rows.map((row) => row.id);
+    await uncacheSessions(revokedIds);
+
+    return revokedIds;
   } catch (error) {
     console.error('Error revoking other sessions:', error);
-    return false;
+    return [];
   }
 };
 
+/**
+ * Revoke every active session of a user (account suspended, banned or deleted)
+ * @returns {Promise<string[]>} IDs of the revoked sessions
+ */
+export const revokeAllUserSessions = async (userId, reason = 'revoked') => {
+  const result = await postgresPool.query(
+    `UPDATE user_sessions 
+     SET is_active = false, revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+     WHERE user_id = $1 AND is_active = true
+     RETURNING id`,
+    [userId, reason]
+  );
+
+  const revokedIds = result.rows.map((row) => row.id);
+  await uncacheSessions(revokedIds);
+
+  return revokedIds;
+};
+
 /**
  * Clean up expired sessions
  */
@@ -0,0 +1,96 @@
+/**
+ * SMS Service
+ *
+ * Pluggable SMS delivery used for OTPs and other transactional texts.
+ * The active provider is selected with SMS_PROVIDER:
+ * - console: prints messages to stdout (default, for development)
+ * - file: appends messages as JSON lines to SMS_FILE_PATH (for local tooling and tests)
+ *
+ * Real gateways (Twilio, MSG91, ...) plug in through registerSmsProvider().
+ * A provider is an object with a `name` and an async `send({ to, body })`
+ * that resolves to `{ messageId }` or throws on delivery failure.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const generateMessageId = () => crypto.randomUUID();
+
+/**
+ * Console provider - logs the SMS instead of sending it
+ */
+const consoleProvider = {
+  name: 'console',
+  send: async ({ to, body }) => {
+    const messageId = generateMessageId();
+    console.log(`📱 [SMS:console] to=${to} id=${messageId}\n   ${body}`);
+    return { messageId };
+  },
+};
+
+/**
+ * File provider - appends each SMS as a JSON line so scripts can read it back
+ */
+const fileProvider = {
+  name: 'file',
+  send: async ({ to, body }) => {
+    const filePath = path.resolve(process.env.SMS_FILE_PATH || './logs/sms.log');
+    const messageId = generateMessageId();
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(
+      filePath,
+      JSON.stringify({ messageId, to, body, sentAt: new Date().toISOString() }) + '\n'
+    );
+
+    return { messageId };
+  },
+};
+
+const providers = new Map([
+  [consoleProvider.name, consoleProvider],
+  [fileProvider.name, fileProvider],
+]);
+
+/**
+ * Register a custom SMS provider
+ * @param {string} name - Value of SMS_PROVIDER that selects this provider
+ * @param {{ send: Function }} provider - Provider implementation
+ */
+export const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider "${name}" must implement send({ to, body })`);
+  }
+  providers.set(name, { name, ...provider });
+};
+
+/**
+ * Get the currently configured SMS provider
+ */
+export const getSmsProvider = () => {
+  const name = (process.env.SMS_PROVIDER || 'console').trim().toLowerCase();
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider "${name}". Registered providers: ${[...providers.keys()].join(', ')}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} to - Full phone number including country code
+ * @param {string} body - Message text
+ * @returns {Promise<{ messageId: string, provider: string }>}
+ */
+export const sendSms = async (to, body) => {
+  const provider = getSmsProvider();
+  const result = await provider.send({ to, body });
+
+  return {
+    messageId: result?.messageId || null,
+    provider: provider.name,
+  };
+};
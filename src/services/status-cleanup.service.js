@@ -1,5 +1,6 @@
 import { getMongoDB } from '../config/mongodb.config.js';
 import { deleteFile } from '../middleware/upload.middleware.js';
+import { releaseStatusMedia } from './media-registry.service.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -55,6 +56,16 @@ export const deleteExpiredStatuses = async () => {
 
       // Delete files for expired statuses with retry mechanism
       for (const expiredStatus of expiredStatuses) {
+        // Registered files are reference counted (forwarded or re-sent elsewhere)
+        if (expiredStatus.fileSha256) {
+          try {
+            await releaseStatusMedia(statusDoc._id, expiredStatus);
+          } catch (error) {
+            console.error(`Error releasing file for status ${expiredStatus.id}:`, error);
+          }
+          continue;
+        }
+
         if (expiredStatus.url) {
           // Extract filename from URL
           const filename = expiredStatus.url.split('/').pop();
@@ -66,7 +77,7 @@ export const deleteExpiredStatuses = async () => {
             // Retry file deletion with exponential backoff
             while (!fileDeleted && retryCount < maxRetries) {
               try {
-                deleteFile(filename);
+                await deleteFile(filename);
                 fileDeleted = true;
                 filesDeleted++;
               } catch (error) {
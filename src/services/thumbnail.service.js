@@ -0,0 +1,137 @@
+/**
+ * Thumbnail Service
+ *
+ * Generates previews for uploaded images and videos so chat lists and media
+ * galleries don't have to download full-size files:
+ *
+ *   media: { width, height, duration, thumbnailUrl, blurhash }
+ *
+ * Thumbnails are WebP files stored next to the original as
+ * `thumb-<original name>.webp` (deleteFile removes them together). The
+ * blurhash is a ~30 character placeholder clients can render before the
+ * thumbnail loads.
+ *
+ * Videos can't be decoded here: their dimensions and duration come from the
+ * MP4 / MOV container, and the thumbnail from an optional poster frame the
+ * client uploads alongside the video.
+ */
+
+import path from 'path';
+import sharp from 'sharp';
+import { encode as encodeBlurhash } from 'blurhash';
+import { deleteFile, getFileUrl, getThumbnailFilename, getUploadFilePath } from '../middleware/upload.middleware.js';
+import { readMoovBox, getVideoInfo } from '../utils/mp4.utils.js';
+
+const THUMBNAIL_SIZE = 320;
+const THUMBNAIL_QUALITY = 70;
+const BLURHASH_SIZE = 32;
+const BLURHASH_COMPONENTS_X = 4;
+const BLURHASH_COMPONENTS_Y = 3;
+
+/**
+ * Write a thumbnail and compute dimensions and blurhash of an image
+ * @param {string} imagePath - Source image
+ * @param {string} thumbnailPath - Where to write the WebP thumbnail
+ * @returns {Promise<{width: number, height: number, blurhash: string}>}
+ */
+const createImagePreview = async (imagePath, thumbnailPath) => {
+  const metadata = await sharp(imagePath).metadata();
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = (metadata.orientation || 1) >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  await sharp(imagePath)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: THUMBNAIL_QUALITY })
+    .toFile(thumbnailPath);
+
+  const { data, info } = await sharp(imagePath)
+    .rotate()
+    .resize(BLURHASH_SIZE, BLURHASH_SIZE, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const blurhash = encodeBlurhash(
+    new Uint8ClampedArray(data),
+    info.width,
+    info.height,
+    BLURHASH_COMPONENTS_X,
+    BLURHASH_COMPONENTS_Y
+  );
+
+  return { width, height, blurhash };
+};
+
+/**
+ * Build the preview of an uploaded image or video
+ * Failures are logged and leave the fields empty - the upload itself still succeeds.
+ * @param {Object} params
+ * @param {Object} params.file - Multer file (the upload)
+ * @param {string} params.type - 'image' or 'video' (anything else has no preview)
+ * @param {Object} [params.posterFile] - Multer file: client-made video frame (deleted afterwards)
+ * @returns {Promise<Object|null>} media sub-document, or null for other types
+ */
+export const createMediaPreview = async ({ file, type, posterFile }) => {
+  try {
+    if (!['image', 'video'].includes(type)) return null;
+
+    const media = {
+      width: null,
+      height: null,
+      duration: null,
+      thumbnailUrl: null,
+      blurhash: null,
+    };
+    const thumbnailFilename = getThumbnailFilename(file.filename);
+    const thumbnailPath = getUploadFilePath(thumbnailFilename);
+
+    if (type === 'image') {
+      try {
+        Object.assign(media, await createImagePreview(file.path, thumbnailPath));
+        media.thumbnailUrl = getFileUrl(null, thumbnailFilename);
+      } catch (error) {
+        console.warn(`⚠️  Could not create image preview for ${path.basename(file.filename)}:`, error.message);
+      }
+      return media;
+    }
+
+    try {
+      const moov = await readMoovBox(file.path);
+      const videoInfo = moov ? getVideoInfo(moov) : null;
+      if (videoInfo) {
+        Object.assign(media, videoInfo);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not read video metadata for ${path.basename(file.filename)}:`, error.message);
+    }
+
+    if (posterFile) {
+      try {
+        const poster = await createImagePreview(posterFile.path, thumbnailPath);
+        media.blurhash = poster.blurhash;
+        media.thumbnailUrl = getFileUrl(null, thumbnailFilename);
+        // Containers we can't read (WebM...) still get dimensions from the poster
+        if (!media.width) {
+          media.width = poster.width;
+          media.height = poster.height;
+        }
+      } catch (error) {
+        console.warn(`⚠️  Could not use video poster for ${path.basename(file.filename)}:`, error.message);
+      }
+    }
+
+    return media;
+  } finally {
+    if (posterFile) {
+      try {
+        await deleteFile(posterFile.filename);
+      } catch (error) {
+        console.error('Error deleting video poster:', error);
+      }
+    }
+  }
+};
@@ -0,0 +1,133 @@
+/**
+ * Upload Security Service
+ *
+ * Checks every uploaded file goes through before it's processed or stored:
+ *   - its content (magic bytes) must match its extension - or be an image,
+ *     for profile pictures and video posters - and executables, scripts and
+ *     installers are refused
+ *   - JPEG, PNG, WebP and HEIF (HEIC / AVIF) images lose their EXIF / GPS metadata
+ *   - the configured malware scanner (FILE_SCANNER) checks it; infected files
+ *     are moved to the quarantine directory and recorded in `quarantined_files`
+ *
+ * Scanning fails closed: while the scanner can't be reached, uploads are refused.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { getScanner } from '../config/scanner.config.js';
+import { detectFileType, getFileContentError } from '../utils/file-type.utils.js';
+import { stripImageMetadata } from '../utils/image-metadata.utils.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Cleaning reads the whole image into memory
+const MAX_CLEANED_IMAGE_SIZE = 64 * 1024 * 1024;
+const METADATA_IMAGE_TYPES = ['jpeg', 'png', 'webp', 'heif'];
+// The exact format of these comes from the extension (e.g. DOCX is a ZIP)
+const GENERIC_CONTAINER_TYPES = ['zip', 'ole'];
+
+export const getQuarantineDir = () => path.resolve(process.env.QUARANTINE_PATH || path.join(__dirname, '../../quarantine'));
+
+/**
+ * Check an upload's content and remove image metadata
+ * Updates file.mimetype (from the content) and file.size in place.
+ * @param {Object} file - Multer file, on local disk
+ * @param {Object} [options]
+ * @param {boolean} [options.imagesOnly] - Only JPEG, PNG, GIF or WebP
+ * @returns {Promise<{file: Object} | {error: {status: number, message: string}}>}
+ */
+export const inspectUpload = async (file, { imagesOnly = false } = {}) => {
+  const detected = await detectFileType(file.path);
+  const contentError = getFileContentError(detected, file.originalname, { imagesOnly });
+  if (contentError) {
+    return { error: { status: 400, message: contentError } };
+  }
+
+  // The client's Content-Type is only a claim
+  if (detected && !GENERIC_CONTAINER_TYPES.includes(detected.type)) {
+    file.mimetype = detected.mime;
+  }
+
+  if (METADATA_IMAGE_TYPES.includes(detected?.type)) {
+    if (file.size > MAX_CLEANED_IMAGE_SIZE) {
+      return { error: { status: 400, message: 'Image too large' } };
+    }
+    const cleaned = stripImageMetadata(await fs.readFile(file.path), detected.type);
+    if (!cleaned) {
+      return { error: { status: 400, message: 'Invalid image file' } };
+    }
+    await fs.writeFile(file.path, cleaned);
+    file.size = cleaned.length;
+  }
+
+  return { file };
+};
+
+/**
+ * Move an infected upload into quarantine
+ * @returns {Promise<string>} Quarantine record id
+ */
+const quarantineUpload = async (file, { signature, scanner, uploaderId, source }) => {
+  const quarantineDir = getQuarantineDir();
+  const storedAs = `${Date.now()}-${path.basename(file.filename)}`;
+  await fs.mkdir(quarantineDir, { recursive: true });
+  try {
+    await fs.rename(file.path, path.join(quarantineDir, storedAs));
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    // Different filesystem (e.g. a mounted volume) - copy instead
+    await fs.copyFile(file.path, path.join(quarantineDir, storedAs));
+    await fs.rm(file.path, { force: true });
+  }
+
+  const result = await getMongoDB().collection('quarantined_files').insertOne({
+    storedAs,
+    originalName: file.originalname || null,
+    size: file.size,
+    mimeType: file.mimetype || null,
+    signature,
+    scanner,
+    uploaderId,
+    source,
+    createdAt: new Date(),
+  });
+  return result.insertedId.toString();
+};
+
+/**
+ * Scan uploads for malware, quarantining the first infected one
+ * Nothing is deleted: clean files, and the others when one is infected, stay
+ * where they are for the caller.
+ * @param {Object[]} files - Multer files, on local disk (empty entries are skipped)
+ * @param {Object} context
+ * @param {string} context.uploaderId
+ * @param {string} context.source - 'message', 'status', 'profile' or 'group'
+ * @returns {Promise<{clean: true} | {infected: {file: Object, signature: string, quarantineId: string}} | {error: {status: number, message: string}}>}
+ */
+export const scanUploads = async (files, { uploaderId, source }) => {
+  const scanner = getScanner();
+  if (!scanner) return { clean: true };
+
+  for (const file of files) {
+    if (!file) continue;
+
+    let verdict;
+    try {
+      verdict = await scanner.scanFile(file.path);
+    } catch (error) {
+      console.error('File scan error:', error);
+      return { error: { status: 503, message: 'File scanning is unavailable. Please try again later.' } };
+    }
+
+    if (verdict.infected) {
+      const signature = verdict.signature || 'unknown';
+      const quarantineId = await quarantineUpload(file, { signature, scanner: scanner.name, uploaderId, source });
+      console.warn(`🦠 Quarantined upload from user ${uploaderId} (${source}): ${signature}`);
+      return { infected: { file, signature, quarantineId } };
+    }
+  }
+
+  return { clean: true };
+};
@@ -0,0 +1,123 @@
+/**
+ * Voice Note Service
+ *
+ * `voice` messages are uploaded through POST /api/messages/upload. The server
+ * reads duration and a waveform from the file (utils/audio.utils.js) and
+ * stores them on the message as `voice: { duration, waveform, container, codec }`.
+ *
+ * Played state is tracked per recipient in `playedBy: [{ userId, playedAt }]`,
+ * separately from readBy (a voice note is read when the chat is opened, played
+ * when it's listened to). Like reads, plays are only shown to the sender when
+ * read receipts are shared.
+ */
+
+import fs from 'fs';
+import { ObjectId } from 'mongodb';
+import { getMongoDB } from '../config/mongodb.config.js';
+import { analyzeAudio } from '../utils/audio.utils.js';
+import { areReadReceiptsShared } from './delivery.service.js';
+
+// Analysis reads the whole file into memory (~30 minutes of 16 kHz WAV)
+export const MAX_VOICE_NOTE_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Read voice note metadata from an uploaded file
+ * @param {string} filePath - Path of the uploaded file
+ * @returns {Promise<{voice: Object} | {error: {status: number, message: string}}>}
+ */
+export const getVoiceMetadata = async (filePath) => {
+  const { size } = await fs.promises.stat(filePath);
+  if (size > MAX_VOICE_NOTE_SIZE) {
+    return { error: { status: 413, message: `Voice note too large. Maximum size is ${MAX_VOICE_NOTE_SIZE / 1048576}MB.` } };
+  }
+
+  const metadata = analyzeAudio(await fs.promises.readFile(filePath));
+
+  if (!metadata) {
+    return { error: { status: 400, message: 'Unsupported voice note format. Use WAV, Ogg/Opus or M4A' } };
+  }
+
+  return { voice: metadata };
+};
+
+/**
+ * Format voice note metadata for API responses
+ * @param {Object} voice - voice sub-document
+ */
+export const formatVoice = (voice) => ({
+  duration: voice.duration,
+  waveform: voice.waveform || null,
+  container: voice.container,
+  codec: voice.codec || null,
+});
+
+/**
+ * Mark a voice note as played by a recipient
+ * @param {string} userId - Recipient who played it
+ * @param {string} messageId - Voice message
+ * @returns {Promise<{playedAt: Date, alreadyPlayed: boolean} | {error: {status: number, message: string}}>}
+ */
+export const markVoicePlayed = async (userId, messageId) => {
+  if (!messageId || !ObjectId.isValid(messageId)) {
+    return { error: { status: 400, message: 'Invalid message ID' } };
+  }
+
+  const mongoDb = getMongoDB();
+  const messagesCollection = mongoDb.collection('messages');
+
+  const message = await messagesCollection.findOne({
+    _id: new ObjectId(messageId),
+    messageType: 'voice',
+    deletedAt: null,
+    deletedFor: { $ne: userId },
+  });
+  if (!message) {
+    return { error: { status: 404, message: 'Voice message not found' } };
+  }
+
+  const chat = await mongoDb.collection('chats').findOne({
+    _id: message.chatId,
+    participants: userId,
+  });
+  if (!chat) {
+    return { error: { status: 404, message: 'Voice message not found' } };
+  }
+
+  if (message.senderId === userId) {
+    return { error: { status: 400, message: 'Your own voice messages are not tracked as played' } };
+  }
+
+  const existing = (message.playedBy || []).find((entry) => entry.userId === userId);
+  if (existing) {
+    return { playedAt: existing.playedAt, alreadyPlayed: true };
+  }
+
+  const playedAt = new Date();
+  const result = await messagesCollection.updateOne(
+    { _id: message._id, 'playedBy.userId': { $ne: userId } },
+    { $push: { playedBy: { userId, playedAt } } }
+  );
+  if (result.modifiedCount === 0) {
+    // Played on another device at the same time
+    return { playedAt, alreadyPlayed: true };
+  }
+
+  try {
+    const { getSocketIO } = await import('../socket/socket.server.js');
+    const socketIO = getSocketIO();
+    if (socketIO) {
+      // If receipts aren't shared, only the listener's own devices are told
+      const readReceiptsShared = await areReadReceiptsShared(chat);
+      socketIO.to(readReceiptsShared ? `chat:${chat._id}` : `user:${userId}`).emit('voice_played', {
+        messageId,
+        chatId: chat._id.toString(),
+        playedBy: userId,
+        playedAt,
+      });
+    }
+  } catch (error) {
+    console.error('Error emitting voice played:', error);
+  }
+
+  return { playedAt, alreadyPlayed: false };
+};
@@ -1,10 +1,10 @@
 import { Server } from 'socket.io';
-import jwt from 'jsonwebtoken';
 import { getMongoDB } from '../config/mongodb.config.js';
 import postgresPool, { queryWithRetry } from '../config/postgres.config.js';
 import { getRedisClient } from '../config/redis.config.js';
 import { ObjectId } from 'mongodb';
 import { getUserPresenceData, preparePresenceForBroadcast } from '../utils/presence.utils.js';
+import { getVisibilityForAudience, applyPresencePrivacy } from '../services/privacy.service.js';
 import {
   createCallSession,
   appendCallEvent,
@@ -17,9 +17,23 @@ import {
 } from '../services/call.service.js';
 import { generateCallToken } from '../services/agora.service.js';
 import { logActivity } from '../services/analytics.service.js';
+import { validateAccessToken, isSessionActive } from '../services/session.service.js';
+import {
+  markMessagesDelivered,
+  markPendingMessagesDelivered,
+  emitMessageStatus,
+  areReadReceiptsShared,
+} from '../services/delivery.service.js';
+import { buildReplySnapshot, formatReplyTo } from '../services/reply.service.js';
+import { getMessageExpiry, getTimerLabel } from '../services/disappearing.service.js';
+import { LOCATION_MESSAGE_TYPES, updateLiveLocation, stopLiveLocation } from '../services/location.service.js';
+import { markVoicePlayed } from '../services/voice.service.js';
 
 let io = null;
 
+// How often live sockets re-validate their device session
+const SESSION_CHECK_INTERVAL_MS = parseInt(process.env.SOCKET_SESSION_CHECK_INTERVAL_MS || '60000', 10);
+
 /**
  * Initialize Socket.IO server
  */
@@ -34,6 +48,7 @@ export const initializeSocket = (httpServer) => {
   });
 
   // Authentication middleware for Socket.IO
+  // Uses the same token + device session validation as the HTTP verifyToken middleware
   io.use(async (socket, next) => {
     try {
       const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
@@ -42,9 +57,21 @@ export const initializeSocket = (httpServer) => {
         return next(new Error('Authentication error: No token provided'));
       }
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const { decoded, error } = await validateAccessToken(token);
+      if (error) {
+        const errorMessages = {
+          expired: 'Authentication error: Token expired',
+          invalid: 'Authentication error: Invalid token',
+          session_inactive: 'Authentication error: Session revoked',
+          account_suspended: 'Authentication error: Account suspended',
+          account_banned: 'Authentication error: Account banned',
+        };
+        return next(new Error(errorMessages[error]));
+      }
+
       socket.userId = decoded.userId;
       socket.phoneNumber = decoded.phoneNumber;
+      socket.sessionId = decoded.sessionId;
       next();
     } catch (error) {
       next(new Error('Authentication error: Invalid token'));
@@ -54,6 +81,24 @@ export const initializeSocket = (httpServer) => {
   io.on('connection', async (socket) => {
     console.log(`✅ User connected: ${socket.userId}`);
 
+    // Re-check the session on long-lived connections (covers expiry and revocations
+    // made on another instance or directly in the database). Set up before any
+    // await so a socket dropping during the connect work still clears it.
+    socket.data.sessionCheckInterval = setInterval(async () => {
+      if (!socket.connected) {
+        clearInterval(socket.data.sessionCheckInterval);
+        return;
+      }
+      const sessionActive = await isSessionActive(socket.userId, socket.sessionId);
+      // null: the database couldn't be reached - try again on the next tick
+      if (sessionActive === false && socket.connected) {
+        console.log(`🔌 Session ${socket.sessionId} no longer active, disconnecting user ${socket.userId}`);
+        socket.emit('session_revoked', { reason: 'expired' });
+        socket.disconnect(true);
+      }
+    }, SESSION_CHECK_INTERVAL_MS);
+    socket.once('disconnect', () => clearInterval(socket.data.sessionCheckInterval));
+
     // Update user online status when they connect - IMMEDIATELY
     try {
       const updateResult = await queryWithRetry(
@@ -78,6 +123,9 @@ export const initializeSocket = (httpServer) => {
     socket.join(`user:${socket.userId}`);
     console.log(`📞 [Socket] User ${socket.userId} joined room user:${socket.userId}`);
 
+    // Join the device session room so revoking the session can drop this socket
+    socket.join(`session:${socket.sessionId}`);
+
     // Check for active call sessions waiting for this user and resend invite if needed
     try {
       const { getCallSessionByRoom } = await import('../services/call.service.js');
@@ -141,6 +189,16 @@ export const initializeSocket = (httpServer) => {
     // Join all chat rooms the user is part of
     await _joinUserChats(socket.userId, socket);
 
+    // Anything sent while the user was offline is synced on reconnect, so mark it delivered in bulk
+    try {
+      const deliveredCount = await markPendingMessagesDelivered(socket.userId);
+      if (deliveredCount > 0) {
+        console.log(`📬 Marked ${deliveredCount} pending message(s) as delivered to user ${socket.userId}`);
+      }
+    } catch (error) {
+      console.error('❌ Error marking pending messages as delivered on connect:', error);
+    }
+
     const joinCallRoom = (roomId) => {
       if (!roomId) return;
       socket.join(`call:${roomId}`);
@@ -161,7 +219,7 @@ export const initializeSocket = (httpServer) => {
     // BUG FIX #6: Add message deduplication to prevent duplicate messages
     socket.on('send_message', async (data) => {
       try {
-        const { chatId, message, messageType = 'text', recipientId, messageId: clientMessageId } = data;
+        const { chatId, message, messageType = 'text', recipientId, messageId: clientMessageId, replyToMessageId } = data;
         
         // BUG FIX #6: Prevent duplicate messages by checking for existing messageId
         // If client sends messageId, check if message already exists
@@ -185,6 +243,12 @@ export const initializeSocket = (httpServer) => {
           }
         }
 
+        // Polls, locations and contacts need validation - they're created over REST only
+        if (['poll', 'contact'].includes(messageType) || LOCATION_MESSAGE_TYPES.includes(messageType)) {
+          socket.emit('error', { message: `Send ${messageType} messages via POST /api/messages` });
+          return;
+        }
+
         if (!message) {
           socket.emit('error', { message: 'Message is required' });
           return;
@@ -293,6 +357,16 @@ export const initializeSocket = (httpServer) => {
           }
         }
 
+        // Quote the replied-to message (must be in this chat)
+        let reply = null;
+        if (replyToMessageId) {
+          reply = await buildReplySnapshot({ chatId: chatObjectId, replyToMessageId, userId: socket.userId });
+          if (reply.error) {
+            socket.emit('error', { message: reply.error.message });
+            return;
+          }
+        }
+
         // Parse mentions if this is a group chat
         let mentions = [];
         if (chat.type === 'group' && messageType === 'text') {
@@ -332,7 +406,11 @@ export const initializeSocket = (httpServer) => {
               readAt: new Date(),
             },
           ],
+          deliveredTo: [], // Filled in as recipients acknowledge with message_delivered
           mentions: mentions, // Array of mentioned user IDs
+          replyToMessageId: reply ? reply.replyToMessageId : null,
+          replyTo: reply ? reply.replyTo : null, // Quoted snapshot, survives deletion of the original
+          expiresAt: getMessageExpiry(chat), // Set when the chat has disappearing messages on
           editedAt: null,
           deletedAt: null,
           createdAt: new Date(),
@@ -428,7 +506,10 @@ export const initializeSocket = (httpServer) => {
               readAt: newMessage.createdAt.toISOString(),
             },
           ],
+          deliveredTo: [],
           mentions: newMessage.mentions || [], // Include mentions
+          replyTo: formatReplyTo(newMessage.replyTo),
+          expiresAt: newMessage.expiresAt ? newMessage.expiresAt.toISOString() : null,
           editedAt: null,
           deletedAt: null,
           status: 'sent', // Message is sent to server
@@ -465,6 +546,9 @@ export const initializeSocket = (httpServer) => {
         );
         const updatedSenderUser = updatedSenderUserResult.rows[0];
         const updatedSenderPresenceData = getUserPresenceData(updatedSenderUser);
+        const senderVisibility = isGroup
+          ? new Map()
+          : await getVisibilityForAudience(socket.userId, chat.participants);
 
         // Emit chat update to all participants
         for (const participantId of chat.participants) {
@@ -480,6 +564,7 @@ export const initializeSocket = (httpServer) => {
             archivedBy: chat.archivedBy || [],
             pinnedBy: chat.pinnedBy || [],
             mutedBy: chat.mutedBy || [],
+            disappearingTimer: getTimerLabel(chat.disappearingTimer),
           };
           
           // For direct chats, include otherUser info
@@ -495,11 +580,13 @@ export const initializeSocket = (httpServer) => {
             };
           } else if (participantId !== socket.userId) {
             // For direct chats, include sender's presence data for the other participant
-            chatUpdateData.otherUser = updatedSenderPresenceData;
+            // (filtered by the sender's privacy settings)
+            const visiblePresenceData = applyPresencePrivacy(updatedSenderPresenceData, senderVisibility.get(participantId));
+            chatUpdateData.otherUser = visiblePresenceData;
             
             // Also broadcast presence update to receiver IMMEDIATELY with fresh data
-            if (io && updatedSenderPresenceData) {
-              const presenceData = preparePresenceForBroadcast(updatedSenderPresenceData);
+            if (io && visiblePresenceData) {
+              const presenceData = preparePresenceForBroadcast(visiblePresenceData);
               if (presenceData) {
                 io.to(`user:${participantId}`).emit('presence_update', presenceData);
               }
@@ -1394,6 +1481,55 @@ export const initializeSocket = (httpServer) => {
       });
     });
 
+    // Handle delivery acknowledgement from the recipient's device
+    // Payload: { messageId } or { messageIds: [] }
+    socket.on('message_delivered', async (data = {}) => {
+      try {
+        const messageIds = Array.isArray(data.messageIds) ? data.messageIds : [data.messageId];
+        await markMessagesDelivered(socket.userId, messageIds.filter(Boolean));
+      } catch (error) {
+        console.error('Socket message_delivered error:', error);
+      }
+    });
+
+    // Live location: the sender streams new points for a live_location message
+    // Payload: { messageId, latitude, longitude, accuracy? }
+    socket.on('live_location_update', async (data = {}) => {
+      try {
+        const result = await updateLiveLocation(socket.userId, data.messageId, data);
+        if (result.error) {
+          socket.emit('error', { message: result.error.message, messageId: data.messageId });
+        }
+      } catch (error) {
+        console.error('Socket live_location_update error:', error);
+      }
+    });
+
+    // Payload: { messageId }
+    socket.on('live_location_stop', async (data = {}) => {
+      try {
+        const result = await stopLiveLocation(socket.userId, data.messageId);
+        if (result.error) {
+          socket.emit('error', { message: result.error.message, messageId: data.messageId });
+        }
+      } catch (error) {
+        console.error('Socket live_location_stop error:', error);
+      }
+    });
+
+    // Voice note played by a recipient (separate from read receipts)
+    // Payload: { messageId }
+    socket.on('voice_played', async (data = {}) => {
+      try {
+        const result = await markVoicePlayed(socket.userId, data.messageId);
+        if (result.error) {
+          socket.emit('error', { message: result.error.message, messageId: data.messageId });
+        }
+      } catch (error) {
+        console.error('Socket voice_played error:', error);
+      }
+    });
+
     // Handle message read receipt
     // BUG FIX #12: Wrap in try-catch to prevent unhandled promise rejections
     socket.on('message_read', async (data) => {
@@ -1421,8 +1557,11 @@ export const initializeSocket = (httpServer) => {
 
         if (message && !message.readBy.includes(socket.userId)) {
           await messagesCollection.updateOne(
-            { _id: messageObjectId },
-            { $addToSet: { readBy: socket.userId } }
+            { _id: messageObjectId, readBy: { $ne: socket.userId } },
+            {
+              $addToSet: { readBy: socket.userId },
+              $push: { readReceipts: { userId: socket.userId, readAt: new Date() } },
+            }
           );
 
           // Check if all messages in this chat are now read by this user
@@ -1464,15 +1603,27 @@ export const initializeSocket = (httpServer) => {
               archivedBy: chat.archivedBy || [],
               pinnedBy: chat.pinnedBy || [],
               mutedBy: chat.mutedBy || [],
+              disappearingTimer: getTimerLabel(chat.disappearingTimer),
             });
-          }
 
-          // Emit read receipt to chat room immediately (real-time)
-          io.to(`chat:${chatId}`).emit('message_read_receipt', {
-            messageId: messageId,
-            readBy: socket.userId,
-            chatId: chatId,
-          });
+            // Let the sender know the aggregated status (e.g. read by 3 of 5)
+            const updatedMessage = await messagesCollection.findOne(
+              { _id: messageObjectId },
+              { projection: { chatId: 1, senderId: 1, readBy: 1, deliveredTo: 1 } }
+            );
+            if (updatedMessage) {
+              await emitMessageStatus([updatedMessage], [chat]);
+            }
+
+            // Read receipts are reciprocal in direct chats: if either side turned them off,
+            // only the reader's own devices hear about the read
+            const receiptsShared = await areReadReceiptsShared(chat);
+            io.to(receiptsShared ? `chat:${chatId}` : `user:${socket.userId}`).emit('message_read_receipt', {
+              messageId: messageId,
+              readBy: socket.userId,
+              chatId: chatId,
+            });
+          }
         }
       } catch (error) {
         console.error('Socket message_read error:', error);
@@ -1521,7 +1672,7 @@ export const initializeSocket = (httpServer) => {
     // BUG FIX #4: Properly clean up event listeners and resources
     socket.on('disconnect', async () => {
       console.log(`❌ User disconnected: ${socket.userId}`);
-      
+
       // BUG FIX #18: Clear all call timeouts
       if (socket.data.callTimeouts) {
         socket.data.callTimeouts.forEach((timeout) => clearTimeout(timeout));
@@ -1635,6 +1786,20 @@ export const emitNewMessage = async (chatId, messageData) => {
   }
 };
 
+/**
+ * Force-disconnect every socket belonging to the given device sessions
+ * @param {string[]} sessionIds - Revoked session IDs
+ * @param {string} reason - Sent to the client in 'session_revoked' before disconnecting
+ */
+export const disconnectSessionSockets = (sessionIds, reason = 'revoked') => {
+  if (!io || !sessionIds || sessionIds.length === 0) return;
+
+  const rooms = sessionIds.map((sessionId) => `session:${sessionId}`);
+  io.to(rooms).emit('session_revoked', { reason });
+  io.in(rooms).disconnectSockets(true);
+  console.log(`🔌 Disconnected sockets for ${sessionIds.length} revoked session(s) (reason: ${reason})`);
+};
+
 /**
  * Emit chat update to user
  */
@@ -1677,21 +1842,31 @@ async function _broadcastPresenceUpdate(userId, isOnline) {
     
     if (!presenceData) return;
     
+    // Each recipient only gets what this user's privacy settings allow them to see
+    const visibility = await getVisibilityForAudience(
+      userId,
+      chats.map((chat) => chat.participants.find((id) => id !== userId)).filter(Boolean)
+    );
+    
     // For each chat, notify the other participant IMMEDIATELY
     for (const chat of chats) {
       const otherParticipantId = chat.participants.find((id) => id !== userId);
       if (otherParticipantId) {
         // Emit presence update to the other participant IMMEDIATELY
         if (io) {
-          io.to(`user:${otherParticipantId}`).emit('presence_update', presenceData);
+          io.to(`user:${otherParticipantId}`).emit(
+            'presence_update',
+            applyPresencePrivacy(presenceData, visibility.get(otherParticipantId))
+          );
           
           // Also update their chat list with new presence info for immediate UI update
           io.to(`user:${otherParticipantId}`).emit('chat_updated', {
             chatId: chat._id.toString(),
-            otherUser: userPresenceData,
+            otherUser: applyPresencePrivacy(userPresenceData, visibility.get(otherParticipantId)),
             archivedBy: chat.archivedBy || [],
             pinnedBy: chat.pinnedBy || [],
             mutedBy: chat.mutedBy || [],
+            disappearingTimer: getTimerLabel(chat.disappearingTimer),
           });
         }
       }
@@ -1722,7 +1897,10 @@ export const emitStatusUpdate = async (userId, statusData) => {
       [userId]
     );
 
-    const contactIds = contactsResult.rows.map(row => row.user_id);
+    // Only contacts allowed by the user's status privacy (and not blocked) get the update
+    const allContactIds = contactsResult.rows.map(row => row.user_id);
+    const visibility = await getVisibilityForAudience(userId, allContactIds);
+    const contactIds = allContactIds.filter((contactId) => visibility.get(contactId)?.status);
 
     // Emit to all contacts
     contactIds.forEach(contactId => {
@@ -0,0 +1,61 @@
+/**
+ * Local Disk Storage Driver
+ *
+ * Keeps uploads in a directory on this server. Only
+ * suitable for a single instance with a persistent disk - use the S3 driver
+ * on Render or when running several instances.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Create a local disk driver
+ * @param {Object} options
+ * @param {string} options.directory - Where files are kept
+ */
+export const createLocalDriver = ({ directory }) => {
+  // Keys are plain filenames, so a key can never point outside the directory
+  const resolve = (key) => path.join(directory, path.basename(key));
+
+  return {
+    name: 'local',
+
+    async put(key, sourcePath) {
+      const target = resolve(key);
+      if (path.resolve(sourcePath) === target) return; // Multer already wrote it in place
+
+      await fs.promises.mkdir(directory, { recursive: true });
+      try {
+        await fs.promises.rename(sourcePath, target);
+      } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        // Different filesystem (e.g. a mounted volume) - copy instead
+        await fs.promises.copyFile(sourcePath, target);
+        await fs.promises.rm(sourcePath, { force: true });
+      }
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolve(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async download(key, destinationPath) {
+      await fs.promises.copyFile(resolve(key), destinationPath);
+    },
+
+    // Served by the media route itself (res.sendFile)
+    async getDownload(key) {
+      return { path: resolve(key) };
+    },
+  };
+};
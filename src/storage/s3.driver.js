@@ -0,0 +1,95 @@
+/**
+ * S3-Compatible Storage Driver
+ *
+ * Stores uploads in a bucket on AWS S3 or any S3-compatible service (MinIO,
+ * Cloudflare R2, Backblaze B2...). Multer still writes to the local uploads
+ * directory first; `put` moves the finished file into the bucket, so files
+ * survive restarts and are shared by all instances.
+ *
+ * The bucket can stay private: downloads are redirected to presigned URLs
+ * once the media route has authorized the request.
+ */
+
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+/**
+ * Create an S3 driver
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} options.region
+ * @param {string} [options.endpoint] - Custom endpoint (MinIO, R2...); AWS when empty
+ * @param {string} [options.accessKeyId] - Falls back to the AWS SDK credential chain
+ * @param {string} [options.secretAccessKey]
+ * @param {boolean} [options.forcePathStyle] - http://host/bucket/key URLs (needed by MinIO)
+ */
+export const createS3Driver = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+}) => {
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+    // Several S3-compatible services reject the SDK's default streaming checksums
+    ...(endpoint ? { requestChecksumCalculation: 'WHEN_REQUIRED', responseChecksumValidation: 'WHEN_REQUIRED' } : {}),
+  });
+
+  return {
+    name: 's3',
+
+    async put(key, sourcePath, { contentType } = {}) {
+      const { size } = await fs.promises.stat(sourcePath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType || 'application/octet-stream',
+      }));
+      await fs.promises.rm(sourcePath, { force: true });
+    },
+
+    async delete(key) {
+      // Deleting a missing key succeeds on S3
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return false;
+        throw error;
+      }
+    },
+
+    async download(key, destinationPath) {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      await pipeline(response.Body, fs.createWriteStream(destinationPath));
+    },
+
+    async getDownload(key, { expiresIn = 300, attachment = false } = {}) {
+      const url = await getSignedUrl(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: attachment ? `attachment; filename="${key}"` : undefined,
+      }), { expiresIn });
+      return { url };
+    },
+  };
+};
@@ -0,0 +1,321 @@
+/**
+ * Audio Utility Functions
+ * Duration and waveform of voice notes, in pure JS (no ffmpeg)
+ *
+ * Supported containers: WAV (PCM / float), Ogg (Opus, Vorbis) and M4A / MP4.
+ * WAV waveforms are sample peaks. Compressed audio can't be decoded here, so
+ * Ogg and M4A waveforms are estimated from packet sizes over time - louder,
+ * busier audio needs more bits, which is close enough for a playback UI.
+ */
+
+import { readBoxes, findBox, readMdhd, getHandlerType } from './mp4.utils.js';
+
+export const WAVEFORM_BARS = 64;
+const MAX_SAMPLES_PER_BAR = 512;
+// Sample tables come from the file; ~12 hours of AAC at 48 kHz
+const MAX_MP4_SAMPLES = 2 * 1024 * 1024;
+
+/**
+ * Scale bar values to integers 0-100 (relative to the loudest bar)
+ * @param {number[]} values
+ * @param {number} [floor=0] - Value mapped to 0 (e.g. the size of silent packets)
+ */
+function normalizeWaveform(values, floor = 0) {
+  const max = Math.max(...values);
+  if (!Number.isFinite(max) || max <= floor) {
+    return values.map(() => 0);
+  }
+  return values.map((value) => Math.round((Math.max(value - floor, 0) / (max - floor)) * 100));
+}
+
+/**
+ * Average timed values (e.g. packet sizes) into WAVEFORM_BARS bars
+ * Values are added straight into their bar, so memory doesn't grow with the file.
+ * @param {number} duration - Seconds
+ * @returns {{add: function(number, number): void, finish: function(): number[]|null}}
+ *   add(time in seconds, value); finish() returns the waveform
+ */
+function createWaveformBars(duration) {
+  const sums = new Array(WAVEFORM_BARS).fill(0);
+  const counts = new Array(WAVEFORM_BARS).fill(0);
+  let total = 0;
+
+  return {
+    add(time, value) {
+      if (!(duration > 0)) return;
+      const bar = Math.min(WAVEFORM_BARS - 1, Math.max(0, Math.floor((time / duration) * WAVEFORM_BARS)));
+      sums[bar] += value;
+      counts[bar]++;
+      total++;
+    },
+
+    finish() {
+      if (total === 0) return null;
+
+      // Bars without packets (very short notes) take their neighbour's value
+      const averages = sums.map((sum, bar) => (counts[bar] > 0 ? sum / counts[bar] : null));
+      for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+        if (averages[bar] === null) {
+          averages[bar] = bar > 0 ? averages[bar - 1] : averages.find((value) => value !== null);
+        }
+      }
+
+      // The smallest packets are silence
+      return normalizeWaveform(averages, Math.min(...averages) * 0.9);
+    },
+  };
+}
+
+// ============================================
+// WAV
+// ============================================
+
+function readWavSample(buffer, offset, format, bitsPerSample) {
+  if (format === 3) {
+    return bitsPerSample === 64 ? Math.abs(buffer.readDoubleLE(offset)) : Math.abs(buffer.readFloatLE(offset));
+  }
+  switch (bitsPerSample) {
+    case 8: return Math.abs(buffer[offset] - 128) / 128;
+    case 16: return Math.abs(buffer.readInt16LE(offset)) / 32768;
+    case 24: return Math.abs(buffer.readIntLE(offset, 3)) / 8388608;
+    case 32: return Math.abs(buffer.readInt32LE(offset)) / 2147483648;
+    default: return null;
+  }
+}
+
+function analyzeWav(buffer) {
+  let fmt = null;
+  let dataOffset = null;
+  let dataSize = 0;
+
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ' && body + 16 <= buffer.length) {
+      let format = buffer.readUInt16LE(body);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+      if (format === 0xfffe && size >= 26 && body + 26 <= buffer.length) {
+        format = buffer.readUInt16LE(body + 24);
+      }
+      fmt = {
+        format,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        byteRate: buffer.readUInt32LE(body + 8),
+        blockAlign: buffer.readUInt16LE(body + 12),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data') {
+      dataOffset = body;
+      // Streamed recordings may leave the size unset
+      dataSize = Math.min(size, buffer.length - body);
+      break;
+    }
+
+    offset = body + size + (size % 2);
+  }
+
+  if (!fmt || dataOffset === null || !fmt.byteRate || !fmt.blockAlign) return null;
+
+  const duration = dataSize / fmt.byteRate;
+  const frames = Math.floor(dataSize / fmt.blockAlign);
+  const supported = [1, 3].includes(fmt.format) && readWavSample(buffer, dataOffset, fmt.format, fmt.bitsPerSample) !== null;
+
+  let waveform = null;
+  if (supported && frames > 0) {
+    const framesPerBar = frames / WAVEFORM_BARS;
+    const step = Math.max(1, Math.floor(framesPerBar / MAX_SAMPLES_PER_BAR));
+    const peaks = [];
+
+    for (let bar = 0; bar < WAVEFORM_BARS; bar++) {
+      const start = Math.floor(bar * framesPerBar);
+      const end = Math.min(frames, Math.floor((bar + 1) * framesPerBar));
+      let peak = 0;
+      // First channel is enough for a waveform
+      for (let frame = start; frame < end; frame += step) {
+        peak = Math.max(peak, readWavSample(buffer, dataOffset + frame * fmt.blockAlign, fmt.format, fmt.bitsPerSample));
+      }
+      peaks.push(peak);
+    }
+    waveform = normalizeWaveform(peaks);
+  }
+
+  return {
+    container: 'wav',
+    codec: fmt.format === 3 ? 'pcm_float' : fmt.format === 1 ? 'pcm' : `wav_${fmt.format}`,
+    duration,
+    waveform,
+  };
+}
+
+// ============================================
+// Ogg (Opus / Vorbis)
+// ============================================
+
+function analyzeOgg(buffer) {
+  let serial = null;
+  let codec = null;
+  let rate = null;
+  let preSkip = 0;
+  let lastGranule = null;
+  let previousGranule = 0;
+  let partialPacket = 0;
+  const pages = [];
+
+  let offset = 0;
+  while (offset + 27 <= buffer.length && buffer.toString('ascii', offset, offset + 4) === 'OggS') {
+    const granule = buffer.readBigInt64LE(offset + 6);
+    const pageSerial = buffer.readUInt32LE(offset + 14);
+    const segmentCount = buffer[offset + 26];
+    const headerSize = 27 + segmentCount;
+    if (offset + headerSize > buffer.length) break;
+
+    const segments = [...buffer.subarray(offset + 27, offset + headerSize)];
+    const bodySize = segments.reduce((total, size) => total + size, 0);
+    const body = offset + headerSize;
+
+    if (serial === null) {
+      // The first page identifies the codec of the (first) logical stream
+      serial = pageSerial;
+      if (buffer.toString('ascii', body, body + 8) === 'OpusHead') {
+        codec = 'opus';
+        rate = 48000; // Opus granule positions are always 48 kHz
+        preSkip = buffer.readUInt16LE(body + 10);
+      } else if (buffer[body] === 1 && buffer.toString('ascii', body + 1, body + 7) === 'vorbis') {
+        codec = 'vorbis';
+        rate = buffer.readUInt32LE(body + 12);
+      } else {
+        return null;
+      }
+    }
+
+    if (pageSerial === serial && granule > 0n) {
+      // Packets end on segments shorter than 255 bytes
+      const packets = [];
+      for (const size of segments) {
+        partialPacket += size;
+        if (size < 255) {
+          packets.push(partialPacket);
+          partialPacket = 0;
+        }
+      }
+      pages.push({ from: previousGranule, to: Number(granule), packets });
+      previousGranule = Number(granule);
+      lastGranule = Number(granule);
+    }
+
+    offset = body + bodySize;
+  }
+
+  if (!codec || !rate || lastGranule === null) return null;
+
+  const duration = Math.max(0, (lastGranule - preSkip) / rate);
+
+  // Spread each page's packets evenly over the time the page covers
+  const bars = createWaveformBars(duration);
+  for (const page of pages) {
+    page.packets.forEach((size, index) => {
+      const granule = page.from + ((page.to - page.from) * (index + 0.5)) / page.packets.length;
+      bars.add(Math.max(0, (granule - preSkip) / rate), size);
+    });
+  }
+
+  return {
+    container: 'ogg',
+    codec,
+    duration,
+    waveform: bars.finish(),
+  };
+}
+
+// ============================================
+// M4A / MP4 (ISO base media file format)
+// ============================================
+
+function analyzeMp4(buffer) {
+  const moov = readBoxes(buffer, 0, buffer.length).find((box) => box.type === 'moov');
+  if (!moov) return null;
+
+  // First sound track
+  const track = readBoxes(buffer, moov.start, moov.end)
+    .filter((box) => box.type === 'trak')
+    .map((trak) => findBox(buffer, trak, 'mdia'))
+    .find((mdia) => mdia && getHandlerType(buffer, mdia) === 'soun');
+  if (!track) return null;
+
+  const mdhd = findBox(buffer, track, 'mdhd');
+  if (!mdhd) return null;
+  const { timescale, duration: trackDuration } = readMdhd(buffer, mdhd);
+  if (!timescale) return null;
+  const duration = trackDuration / timescale;
+
+  const minf = findBox(buffer, track, 'minf');
+  const stbl = minf && findBox(buffer, minf, 'stbl');
+  if (!stbl) {
+    return { container: 'mp4', codec: null, duration, waveform: null };
+  }
+
+  const stsd = findBox(buffer, stbl, 'stsd');
+  const codec = stsd && stsd.start + 16 <= stsd.end ? buffer.toString('ascii', stsd.start + 12, stsd.start + 16).trim() : null;
+
+  // Sample sizes (stsz) and their durations (stts)
+  const stsz = findBox(buffer, stbl, 'stsz');
+  const stts = findBox(buffer, stbl, 'stts');
+  let waveform = null;
+
+  if (stsz && stts) {
+    const fixedSize = buffer.readUInt32BE(stsz.start + 4);
+    // The declared count is only trusted as far as the size table actually goes
+    const tableSamples = fixedSize ? MAX_MP4_SAMPLES : Math.floor((stsz.end - stsz.start - 12) / 4);
+    const sampleCount = Math.min(buffer.readUInt32BE(stsz.start + 8), tableSamples, MAX_MP4_SAMPLES);
+    const entryCount = buffer.readUInt32BE(stts.start + 4);
+
+    const bars = createWaveformBars(duration);
+    let time = 0;
+    let sample = 0;
+    for (let entry = 0; entry < entryCount && sample < sampleCount; entry++) {
+      const entryOffset = stts.start + 8 + entry * 8;
+      if (entryOffset + 8 > stts.end) break;
+      const count = buffer.readUInt32BE(entryOffset);
+      const delta = buffer.readUInt32BE(entryOffset + 4);
+
+      for (let i = 0; i < count && sample < sampleCount; i++, sample++) {
+        const size = fixedSize || buffer.readUInt32BE(stsz.start + 12 + sample * 4);
+        bars.add((time + delta / 2) / timescale, size);
+        time += delta;
+      }
+    }
+    waveform = bars.finish();
+  }
+
+  return { container: 'mp4', codec, duration, waveform };
+}
+
+/**
+ * Duration and waveform of an audio file
+ * @param {Buffer} buffer - File contents
+ * @returns {{container: string, codec: string|null, duration: number, waveform: number[]|null} | null}
+ *   duration in seconds (3 decimals); waveform has WAVEFORM_BARS values 0-100.
+ *   null when the container isn't supported or the file is damaged.
+ */
+export function analyzeAudio(buffer) {
+  try {
+    let result = null;
+    if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') {
+      result = analyzeWav(buffer);
+    } else if (buffer.length >= 4 && buffer.toString('ascii', 0, 4) === 'OggS') {
+      result = analyzeOgg(buffer);
+    } else if (buffer.length >= 8 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+      result = analyzeMp4(buffer);
+    }
+
+    if (!result || !Number.isFinite(result.duration)) return null;
+    return { ...result, duration: Math.round(result.duration * 1000) / 1000 };
+  } catch (error) {
+    // Truncated or malformed file (reads past the end)
+    return null;
+  }
+}
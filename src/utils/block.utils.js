@@ -127,3 +127,30 @@ export async function filterBlockedUsers(currentUserId, userIds) {
   }
 }
 
+/**
+ * Block a user and mark them as blocked in the blocker's contacts
+ * Used by POST /api/block/:userId and by reports that ask to block the reported user
+ * @param {string} blockerId - User doing the blocking
+ * @param {string} blockedId - User being blocked
+ * @param {string|null} reason - Optional reason
+ * @returns {Promise<boolean>} - True if a new block was created, false if already blocked
+ */
+export async function blockUser(blockerId, blockedId, reason = null) {
+  const result = await queryWithRetry(
+    `INSERT INTO blocked_users (blocker_id, blocked_id, reason) VALUES ($1, $2, $3)
+     ON CONFLICT (blocker_id, blocked_id) DO NOTHING`,
+    [blockerId, blockedId, reason],
+    3,
+    20000
+  );
+
+  // Also mark as blocked in contacts if exists
+  await queryWithRetry(
+    'UPDATE contacts SET is_blocked = true WHERE user_id = $1 AND contact_user_id = $2',
+    [blockerId, blockedId],
+    3,
+    20000
+  );
+
+  return result.rowCount > 0;
+}
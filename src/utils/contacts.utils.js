@@ -70,3 +70,86 @@ export async function autoAddContact(userId, contactUserId) {
   }
 }
 
+
+const USER_LOOKUP_COLUMNS = `id, full_name, phone_number, country_code, bio, profile_picture_url, is_online, to_char(last_seen AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"') as last_seen, timezone`;
+
+/**
+ * Normalize a phone number search
+ * Removes spaces, dashes and parentheses; makes sure the country code starts with +
+ * @param {string} phoneNumber
+ * @param {string} countryCode
+ * @returns {{phoneNumber: string, countryCode: string}}
+ */
+export function normalizePhoneSearch(phoneNumber, countryCode) {
+  let normalizedCountryCode = String(countryCode).trim();
+  if (!normalizedCountryCode.startsWith('+')) {
+    normalizedCountryCode = '+' + normalizedCountryCode;
+  }
+
+  return {
+    phoneNumber: String(phoneNumber).replace(/[\s\-\(\)]/g, ''),
+    countryCode: normalizedCountryCode,
+  };
+}
+
+/**
+ * Find a registered user by (normalized) phone number
+ * Tries an exact match, then without / with a leading zero, then a
+ * case-insensitive country code. Used by GET /api/contacts/search and
+ * shared contact cards.
+ * @param {string} phoneNumber - From normalizePhoneSearch
+ * @param {string} countryCode - From normalizePhoneSearch
+ * @returns {Promise<Object|null>} users row (with last_seen as a UTC ISO string) or null
+ */
+export async function findUserByPhone(phoneNumber, countryCode) {
+  // CRITICAL: Convert last_seen to UTC to ensure consistent timezone handling
+  let result = await queryWithRetry(
+    `SELECT ${USER_LOOKUP_COLUMNS}
+     FROM users
+     WHERE phone_number = $1 AND country_code = $2`,
+    [phoneNumber, countryCode],
+    3,
+    20000
+  );
+
+  // If not found, try with normalized phone (remove leading zeros, etc.)
+  if (result.rows.length === 0) {
+    const normalizedPhone = phoneNumber.replace(/^0+/, '');
+    if (normalizedPhone !== phoneNumber) {
+      result = await queryWithRetry(
+        `SELECT ${USER_LOOKUP_COLUMNS}
+         FROM users
+         WHERE phone_number = $1 AND country_code = $2`,
+        [normalizedPhone, countryCode],
+        3,
+        20000
+      );
+    }
+  }
+
+  // If still not found, try with phone number that might have leading zeros
+  if (result.rows.length === 0) {
+    result = await queryWithRetry(
+      `SELECT ${USER_LOOKUP_COLUMNS}
+       FROM users
+       WHERE phone_number = $1 AND country_code = $2`,
+      ['0' + phoneNumber, countryCode],
+      3,
+      20000
+    );
+  }
+
+  // Also try case-insensitive country code matching
+  if (result.rows.length === 0) {
+    result = await queryWithRetry(
+      `SELECT ${USER_LOOKUP_COLUMNS}
+       FROM users
+       WHERE phone_number = $1 AND LOWER(country_code) = LOWER($2)`,
+      [phoneNumber, countryCode],
+      3,
+      20000
+    );
+  }
+
+  return result.rows[0] || null;
+}
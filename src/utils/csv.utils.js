@@ -0,0 +1,44 @@
+/**
+ * CSV Utility Functions
+ * Helpers for exporting report data as CSV
+ */
+
+/**
+ * Escape a single CSV value (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+export function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Convert an array of flat objects to CSV
+ * @param {Array<object>} rows - Data rows
+ * @param {Array<string>} columns - Column keys, in order (used as the header row)
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(escapeCsvValue).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Send rows as a CSV file download
+ * @param {object} res - Express response
+ * @param {string} filename - Download filename (without extension)
+ * @param {Array<object>} rows - Data rows
+ * @param {Array<string>} columns - Column keys
+ */
+export function sendCsv(res, filename, rows, columns) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  // Only safe characters, so request values can't break out of the header
+  const safeName = String(filename).replace(/[^a-zA-Z0-9._-]/g, '_');
+  res.setHeader('Content-Disposition', `attachment; filename="${safeName}.csv"`);
+  res.send(toCsv(rows, columns));
+}
@@ -0,0 +1,206 @@
+/**
+ * File Type Utility Functions
+ * Detects what an upload really is from its first bytes (magic numbers),
+ * independently of the client-supplied file name and Content-Type
+ */
+
+import fs from 'fs';
+
+// Enough for every signature below and for sniffing text
+const HEADER_BYTES = 4096;
+
+// ISO base media (MP4 / MOV / M4A / HEIC) boxes a file may start with
+const ISO_FIRST_BOXES = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+const HEIF_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1', 'avif'];
+
+/**
+ * Detected types that are fine for each extension
+ * Extensions not listed here are accepted with any content that isn't
+ * executable, unless they're in BLOCKED_EXTENSIONS.
+ */
+const EXTENSION_TYPES = {
+  jpg: ['jpeg'],
+  jpeg: ['jpeg'],
+  png: ['png'],
+  gif: ['gif'],
+  webp: ['webp'],
+  heic: ['heif'],
+  heif: ['heif'],
+  avif: ['heif'],
+  mp4: ['iso'],
+  m4v: ['iso'],
+  mov: ['iso'],
+  '3gp': ['iso'],
+  m4a: ['iso'],
+  aac: ['aac', 'iso'],
+  webm: ['matroska'],
+  mkv: ['matroska'],
+  avi: ['avi'],
+  mp3: ['mp3'],
+  ogg: ['ogg'],
+  opus: ['ogg'],
+  oga: ['ogg'],
+  wav: ['wav'],
+  flac: ['flac'],
+  amr: ['amr'],
+  pdf: ['pdf'],
+  doc: ['ole'],
+  xls: ['ole'],
+  ppt: ['ole'],
+  docx: ['zip'],
+  xlsx: ['zip'],
+  pptx: ['zip'],
+  zip: ['zip'],
+  txt: ['text'],
+  csv: ['text'],
+  json: ['text'],
+  md: ['text'],
+  vcf: ['text'],
+};
+
+/**
+ * Extensions that run code when opened (scripts, installers, app packages,
+ * web pages, shortcuts, disk images), refused whatever their content
+ */
+const BLOCKED_EXTENSIONS = [
+  'exe', 'dll', 'com', 'scr', 'pif', 'cpl', 'sys', 'drv', 'ocx',
+  'msi', 'msp', 'mst', 'msix', 'msixbundle', 'appx', 'appxbundle', 'application', 'appref-ms',
+  'bat', 'cmd', 'ps1', 'psm1', 'psd1', 'ps1xml', 'vb', 'vbs', 'vbe', 'js', 'jse', 'mjs', 'cjs',
+  'wsf', 'wsh', 'wsc', 'sct', 'hta', 'msc', 'chm', 'hlp', 'gadget', 'reg', 'inf', 'scf', 'lnk', 'url',
+  'jar', 'jnlp', 'class', 'apk', 'aab', 'xapk', 'apks', 'ipa', 'deb', 'rpm', 'dmg', 'pkg', 'mpkg', 'app',
+  'sh', 'bash', 'zsh', 'csh', 'ksh', 'command', 'run', 'bin', 'py', 'pyw', 'pyc', 'pl', 'rb', 'php',
+  'html', 'htm', 'xhtml', 'shtml', 'mht', 'mhtml', 'svg', 'svgz', 'xml', 'xsl', 'xslt',
+  'iso', 'img', 'vhd', 'vhdx',
+];
+
+export const IMAGE_TYPES = ['jpeg', 'png', 'gif', 'webp'];
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+const ascii = (buffer, start, end) => (buffer.length >= end ? buffer.toString('latin1', start, end) : '');
+
+/**
+ * Valid UTF-8 without NUL bytes (a multi-byte character may be cut off at the end)
+ */
+const looksLikeText = (buffer) => {
+  if (buffer.length === 0 || buffer.includes(0)) return false;
+  const text = new TextDecoder('utf-8', { fatal: false }).decode(buffer);
+  const replacements = (text.match(/\uFFFD/g) || []).length;
+  return replacements <= 1;
+};
+
+/**
+ * Identify a file from its header
+ * @param {Buffer} buffer - First bytes of the file
+ * @returns {{type: string, mime: string}|null} null when unknown binary data
+ */
+export function detectFileTypeFromBuffer(buffer) {
+  // Executables and scripts - never accepted, whatever their name
+  if (startsWith(buffer, [0x4d, 0x5a])) return { type: 'executable', mime: 'application/x-msdownload' };
+  if (startsWith(buffer, [0x7f, 0x45, 0x4c, 0x46])) return { type: 'executable', mime: 'application/x-executable' };
+  if ([[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe], [0xca, 0xfe, 0xba, 0xbe]]
+    .some((magic) => startsWith(buffer, magic))) {
+    return { type: 'executable', mime: 'application/x-mach-binary' };
+  }
+  if (startsWith(buffer, [0x23, 0x21])) return { type: 'executable', mime: 'text/x-shellscript' };
+
+  // Images
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return { type: 'jpeg', mime: 'image/jpeg' };
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return { type: 'png', mime: 'image/png' };
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return { type: 'gif', mime: 'image/gif' };
+
+  // RIFF containers
+  if (ascii(buffer, 0, 4) === 'RIFF') {
+    const form = ascii(buffer, 8, 12);
+    if (form === 'WEBP') return { type: 'webp', mime: 'image/webp' };
+    if (form === 'WAVE') return { type: 'wav', mime: 'audio/wav' };
+    if (form === 'AVI ') return { type: 'avi', mime: 'video/x-msvideo' };
+  }
+
+  // ISO base media: MP4, MOV, M4A, HEIC...
+  const firstBox = ascii(buffer, 4, 8);
+  if (ISO_FIRST_BOXES.includes(firstBox)) {
+    const brand = firstBox === 'ftyp' ? ascii(buffer, 8, 12) : '';
+    if (HEIF_BRANDS.includes(brand)) return { type: 'heif', mime: brand === 'avif' ? 'image/avif' : 'image/heic' };
+    if (brand === 'M4A ' || brand === 'M4B ') return { type: 'iso', mime: 'audio/mp4' };
+    if (brand === 'qt  ' || firstBox !== 'ftyp') return { type: 'iso', mime: 'video/quicktime' };
+    return { type: 'iso', mime: 'video/mp4' };
+  }
+
+  // Audio and video
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return { type: 'matroska', mime: 'video/webm' };
+  if (ascii(buffer, 0, 4) === 'OggS') return { type: 'ogg', mime: 'audio/ogg' };
+  if (ascii(buffer, 0, 4) === 'fLaC') return { type: 'flac', mime: 'audio/flac' };
+  if (ascii(buffer, 0, 5) === '#!AMR') return { type: 'amr', mime: 'audio/amr' };
+  if (ascii(buffer, 0, 3) === 'ID3') return { type: 'mp3', mime: 'audio/mpeg' };
+  if (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+    // MPEG frame sync: layer bits 00 are ADTS (AAC), the others MP3
+    return (buffer[1] & 0x06) === 0
+      ? { type: 'aac', mime: 'audio/aac' }
+      : { type: 'mp3', mime: 'audio/mpeg' };
+  }
+
+  // Documents and archives
+  if (ascii(buffer, 0, 5) === '%PDF-') return { type: 'pdf', mime: 'application/pdf' };
+  if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return { type: 'ole', mime: 'application/x-ole-storage' };
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4b, 0x05, 0x06])) {
+    return { type: 'zip', mime: 'application/zip' };
+  }
+  if (startsWith(buffer, [0x1f, 0x8b])) return { type: 'archive', mime: 'application/gzip' };
+  if (ascii(buffer, 0, 4) === 'Rar!') return { type: 'archive', mime: 'application/vnd.rar' };
+  if (startsWith(buffer, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return { type: 'archive', mime: 'application/x-7z-compressed' };
+
+  if (looksLikeText(buffer)) return { type: 'text', mime: 'text/plain' };
+
+  return null;
+}
+
+/**
+ * Identify a file on disk from its header
+ * @param {string} filePath
+ * @returns {Promise<{type: string, mime: string}|null>}
+ */
+export async function detectFileType(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_BYTES, 0);
+    return detectFileTypeFromBuffer(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Why a file's content can't be accepted under its name, if it can't
+ * @param {{type: string, mime: string}|null} detected - From detectFileType
+ * @param {string} originalName - Client-supplied file name
+ * @param {Object} [options]
+ * @param {boolean} [options.imagesOnly] - Only JPEG, PNG, GIF or WebP
+ * @returns {string|null} Error message
+ */
+export function getFileContentError(detected, originalName, { imagesOnly = false } = {}) {
+  if (detected?.type === 'executable') {
+    return 'Executable files are not allowed';
+  }
+
+  if (imagesOnly) {
+    return IMAGE_TYPES.includes(detected?.type)
+      ? null
+      : 'Only image files are allowed (jpeg, jpg, png, gif, webp)';
+  }
+
+  // Windows ignores trailing dots and spaces ("setup.exe." opens as setup.exe)
+  const ext = (originalName || '').replace(/[.\s]+$/, '').split('.').pop()?.toLowerCase();
+  if (BLOCKED_EXTENSIONS.includes(ext)) {
+    return `.${ext} files are not allowed`;
+  }
+
+  const expected = EXTENSION_TYPES[ext];
+  if (expected && !expected.includes(detected?.type)) {
+    return `File content does not match its .${ext} extension`;
+  }
+
+  return null;
+}
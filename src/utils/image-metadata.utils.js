@@ -0,0 +1,340 @@
+/**
+ * Image Metadata Utility Functions
+ * Removes EXIF, XMP and text metadata (GPS position, camera, timestamps...)
+ * from JPEG, PNG, WebP and HEIF (HEIC / AVIF) files without re-encoding them.
+ *
+ * The orientation is kept (as a minimal EXIF block) so photos still display
+ * the right way up. HEIF stores it outside EXIF (irot / imir), so there the
+ * EXIF and XMP items are simply blanked.
+ */
+
+import { readBoxes } from './mp4.utils.js';
+
+// EXIF tag holding the orientation (1-8)
+const ORIENTATION_TAG = 0x0112;
+
+const JPEG_EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+// APP1 (EXIF, XMP) and APP13 (Photoshop / IPTC) carry the metadata
+const JPEG_METADATA_MARKERS = [0xe1, 0xed];
+// Textual and EXIF chunks, and the last-modification time
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+
+let crcTable = null;
+
+/**
+ * CRC-32 of a PNG chunk (type + data)
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = -1;
+  for (const byte of buffer) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Orientation from EXIF data (TIFF, optionally preceded by "Exif\0\0")
+ * @returns {number} 1 (normal) when missing or unreadable
+ */
+function readExifOrientation(exif) {
+  const tiff = exif.subarray(0, 6).equals(JPEG_EXIF_HEADER) ? exif.subarray(6) : exif;
+  if (tiff.length < 8) return 1;
+  const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+  const readUInt16 = (offset) => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const readUInt32 = (offset) => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  const ifdOffset = readUInt32(4);
+  if (ifdOffset + 2 > tiff.length) return 1;
+  const entries = readUInt16(ifdOffset);
+  for (let i = 0; i < entries; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    if (readUInt16(entry) === ORIENTATION_TAG) {
+      const orientation = readUInt16(entry + 8);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+}
+
+/**
+ * EXIF data (TIFF) with only the orientation tag
+ */
+function buildOrientationExif(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4); // IFD0 right after the header
+  tiff.writeUInt16BE(1, 8); // One entry
+  tiff.writeUInt16BE(ORIENTATION_TAG, 10);
+  tiff.writeUInt16BE(3, 12); // SHORT
+  tiff.writeUInt32BE(1, 14); // Count
+  tiff.writeUInt16BE(orientation, 18);
+  tiff.writeUInt32BE(0, 22); // No next IFD
+  return tiff;
+}
+
+/**
+ * JPEG APP1 segment with only the orientation tag
+ */
+function buildOrientationSegment(orientation) {
+  const body = Buffer.concat([JPEG_EXIF_HEADER, buildOrientationExif(orientation)]);
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(body.length + 2, 2);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Strip metadata segments from a JPEG (everything from the image data on is copied as is)
+ * @returns {Buffer|null} null when the file isn't a readable JPEG
+ */
+function stripJpeg(buffer) {
+  if (buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  const segments = [];
+  let orientation = 1;
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+    // Start of scan: the rest is image data
+    if (marker === 0xda) {
+      segments.push(buffer.subarray(offset));
+      break;
+    }
+
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) return null;
+    const segment = buffer.subarray(offset, end);
+    if (JPEG_METADATA_MARKERS.includes(marker)) {
+      if (marker === 0xe1) {
+        orientation = Math.max(orientation, readExifOrientation(segment.subarray(4)));
+      }
+    } else {
+      segments.push(segment);
+    }
+    offset = end;
+  }
+
+  // After JFIF (APP0), where EXIF usually sits
+  const insertAt = segments.length > 0 && segments[0][1] === 0xe0 ? 1 : 0;
+  if (orientation !== 1) {
+    segments.splice(insertAt, 0, buildOrientationSegment(orientation));
+  }
+  return Buffer.concat([buffer.subarray(0, 2), ...segments]);
+}
+
+/**
+ * Drop metadata chunks from a PNG (chunk CRCs cover only the chunk itself)
+ */
+function stripPng(buffer) {
+  const chunks = [buffer.subarray(0, 8)];
+  let orientation = 1;
+  let offset = 8;
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) return null;
+    if (PNG_METADATA_CHUNKS.includes(type)) {
+      if (type === 'eXIf') {
+        orientation = readExifOrientation(buffer.subarray(offset + 8, end - 4));
+      }
+    } else {
+      chunks.push(buffer.subarray(offset, end));
+    }
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  if (orientation !== 1) {
+    // Right after IHDR, before the image data
+    const exif = Buffer.concat([Buffer.from('eXIf', 'latin1'), buildOrientationExif(orientation)]);
+    const chunk = Buffer.alloc(exif.length + 8);
+    chunk.writeUInt32BE(exif.length - 4, 0);
+    exif.copy(chunk, 4);
+    chunk.writeUInt32BE(crc32(exif), exif.length + 4);
+    chunks.splice(2, 0, chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Drop EXIF / XMP chunks from a WebP and clear their VP8X flags
+ */
+function stripWebp(buffer) {
+  const chunks = [];
+  let extendedHeader = null;
+  let orientation = 1;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const end = offset + 8 + size + (size % 2); // Chunks are padded to an even size
+    if (end > buffer.length + (size % 2)) return null;
+    if (WEBP_METADATA_CHUNKS.includes(type)) {
+      if (type === 'EXIF') {
+        orientation = readExifOrientation(buffer.subarray(offset + 8, offset + 8 + size));
+      }
+    } else {
+      let chunk = buffer.subarray(offset, Math.min(end, buffer.length));
+      if (type === 'VP8X') {
+        chunk = Buffer.from(chunk);
+        chunk[8] &= ~(0x08 | 0x04); // EXIF and XMP present flags
+        extendedHeader = chunk;
+      }
+      chunks.push(chunk);
+    }
+    offset = end;
+  }
+
+  // EXIF goes last; only the extended format (VP8X) can carry it
+  if (orientation !== 1 && extendedHeader) {
+    const exif = buildOrientationExif(orientation);
+    const header = Buffer.from('EXIF\0\0\0\0', 'latin1');
+    header.writeUInt32LE(exif.length, 4);
+    chunks.push(header, exif);
+    extendedHeader[8] |= 0x08;
+  }
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.from(buffer.subarray(0, 12));
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * IDs of the EXIF and XMP items listed in a HEIF iinf box
+ */
+function readHeifMetadataItemIds(buffer, iinf) {
+  const ids = new Set();
+  const entriesStart = iinf.start + (buffer[iinf.start] === 0 ? 6 : 8);
+  const readString = (offset) => {
+    const end = buffer.indexOf(0, offset);
+    return end === -1 ? { value: '', next: buffer.length } : { value: buffer.toString('latin1', offset, end), next: end + 1 };
+  };
+
+  for (const infe of readBoxes(buffer, entriesStart, iinf.end).filter((box) => box.type === 'infe')) {
+    const version = buffer[infe.start];
+    let itemId;
+    let itemType = null;
+    let offset;
+    if (version >= 2) {
+      itemId = version === 2 ? buffer.readUInt16BE(infe.start + 4) : buffer.readUInt32BE(infe.start + 4);
+      offset = infe.start + (version === 2 ? 6 : 8) + 2; // Item protection index
+      itemType = buffer.toString('latin1', offset, offset + 4);
+      offset += 4;
+    } else {
+      itemId = buffer.readUInt16BE(infe.start + 4);
+      offset = infe.start + 8;
+    }
+
+    const name = readString(offset);
+    const contentType = itemType === null || itemType === 'mime' ? readString(name.next).value : '';
+    if (itemType === 'Exif' || /rdf\+xml|xmp/i.test(contentType)) {
+      ids.add(itemId);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Byte ranges of some items, from a HEIF iloc box
+ * @returns {Array<[number, number]>|null} null when the box is malformed
+ */
+function readHeifItemExtents(buffer, iloc, idat, itemIds) {
+  const version = buffer[iloc.start];
+  const offsetSize = buffer[iloc.start + 4] >> 4;
+  const lengthSize = buffer[iloc.start + 4] & 0x0f;
+  const baseOffsetSize = buffer[iloc.start + 5] >> 4;
+  const indexSize = version >= 1 ? buffer[iloc.start + 5] & 0x0f : 0;
+  let offset = iloc.start + 6;
+
+  const read = (size) => {
+    if (![0, 2, 4, 8].includes(size) || offset + size > iloc.end) throw new RangeError('Malformed iloc box');
+    const value = size === 8 ? Number(buffer.readBigUInt64BE(offset)) : size > 0 ? buffer.readUIntBE(offset, size) : 0;
+    offset += size;
+    return value;
+  };
+
+  const ranges = [];
+  try {
+    const itemCount = read(version < 2 ? 2 : 4);
+    for (let item = 0; item < itemCount; item++) {
+      const itemId = read(version < 2 ? 2 : 4);
+      const constructionMethod = version >= 1 ? read(2) & 0x0f : 0;
+      const dataReferenceIndex = read(2);
+      const baseOffset = read(baseOffsetSize);
+      const extentCount = read(2);
+
+      for (let extent = 0; extent < extentCount; extent++) {
+        if (indexSize > 0) read(indexSize);
+        const extentOffset = read(offsetSize);
+        const extentLength = read(lengthSize);
+        // Only data in this file (not an external one or another item)
+        if (!itemIds.has(itemId) || dataReferenceIndex !== 0 || constructionMethod > 1) continue;
+
+        // Method 1: offsets into the idat box
+        const area = constructionMethod === 1 ? idat : { start: 0, end: buffer.length };
+        if (!area) return null;
+        const start = area.start + baseOffset + extentOffset;
+        const end = extentLength === 0 ? area.end : start + extentLength;
+        if (end > area.end) return null;
+        ranges.push([start, end]);
+      }
+    }
+  } catch (error) {
+    return null;
+  }
+  return ranges;
+}
+
+/**
+ * Blank the EXIF and XMP items of a HEIF image (HEIC / AVIF) in place
+ * Box sizes and item offsets stay the same, so nothing else has to move.
+ */
+function stripHeif(buffer) {
+  const meta = readBoxes(buffer, 0, buffer.length).find((box) => box.type === 'meta');
+  if (!meta) return null;
+
+  // meta is a full box: version and flags come first
+  const children = readBoxes(buffer, meta.start + 4, meta.end);
+  const iinf = children.find((box) => box.type === 'iinf');
+  const iloc = children.find((box) => box.type === 'iloc');
+  if (!iinf || !iloc) return null;
+
+  const metadataIds = readHeifMetadataItemIds(buffer, iinf);
+  const ranges = readHeifItemExtents(buffer, iloc, children.find((box) => box.type === 'idat'), metadataIds);
+  if (!ranges) return null;
+
+  const cleaned = Buffer.from(buffer);
+  for (const [start, end] of ranges) {
+    cleaned.fill(0, start, end);
+  }
+  return cleaned;
+}
+
+/**
+ * Remove location and other metadata from an image
+ * @param {Buffer} buffer - Image file
+ * @param {string} type - 'jpeg', 'png', 'webp' or 'heif' (from detectFileType)
+ * @returns {Buffer|null} The cleaned image, or null when the type isn't supported or the file is malformed
+ */
+export function stripImageMetadata(buffer, type) {
+  if (type === 'jpeg') return stripJpeg(buffer);
+  if (type === 'png') return stripPng(buffer);
+  if (type === 'webp') return stripWebp(buffer);
+  if (type === 'heif') return stripHeif(buffer);
+  return null;
+}
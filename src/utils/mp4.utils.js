@@ -0,0 +1,142 @@
+/**
+ * MP4 Utility Functions
+ * Minimal ISO base media file format (MP4 / M4A / MOV) box reading
+ */
+
+import fs from 'fs';
+
+/**
+ * Child boxes of a box body
+ * @returns {Array<{type: string, start: number, end: number}>} start/end of each body
+ */
+export function readBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) break;
+
+    boxes.push({ type, start: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+}
+
+export const findBox = (buffer, parent, type) => readBoxes(buffer, parent.start, parent.end).find((box) => box.type === type);
+
+/**
+ * Timescale and duration from an mdhd / mvhd box
+ */
+export function readMdhd(buffer, box) {
+  const version = buffer[box.start];
+  if (version === 1) {
+    return {
+      timescale: buffer.readUInt32BE(box.start + 20),
+      duration: Number(buffer.readBigUInt64BE(box.start + 24)),
+    };
+  }
+  return {
+    timescale: buffer.readUInt32BE(box.start + 12),
+    duration: buffer.readUInt32BE(box.start + 16),
+  };
+}
+
+/**
+ * Find the handler type of a track ('soun', 'vide', ...)
+ * @param {Buffer} buffer
+ * @param {Object} mdia - mdia box
+ */
+export function getHandlerType(buffer, mdia) {
+  const hdlr = findBox(buffer, mdia, 'hdlr');
+  return hdlr ? buffer.toString('ascii', hdlr.start + 8, hdlr.start + 12) : null;
+}
+
+/**
+ * Read just the moov box of a file (it may sit after a large mdat)
+ * @param {string} filePath
+ * @returns {Promise<Buffer|null>} The whole moov box (header included), or null
+ */
+export async function readMoovBox(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const header = Buffer.alloc(16);
+    let offset = 0;
+
+    while (offset + 8 <= fileSize) {
+      await handle.read(header, 0, 16, offset);
+      let size = header.readUInt32BE(0);
+      const type = header.toString('ascii', 4, 8);
+
+      if (size === 1) {
+        size = Number(header.readBigUInt64BE(8));
+      } else if (size === 0) {
+        size = fileSize - offset;
+      }
+      if (size < 8 || offset + size > fileSize) return null;
+
+      if (type === 'moov') {
+        const moov = Buffer.alloc(size);
+        await handle.read(moov, 0, size, offset);
+        return moov;
+      }
+      offset += size;
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Dimensions and duration of the first video track
+ * @param {Buffer} moovBox - From readMoovBox
+ * @returns {{width: number, height: number, duration: number|null} | null}
+ *   width/height as displayed (rotation applied), duration in seconds
+ */
+export function getVideoInfo(moovBox) {
+  try {
+    const moov = readBoxes(moovBox, 0, moovBox.length).find((box) => box.type === 'moov');
+    if (!moov) return null;
+
+    for (const trak of readBoxes(moovBox, moov.start, moov.end).filter((box) => box.type === 'trak')) {
+      const mdia = findBox(moovBox, trak, 'mdia');
+      const tkhd = findBox(moovBox, trak, 'tkhd');
+      if (!mdia || !tkhd || getHandlerType(moovBox, mdia) !== 'vide') continue;
+
+      // tkhd: matrix and 16.16 fixed-point width/height come after the version-dependent times
+      const base = tkhd.start + (moovBox[tkhd.start] === 1 ? 36 : 24);
+      const matrixA = moovBox.readInt32BE(base + 16);
+      let width = Math.round(moovBox.readUInt32BE(base + 52) / 65536);
+      let height = Math.round(moovBox.readUInt32BE(base + 56) / 65536);
+
+      // Rotated 90 / 270 degrees (phone videos recorded in portrait)
+      if (matrixA === 0) {
+        [width, height] = [height, width];
+      }
+
+      const mdhd = findBox(moovBox, mdia, 'mdhd');
+      const { timescale, duration } = mdhd ? readMdhd(moovBox, mdhd) : {};
+
+      return {
+        width,
+        height,
+        duration: timescale ? Math.round((duration / timescale) * 1000) / 1000 : null,
+      };
+    }
+    return null;
+  } catch (error) {
+    // Truncated or malformed moov box
+    return null;
+  }
+}
@@ -0,0 +1,210 @@
+/**
+ * vCard Utility Functions
+ * Parse vCard 3.0 / 4.0 text (RFC 2426 / RFC 6350) into plain contact objects
+ */
+
+const SUPPORTED_VERSIONS = ['3.0', '4.0'];
+
+export const MAX_VCARDS_PER_MESSAGE = 10;
+export const MAX_VCARD_TEXT_LENGTH = 64 * 1024;
+const MAX_VALUES_PER_PROPERTY = 10;
+
+/**
+ * Unfold continuation lines (lines starting with a space or tab)
+ * @param {string} text - Raw vCard text
+ * @returns {string[]} Logical lines
+ */
+function unfoldLines(text) {
+  const lines = [];
+  for (const line of text.split(/\r\n|\r|\n/)) {
+    if ((line.startsWith(' ') || line.startsWith('\t')) && lines.length > 0) {
+      lines[lines.length - 1] += line.slice(1);
+    } else {
+      lines.push(line);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Split on a separator that isn't backslash-escaped
+ */
+function splitUnescaped(value, separator) {
+  const parts = [];
+  let current = '';
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '\\' && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === separator) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += value[i];
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+function unescapeValue(value) {
+  return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parse one content line: [group.]NAME[;PARAM...]:value
+ * @returns {{name: string, types: string[], value: string} | null}
+ */
+function parseContentLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let colonIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+  if (colonIndex <= 0) return null;
+
+  const [nameWithGroup, ...params] = line.slice(0, colonIndex).split(';');
+  const name = nameWithGroup.split('.').pop().toUpperCase();
+
+  // TYPE=cell,voice / TYPE="work,voice" / bare CELL (older clients)
+  const types = [];
+  for (const param of params) {
+    const [key, paramValue] = param.includes('=') ? param.split(/=(.*)/s) : ['TYPE', param];
+    if (key.toUpperCase() === 'TYPE') {
+      types.push(...paramValue.replace(/"/g, '').split(',').map((type) => type.trim().toLowerCase()).filter(Boolean));
+    }
+  }
+
+  return { name, types, value: line.slice(colonIndex + 1) };
+}
+
+/**
+ * Parse a single BEGIN:VCARD ... END:VCARD block
+ * @returns {{card: Object} | {error: string}}
+ */
+function parseCard(lines) {
+  const card = {
+    fullName: null,
+    name: null,
+    phones: [],
+    emails: [],
+    organization: null,
+    title: null,
+  };
+  let version = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) {
+      return { error: `Invalid vCard line: ${line.slice(0, 50)}` };
+    }
+
+    switch (property.name) {
+      case 'VERSION':
+        version = property.value.trim();
+        break;
+      case 'FN':
+        card.fullName = unescapeValue(property.value).trim();
+        break;
+      case 'N': {
+        const [family = '', given = ''] = splitUnescaped(property.value, ';').map((part) => unescapeValue(part).trim());
+        card.name = { family, given };
+        break;
+      }
+      case 'TEL': {
+        // 4.0 allows a tel: URI (tel:+1-555-555-5555;ext=5)
+        const number = unescapeValue(property.value).trim().replace(/^tel:/i, '').split(';')[0];
+        if (number && card.phones.length < MAX_VALUES_PER_PROPERTY) {
+          card.phones.push({ number, types: property.types });
+        }
+        break;
+      }
+      case 'EMAIL': {
+        const address = unescapeValue(property.value).trim();
+        if (address && card.emails.length < MAX_VALUES_PER_PROPERTY) {
+          card.emails.push({ address, types: property.types });
+        }
+        break;
+      }
+      case 'ORG':
+        card.organization = unescapeValue(splitUnescaped(property.value, ';')[0]).trim() || null;
+        break;
+      case 'TITLE':
+        card.title = unescapeValue(property.value).trim() || null;
+        break;
+      default:
+        // Photos, addresses, custom X- properties... are not used
+        break;
+    }
+  }
+
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    return { error: `Unsupported vCard version${version ? ` ${version}` : ''}. Use 3.0 or 4.0` };
+  }
+
+  // FN is mandatory in both 3.0 and 4.0
+  if (!card.fullName) {
+    return { error: 'Each vCard needs a name (FN)' };
+  }
+
+  return { card };
+}
+
+/**
+ * Parse one or more vCards
+ * @param {string} text - vCard text (several BEGIN:VCARD blocks allowed)
+ * @returns {{cards: Object[]} | {error: string}} cards keep their source text as `vcard`
+ */
+export function parseVCards(text) {
+  if (typeof text !== 'string' || text.trim().length === 0) {
+    return { error: 'vcard is required' };
+  }
+  if (text.length > MAX_VCARD_TEXT_LENGTH) {
+    return { error: `vcard is too large (max ${MAX_VCARD_TEXT_LENGTH / 1024}KB)` };
+  }
+
+  const cards = [];
+  let current = null;
+
+  for (const line of unfoldLines(text)) {
+    if (line.trim().length === 0) continue;
+
+    const upper = line.trim().toUpperCase();
+    if (upper === 'BEGIN:VCARD') {
+      if (current) return { error: 'Nested vCards are not supported' };
+      current = [];
+    } else if (upper === 'END:VCARD') {
+      if (!current) return { error: 'END:VCARD without BEGIN:VCARD' };
+
+      const parsed = parseCard(current);
+      if (parsed.error) return parsed;
+
+      cards.push({
+        ...parsed.card,
+        vcard: ['BEGIN:VCARD', ...current, 'END:VCARD'].join('\r\n'),
+      });
+      current = null;
+    } else if (current) {
+      current.push(line);
+    } else {
+      return { error: 'Text outside of BEGIN:VCARD / END:VCARD' };
+    }
+  }
+
+  if (current) {
+    return { error: 'vCard is missing END:VCARD' };
+  }
+  if (cards.length === 0) {
+    return { error: 'No vCard found' };
+  }
+  if (cards.length > MAX_VCARDS_PER_MESSAGE) {
+    return { error: `At most ${MAX_VCARDS_PER_MESSAGE} contacts can be shared at once` };
+  }
+
+  return { cards };
+}